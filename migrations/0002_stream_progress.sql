@@ -0,0 +1,4 @@
+-- 0002_stream_progress.sql
+-- Progress of streamed saves, committed batch by batch:
+-- { status: running | failed | completed, rowCounts, seed, error }
+ALTER TABLE generated_datasets ADD COLUMN IF NOT EXISTS stream_progress JSONB;
@@ -15,11 +15,35 @@ import { initializeLangfuse } from './lib/monitoring.js';
 import DataGenerator from './lib/dataGenerator.js';
 import DatasetManager from './lib/datasetManager.js';
 import {
-  generateDeterministicData,
+  datasetHash,
+  enforceRules,
+  enforceTableConstraints,
+  STREAMING_UNSUPPORTED_OPTIONS,
+  MAX_STREAM_BATCH_SIZE,
   validateDeterministicData,
 } from './lib/deterministicGenerator.js';
+import { distributionErrors } from './lib/distributions.js';
+import { generateDeterministicDataParallel } from './lib/generatorPool.js';
+import { cardinalityErrors } from './lib/fkCardinality.js';
+import { hierarchyErrors } from './lib/fkStrategies.js';
+import { ruleErrors } from './lib/consistencyRules.js';
+import { applyExpressions, expressionErrors } from './lib/computedColumns.js';
 import GenerationService, { getJob } from './lib/generationService.js';
+import { resolveDialect, supportedDialects } from './lib/sqlDialects.js';
+import { IMPORT_FORMATS, detectSchemaFormat } from './lib/schemaImporters.js';
+import { buildSchemaGraph, toDot, toMermaid } from './lib/schemaDiagram.js';
+import { connectionTargetError } from './lib/schemaIntrospector.js';
+import { listProviders, unknownProviders } from './lib/valueProviders.js';
+import { patternErrors, patternPromptLine } from './lib/valuePatterns.js';
+import { EDGE_CASE_CATEGORIES, edgeCaseErrors } from './lib/edgeCases.js';
+import { FAULT_KINDS, faultErrors } from './lib/faultInjection.js';
+import {
+  localePromptLine,
+  supportedLocales,
+  unknownLocales,
+} from './lib/locales.js';
 import { errorHandler, notFound } from './middleware/errorHandler.js';
+import { introspectionAccess } from './middleware/introspectionAccess.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -170,18 +194,37 @@ function buildSocketServer(server) {
           config,
         });
         // 1. Parse schema
-        const schema = await dataGenerator.parseDDL(ddl);
+        const { schema, diagnostics } =
+          await dataGenerator.parseDDLWithDiagnostics(ddl, {
+            dialect: config.dialect,
+            format: config.format,
+          });
         socket.emit('schema:parsed', {
           tables: Object.keys(schema.tables),
           tableCount: Object.keys(schema.tables).length,
+          diagnostics,
         });
 
         // 2. Prepare deterministic baseline for referential integrity
-        const baseline = generateDeterministicData(schema, {
+        const baseline = await generateDeterministicDataParallel(schema, {
           globalRowCount: config.numRecords || 100,
           perTable: config.perTableRowCounts || {},
           nullProbability: config.nullProbability || {},
+          enumWeights: config.enumWeights || {},
+          defaultProbability: config.defaultProbability,
+          distributions: config.distributions,
+          cardinality: config.cardinality,
+          hierarchies: config.hierarchies,
+          rules: config.rules,
+          expressions: config.expressions,
+          patterns: config.patterns,
+          edgeCaseRatio: config.edgeCaseRatio,
+          edgeCaseCategories: config.edgeCaseCategories,
+          faults: config.faults,
+          providers: config.providers,
+          locale: config.locale,
           seed: config.seed,
+          referenceDate: config.referenceDate,
           debug: config.debug,
           withMeta: true,
         });
@@ -213,7 +256,9 @@ function buildSocketServer(server) {
           let rows = baseline.data
             ? baseline.data[tableName]
             : baseline[tableName];
-          if (useAI) {
+          // Tables with faults keep their baseline rows, where meta.faults
+          // lists the corrupted ones
+          if (useAI && !baseline.meta?.faults?.[tableName]) {
             try {
               // Reuse internal per-table AI approach from DataGenerator (simplified inline)
               const tableSchema = schema.tables[tableName];
@@ -231,7 +276,14 @@ function buildSocketServer(server) {
                 2
               )} Additional Instructions: ${
                 instructions || 'Generate realistic and consistent data'
-              } Return ONLY a JSON array of records for the ${tableName} table. IMPORTANT: Return only the JSON array without any markdown formatting or code blocks.`;
+              } Columns with "enumValues" must only use one of those exact values. String values must not exceed a column's "length"; numbers must fit its "precision" and "scale". ${localePromptLine(
+                config.locale,
+                tableName,
+                tableSchema
+              )} ${patternPromptLine(
+                config.patterns,
+                tableName
+              )} Return ONLY a JSON array of records for the ${tableName} table. IMPORTANT: Return only the JSON array without any markdown formatting or code blocks.`;
               const result = await dataGenerator.model.generateContent(prompt);
               const rawText = result.response.text();
               // Lightweight cleanup relying on existing helper (import not available directly here). Fallback parse attempt.
@@ -253,7 +305,8 @@ function buildSocketServer(server) {
                 aiRows = [];
               }
               if (Array.isArray(aiRows) && aiRows.length) {
-                rows = aiRows;
+                const enforced = enforceTableConstraints(tableSchema, aiRows);
+                if (enforced.rows.length) rows = enforced.rows;
               }
             } catch (aiErr) {
               socket.emit('table:ai_fallback', {
@@ -270,9 +323,28 @@ function buildSocketServer(server) {
           });
         }
 
+        // AI rows only meet cross-table rules once every table is in; the
+        // baseline already satisfies them
+        if (useAI && config.rules) {
+          const adjustments = enforceRules(schema, finalData, {
+            rules: config.rules,
+            seed: config.seed,
+          });
+          if (Object.keys(adjustments).length) {
+            socket.emit('generation:rules', { adjustments });
+          }
+        }
+        // Computed columns of AI rows follow from their final base columns
+        if (useAI) applyExpressions(schema, finalData, config.expressions);
+
         // 3. Validate
         const validation = validateDeterministicData(schema, finalData, {
           debug: config.debug,
+          cardinality: config.cardinality,
+          rules: config.rules,
+          expressions: config.expressions,
+          patterns: config.patterns,
+          faults: baseline.meta?.faults,
         });
         socket.emit('generation:validation', validation.report || validation);
 
@@ -285,7 +357,14 @@ function buildSocketServer(server) {
               description || 'Streaming generated dataset',
               schema,
               finalData,
-              { seed: config.seed, validation: validation.report || validation }
+              {
+                seed: config.seed,
+                referenceDate: baseline.meta?.referenceDate,
+                dialect: schema.dialect,
+                faults: baseline.meta?.faults,
+                validation: validation.report || validation,
+                contentHash: datasetHash(finalData),
+              }
             );
             socket.emit('dataset:saved', { datasetId });
           } catch (persistErr) {
@@ -298,6 +377,7 @@ function buildSocketServer(server) {
           tables: tables.length,
           durationMs,
           datasetId,
+          contentHash: datasetHash(finalData),
         });
       } catch (error) {
         socket.emit('generation:error', { message: error.message });
@@ -313,12 +393,42 @@ function buildSocketServer(server) {
 }
 
 // Configure multer for file uploads
+const SCHEMA_FILE_EXTENSIONS = [
+  '.sql',
+  '.ddl',
+  '.txt',
+  '.prisma',
+  '.json',
+  '.js',
+  '.mjs',
+  '.cjs',
+  '.ts',
+];
 const upload = multer({
   dest: 'uploads/',
   fileFilter: (_req, file, cb) => {
-    const ext = path.extname(file.originalname);
-    if (ext !== '.sql' && ext !== '.ddl' && ext !== '.txt') {
-      return cb(new Error('Only SQL, DDL, and TXT files are allowed'));
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (!SCHEMA_FILE_EXTENSIONS.includes(ext)) {
+      return cb(
+        new Error(
+          'Only SQL, DDL, TXT, Prisma, JSON Schema and JS/TS model files are allowed'
+        )
+      );
+    }
+    cb(null, true);
+  },
+});
+
+// Sample CSVs stay in memory: the raw rows are profiled, never stored
+const sampleUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: Number(process.env.MAX_SAMPLE_FILE_BYTES || 5 * 1024 * 1024),
+    files: 50,
+  },
+  fileFilter: (_req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() !== '.csv') {
+      return cb(new Error('Only CSV sample files are allowed'));
     }
     cb(null, true);
   },
@@ -363,8 +473,15 @@ app.post('/api/upload', upload.single('schema'), (req, res) => {
     import('fs').then(async (fsMod) => {
       const ddl = await fsMod.promises.readFile(req.file.path, 'utf-8');
       try {
-        const schema = await generationService.parseDDL(ddl);
-        res.json({ message: 'File uploaded successfully', schema });
+        const format =
+          req.body?.format ||
+          req.query.format ||
+          detectSchemaFormat(req.file.originalname, ddl);
+        const schema = await generationService.parseDDL(ddl, {
+          dialect: req.body?.dialect || req.query.dialect,
+          format,
+        });
+        res.json({ message: 'File uploaded successfully', format, schema });
       } catch (e) {
         res.status(400).json({ error: e.message });
       }
@@ -374,6 +491,180 @@ app.post('/api/upload', upload.single('schema'), (req, res) => {
   }
 });
 
+// Parse DDL without generating; returns the schema plus structured diagnostics
+app.post('/api/schema/validate', async (req, res, next) => {
+  try {
+    const { ddl, dialect, format } = req.body || {};
+    if (!ddl || typeof ddl !== 'string') {
+      return res.status(400).json({ error: 'ddl string required' });
+    }
+    if (ddl.length > 200000) {
+      return res.status(400).json({ error: 'DDL too large (200k char limit)' });
+    }
+    const { schema, parser, diagnostics } =
+      await generationService.parseDDLWithDiagnostics(ddl, {
+        dialect,
+        format,
+      });
+    res.json({
+      valid: !diagnostics.some((d) => d.severity === 'error'),
+      parser,
+      dialect: schema.dialect || null,
+      schema,
+      diagnostics,
+    });
+  } catch (e) {
+    next(e);
+  }
+});
+
+// Relationship graph of a schema (DDL or an already parsed schema) as a
+// nodes / edges graph, Mermaid ER and Graphviz DOT
+app.post('/api/schema/diagram', async (req, res, next) => {
+  try {
+    const { ddl, dialect, format, schema: parsed, output } = req.body || {};
+    if (output && !['json', 'mermaid', 'dot'].includes(output)) {
+      return res
+        .status(400)
+        .json({ error: 'output must be one of: json, mermaid, dot' });
+    }
+    let schema = parsed;
+    if (!schema) {
+      if (!ddl || typeof ddl !== 'string') {
+        return res.status(400).json({ error: 'ddl string or schema required' });
+      }
+      if (ddl.length > 200000) {
+        return res
+          .status(400)
+          .json({ error: 'DDL too large (200k char limit)' });
+      }
+      schema = await generationService.parseDDL(ddl, { dialect, format });
+    } else if (
+      typeof schema !== 'object' ||
+      typeof schema.tables !== 'object'
+    ) {
+      return res.status(400).json({ error: 'schema.tables object required' });
+    }
+    const graph = buildSchemaGraph(schema);
+    if (output === 'mermaid')
+      return res.type('text/plain').send(toMermaid(graph));
+    if (output === 'dot')
+      return res.type('text/vnd.graphviz').send(toDot(graph));
+    res.json({
+      order: graph.order,
+      cycles: graph.cycles,
+      selfReferences: graph.selfReferences,
+      orphans: graph.orphans,
+      graph: { nodes: graph.nodes, edges: graph.edges },
+      mermaid: toMermaid(graph),
+      dot: toDot(graph),
+    });
+  } catch (e) {
+    next(e);
+  }
+});
+
+// Build a schema from a live PostgreSQL database (information_schema / pg_catalog)
+app.post(
+  '/api/schema/introspect',
+  heavyLimiter,
+  introspectionAccess,
+  async (req, res, next) => {
+    try {
+      const { connectionString, schema = 'public', tables } = req.body || {};
+      if (
+        connectionString !== undefined &&
+        typeof connectionString !== 'string'
+      ) {
+        return res
+          .status(400)
+          .json({ error: 'connectionString must be a string' });
+      }
+      if (connectionString !== undefined) {
+        const allowed = (process.env.INTROSPECTION_ALLOWED_HOSTS || '')
+          .split(',')
+          .map((h) => h.trim().toLowerCase())
+          .filter(Boolean);
+        const targetError = connectionTargetError(connectionString, allowed);
+        if (targetError) return res.status(400).json({ error: targetError });
+      }
+      if (tables !== undefined && !Array.isArray(tables)) {
+        return res.status(400).json({ error: 'tables must be an array' });
+      }
+      const introspected = await generationService.introspectSchema({
+        connectionString,
+        schema,
+        tables,
+      });
+      res.json({ schema: introspected });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+// Profile sample CSVs (one per table, named after the file) and generate
+// lookalike data from the profile with the deterministic generator
+app.post(
+  '/api/profile',
+  heavyLimiter,
+  sampleUpload.array('samples'),
+  async (req, res, next) => {
+    try {
+      if (!req.files?.length) {
+        return res.status(400).json({ error: 'No sample files uploaded' });
+      }
+      const { ddl, dialect, saveName, description } = req.body || {};
+      if (ddl && ddl.length > 200000) {
+        return res
+          .status(400)
+          .json({ error: 'DDL too large (200k char limit)' });
+      }
+      if (dialect && !resolveDialect(dialect)) {
+        return res.status(400).json({
+          error: `Unsupported dialect (expected one of: ${supportedDialects().join(
+            ', '
+          )})`,
+        });
+      }
+      const scale =
+        req.body?.scale === undefined ? undefined : Number(req.body.scale);
+      if (scale !== undefined && !(scale > 0)) {
+        return res
+          .status(400)
+          .json({ error: 'scale must be a positive number' });
+      }
+      const seed =
+        req.body?.seed === undefined ? undefined : Number(req.body.seed);
+      if (seed !== undefined && !Number.isInteger(seed)) {
+        return res.status(400).json({ error: 'seed must be an integer' });
+      }
+      const samples = {};
+      for (const file of req.files) {
+        const table = path.parse(file.originalname).name;
+        if (samples[table] !== undefined) {
+          return res
+            .status(400)
+            .json({ error: `Duplicate sample for table ${table}` });
+        }
+        samples[table] = file.buffer.toString('utf-8');
+      }
+      const result = await generationService.generateFromSamples(samples, {
+        ddl,
+        dialect,
+        scale,
+        seed,
+        saveName,
+        description,
+        maxRows: Number(process.env.MAX_ROWS_PER_TABLE || 5000),
+      });
+      res.json(result);
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
 app.post('/api/generate', heavyLimiter, async (req, res, next) => {
   try {
     if (activeGenerations >= MAX_CONCURRENT_GENERATIONS) {
@@ -397,7 +688,151 @@ app.post('/api/generate', heavyLimiter, async (req, res, next) => {
         .status(400)
         .json({ error: 'instructions too long (5k char limit)' });
     }
-    const maxRows = Number(process.env.MAX_ROWS_PER_TABLE || 5000);
+    if (
+      config.format &&
+      config.format !== 'ddl' &&
+      !IMPORT_FORMATS.includes(config.format)
+    ) {
+      return res.status(400).json({
+        error: `Unsupported format (expected ddl or one of: ${IMPORT_FORMATS.join(
+          ', '
+        )})`,
+      });
+    }
+    const badProviders = unknownProviders(config.providers);
+    if (badProviders.length) {
+      return res.status(400).json({
+        error: `Unknown value provider(s) ${badProviders.join(
+          ', '
+        )} (available: ${listProviders().join(', ')})`,
+      });
+    }
+    const badDistributions = distributionErrors(config.distributions);
+    if (badDistributions.length) {
+      return res.status(400).json({
+        error: `Invalid distribution(s): ${badDistributions.join('; ')}`,
+      });
+    }
+    const badRules = ruleErrors(config.rules);
+    if (badRules.length) {
+      return res
+        .status(400)
+        .json({ error: `Invalid rule(s): ${badRules.join('; ')}` });
+    }
+    const badExpressions = expressionErrors(config.expressions);
+    if (badExpressions.length) {
+      return res.status(400).json({
+        error: `Invalid expression(s): ${badExpressions.join('; ')}`,
+      });
+    }
+    const badPatterns = patternErrors(config.patterns);
+    if (badPatterns.length) {
+      return res.status(400).json({
+        error: `Invalid pattern(s): ${badPatterns.join('; ')}`,
+      });
+    }
+    const badEdgeCases = edgeCaseErrors(config);
+    if (badEdgeCases.length) {
+      return res.status(400).json({
+        error: `Invalid edge cases: ${badEdgeCases.join('; ')}`,
+      });
+    }
+    const badFaults = faultErrors(config.faults);
+    if (badFaults.length) {
+      return res.status(400).json({
+        error: `Invalid faults: ${badFaults.join('; ')}`,
+      });
+    }
+    const badCardinality = cardinalityErrors(config.cardinality);
+    if (badCardinality.length) {
+      return res.status(400).json({
+        error: `Invalid cardinality: ${badCardinality.join('; ')}`,
+      });
+    }
+    const badHierarchies = hierarchyErrors(config.hierarchies);
+    if (badHierarchies.length) {
+      return res.status(400).json({
+        error: `Invalid hierarchy: ${badHierarchies.join('; ')}`,
+      });
+    }
+    if (unknownLocales(config.locale).length) {
+      return res.status(400).json({
+        error: `Unsupported locale (expected one of: ${supportedLocales().join(
+          ', '
+        )})`,
+      });
+    }
+    if (config.dialect && !resolveDialect(config.dialect)) {
+      return res.status(400).json({
+        error: `Unsupported dialect (expected one of: ${supportedDialects().join(
+          ', '
+        )})`,
+      });
+    }
+    if (
+      config.seed !== undefined &&
+      config.seed !== null &&
+      !Number.isInteger(config.seed)
+    ) {
+      return res.status(400).json({ error: 'seed must be an integer' });
+    }
+    if (
+      config.referenceDate !== undefined &&
+      config.referenceDate !== null &&
+      Number.isNaN(new Date(config.referenceDate).getTime())
+    ) {
+      return res
+        .status(400)
+        .json({ error: 'referenceDate must be a parseable date' });
+    }
+    if (config.stream) {
+      const unsupported = STREAMING_UNSUPPORTED_OPTIONS.filter(
+        (k) => config[k] && Object.keys(config[k]).length
+      );
+      if (unsupported.length) {
+        return res.status(400).json({
+          error: `Streaming generation does not support ${unsupported.join(
+            ', '
+          )}`,
+        });
+      }
+      if (
+        config.batchSize !== undefined &&
+        !(
+          Number.isInteger(config.batchSize) &&
+          config.batchSize >= 1 &&
+          config.batchSize <= MAX_STREAM_BATCH_SIZE
+        )
+      ) {
+        return res.status(400).json({
+          error: `batchSize must be an integer between 1 and ${MAX_STREAM_BATCH_SIZE}`,
+        });
+      }
+      if (config.resumeDatasetId !== undefined) {
+        if (
+          !Number.isInteger(config.resumeDatasetId) ||
+          config.resumeDatasetId < 1
+        ) {
+          return res
+            .status(400)
+            .json({ error: 'resumeDatasetId must be a positive integer' });
+        }
+        // Only a seeded stream regenerates the rows already stored
+        if (!saveName || config.seed === undefined || config.seed === null) {
+          return res.status(400).json({
+            error: 'resumeDatasetId requires saveName and the original seed',
+          });
+        }
+      }
+    } else if (config.resumeDatasetId !== undefined) {
+      return res
+        .status(400)
+        .json({ error: 'resumeDatasetId applies to streamed saves only' });
+    }
+    // Streamed rows are never held in memory, so they get a far higher cap
+    const maxRows = config.stream
+      ? Number(process.env.MAX_STREAM_ROWS_PER_TABLE || 100000000)
+      : Number(process.env.MAX_ROWS_PER_TABLE || 5000);
     if (config.numRecords && config.numRecords > maxRows) {
       return res
         .status(400)
@@ -550,6 +985,28 @@ app.get('/api/datasets/:id(\\d+)/table/:tableName', async (req, res, next) => {
 app.get('/api/datasets/:id/export', async (req, res, next) => {
   try {
     const id = Number(req.params.id);
+    const format = req.query.format || 'csv';
+    if (!['csv', 'sql'].includes(format)) {
+      return res
+        .status(400)
+        .json({ error: 'Unsupported export format (expected csv or sql)' });
+    }
+    const dialect = req.query.dialect && resolveDialect(req.query.dialect);
+    if (req.query.dialect && !dialect) {
+      return res.status(400).json({
+        error: `Unsupported dialect (expected one of: ${supportedDialects().join(
+          ', '
+        )})`,
+      });
+    }
+    if (format === 'sql') {
+      const { sql } = await generationService.exportDataset(id, {
+        format,
+        dialect,
+      });
+      res.attachment(`dataset_${id}.sql`);
+      return res.type('application/sql').send(sql);
+    }
     const { zipPath } = await generationService.exportDataset(id);
     res.download(zipPath);
   } catch (e) {
@@ -587,9 +1044,16 @@ app.get('/api/health', async (_req, res, next) => {
 app.get('/api/config', (_req, res) => {
   res.json({
     maxRowsPerTable: Number(process.env.MAX_ROWS_PER_TABLE || 5000),
+    maxStreamRowsPerTable: Number(
+      process.env.MAX_STREAM_ROWS_PER_TABLE || 100000000
+    ),
     defaultNumRecords: Number(process.env.DEFAULT_NUM_RECORDS || 100),
     aiEnabled: process.env.USE_AI !== 'false',
     model: process.env.GOOGLE_GENAI_MODEL || 'gemini-2.0-flash-001',
+    valueProviders: listProviders(),
+    locales: supportedLocales(),
+    edgeCaseCategories: EDGE_CASE_CATEGORIES,
+    faultKinds: FAULT_KINDS,
   });
 });
 
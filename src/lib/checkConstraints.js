@@ -0,0 +1,299 @@
+// CHECK constraint helpers shared by the DDL parser and the deterministic
+// generator. Expressions are normalized into a small set of structured forms:
+//   { kind: 'compare', column, operator, value }          price >= 0
+//   { kind: 'columnCompare', column, operator, otherColumn } end_date >= start_date
+//   { kind: 'in', column, values }                        status IN ('a', 'b')
+//   { kind: 'between', column, min, max }                 rating BETWEEN 1 AND 5
+//   { kind: 'notNull', column }                           email IS NOT NULL
+//   { kind: 'raw' }                                       anything else (kept, not enforced)
+// Every form carries the source `expression` text for reporting.
+
+const IDENT =
+  '[`"\\[]?(?:[A-Za-z_][A-Za-z0-9_]*[`"\\]]?\\.[`"\\[]?)?([A-Za-z_][A-Za-z0-9_]*)[`"\\]]?';
+const LITERAL = "'(?:[^']|'')*'(?:::[A-Za-z ]+)?|-?\\d+(?:\\.\\d+)?";
+const OPERATORS = ['>=', '<=', '<>', '!=', '=', '>', '<'];
+const FLIPPED = { '>=': '<=', '<=': '>=', '>': '<', '<': '>' };
+// Bare words that look like identifiers but are not columns
+const SQL_KEYWORDS =
+  /^(current_date|current_time|current_timestamp|localtimestamp|now|true|false|null)$/i;
+
+function stripOuterParens(text) {
+  let t = text.trim();
+  while (t.startsWith('(') && matchingParen(t, 0) === t.length - 1) {
+    t = t.slice(1, -1).trim();
+  }
+  return t;
+}
+
+// Index of the parenthesis closing the one at `openIdx` (-1 when unbalanced)
+export function matchingParen(text, openIdx) {
+  let depth = 0;
+  let inString = false;
+  for (let i = openIdx; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === "'") inString = !inString;
+    if (inString) continue;
+    if (ch === '(') depth++;
+    if (ch === ')') {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  return -1;
+}
+
+// Split on a keyword (AND / OR) only at parenthesis depth 0 and outside strings
+function splitTopLevel(text, keyword) {
+  const parts = [];
+  const re = new RegExp(`\\s${keyword}\\s`, 'iy');
+  let depth = 0;
+  let inString = false;
+  let last = 0;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === "'") inString = !inString;
+    if (inString) continue;
+    if (ch === '(') depth++;
+    else if (ch === ')') depth--;
+    else if (depth === 0) {
+      re.lastIndex = i;
+      const m = re.exec(text);
+      if (m) {
+        parts.push(text.slice(last, i));
+        last = i + m[0].length;
+        i = last - 1;
+      }
+    }
+  }
+  parts.push(text.slice(last));
+  return parts.map((p) => p.trim()).filter((p) => p.length);
+}
+
+function parseLiteral(raw) {
+  const t = raw.trim().replace(/::[A-Za-z ]+$/, '');
+  if (t.startsWith("'")) return t.slice(1, -1).replace(/''/g, "'");
+  return Number(t);
+}
+
+function parseTerm(term) {
+  const expression = term;
+  const t = stripOuterParens(term);
+
+  let m = t.match(new RegExp(`^${IDENT}\\s+IS\\s+NOT\\s+NULL$`, 'i'));
+  if (m) return { kind: 'notNull', column: m[1], expression };
+
+  m = t.match(new RegExp(`^${IDENT}\\s+IN\\s*\\((.*)\\)$`, 'i'));
+  if (m) {
+    const items = m[2].match(new RegExp(LITERAL, 'g')) || [];
+    if (items.length) {
+      return {
+        kind: 'in',
+        column: m[1],
+        values: items.map(parseLiteral),
+        expression,
+      };
+    }
+  }
+
+  m = t.match(
+    new RegExp(
+      `^${IDENT}\\s+BETWEEN\\s+(${LITERAL})\\s+AND\\s+(${LITERAL})$`,
+      'i'
+    )
+  );
+  if (m) {
+    return {
+      kind: 'between',
+      column: m[1],
+      min: parseLiteral(m[2]),
+      max: parseLiteral(m[3]),
+      expression,
+    };
+  }
+
+  const ops = OPERATORS.map((o) => o.replace(/[<>!=]/g, '\\$&')).join('|');
+  m = t.match(new RegExp(`^${IDENT}\\s*(${ops})\\s*${IDENT}$`));
+  if (m && !SQL_KEYWORDS.test(m[3])) {
+    return {
+      kind: 'columnCompare',
+      column: m[1],
+      operator: m[2] === '!=' ? '<>' : m[2],
+      otherColumn: m[3],
+      expression,
+    };
+  }
+  m = t.match(new RegExp(`^${IDENT}\\s*(${ops})\\s*(${LITERAL})$`));
+  if (m) {
+    return {
+      kind: 'compare',
+      column: m[1],
+      operator: m[2] === '!=' ? '<>' : m[2],
+      value: parseLiteral(m[3]),
+      expression,
+    };
+  }
+  m = t.match(new RegExp(`^(${LITERAL})\\s*(${ops})\\s*${IDENT}$`));
+  if (m) {
+    const op = m[2] === '!=' ? '<>' : m[2];
+    return {
+      kind: 'compare',
+      column: m[3],
+      operator: FLIPPED[op] || op,
+      value: parseLiteral(m[1]),
+      expression,
+    };
+  }
+  return { kind: 'raw', expression };
+}
+
+/**
+ * Parse a CHECK expression (text between the CHECK parentheses) into
+ * structured constraints. Top-level AND conjunctions become separate
+ * entries; disjunctions and unsupported forms are kept as `raw`.
+ * @param {string} expression
+ * @returns {Object[]}
+ */
+export function parseCheckExpression(expression) {
+  const text = stripOuterParens(String(expression || ''));
+  if (!text) return [];
+  if (splitTopLevel(text, 'OR').length > 1) {
+    return [{ kind: 'raw', expression: text }];
+  }
+  // Re-join `x BETWEEN a AND b` which the AND split tore apart
+  const terms = [];
+  splitTopLevel(text, 'AND').forEach((part) => {
+    const prev = terms[terms.length - 1];
+    if (prev && /\bBETWEEN\s+\S+$/i.test(prev)) {
+      terms[terms.length - 1] = `${prev} AND ${part}`;
+    } else {
+      terms.push(part);
+    }
+  });
+  return terms.map(parseTerm);
+}
+
+/**
+ * Extract the expression of the first `CHECK ( ... )` clause in a DDL line.
+ * @returns {string|null}
+ */
+export function extractCheckClause(line) {
+  const m = /\bcheck\s*\(/i.exec(line);
+  if (!m) return null;
+  const open = m.index + m[0].length - 1;
+  const close = matchingParen(line, open);
+  if (close === -1) return null;
+  return line.slice(open + 1, close).trim();
+}
+
+function comparable(a, b) {
+  const na = typeof a === 'number' ? a : Number(a);
+  const nb = typeof b === 'number' ? b : Number(b);
+  if (
+    a !== '' &&
+    b !== '' &&
+    typeof a !== 'boolean' &&
+    typeof b !== 'boolean' &&
+    !Number.isNaN(na) &&
+    !Number.isNaN(nb)
+  ) {
+    return [na, nb];
+  }
+  return [String(a), String(b)];
+}
+
+/**
+ * Compare two values numerically when both are numbers (or numeric strings),
+ * as strings otherwise (ISO dates order correctly).
+ * @returns {boolean}
+ */
+export function compare(a, operator, b) {
+  const [x, y] = comparable(a, b);
+  switch (operator) {
+    case '>=':
+      return x >= y;
+    case '<=':
+      return x <= y;
+    case '>':
+      return x > y;
+    case '<':
+      return x < y;
+    case '=':
+      return x === y;
+    case '<>':
+      return x !== y;
+    default:
+      return true;
+  }
+}
+
+/**
+ * Evaluate a structured check against a row. Follows SQL semantics where a
+ * NULL operand makes the check pass; `raw` checks always pass.
+ * @returns {boolean}
+ */
+export function evaluateCheck(check, row) {
+  const v = row[check.column];
+  if (check.kind === 'notNull') return v !== null && v !== undefined;
+  if (check.kind === 'raw' || v === null || v === undefined) return true;
+  switch (check.kind) {
+    case 'compare':
+      return compare(v, check.operator, check.value);
+    case 'between':
+      return compare(v, '>=', check.min) && compare(v, '<=', check.max);
+    case 'in':
+      return check.values.some((allowed) => compare(v, '=', allowed));
+    case 'columnCompare': {
+      const other = row[check.otherColumn];
+      if (other === null || other === undefined) return true;
+      return compare(v, check.operator, other);
+    }
+    default:
+      return true;
+  }
+}
+
+/**
+ * Collapse the literal checks of one column into generation bounds.
+ * @returns {{ min?: *, max?: *, minExclusive?: boolean, maxExclusive?: boolean, values?: Array }|null}
+ */
+export function columnBounds(checks, colName) {
+  const bounds = {};
+  let found = false;
+  const raiseMin = (value, exclusive) => {
+    if (bounds.min === undefined || compare(value, '>', bounds.min)) {
+      bounds.min = value;
+      bounds.minExclusive = exclusive;
+    }
+  };
+  const lowerMax = (value, exclusive) => {
+    if (bounds.max === undefined || compare(value, '<', bounds.max)) {
+      bounds.max = value;
+      bounds.maxExclusive = exclusive;
+    }
+  };
+  (checks || []).forEach((check) => {
+    if (check.column !== colName) return;
+    if (check.kind === 'in') {
+      bounds.values = bounds.values
+        ? bounds.values.filter((v) => check.values.includes(v))
+        : [...check.values];
+      found = true;
+    } else if (check.kind === 'between') {
+      raiseMin(check.min, false);
+      lowerMax(check.max, false);
+      found = true;
+    } else if (check.kind === 'compare') {
+      found = true;
+      if (check.operator === '>=' || check.operator === '>') {
+        raiseMin(check.value, check.operator === '>');
+      } else if (check.operator === '<=' || check.operator === '<') {
+        lowerMax(check.value, check.operator === '<');
+      } else if (check.operator === '=') {
+        bounds.values = [check.value];
+      } else {
+        found = false;
+      }
+    }
+  });
+  return found ? bounds : null;
+}
@@ -0,0 +1,531 @@
+// Computed columns: columns whose value is an expression over other columns
+// of the same row. Expressions come from `GENERATED ALWAYS AS (...)` in the
+// DDL (column `expression`) or from `config.expressions`, a map of table ->
+// column -> expression that wins over the DDL:
+//   line_total: 'qty * unit_price'                      + - * / %, parentheses
+//   full_name: "first_name || ' ' || last_name"         concatenation
+//   slug: 'slug(title)'                                 functions (FUNCTIONS)
+//   due_date: 'loan_date + 14'                          days for dates
+// They are evaluated once the base columns are final, in dependency order (a
+// computed column may use another), with SQL NULL semantics.
+// validateDeterministicData reports rows that disagree as
+// `expressionViolations` and expressions that cannot be evaluated as
+// `expressionErrors`.
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const TOKEN =
+  /\s*(?:(\d+(?:\.\d+)?)|('(?:[^']|'')*')|([A-Za-z_][A-Za-z0-9_]*)|"([^"]+)"|`([^`]+)`|\[([^\]]+)\]|(\|\||::|[-+*/%(),.]))/y;
+
+function expressionError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  err.code = 'INVALID_EXPRESSION';
+  return err;
+}
+
+const isNull = (v) => v === null || v === undefined;
+
+function toNumber(value) {
+  const n = typeof value === 'number' ? value : Number(value);
+  if (typeof value === 'boolean' || value === '' || Number.isNaN(n)) {
+    throw new Error(`${JSON.stringify(value)} is not a number`);
+  }
+  return n;
+}
+
+const isDate = (v) =>
+  typeof v === 'string' &&
+  /^\d{4}-\d{2}-\d{2}/.test(v) &&
+  !Number.isNaN(Date.parse(v));
+
+// Shift an ISO date / timestamp string by n days, keeping its form
+function addDays(value, n) {
+  const d = new Date(Date.parse(value) + n * DAY_MS);
+  return value.length === 10 ? d.toISOString().slice(0, 10) : d.toISOString();
+}
+
+function slugify(text) {
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// Functions returning NULL when an argument is NULL, by name
+const STRICT_FUNCTIONS = {
+  lower: (s) => String(s).toLowerCase(),
+  upper: (s) => String(s).toUpperCase(),
+  trim: (s) => String(s).trim(),
+  length: (s) => String(s).length,
+  char_length: (s) => String(s).length,
+  slug: slugify,
+  slugify,
+  round: (n, digits = 0) => {
+    const factor = 10 ** toNumber(digits);
+    return Math.round(toNumber(n) * factor) / factor;
+  },
+  floor: (n) => Math.floor(toNumber(n)),
+  ceil: (n) => Math.ceil(toNumber(n)),
+  ceiling: (n) => Math.ceil(toNumber(n)),
+  abs: (n) => Math.abs(toNumber(n)),
+  substr: (s, start, len) => {
+    const from = Math.max(toNumber(start) - 1, 0);
+    return len === undefined
+      ? String(s).slice(from)
+      : String(s).slice(from, from + toNumber(len));
+  },
+  replace: (s, from, to) => String(s).split(String(from)).join(String(to)),
+  left: (s, n) => String(s).slice(0, toNumber(n)),
+  right: (s, n) => (toNumber(n) > 0 ? String(s).slice(-toNumber(n)) : ''),
+  greatest: (...args) => args.reduce((a, b) => (b > a ? b : a)),
+  least: (...args) => args.reduce((a, b) => (b < a ? b : a)),
+};
+STRICT_FUNCTIONS.substring = STRICT_FUNCTIONS.substr;
+
+// Functions with their own NULL handling
+const NULL_FUNCTIONS = {
+  concat: (...args) => args.filter((a) => !isNull(a)).join(''),
+  concat_ws: (sep, ...args) =>
+    isNull(sep) ? null : args.filter((a) => !isNull(a)).join(String(sep)),
+  coalesce: (...args) => args.find((a) => !isNull(a)) ?? null,
+  ifnull: (a, b) => (isNull(a) ? b : a),
+  nullif: (a, b) => (a === b ? null : a),
+};
+
+export const FUNCTIONS = [
+  ...Object.keys(STRICT_FUNCTIONS),
+  ...Object.keys(NULL_FUNCTIONS),
+].sort();
+
+function tokenize(text) {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+  let pos = 0;
+  while (pos < text.length) {
+    if (!text.slice(pos).trim()) break;
+    TOKEN.lastIndex = pos;
+    const m = TOKEN.exec(text);
+    if (!m) throw expressionError(`unexpected "${text.slice(pos).trim()}"`);
+    pos = TOKEN.lastIndex;
+    if (m[1] !== undefined)
+      tokens.push({ kind: 'number', value: Number(m[1]) });
+    else if (m[2] !== undefined) {
+      tokens.push({
+        kind: 'string',
+        value: m[2].slice(1, -1).replace(/''/g, "'"),
+      });
+    } else if (m[3] !== undefined) tokens.push({ kind: 'name', value: m[3] });
+    else if (m[7] !== undefined) tokens.push({ kind: 'op', value: m[7] });
+    else
+      tokens.push({ kind: 'name', value: m[4] ?? m[5] ?? m[6], quoted: true });
+  }
+  return tokens;
+}
+
+/**
+ * Parse an expression into a tree of { kind: literal | column | unary |
+ * binary | call | cast } nodes.
+ * @param {string} text e.g. `qty * unit_price`
+ * @returns {Object}
+ * @throws {Error} 400 INVALID_EXPRESSION
+ */
+export function parseExpression(text) {
+  const tokens = tokenize(String(text ?? ''));
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const isOp = (value) => peek()?.kind === 'op' && peek().value === value;
+  const isWord = (word) =>
+    peek()?.kind === 'name' &&
+    !peek().quoted &&
+    peek().value.toLowerCase() === word;
+  const expect = (value) => {
+    if (!isOp(value)) {
+      throw expressionError(
+        `expected "${value}" ${peek() ? `before "${peek().value}"` : 'at the end'}`
+      );
+    }
+    pos++;
+  };
+  // Type name of a cast, modifiers like NUMERIC(10,2) skipped
+  const typeName = () => {
+    const words = [];
+    while (peek()?.kind === 'name') words.push(tokens[pos++].value);
+    if (!words.length) throw expressionError('expected a type name');
+    if (isOp('(')) {
+      while (peek() && !isOp(')')) pos++;
+      expect(')');
+    }
+    return words.join(' ').toLowerCase();
+  };
+
+  let concat;
+  const primary = () => {
+    const token = tokens[pos++];
+    if (!token) throw expressionError('unexpected end of expression');
+    if (token.kind === 'number' || token.kind === 'string') {
+      return { kind: 'literal', value: token.value };
+    }
+    if (token.kind === 'op') {
+      if (token.value !== '(') {
+        throw expressionError(`unexpected "${token.value}"`);
+      }
+      const inner = concat();
+      expect(')');
+      return inner;
+    }
+    const word = token.value.toLowerCase();
+    if (!token.quoted && ['null', 'true', 'false'].includes(word)) {
+      return {
+        kind: 'literal',
+        value: word === 'null' ? null : word === 'true',
+      };
+    }
+    if (!token.quoted && isOp('(')) {
+      pos++;
+      if (word === 'cast') {
+        const arg = concat();
+        if (!isWord('as')) throw expressionError('expected AS in CAST');
+        pos++;
+        const type = typeName();
+        expect(')');
+        return { kind: 'cast', type, arg };
+      }
+      if (!STRICT_FUNCTIONS[word] && !NULL_FUNCTIONS[word]) {
+        throw expressionError(`unknown function ${token.value}`);
+      }
+      const args = [];
+      if (!isOp(')')) {
+        args.push(concat());
+        while (isOp(',')) {
+          pos++;
+          args.push(concat());
+        }
+      }
+      expect(')');
+      return { kind: 'call', fn: word, args };
+    }
+    // Qualified names refer to the same row: keep the last part
+    let column = token.value;
+    while (isOp('.')) {
+      pos++;
+      if (peek()?.kind !== 'name') throw expressionError('expected a column');
+      column = tokens[pos++].value;
+    }
+    return { kind: 'column', column };
+  };
+  const postfix = () => {
+    let node = primary();
+    while (isOp('::')) {
+      pos++;
+      node = { kind: 'cast', type: typeName(), arg: node };
+    }
+    return node;
+  };
+  const unary = () => {
+    if (isOp('-') || isOp('+')) {
+      const op = tokens[pos++].value;
+      const arg = unary();
+      return op === '-' ? { kind: 'unary', op, arg } : arg;
+    }
+    return postfix();
+  };
+  const binary = (next, ops) => () => {
+    let left = next();
+    while (peek()?.kind === 'op' && ops.includes(peek().value)) {
+      const op = tokens[pos++].value;
+      left = { kind: 'binary', op, left, right: next() };
+    }
+    return left;
+  };
+  const multiplicative = binary(unary, ['*', '/', '%']);
+  const additive = binary(multiplicative, ['+', '-']);
+  concat = binary(additive, ['||']);
+
+  if (!tokens.length) throw expressionError('empty expression');
+  const tree = concat();
+  if (pos < tokens.length) {
+    throw expressionError(`unexpected "${tokens[pos].value}"`);
+  }
+  return tree;
+}
+
+/**
+ * Columns an expression reads.
+ * @param {Object} tree Result of parseExpression
+ * @returns {string[]}
+ */
+export function expressionColumns(tree) {
+  const columns = new Set();
+  const visit = (node) => {
+    if (node.kind === 'column') columns.add(node.column);
+    if (node.arg) visit(node.arg);
+    if (node.left) visit(node.left);
+    if (node.right) visit(node.right);
+    (node.args || []).forEach(visit);
+  };
+  visit(tree);
+  return [...columns];
+}
+
+function arithmetic(op, left, right) {
+  // date + n / date - n shift by days, date - date counts them
+  if ((op === '+' || op === '-') && isDate(left)) {
+    if (op === '-' && isDate(right)) {
+      return Math.round((Date.parse(left) - Date.parse(right)) / DAY_MS);
+    }
+    return addDays(left, op === '+' ? toNumber(right) : -toNumber(right));
+  }
+  if (op === '+' && isDate(right)) return addDays(right, toNumber(left));
+  const a = toNumber(left);
+  const b = toNumber(right);
+  if ((op === '/' || op === '%') && b === 0)
+    throw new Error('division by zero');
+  if (op === '+') return a + b;
+  if (op === '-') return a - b;
+  if (op === '*') return a * b;
+  if (op === '/') return a / b;
+  return a % b;
+}
+
+function cast(value, type) {
+  if (/int|serial/.test(type)) return Math.trunc(toNumber(value));
+  if (/numeric|decimal|real|double|float|money|number/.test(type)) {
+    return toNumber(value);
+  }
+  if (/bool/.test(type)) return !['0', 'false', 'f', ''].includes(`${value}`);
+  if (type === 'date') {
+    if (!isDate(String(value))) throw new Error(`${value} is not a date`);
+    return String(value).slice(0, 10);
+  }
+  return typeof value === 'string' ? value : String(value);
+}
+
+/**
+ * Evaluate a parsed expression against a row.
+ * @param {Object} tree Result of parseExpression
+ * @param {Object} row
+ * @returns {*} null when a NULL operand makes the result NULL
+ * @throws {Error} when an operand has the wrong type or on division by zero
+ */
+export function evaluateExpression(tree, row) {
+  switch (tree.kind) {
+    case 'literal':
+      return tree.value;
+    case 'column':
+      return row[tree.column] ?? null;
+    case 'unary': {
+      const value = evaluateExpression(tree.arg, row);
+      return isNull(value) ? null : -toNumber(value);
+    }
+    case 'cast': {
+      const value = evaluateExpression(tree.arg, row);
+      return isNull(value) ? null : cast(value, tree.type);
+    }
+    case 'call': {
+      const args = tree.args.map((arg) => evaluateExpression(arg, row));
+      if (NULL_FUNCTIONS[tree.fn]) return NULL_FUNCTIONS[tree.fn](...args);
+      if (args.some(isNull)) return null;
+      return STRICT_FUNCTIONS[tree.fn](...args);
+    }
+    default: {
+      const left = evaluateExpression(tree.left, row);
+      const right = evaluateExpression(tree.right, row);
+      if (isNull(left) || isNull(right)) return null;
+      if (tree.op === '||') return `${left}${right}`;
+      return arithmetic(tree.op, left, right);
+    }
+  }
+}
+
+/**
+ * Fit an expression result to the column it is stored in: integers are
+ * rounded, decimals kept at their scale, strings cut to the column length.
+ * @param {*} value
+ * @param {Object} colDef
+ * @returns {*}
+ */
+export function fitComputedValue(value, colDef = {}) {
+  if (isNull(value)) return null;
+  const type = (colDef.type || '').toLowerCase();
+  if (/serial|int/.test(type)) return Math.round(toNumber(value));
+  if (/numeric|decimal|real|double|float|money|number/.test(type)) {
+    const n = toNumber(value);
+    return colDef.scale !== undefined ? parseFloat(n.toFixed(colDef.scale)) : n;
+  }
+  if (/bool/.test(type)) return cast(value, 'bool');
+  if (/char|text|string|clob/.test(type)) {
+    const text = typeof value === 'string' ? value : String(value);
+    return colDef.length ? text.slice(0, colDef.length) : text;
+  }
+  return value;
+}
+
+/**
+ * Syntax errors of `config.expressions` (schema-independent).
+ * @param {Object} config Map of table -> { column -> expression }
+ * @returns {string[]} messages like `items.total: unknown function sumx`
+ */
+export function expressionErrors(config = {}) {
+  const errors = [];
+  Object.entries(config || {}).forEach(([table, columns]) => {
+    if (!columns || typeof columns !== 'object') {
+      errors.push(`${table}: expressions must map columns to expressions`);
+      return;
+    }
+    Object.entries(columns).forEach(([column, text]) => {
+      try {
+        if (typeof text !== 'string') throw expressionError('not a string');
+        parseExpression(text);
+      } catch (e) {
+        errors.push(`${table}.${column}: ${e.message}`);
+      }
+    });
+  });
+  return errors;
+}
+
+/**
+ * Computed columns of every table, in evaluation order. Problems with
+ * `config.expressions` throw; DDL expressions the parser cannot handle are
+ * returned as `problems` and their columns generated like any other.
+ * @param {Object} schema Parsed schema
+ * @param {Object} [config] config.expressions
+ * @returns {{ tables: Object, problems: Object[] }} tables: table -> [{ column, text, tree, source }],
+ *   problems: [{ table, column, message }]
+ */
+export function compileExpressions(schema, config = {}) {
+  const tables = {};
+  const problems = [];
+  Object.keys(config || {}).forEach((table) => {
+    if (!schema?.tables?.[table]) {
+      throw expressionError(`Expressions for unknown table ${table}`);
+    }
+  });
+  Object.entries(schema?.tables || {}).forEach(([table, tblDef]) => {
+    const columns = tblDef.columns || {};
+    const entries = {};
+    const fail = (column, source, message) => {
+      if (source === 'config') {
+        throw expressionError(`${table}.${column}: ${message}`);
+      }
+      problems.push({ table, column, message });
+    };
+    Object.entries(columns).forEach(([column, colDef]) => {
+      if (colDef.expression) {
+        entries[column] = { text: colDef.expression, source: 'ddl' };
+      }
+    });
+    Object.entries(config?.[table] || {}).forEach(([column, text]) => {
+      if (!columns[column]) fail(column, 'config', 'unknown column');
+      entries[column] = { text, source: 'config' };
+    });
+    Object.entries(entries).forEach(([column, entry]) => {
+      try {
+        entry.tree = parseExpression(entry.text);
+      } catch (e) {
+        fail(column, entry.source, e.message);
+        delete entries[column];
+        return;
+      }
+      const unknown = expressionColumns(entry.tree).find((c) => !columns[c]);
+      if (unknown) {
+        fail(column, entry.source, `unknown column ${unknown}`);
+        delete entries[column];
+      }
+    });
+
+    // Depth-first order so a computed column follows the ones it reads
+    const ordered = [];
+    const state = {};
+    const visit = (column, path) => {
+      if (state[column] === 'done') return true;
+      if (state[column] === 'visiting') {
+        const cycle = [...path.slice(path.indexOf(column)), column];
+        const fromConfig = cycle.some((c) => entries[c].source === 'config');
+        fail(
+          column,
+          fromConfig ? 'config' : 'ddl',
+          `cycle ${cycle.join(' -> ')}`
+        );
+        return false;
+      }
+      state[column] = 'visiting';
+      const ok = expressionColumns(entries[column].tree)
+        .filter((c) => entries[c])
+        .every((c) => visit(c, [...path, column]));
+      state[column] = 'done';
+      if (ok) {
+        const { text, tree, source } = entries[column];
+        ordered.push({ column, text, tree, source });
+      }
+      return ok;
+    };
+    Object.keys(entries).forEach((column) => visit(column, []));
+    if (ordered.length) tables[table] = ordered;
+  });
+  return { tables, problems };
+}
+
+/**
+ * Evaluate a table's computed columns on one row, in place.
+ * @param {Object[]} computed Entries of compileExpressions().tables[table]
+ * @param {Object} row
+ * @param {Object} columns Column definitions of the table
+ * @returns {Object[]} errors: [{ column, message }]; failed columns become NULL
+ */
+export function computeRow(computed, row, columns) {
+  const errors = [];
+  computed.forEach(({ column, tree }) => {
+    try {
+      row[column] = fitComputedValue(
+        evaluateExpression(tree, row),
+        columns[column]
+      );
+    } catch (e) {
+      row[column] = null;
+      errors.push({ column, message: e.message });
+    }
+  });
+  return errors;
+}
+
+/**
+ * Set every computed column of a dataset (e.g. AI rows, or deterministic
+ * rows after reconciliation and rules).
+ * @param {Object} schema Parsed schema
+ * @param {Object} data Map of table -> rows (modified in place)
+ * @param {Object} [config] config.expressions
+ * @returns {Object} table -> { columns: string[], errors: number }
+ */
+export function applyExpressions(schema, data, config = {}) {
+  const { tables } = compileExpressions(schema, config);
+  const summary = {};
+  Object.entries(tables).forEach(([table, computed]) => {
+    const columns = schema.tables[table].columns;
+    let errors = 0;
+    (data[table] || []).forEach((row) => {
+      errors += computeRow(computed, row, columns).length;
+    });
+    summary[table] = { columns: computed.map((c) => c.column), errors };
+  });
+  return summary;
+}
+
+/**
+ * Whether a stored value matches the computed one (numbers with tolerance,
+ * numeric strings as numbers).
+ * @returns {boolean}
+ */
+export function sameComputedValue(stored, computed) {
+  if (isNull(stored) || isNull(computed)) {
+    return isNull(stored) && isNull(computed);
+  }
+  if (typeof stored === 'number' || typeof computed === 'number') {
+    const a = Number(stored);
+    const b = Number(computed);
+    return !Number.isNaN(a) && Math.abs(a - b) < 1e-6;
+  }
+  return String(stored) === String(computed);
+}
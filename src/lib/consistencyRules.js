@@ -0,0 +1,488 @@
+// Cross-column and cross-table consistency rules. `config.rules` maps a table
+// to rule strings whose left side is one of its columns:
+//   due_date > loan_date                   same row
+//   due_date <= loan_date + 30             same row with an offset (days for dates)
+//   created_at >= authors.created_at       parent row reached through the FK
+//   total = sum(order_items.qty * price)   aggregate over child rows
+// Aggregates are sum / count / avg / min / max of a child column or of the
+// product of two; unqualified columns inside them belong to the child table.
+// The generator moves the left column until the rule holds (columns are
+// solved in the order they first appear, so declare dependencies first) and
+// validateDeterministicData reports misses as `ruleViolations`.
+import { compare } from './checkConstraints.js';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const RULE_OPERATORS = ['>=', '<=', '<>', '!=', '=', '>', '<'];
+const AGGREGATES = ['sum', 'count', 'avg', 'min', 'max'];
+const NAME = '[A-Za-z_][A-Za-z0-9_]*';
+
+function ruleError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  err.code = 'INVALID_RULE';
+  return err;
+}
+
+// Split `left OP right` on the first comparison operator outside quotes
+function splitComparison(text) {
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === "'") quoted = !quoted;
+    if (quoted) continue;
+    const op = RULE_OPERATORS.find((o) => text.startsWith(o, i));
+    if (op) {
+      return [
+        text.slice(0, i).trim(),
+        op === '!=' ? '<>' : op,
+        text.slice(i + op.length).trim(),
+      ];
+    }
+  }
+  return null;
+}
+
+function parseRef(text) {
+  const m = new RegExp(`^(?:(${NAME})\\.)?(${NAME}|\\*)$`).exec(text.trim());
+  return m ? { table: m[1], column: m[2] } : null;
+}
+
+function parseTerm(text) {
+  const agg = new RegExp(`^(${AGGREGATES.join('|')})\\s*\\((.*)\\)$`, 'i').exec(
+    text
+  );
+  if (agg) {
+    const fn = agg[1].toLowerCase();
+    // count(items.*) counts child rows
+    const star = parseRef(agg[2]);
+    if (star?.column === '*') {
+      return fn === 'count'
+        ? { kind: 'aggregate', fn, childTable: star.table, factors: [] }
+        : null;
+    }
+    const refs = agg[2].split('*').map(parseRef);
+    if (refs.length > 2 || refs.some((ref) => !ref || ref.column === '*')) {
+      return null;
+    }
+    const tables = [...new Set(refs.map((ref) => ref.table).filter(Boolean))];
+    if (tables.length > 1) return null;
+    return {
+      kind: 'aggregate',
+      fn,
+      childTable: tables[0],
+      factors: refs.map((ref) => ref.column),
+    };
+  }
+  if (/^'(?:[^']|'')*'$/.test(text)) {
+    return { kind: 'literal', value: text.slice(1, -1).replace(/''/g, "'") };
+  }
+  if (/^-?\d+(?:\.\d+)?$/.test(text)) {
+    return { kind: 'literal', value: Number(text) };
+  }
+  const ref = parseRef(text);
+  if (!ref || ref.column === '*') return null;
+  return ref.table
+    ? { kind: 'parent', table: ref.table, column: ref.column }
+    : { kind: 'column', column: ref.column };
+}
+
+/**
+ * Parse one rule of a table.
+ * @param {string} table Table the rule belongs to
+ * @param {string} text Rule text, e.g. `due_date > loan_date + 14`
+ * @returns {Object} { table, text, column, operator, right, offset }
+ */
+export function parseRule(table, text) {
+  const parts = splitComparison(String(text || ''));
+  if (!parts) throw ruleError(`${table}: no comparison in rule "${text}"`);
+  const [left, operator, rightText] = parts;
+  const leftRef = parseRef(left);
+  if (
+    !leftRef ||
+    leftRef.column === '*' ||
+    (leftRef.table && leftRef.table !== table)
+  ) {
+    throw ruleError(
+      `${table}: left side of "${text}" must be a column of ${table}`
+    );
+  }
+  // Trailing `+ n` / `- n` offset
+  const offsetMatch = /^(.*?)\s*([+-])\s*(\d+(?:\.\d+)?)$/.exec(rightText);
+  const base =
+    offsetMatch && !/^-?\d+(?:\.\d+)?$/.test(rightText)
+      ? offsetMatch[1]
+      : rightText;
+  const offset =
+    base === rightText
+      ? 0
+      : Number(offsetMatch[3]) * (offsetMatch[2] === '-' ? -1 : 1);
+  const right = parseTerm(base.trim());
+  if (!right) throw ruleError(`${table}: cannot parse right side of "${text}"`);
+  if (right.kind === 'parent' && right.table === table) right.kind = 'column';
+  return {
+    table,
+    text: String(text),
+    column: leftRef.column,
+    operator,
+    right,
+    offset,
+  };
+}
+
+/**
+ * Syntax errors of `config.rules` (schema-independent).
+ * @param {Object} config Map of table -> rule strings
+ * @returns {string[]}
+ */
+export function ruleErrors(config = {}) {
+  const errors = [];
+  Object.entries(config || {}).forEach(([table, rules]) => {
+    if (!Array.isArray(rules)) {
+      errors.push(`${table}: rules must be an array of strings`);
+      return;
+    }
+    rules.forEach((text) => {
+      try {
+        parseRule(table, text);
+      } catch (e) {
+        errors.push(e.message);
+      }
+    });
+  });
+  return errors;
+}
+
+/**
+ * Parse `config.rules` and resolve them against a schema: columns must
+ * exist and parent / child tables must be linked by a foreign key.
+ * @param {Object} schema Parsed schema
+ * @param {Object} config Map of table -> rule strings
+ * @returns {Object[]} compiled rules
+ */
+export function compileRules(schema, config = {}) {
+  const tables = schema?.tables || {};
+  const compiled = [];
+  const requireColumn = (table, column, text) => {
+    if (!tables[table]?.columns?.[column]) {
+      throw ruleError(`Rule "${text}": unknown column ${table}.${column}`);
+    }
+  };
+  Object.entries(config || {}).forEach(([table, rules]) => {
+    if (!tables[table]) throw ruleError(`Rules for unknown table ${table}`);
+    (rules || []).forEach((text) => {
+      const rule = parseRule(table, text);
+      requireColumn(table, rule.column, text);
+      // Numbers are compared at the left column's scale
+      const leftType = (
+        tables[table].columns[rule.column].type || ''
+      ).toLowerCase();
+      rule.scale = /serial|int/.test(leftType)
+        ? 0
+        : /numeric|decimal|real|double|float|money/.test(leftType)
+          ? (tables[table].columns[rule.column].scale ?? 2)
+          : 6;
+      const { right } = rule;
+      if (right.kind === 'column') requireColumn(table, right.column, text);
+      if (right.kind === 'parent') {
+        requireColumn(right.table, right.column, text);
+        right.fk = (tables[table].foreignKeys || []).find(
+          (fk) => fk.referenceTable === right.table
+        );
+        if (!right.fk) {
+          throw ruleError(
+            `Rule "${text}": ${table} has no FK to ${right.table}`
+          );
+        }
+      }
+      if (right.kind === 'aggregate') {
+        if (!right.childTable) {
+          throw ruleError(
+            `Rule "${text}": qualify the child table (e.g. items.qty)`
+          );
+        }
+        right.factors.forEach((c) => requireColumn(right.childTable, c, text));
+        right.fk = (tables[right.childTable]?.foreignKeys || []).find(
+          (fk) => fk.referenceTable === table
+        );
+        if (!right.fk) {
+          throw ruleError(
+            `Rule "${text}": ${right.childTable} has no FK to ${table}`
+          );
+        }
+      }
+      compiled.push(rule);
+    });
+  });
+  return compiled;
+}
+
+const keyOf = (row, cols) => {
+  const vals = cols.map((c) => row?.[c]);
+  return vals.some((v) => v === null || v === undefined)
+    ? null
+    : JSON.stringify(vals);
+};
+
+/**
+ * Lookup helpers for rule evaluation over a dataset; indexes are built on
+ * first use and can be dropped with `reset` after data changes.
+ * @param {Object} data Map of table -> rows
+ */
+export function ruleContext(data) {
+  let parents = new Map();
+  let children = new Map();
+  return {
+    parentRow(rule, row) {
+      const { fk } = rule.right;
+      const id = `${rule.table}|${fk.columns.join(',')}`;
+      if (!parents.has(id)) {
+        const index = new Map();
+        (data[fk.referenceTable] || []).forEach((pr) => {
+          const k = keyOf(pr, fk.referenceColumns);
+          if (k !== null && !index.has(k)) index.set(k, pr);
+        });
+        parents.set(id, index);
+      }
+      const k = keyOf(row, fk.columns);
+      return k === null ? null : parents.get(id).get(k) || null;
+    },
+    childRows(rule, row) {
+      const { fk, childTable } = rule.right;
+      const id = `${childTable}|${fk.columns.join(',')}`;
+      if (!children.has(id)) {
+        const index = new Map();
+        (data[childTable] || []).forEach((cr) => {
+          const k = keyOf(cr, fk.columns);
+          if (k === null) return;
+          if (!index.has(k)) index.set(k, []);
+          index.get(k).push(cr);
+        });
+        children.set(id, index);
+      }
+      const k = keyOf(row, fk.referenceColumns);
+      return k === null ? [] : children.get(id).get(k) || [];
+    },
+    reset() {
+      parents = new Map();
+      children = new Map();
+    },
+  };
+}
+
+function aggregate(fn, factors, rows) {
+  if (fn === 'count') return rows.length;
+  const values = rows
+    .map((r) =>
+      factors.reduce(
+        (acc, c) =>
+          acc === null || r[c] === null || r[c] === undefined
+            ? null
+            : acc * Number(r[c]),
+        1
+      )
+    )
+    .filter((v) => v !== null && !Number.isNaN(v));
+  if (fn === 'sum') return values.reduce((a, b) => a + b, 0);
+  if (!values.length) return null;
+  if (fn === 'avg') return values.reduce((a, b) => a + b, 0) / values.length;
+  return fn === 'min'
+    ? values.reduce((a, b) => Math.min(a, b))
+    : values.reduce((a, b) => Math.max(a, b));
+}
+
+// Shift a number or ISO date string by `n` (days for dates)
+function shift(value, n) {
+  if (!n) return value;
+  if (typeof value === 'number') return value + n;
+  if (typeof value === 'string' && !Number.isNaN(Date.parse(value))) {
+    const d = new Date(Date.parse(value) + n * DAY_MS);
+    return value.length === 10 ? d.toISOString().slice(0, 10) : d.toISOString();
+  }
+  return value;
+}
+
+/**
+ * Value the right side of a rule takes for a row (offset applied); null when
+ * it cannot be evaluated (NULL operand, missing parent, empty aggregate).
+ */
+export function ruleTarget(rule, row, ctx) {
+  const { right } = rule;
+  let value;
+  if (right.kind === 'literal') value = right.value;
+  else if (right.kind === 'column') value = row[right.column];
+  else if (right.kind === 'parent') {
+    value = ctx.parentRow(rule, row)?.[right.column];
+  } else {
+    value = aggregate(right.fn, right.factors, ctx.childRows(rule, row));
+  }
+  if (value === null || value === undefined) return null;
+  return shift(value, rule.offset);
+}
+
+/**
+ * Check a rule against a row; NULL operands pass as in SQL. Numbers are
+ * compared at the left column's scale so computed sums match stored totals.
+ * @returns {boolean}
+ */
+export function evaluateRule(rule, row, ctx) {
+  const value = row[rule.column];
+  const target = ruleTarget(rule, row, ctx);
+  if (value === null || value === undefined || target === null) return true;
+  if (typeof target === 'number' && typeof value === 'number') {
+    const factor = 10 ** (rule.scale ?? 6);
+    const round = (n) => Math.round(n * factor) / factor;
+    return compare(round(value), rule.operator, round(target));
+  }
+  return compare(value, rule.operator, target);
+}
+
+/**
+ * A value satisfying `value OP target`: the target itself for `=`, a random
+ * step away from it (numbers, or days for dates) otherwise.
+ * @param {string} operator Comparison operator
+ * @param {*} target Right-hand value
+ * @param {Function} rand Seeded RNG
+ * @returns {*} undefined when the target is neither a number nor a date
+ */
+export function valueSatisfying(operator, target, rand) {
+  if (operator === '=') return target;
+  const backward = operator === '<=' || operator === '<';
+  const inclusive = operator === '>=' || operator === '<=';
+  if (typeof target === 'number') {
+    const delta =
+      operator === '<>' ? 1 : (inclusive ? 0 : 1) + Math.floor(rand() * 10);
+    const moved = backward ? target - delta : target + delta;
+    return Number.isInteger(target) ? moved : parseFloat(moved.toFixed(2));
+  }
+  if (typeof target === 'string' && !Number.isNaN(Date.parse(target))) {
+    const days = operator === '<>' ? 1 : 1 + Math.floor(rand() * 30);
+    return shift(target, backward ? -days : days);
+  }
+  return undefined;
+}
+
+// Fit a computed number to the left column's type
+function fitColumn(value, colDef) {
+  if (typeof value !== 'number') return value;
+  const rawType = (colDef?.type || '').toLowerCase();
+  if (/serial|int/.test(rawType)) return Math.round(value);
+  return parseFloat(value.toFixed(colDef?.scale ?? 2));
+}
+
+// Numeric view of a number or ISO date / timestamp string, with the smallest
+// step of its kind and the way back to the original representation
+function numericDomain(sample, colDef) {
+  if (typeof sample === 'number') {
+    const rawType = (colDef?.type || '').toLowerCase();
+    const integer = /serial|int/.test(rawType) || Number.isInteger(sample);
+    const scale = integer ? 0 : (colDef?.scale ?? 2);
+    return {
+      toNumber: (v) => Number(v),
+      fromNumber: (n) => parseFloat(n.toFixed(scale)),
+      step: 10 ** -scale,
+      spread: 10,
+    };
+  }
+  if (typeof sample === 'string' && !Number.isNaN(Date.parse(sample))) {
+    const dateOnly = sample.length === 10;
+    return {
+      toNumber: (v) => Date.parse(v),
+      fromNumber: (n) =>
+        dateOnly
+          ? new Date(n).toISOString().slice(0, 10)
+          : new Date(n).toISOString(),
+      step: dateOnly ? DAY_MS : 1000,
+      spread: 30 * DAY_MS,
+    };
+  }
+  return null;
+}
+
+// A value for one row meeting every bound the rules on a column put on it;
+// the lower bound wins when the bounds contradict each other
+function valueWithinBounds(bounds, colDef, rand) {
+  const equal = bounds.find((b) => b.operator === '=');
+  if (equal) return equal.target;
+  const ranged = bounds.filter((b) => b.operator !== '<>');
+  const domain = numericDomain(ranged[0]?.target, colDef);
+  if (!domain) return undefined;
+  let lo = -Infinity;
+  let hi = Infinity;
+  ranged.forEach(({ operator, target }) => {
+    const n = domain.toNumber(target);
+    if (Number.isNaN(n)) return;
+    if (operator === '>') lo = Math.max(lo, n + domain.step);
+    if (operator === '>=') lo = Math.max(lo, n);
+    if (operator === '<') hi = Math.min(hi, n - domain.step);
+    if (operator === '<=') hi = Math.min(hi, n);
+  });
+  let n;
+  if (Number.isFinite(lo) && Number.isFinite(hi)) {
+    n = hi >= lo ? lo + rand() * (hi - lo) : lo;
+  } else if (Number.isFinite(lo)) {
+    n = lo + rand() * domain.spread;
+  } else {
+    n = hi - rand() * domain.spread;
+  }
+  // Snap to the column's step inside the window
+  n = Math.round(n / domain.step) * domain.step;
+  if (n < lo) n += domain.step;
+  if (n > hi && hi >= lo) n -= domain.step;
+  const value = domain.fromNumber(n);
+  const clash = bounds.some(
+    (b) => b.operator === '<>' && compare(value, '=', b.target)
+  );
+  return clash ? valueSatisfying('<>', value, rand) : value;
+}
+
+/**
+ * Move rule columns until every rule holds. Same-row and parent rules run
+ * first in table order, aggregate rules last so they see final child rows.
+ * All rules on one column are solved together, so `due > loan_date` and
+ * `due <= loan_date + 30` give a date inside that window.
+ * @param {Object[]} rules Result of compileRules
+ * @param {Object} data Map of table -> rows (modified in place)
+ * @param {Object} schema Parsed schema
+ * @param {Function} rand Seeded RNG
+ * @param {string[]} order Parent-before-child table order
+ * @returns {Object} adjustments per table
+ */
+export function applyRules(rules, data, schema, rand, order) {
+  const adjustments = {};
+  const ctx = ruleContext(data);
+  const rank = (rule) => order.indexOf(rule.table);
+  const groups = (list) => {
+    const byColumn = new Map();
+    list.forEach((rule) => {
+      const id = `${rule.table}.${rule.column}`;
+      if (!byColumn.has(id)) byColumn.set(id, []);
+      byColumn.get(id).push(rule);
+    });
+    return [...byColumn.values()];
+  };
+  const rowRules = rules
+    .filter((r) => r.right.kind !== 'aggregate')
+    .sort((a, b) => rank(a) - rank(b));
+  const aggregateRules = rules
+    .filter((r) => r.right.kind === 'aggregate')
+    .sort((a, b) => rank(b) - rank(a));
+  [...groups(rowRules), ...groups(aggregateRules)].forEach((group) => {
+    const { table, column } = group[0];
+    const colDef = schema.tables[table]?.columns?.[column];
+    (data[table] || []).forEach((row) => {
+      if (group.every((rule) => evaluateRule(rule, row, ctx))) return;
+      const bounds = group
+        .map((rule) => ({
+          operator: rule.operator,
+          target: ruleTarget(rule, row, ctx),
+        }))
+        .filter((b) => b.target !== null);
+      const moved = valueWithinBounds(bounds, colDef, rand);
+      if (moved === undefined) return;
+      row[column] = fitColumn(moved, colDef);
+      adjustments[table] = (adjustments[table] || 0) + 1;
+    });
+    // Later rules may key on the column just moved
+    ctx.reset();
+  });
+  return adjustments;
+}
@@ -1,3 +1,4 @@
+import { randomUUID } from 'crypto';
 import { promises as fs, createWriteStream } from 'fs';
 import path from 'path';
 import archiver from 'archiver';
@@ -34,6 +35,57 @@ class DataExporter {
     }
   }
 
+  // Write a streamed dataset (see streamDeterministicData) to one CSV per
+  // table, batch by batch, without holding a table in memory. Each run gets
+  // its own directory (`stream-<runId>`) so concurrent jobs never share files.
+  async exportStreamToCSV(stream, { runId = randomUUID() } = {}) {
+    const directory = path.join(this.outputDir, `stream-${runId}`);
+    await fs.mkdir(directory, { recursive: true });
+    const files = [];
+    const rowCounts = {};
+    let meta = null;
+    for await (const { table, rows, meta: runMeta } of stream) {
+      meta = runMeta;
+      rowCounts[table] = 0;
+      const filePath = path.join(directory, `${table}.csv`);
+      const out = createWriteStream(filePath);
+      // Listen from the start: a write error (disk full, bad path) would
+      // otherwise be unhandled, or leave a drain wait hanging
+      let failed = null;
+      const failure = new Promise((_, reject) => {
+        out.on('error', (err) => {
+          failed = err;
+          reject(err);
+        });
+      });
+      failure.catch(() => {});
+      let fields = null;
+      for await (const batch of rows) {
+        if (failed) throw failed;
+        const header = !fields;
+        fields = fields || Object.keys(batch[0]);
+        const csv = new Parser({ fields, header }).parse(batch);
+        if (!out.write(`${csv}\n`)) {
+          await Promise.race([
+            new Promise((resolve) => out.once('drain', resolve)),
+            failure,
+          ]);
+        }
+        rowCounts[table] += batch.length;
+      }
+      if (failed) throw failed;
+      await Promise.race([
+        new Promise((resolve, reject) =>
+          out.end((err) => (err ? reject(err) : resolve()))
+        ),
+        failure,
+      ]);
+      if (rowCounts[table]) files.push(filePath);
+      else await fs.unlink(filePath);
+    }
+    return { directory, files, rowCounts, meta };
+  }
+
   async createZipArchive(files, archiveName = 'generated_data') {
     return new Promise((resolve, reject) => {
       const output = createWriteStream(
@@ -2,9 +2,33 @@ import { GoogleGenerativeAI } from '@google/generative-ai';
 import pkg from 'node-sql-parser';
 const { Parser } = pkg;
 import {
+  extractCheckClause,
+  matchingParen,
+  parseCheckExpression,
+} from './checkConstraints.js';
+import {
+  datasetHash,
+  deriveSeed,
+  enforceRules,
+  enforceTableConstraints,
   generateDeterministicData,
+  injectFaults,
   validateDeterministicData,
 } from './deterministicGenerator.js';
+import { applyExpressions } from './computedColumns.js';
+import { schemaDiagnostics, statementDiagnostics } from './ddlDiagnostics.js';
+import { generateDeterministicDataParallel } from './generatorPool.js';
+import { importSchema } from './schemaImporters.js';
+import { localePromptLine } from './locales.js';
+import { patternPromptLine } from './valuePatterns.js';
+import {
+  applyDialect,
+  detectDialect,
+  parserDatabase,
+  preprocessDDL,
+  resolveDialect,
+  supportedDialects,
+} from './sqlDialects.js';
 
 // --- Helper utilities ----------------------------------------------------
 function stripCodeFences(text) {
@@ -71,6 +95,228 @@ function cleanGeminiJSON(raw, expected = 'object') {
   return expected === 'array' ? [] : {};
 }
 
+// Column list of a parser constraint definition: either an array of
+// column_ref nodes or an object carrying them under `columns`
+function constraintColumns(definition) {
+  const refs = Array.isArray(definition) ? definition : definition?.columns;
+  return (refs || []).map((c) => c.column ?? c);
+}
+
+// Column list of a naive-parser clause such as `UNIQUE (a, b)`
+function parenColumns(line) {
+  const cols = line.match(/\(([^)]+)\)/);
+  if (!cols) return [];
+  return cols[1].split(/\s*,\s*/).map((c) => c.replace(/[`"']/g, ''));
+}
+
+// Optionally schema-qualified, optionally quoted identifier; captures the bare name
+const QUALIFIED_NAME =
+  '(?:[`"]?[A-Za-z0-9_]+[`"]?\\.)?[`"]?([A-Za-z0-9_]+)[`"]?';
+const FK_CLAUSE = new RegExp(
+  `foreign key\\s*\\(([^)]+)\\)\\s*references\\s*${QUALIFIED_NAME}\\s*(?:\\(([^)]+)\\))?`,
+  'i'
+);
+const INLINE_REFERENCE = new RegExp(
+  `\\breferences\\s+${QUALIFIED_NAME}\\s*(?:\\(([^)]+)\\))?`,
+  'i'
+);
+
+function splitColumns(list) {
+  return list.split(/\s*,\s*/).map((c) => c.trim().replace(/[`"']/g, ''));
+}
+
+// Apply a table-level constraint clause (table body line or ALTER TABLE ADD
+// action) to a naive-parser table. Returns false when the line is not a
+// constraint, i.e. should be read as a column definition.
+function applyNaiveConstraint(tableSchema, rawLine) {
+  // Named table constraints: drop the `CONSTRAINT name` prefix
+  const line = rawLine.replace(
+    /^constraint\s+[`"']?[A-Za-z0-9_]+[`"']?\s+/i,
+    ''
+  );
+  const lower = line.toLowerCase();
+  if (/^unique\b/.test(lower)) {
+    const cols = parenColumns(line);
+    if (cols.length) tableSchema.uniqueKeys.push(cols);
+    return true;
+  }
+  if (/^check\b/.test(lower)) {
+    tableSchema.checks.push(...parseCheckExpression(extractCheckClause(line)));
+    return true;
+  }
+  if (lower.startsWith('primary key')) {
+    const cols = parenColumns(line);
+    if (cols.length) tableSchema.primaryKey = cols;
+    return true;
+  }
+  if (lower.startsWith('foreign key')) {
+    const m = line.match(FK_CLAUSE);
+    if (m) {
+      tableSchema.foreignKeys.push({
+        columns: splitColumns(m[1]),
+        referenceTable: m[2],
+        referenceColumns: m[3] ? splitColumns(m[3]) : [],
+      });
+    }
+    return true;
+  }
+  // MySQL secondary indexes declared in the table body
+  return /^(key|index|fulltext|spatial)\b/.test(lower);
+}
+
+// Fold `ALTER TABLE ... ADD ...` and `CREATE UNIQUE INDEX` statements that
+// follow the CREATE TABLE blocks (pg_dump style) into the parsed tables
+function applyNaiveAlterStatements(schema, ddl) {
+  const alterRe = new RegExp(
+    `alter\\s+table\\s+(?:if\\s+exists\\s+)?(?:only\\s+)?${QUALIFIED_NAME}\\s+([^;]*)`,
+    'gi'
+  );
+  let m;
+  while ((m = alterRe.exec(ddl))) {
+    const tableSchema = schema.tables[m[1]];
+    if (!tableSchema) continue;
+    m[2]
+      .split(/,(?![^()]*\))/)
+      .map((a) => a.trim())
+      .forEach((action) => {
+        if (/^add\s/i.test(action)) {
+          applyNaiveConstraint(tableSchema, action.replace(/^add\s+/i, ''));
+          return;
+        }
+        // pg_dump attaches sequences this way instead of declaring SERIAL
+        const seq = action.match(
+          /^alter\s+(?:column\s+)?[`"]?([A-Za-z0-9_]+)[`"]?\s+set\s+default\s+nextval\s*\(/i
+        );
+        if (seq && tableSchema.columns[seq[1]]) {
+          tableSchema.columns[seq[1]].type = 'serial';
+        }
+      });
+  }
+  const indexRe = new RegExp(
+    `create\\s+unique\\s+index\\s+(?:concurrently\\s+)?(?:if\\s+not\\s+exists\\s+)?(?:${QUALIFIED_NAME}\\s+)?on\\s+(?:only\\s+)?${QUALIFIED_NAME}\\s*(?:using\\s+\\w+\\s*)?\\(([^;]*)\\)`,
+    'gi'
+  );
+  while ((m = indexRe.exec(ddl))) {
+    const tableSchema = schema.tables[m[2]];
+    if (!tableSchema) continue;
+    const parts = m[3]
+      .slice(0, matchingParen(`(${m[3]})`, 0) - 1)
+      .split(',')
+      .map((c) => c.trim().replace(/\s+(asc|desc)$/i, ''));
+    // Expression indexes (lower(email) ...) cannot be enforced per column
+    if (parts.every((c) => /^[`"]?[A-Za-z0-9_]+[`"]?$/.test(c))) {
+      tableSchema.uniqueKeys.push(parts.map((c) => c.replace(/[`"]/g, '')));
+    }
+  }
+}
+
+function referenceFromAST(columns, reference) {
+  return {
+    columns,
+    referenceTable: bareTableName(
+      reference.table?.[0]?.table ?? reference.table
+    ),
+    referenceColumns: constraintColumns(
+      reference.definition ?? reference.columns
+    ),
+  };
+}
+
+// FKs declared without a column list (`REFERENCES authors`) point at the
+// referenced table's primary key
+function resolveReferenceColumns(schema) {
+  Object.values(schema.tables).forEach((tbl) => {
+    (tbl.foreignKeys || []).forEach((fk) => {
+      if (fk.referenceColumns.length) return;
+      const parentPk = schema.tables[fk.referenceTable]?.primaryKey || [];
+      fk.referenceColumns = parentPk.length ? [...parentPk] : ['id'];
+    });
+  });
+}
+
+// Length / precision / scale modifiers worth keeping for a declared type:
+// character types keep `length`, exact numerics keep `precision` + `scale`
+function typeModifiers(dataType, length, scale) {
+  const t = String(dataType || '').toLowerCase();
+  const n = Number(length);
+  if (!Number.isFinite(n) || n <= 0) return {};
+  if (/char|binary|bit|string/.test(t)) return { length: n };
+  if (/numeric|decimal|number/.test(t)) {
+    return { precision: n, scale: Number(scale) || 0 };
+  }
+  return {};
+}
+
+// Column default from a parser default_val node: literals land in `default`,
+// functions (CURRENT_TIMESTAMP, now() ...) in `defaultExpression`
+function defaultFromAST(defaultVal) {
+  const node = defaultVal?.value;
+  if (!node) return {};
+  if (['number', 'bool', 'boolean', 'null'].includes(node.type)) {
+    return { default: node.value };
+  }
+  if (/string$/.test(node.type)) return { default: node.value };
+  if (node.type === 'function') {
+    const name = node.name?.name?.[0]?.value ?? node.name;
+    return {
+      defaultExpression: node.args ? `${name}()` : String(name),
+    };
+  }
+  return {};
+}
+
+// Same as defaultFromAST for a naive-parser column line
+function defaultFromLine(line) {
+  const m = line.match(
+    /\bdefault\s+('(?:[^']|'')*'|-?\d+(?:\.\d+)?|[A-Za-z_][A-Za-z0-9_]*(?:\(\s*\))?)/i
+  );
+  if (!m) return {};
+  const raw = m[1];
+  if (raw.startsWith("'"))
+    return { default: raw.slice(1, -1).replace(/''/g, "'") };
+  if (/^-?\d/.test(raw)) return { default: Number(raw) };
+  if (/^(true|false)$/i.test(raw)) return { default: /^true$/i.test(raw) };
+  if (/^null$/i.test(raw)) return { default: null };
+  return { defaultExpression: raw.replace(/\s+/g, '') };
+}
+
+// Expression of a `GENERATED ALWAYS AS (expr)` / MySQL `AS (expr)` column
+function generatedFromLine(line) {
+  const m = /\b(?:generated\s+always\s+)?as\s*\(/i.exec(line);
+  if (!m) return {};
+  const open = m.index + m[0].length - 1;
+  const close = matchingParen(line, open);
+  if (close === -1) return {};
+  return { expression: line.slice(open + 1, close).trim() };
+}
+
+// Last segment of a possibly quoted, qualified name (`proj.ds.table` -> table)
+function bareTableName(name) {
+  return String(name)
+    .replace(/[`"[\]]/g, '')
+    .split('.')
+    .pop();
+}
+
+// Quoted literals of an ENUM(...) / AS ENUM (...) list
+function enumListValues(text) {
+  return (text.match(/'(?:[^']|'')*'/g) || []).map((v) =>
+    v.slice(1, -1).replace(/''/g, "'")
+  );
+}
+
+// Postgres `CREATE TYPE name AS ENUM (...)` declarations: name -> values
+function collectEnumTypes(ddl) {
+  const enums = {};
+  const re =
+    /create\s+type\s+(?:[`"]?[A-Za-z0-9_]+[`"]?\.)?[`"]?([A-Za-z0-9_]+)[`"]?\s+as\s+enum\s*\(((?:[^)']|'(?:[^']|'')*')*)\)/gi;
+  let m;
+  while ((m = re.exec(ddl))) {
+    enums[m[1].toLowerCase()] = enumListValues(m[2]);
+  }
+  return enums;
+}
+
 class DataGenerator {
   constructor() {
     this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
@@ -88,20 +334,29 @@ class DataGenerator {
   // Very lightweight fallback parser for simple CREATE TABLE statements (MySQL-ish syntax)
   _naiveParseDDL(ddl) {
     const schema = { tables: {}, relationships: [] };
-    const blocks = ddl
-      .replace(/--.*$/gm, '')
+    const enums = collectEnumTypes(ddl);
+    if (Object.keys(enums).length) schema.enums = enums;
+    const cleaned = ddl.replace(/--.*$/gm, '');
+    const blocks = cleaned
       .split(/CREATE TABLE/i)
       .slice(1) // first split chunk before first CREATE TABLE
       .map((b) => 'CREATE TABLE' + b);
-    const fkRegex =
-      /foreign key\s*\(([^)]+)\)\s*references\s*([`"']?)([A-Za-z0-9_]+)\2\s*\(([^)]+)\)/i;
+    const tableNameRe = new RegExp(
+      `CREATE TABLE\\s+(?:IF NOT EXISTS\\s+)?${QUALIFIED_NAME}\\s*\\(`,
+      'i'
+    );
     blocks.forEach((blk) => {
-      const nameMatch = blk.match(
-        /CREATE TABLE\s+[`"']?([A-Za-z0-9_]+)[`"']?\s*\(/i
-      );
+      const nameMatch = blk.match(tableNameRe);
       if (!nameMatch) return;
       const tableName = nameMatch[1];
-      const inside = blk.substring(blk.indexOf('(') + 1, blk.lastIndexOf(')'));
+      // Body ends at the parenthesis balancing the opening one, so statements
+      // following the table (CREATE TYPE, ALTER TABLE ...) are not swallowed
+      const open = blk.indexOf('(');
+      const close = matchingParen(blk, open);
+      const inside = blk.substring(
+        open + 1,
+        close === -1 ? blk.lastIndexOf(')') : close
+      );
       const lines = inside
         .split(/,(?![^()]*\))/) // split on commas not inside parens
         .map((l) => l.trim())
@@ -111,54 +366,81 @@ class DataGenerator {
         columns: {},
         primaryKey: [],
         foreignKeys: [],
+        uniqueKeys: [],
+        checks: [],
       };
       lines.forEach((line) => {
-        const lower = line.toLowerCase();
-        if (lower.startsWith('primary key')) {
-          const cols = line.match(/\(([^)]+)\)/);
-          if (cols) {
-            tableSchema.primaryKey = cols[1]
-              .split(/\s*,\s*/)
-              .map((c) => c.replace(/[`"']/g, ''));
-          }
-          return;
-        }
-        if (lower.startsWith('foreign key')) {
-          const m = line.match(fkRegex);
-          if (m) {
-            const cols = m[1]
-              .split(/\s*,\s*/)
-              .map((c) => c.replace(/[`"']/g, ''));
-            const refTable = m[3];
-            const refCols = m[4]
-              .split(/\s*,\s*/)
-              .map((c) => c.replace(/[`"']/g, ''));
-            tableSchema.foreignKeys.push({
-              columns: cols,
-              referenceTable: refTable,
-              referenceColumns: refCols,
-            });
-          }
-          return;
-        }
+        if (applyNaiveConstraint(tableSchema, line)) return;
         // Column definition
         const colMatch = line.match(
           /^([`"']?)([A-Za-z0-9_]+)\1\s+([A-Za-z0-9_()',' ]+)/
         );
         if (colMatch) {
           const colName = colMatch[2];
-          let typePart = colMatch[3].split(/\s+/)[0];
-          if (/auto_increment/i.test(line)) typePart = 'serial';
-          if (/enum/i.test(typePart)) typePart = 'text';
+          const multiWordType = colMatch[3].match(
+            /^(character varying|double precision|timestamp with(?:out)? time zone)\b/i
+          );
+          let typePart = multiWordType
+            ? multiWordType[1]
+            : colMatch[3].split(/\s+/)[0];
+          const modifiers = line
+            .slice(colMatch[0].length - colMatch[3].length)
+            .match(/^\s*[A-Za-z0-9_ ]*?\(\s*(\d+)\s*(?:,\s*(\d+)\s*)?\)/);
+          if (modifiers && !/^enum\b/i.test(typePart)) {
+            typePart = typePart.replace(/\(.*$/, '');
+          }
+          const baseType = typePart;
+          if (/auto_?increment|\bidentity\b|\bnextval\s*\(/i.test(line)) {
+            typePart = 'serial';
+          }
           const notNull = /not null/i.test(line);
-          tableSchema.columns[colName] = { type: typePart, nullable: !notNull };
+          tableSchema.columns[colName] = {
+            type: typePart,
+            nullable: !notNull,
+            ...(modifiers
+              ? typeModifiers(baseType, modifiers[1], modifiers[2])
+              : {}),
+            ...defaultFromLine(line),
+            ...generatedFromLine(line),
+          };
+          const enumType = enums[typePart.replace(/[`"]/g, '').toLowerCase()];
+          if (/^enum\b/i.test(typePart)) {
+            const list = line.slice(line.indexOf('('));
+            Object.assign(tableSchema.columns[colName], {
+              type: 'enum',
+              enumValues: enumListValues(
+                list.slice(0, matchingParen(list, 0) + 1)
+              ),
+            });
+          } else if (enumType) {
+            Object.assign(tableSchema.columns[colName], {
+              type: 'enum',
+              enumType: typePart.replace(/[`"]/g, ''),
+              enumValues: enumType,
+            });
+          }
           if (/primary key/i.test(line)) {
             tableSchema.primaryKey.push(colName);
+          } else if (/\bunique\b/i.test(line)) {
+            tableSchema.columns[colName].unique = true;
+            tableSchema.uniqueKeys.push([colName]);
+          }
+          const check = extractCheckClause(line);
+          if (check) tableSchema.checks.push(...parseCheckExpression(check));
+          const ref = line.match(INLINE_REFERENCE);
+          if (ref) {
+            tableSchema.foreignKeys.push({
+              columns: [colName],
+              referenceTable: ref[1],
+              referenceColumns: ref[2] ? splitColumns(ref[2]) : [],
+            });
           }
         }
       });
       schema.tables[tableName] = tableSchema;
     });
+    applyNaiveAlterStatements(schema, cleaned);
+    resolveReferenceColumns(schema);
     return schema;
   }
 
@@ -168,61 +450,160 @@ class DataGenerator {
       relationships: [],
     };
 
-    // Handle both single statement and multiple statements
-    const statements = Array.isArray(ast) ? ast : [ast];
+    // parser.parse returns { tableList, columnList, ast }; accept that wrapper,
+    // a single statement or an array of statements
+    const root = ast && ast.ast !== undefined ? ast.ast : ast;
+    const statements = Array.isArray(root) ? root : [root];
+
+    // Postgres enum types first so columns declared with them resolve
+    const enums = {};
+    for (const statement of statements) {
+      if (
+        statement?.type === 'create' &&
+        statement.keyword === 'type' &&
+        statement.resource === 'enum'
+      ) {
+        enums[statement.name.name.toLowerCase()] = (
+          statement.create_definitions?.value || []
+        ).map((v) => v.value);
+      }
+    }
+    if (Object.keys(enums).length) schema.enums = enums;
 
     for (const statement of statements) {
-      if (statement.type === 'create' && statement.keyword === 'table') {
-        const tableName = statement.table[0].table;
+      if (statement?.type === 'create' && statement.keyword === 'table') {
+        const tableName = bareTableName(statement.table[0].table);
         const tableSchema = {
           name: tableName,
           columns: {},
           primaryKey: [],
           foreignKeys: [],
+          uniqueKeys: [],
+          checks: [],
         };
 
         // Process columns
-        for (const col of statement.create_definitions) {
+        for (const col of statement.create_definitions || []) {
           if (col.resource === 'column') {
+            const colName = col.column.column;
             let dataType = col.definition.dataType;
             if (/auto_increment/i.test(JSON.stringify(col))) {
               dataType = 'serial';
             }
-            if (/enum/i.test(dataType)) {
-              // Simplify ENUM to text for deterministic generator
-              dataType = 'text';
-            }
             const notNullExplicit =
               col.nullable && col.nullable.value === 'not null';
-            tableSchema.columns[col.column.column] = {
+            tableSchema.columns[colName] = {
               type: dataType,
               nullable: !notNullExplicit, // only false if explicitly NOT NULL
-              default: col.definition.default?.value,
+              ...typeModifiers(
+                col.definition.dataType,
+                col.definition.length,
+                col.definition.scale
+              ),
+              ...defaultFromAST(col.default_val),
             };
-          } else if (col.resource === 'constraint') {
-            if (col.constraint_type === 'primary key') {
-              tableSchema.primaryKey = col.definition.columns.map(
-                (c) => c.column
-              );
-            } else if (col.constraint_type === 'foreign key') {
-              tableSchema.foreignKeys.push({
-                columns: col.definition.columns.map((c) => c.column),
-                referenceTable: col.definition.reference.table,
-                referenceColumns: col.definition.reference.columns.map(
-                  (c) => c.column
+            if (col.generated?.expr) {
+              try {
+                tableSchema.columns[colName].expression = this.parser.exprToSQL(
+                  col.generated.expr,
+                  this.options
+                );
+              } catch (_) {}
+            }
+            const enumType = enums[String(dataType).toLowerCase()];
+            if (/^enum$/i.test(dataType)) {
+              Object.assign(tableSchema.columns[colName], {
+                type: 'enum',
+                enumValues: (col.definition.expr?.value || []).map(
+                  (v) => v.value
                 ),
               });
+            } else if (enumType) {
+              Object.assign(tableSchema.columns[colName], {
+                type: 'enum',
+                enumType: dataType,
+                enumValues: enumType,
+              });
+            }
+            if (col.primary_key) {
+              tableSchema.primaryKey.push(colName);
+            } else if (col.unique) {
+              tableSchema.columns[colName].unique = true;
+              tableSchema.uniqueKeys.push([colName]);
             }
+            if (col.check) {
+              tableSchema.checks.push(...this._checksFromAST(col.check));
+            }
+            if (col.reference_definition) {
+              tableSchema.foreignKeys.push(
+                referenceFromAST([colName], col.reference_definition)
+              );
+            }
+          } else if (col.resource === 'constraint') {
+            this._applyConstraintAST(tableSchema, col);
           }
         }
 
         schema.tables[tableName] = tableSchema;
+      } else if (statement?.type === 'alter') {
+        const tableSchema =
+          schema.tables[bareTableName(statement.table?.[0]?.table)];
+        if (!tableSchema) continue;
+        (statement.expr || []).forEach((action) => {
+          if (action.action === 'add' && action.resource === 'constraint') {
+            this._applyConstraintAST(tableSchema, action.create_definitions);
+          }
+        });
+      } else if (
+        statement?.type === 'create' &&
+        statement.keyword === 'index' &&
+        /unique/i.test(statement.index_type || '')
+      ) {
+        const tableSchema =
+          schema.tables[bareTableName(statement.table?.table)];
+        const columns = (statement.index_columns || []).map((c) => c.column);
+        // Expression indexes (lower(email) ...) carry no plain column name
+        if (tableSchema && columns.length && columns.every(Boolean)) {
+          tableSchema.uniqueKeys.push(columns);
+        }
       }
     }
 
+    resolveReferenceColumns(schema);
     return schema;
   }
 
+  // Table-level constraint node, from CREATE TABLE or ALTER TABLE ... ADD
+  _applyConstraintAST(tableSchema, col) {
+    const constraintType = (col.constraint_type || '').toLowerCase();
+    const columns = constraintColumns(col.definition);
+    if (constraintType === 'primary key') {
+      tableSchema.primaryKey = columns;
+    } else if (constraintType === 'foreign key') {
+      tableSchema.foreignKeys.push(
+        referenceFromAST(
+          columns,
+          col.reference_definition || col.definition?.reference
+        )
+      );
+    } else if (/^unique/.test(constraintType)) {
+      tableSchema.uniqueKeys.push(columns);
+    } else if (constraintType === 'check') {
+      tableSchema.checks.push(...this._checksFromAST(col));
+    }
+  }
+
+  // Structured CHECK constraints from a parser check node (column or table level)
+  _checksFromAST(checkNode) {
+    return (checkNode.definition || []).flatMap((expr) => {
+      try {
+        return parseCheckExpression(this.parser.exprToSQL(expr, this.options));
+      } catch (_) {
+        return [{ kind: 'raw', expression: null }];
+      }
+    });
+  }
+
   async _enhanceSchemaWithAI(schema, originalDDL) {
     const prompt = `
       Analyze this database schema and suggest:
@@ -247,19 +628,92 @@ class DataGenerator {
     return { ...schema, suggestions: JSON.parse(jsonStr) };
   }
 
-  async parseDDL(ddlContent) {
+  /**
+   * Parse DDL into the internal schema shape.
+   * @param {string} ddlContent
+   * @param {Object} [options]
+   * @param {string} [options.dialect] PostgreSQL | MySQL | MariaDB | SQLite | SQL Server | BigQuery (detected when omitted)
+   * @param {string} [options.format] `ddl` (default) or an import format for
+   *   model definitions: prisma | sequelize | typeorm | jsonschema
+   */
+  async parseDDL(ddlContent, options = {}) {
+    const { schema } = await this.parseDDLWithDiagnostics(ddlContent, options);
+    return schema;
+  }
+
+  /**
+   * Parse DDL and report which parser path produced the schema together with
+   * structured diagnostics (rejected statements, dangling references ...).
+   * @param {string} ddlContent
+   * @param {Object} [options] Same as parseDDL
+   * @returns {Promise<{ schema: Object, parser: 'ast'|'naive'|'ai'|'import', diagnostics: Object[] }>}
+   */
+  async parseDDLWithDiagnostics(ddlContent, options = {}) {
+    if (options.format && options.format !== 'ddl') {
+      const schema = importSchema(ddlContent, options.format);
+      return {
+        schema,
+        parser: 'import',
+        diagnostics: schemaDiagnostics(schema, '', 'import'),
+      };
+    }
+    let dialect = detectDialect(ddlContent);
+    let source = 'detected';
+    if (options.dialect) {
+      dialect = resolveDialect(options.dialect);
+      source = 'config';
+      if (!dialect) {
+        const err = new Error(
+          `Unsupported dialect "${
+            options.dialect
+          }" (expected one of: ${supportedDialects().join(', ')})`
+        );
+        err.status = 400;
+        err.code = 'UNSUPPORTED_DIALECT';
+        throw err;
+      }
+    }
+    const diagnostics = [];
+    const { schema, parser } = await this._parseDDLAs(
+      ddlContent,
+      dialect,
+      diagnostics
+    );
+    applyDialect(schema, dialect, source);
+    diagnostics.push(...schemaDiagnostics(schema, ddlContent, parser));
+    return { schema, parser, diagnostics };
+  }
+
+  async _parseDDLAs(ddlContent, dialect, diagnostics) {
+    const naiveDDL = preprocessDDL(ddlContent, dialect);
+    const parseOptions = {
+      ...this.options,
+      database: parserDatabase(dialect),
+    };
+    const naiveResult = () => {
+      diagnostics.push({
+        severity: 'info',
+        parser: 'naive',
+        statementIndex: null,
+        line: null,
+        column: null,
+        message:
+          'Schema produced by the regex fallback parser; statements it does not recognize are skipped',
+      });
+      return { schema: this._naiveParseDDL(naiveDDL), parser: 'naive' };
+    };
     try {
       // First try to parse the DDL using the SQL parser
-      const ast = this.parser.parse(ddlContent, this.options);
+      const ast = this.parser.parse(ddlContent, parseOptions);
 
       // Transform the AST into a structured schema
       const schema = this._processAST(ast);
 
       // If parser produced no tables, attempt naive fallback regardless of AI flag
       if (!schema.tables || Object.keys(schema.tables).length === 0) {
-        const naive = this._naiveParseDDL(ddlContent);
+        const naive = this._naiveParseDDL(naiveDDL);
         if (naive.tables && Object.keys(naive.tables).length > 0) {
-          return naive;
+          return naiveResult();
         }
       }
 
@@ -267,21 +721,31 @@ class DataGenerator {
       if (process.env.USE_AI === 'false') {
         if (!schema.tables || Object.keys(schema.tables).length === 0) {
           // Fallback naive parse for MySQL style (AUTO_INCREMENT / ENUM) DDL
-          const naive = this._naiveParseDDL(ddlContent);
-          return naive;
+          return naiveResult();
         }
-        return schema;
+        return { schema, parser: 'ast' };
       }
 
       // Use Gemini to enhance the schema with additional insights (best-effort)
       try {
-        return await this._enhanceSchemaWithAI(schema, ddlContent);
+        return {
+          schema: await this._enhanceSchemaWithAI(schema, ddlContent),
+          parser: 'ast',
+        };
       } catch (enhErr) {
         console.warn('AI schema enhancement skipped (error):', enhErr.message);
-        return schema; // fallback to raw parsed schema
+        return { schema, parser: 'ast' }; // fallback to raw parsed schema
       }
     } catch (error) {
-      console.error('Error parsing DDL:', error);
+      console.warn('SQL parser rejected DDL:', error.message.slice(0, 200));
+      diagnostics.push(
+        ...statementDiagnostics(this.parser, ddlContent, parseOptions)
+      );
+
+      // Offline mode: the naive parser is the only fallback available
+      if (process.env.USE_AI === 'false') {
+        return naiveResult();
+      }
 
       // Fallback to using Gemini directly if SQL parsing fails
       const prompt = `
@@ -300,7 +764,15 @@ class DataGenerator {
       const text = result.response.text();
       // Remove any markdown code blocks if present
       const jsonStr = text.replace(/```json\n|\n```/g, '').trim();
-      return JSON.parse(jsonStr);
+      diagnostics.push({
+        severity: 'info',
+        parser: 'ai',
+        statementIndex: null,
+        line: null,
+        column: null,
+        message: 'Schema produced by the AI model after the SQL parser failed',
+      });
+      return { schema: JSON.parse(jsonStr), parser: 'ai' };
     }
   }
 
@@ -309,7 +781,21 @@ class DataGenerator {
       numRecords = 100,
       perTableRowCounts = {},
       nullProbability = {},
+      enumWeights = {},
+      defaultProbability,
+      distributions,
+      cardinality,
+      hierarchies,
+      rules,
+      expressions,
+      patterns,
+      edgeCaseRatio,
+      edgeCaseCategories,
+      faults,
+      providers,
+      locale,
       seed,
+      referenceDate,
       withMeta = false,
       debug,
       temperature,
@@ -322,32 +808,58 @@ class DataGenerator {
 
     // If AI disabled entirely -> deterministic path
     if (!useAI) {
-      const deterministic = generateDeterministicData(schema, {
-        globalRowCount: numRecords,
-        perTable: perTableRowCounts,
-        nullProbability,
-        seed,
+      // Independent tables are generated concurrently on the worker pool
+      const deterministic = await generateDeterministicDataParallel(
+        schema,
+        {
+          globalRowCount: numRecords,
+          perTable: perTableRowCounts,
+          nullProbability,
+          enumWeights,
+          defaultProbability,
+          distributions,
+          cardinality,
+          hierarchies,
+          rules,
+          expressions,
+          patterns,
+          edgeCaseRatio,
+          edgeCaseCategories,
+          faults,
+          providers,
+          locale,
+          seed,
+          referenceDate,
+          debug,
+          withMeta: true,
+        },
+        { onTableStart, onTableComplete, onProgress, abortSignal }
+      );
+      const validation = validateDeterministicData(schema, deterministic.data, {
         debug,
-        withMeta,
+        cardinality,
+        rules,
+        expressions,
+        patterns,
+        faults: deterministic.meta.faults,
       });
-      const dataOnly = withMeta ? deterministic.data : deterministic;
-      const validation = validateDeterministicData(schema, dataOnly, { debug });
       if (!validation.passed) {
         console.warn(
           'Deterministic generation validation errors:',
           validation.errors.slice(0, 10)
         );
       }
-      // Attach report if meta requested
-      if (withMeta && deterministic.meta) {
-        deterministic.meta.validation = validation.report;
-      }
+      // Meta is always produced (it holds the fault record); attach the
+      // report if it was requested
+      if (!withMeta) return deterministic.data;
+      deterministic.meta.validation = validation.report;
       return deterministic;
     }
 
     const tables = Object.keys(schema.tables);
     const generatedData = {};
     const aiErrors = [];
+    const constraintAdjustments = {};
 
     // Resolve temperature precedence: config.temperature -> env.MODEL_TEMPERATURE
     let effectiveTemp = undefined;
@@ -389,6 +901,10 @@ class DataGenerator {
         Additional Instructions: ${
           instructions || 'Generate realistic and consistent data'
         }
+        Columns with "enumValues" must only use one of those exact values.
+        String values must not exceed a column's "length"; numbers must fit its "precision" and "scale".
+        ${localePromptLine(locale, tableName, schema.tables[tableName])}
+        ${patternPromptLine(patterns, tableName)}
         Return ONLY a JSON array of records for the ${tableName} table.
         IMPORTANT: Return only the JSON array without any markdown formatting or code blocks.`;
 
@@ -417,8 +933,24 @@ class DataGenerator {
         aiErrors.push(`AI generation error ${tableName}: ${apiErr.message}`);
       }
 
-      // If AI failed or returned empty -> deterministic fallback per table
+      // Post-process AI rows against declared constraints (ENUM, UNIQUE)
+      if (Array.isArray(tableData) && tableData.length) {
+        const enforced = enforceTableConstraints(
+          schema.tables[tableName],
+          tableData
+        );
+        tableData = enforced.rows;
+        if (Object.values(enforced.adjustments).some(Boolean)) {
+          constraintAdjustments[tableName] = enforced.adjustments;
+        }
+      }
+
+      // If AI failed or returned empty -> deterministic fallback per table,
+      // seeded per table so tables do not replay one random stream
       if (!Array.isArray(tableData) || tableData.length === 0) {
+        // Table-keyed options, narrowed to the one-table schema below
+        const ownTable = (map) =>
+          map?.[tableName] ? { [tableName]: map[tableName] } : undefined;
         const fallback = generateDeterministicData(
           { tables: { [tableName]: schema.tables[tableName] } },
           {
@@ -426,7 +958,18 @@ class DataGenerator {
             nullProbability: nullProbability[tableName]
               ? { [tableName]: nullProbability[tableName] }
               : {},
-            seed,
+            enumWeights,
+            defaultProbability,
+            distributions,
+            hierarchies: ownTable(hierarchies),
+            expressions: ownTable(expressions),
+            patterns: ownTable(patterns),
+            edgeCaseRatio,
+            edgeCaseCategories,
+            providers,
+            locale,
+            seed: seed === undefined ? undefined : deriveSeed(seed, tableName),
+            referenceDate,
             debug,
           }
         );
@@ -468,9 +1011,32 @@ class DataGenerator {
       }
     }
 
+    // Consistency rules span tables, so they run once every table is in
+    const ruleAdjustments = enforceRules(schema, generatedData, {
+      rules,
+      seed,
+    });
+    // Computed columns follow from the final base columns, whatever the
+    // model produced for them
+    const computedColumns = applyExpressions(
+      schema,
+      generatedData,
+      expressions
+    );
+    // Faults last, so nothing above repairs them
+    const injectedFaults = injectFaults(schema, generatedData, {
+      faults,
+      seed,
+    });
+
     // Optionally validate whole dataset
     const validation = validateDeterministicData(schema, generatedData, {
       debug,
+      cardinality,
+      rules,
+      expressions,
+      patterns,
+      faults: faults && injectedFaults,
     });
     if (!validation.passed) {
       console.warn(
@@ -487,7 +1053,15 @@ class DataGenerator {
         meta: {
           ai: true,
           temperature: effectiveTemp,
+          seed: seed ?? null,
+          contentHash: datasetHash(generatedData),
           aiErrors,
+          constraintAdjustments,
+          ruleAdjustments,
+          computedColumns,
+          ...(Object.keys(injectedFaults).length && {
+            faults: injectedFaults,
+          }),
         },
       };
     }
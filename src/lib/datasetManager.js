@@ -6,6 +6,13 @@ import { dirname } from 'path';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+const streamError = (status, message) => {
+  const err = new Error(message);
+  err.status = status;
+  err.code = 'INVALID_RESUME';
+  return err;
+};
+
 class DatasetManager {
   constructor() {
     // Remove circular dependency
@@ -70,6 +77,132 @@ class DatasetManager {
     }
   }
 
+  // Store a streamed dataset (see streamDeterministicData). Every batch is
+  // committed in its own transaction together with stream_progress, so a
+  // failed save keeps what it stored and can be resumed: with the same seed
+  // the stream regenerates identical rows and the stored ones are skipped.
+  async saveDatasetStream(
+    name,
+    description,
+    schemaDefinition,
+    stream,
+    { resumeDatasetId = null, seed = null } = {}
+  ) {
+    const client = await pool.connect();
+    let datasetId = resumeDatasetId;
+    let progress = { status: 'running', rowCounts: {}, seed };
+    let started = false;
+    const saveProgress = () =>
+      client.query(
+        'UPDATE generated_datasets SET stream_progress = $2 WHERE id = $1',
+        [datasetId, JSON.stringify(progress)]
+      );
+    try {
+      if (resumeDatasetId) {
+        const existing = await client.query(
+          'SELECT stream_progress FROM generated_datasets WHERE id = $1',
+          [resumeDatasetId]
+        );
+        const stored = existing.rows[0]?.stream_progress;
+        if (!stored) {
+          throw streamError(
+            404,
+            `Dataset ${resumeDatasetId} has no streamed save to resume`
+          );
+        }
+        if (stored.status === 'completed') {
+          throw streamError(
+            409,
+            `Dataset ${resumeDatasetId} is already complete`
+          );
+        }
+        if (stored.seed !== seed) {
+          throw streamError(
+            409,
+            `Dataset ${resumeDatasetId} was streamed with seed ${stored.seed}; resume with the same seed`
+          );
+        }
+        progress = { ...stored, status: 'running', error: undefined };
+        started = true;
+        await saveProgress();
+      } else {
+        const datasetResult = await client.query(
+          `INSERT INTO generated_datasets (name, description, schema_definition, stream_progress)
+           VALUES ($1, $2, $3, $4)
+           RETURNING id`,
+          [
+            name,
+            description,
+            JSON.stringify(schemaDefinition),
+            JSON.stringify(progress),
+          ]
+        );
+        datasetId = datasetResult.rows[0].id;
+        started = true;
+      }
+
+      const rowCounts = {};
+      let meta = null;
+      for await (const { table, rows, meta: runMeta } of stream) {
+        meta = runMeta;
+        rowCounts[table] = 0;
+        // Rows a previous attempt already committed
+        let skip = progress.rowCounts[table] || 0;
+        for await (const batch of rows) {
+          rowCounts[table] += batch.length;
+          const fresh = skip > 0 ? batch.slice(skip) : batch;
+          skip = Math.max(0, skip - batch.length);
+          if (fresh.length === 0) continue;
+          progress.rowCounts[table] = rowCounts[table];
+          await client.query('BEGIN');
+          try {
+            await client.query(
+              `INSERT INTO generated_data (dataset_id, table_name, data)
+               VALUES ${fresh
+                 .map((_, idx) => `($1, $2, $${idx + 3})`)
+                 .join(',')}`,
+              [
+                datasetId,
+                table,
+                ...fresh.map((record) => JSON.stringify(record)),
+              ]
+            );
+            await saveProgress();
+            await client.query('COMMIT');
+          } catch (error) {
+            await client.query('ROLLBACK');
+            progress.rowCounts[table] = rowCounts[table] - fresh.length;
+            throw error;
+          }
+        }
+      }
+
+      progress = { ...progress, status: 'completed' };
+      await client.query(
+        `UPDATE generated_datasets
+         SET generation_meta = $2, stream_progress = $3
+         WHERE id = $1`,
+        [
+          datasetId,
+          meta ? JSON.stringify(meta) : null,
+          JSON.stringify(progress),
+        ]
+      );
+      return { datasetId, rowCounts, meta };
+    } catch (error) {
+      if (started) {
+        progress = { ...progress, status: 'failed', error: error.message };
+        await saveProgress().catch(() => {});
+        // Lets the caller report what to resume
+        error.datasetId = datasetId;
+        error.rowCounts = progress.rowCounts;
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
   async getDataset(datasetId) {
     const client = await pool.connect();
     try {
@@ -0,0 +1,185 @@
+// Structured diagnostics for DDL parsing. Every entry has the shape
+//   { severity: 'error'|'warning'|'info', message,
+//     parser: 'ast'|'naive'|'ai'|'import', statementIndex, line, column, table? }
+// where statementIndex is 0-based and line / column are 1-based positions in
+// the submitted DDL (null when not tied to a statement or for imported models).
+
+/**
+ * Split a DDL script into statements on top-level semicolons, ignoring
+ * semicolons inside quotes and comments. Comment-only chunks are dropped.
+ * @param {string} ddl
+ * @returns {{ text: string, start: number }[]}
+ */
+export function splitStatements(ddl) {
+  const statements = [];
+  let start = 0;
+  let quote = null;
+  const push = (end) => {
+    const text = ddl.slice(start, end);
+    const code = text.replace(/--.*$/gm, '').replace(/\/\*[\s\S]*?\*\//g, '');
+    if (code.trim()) {
+      const lead = text.length - text.trimStart().length;
+      statements.push({ text: text.trim(), start: start + lead });
+    }
+  };
+  for (let i = 0; i < ddl.length; i++) {
+    const ch = ddl[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === "'" || ch === '"' || ch === '`') {
+      quote = ch;
+    } else if (ch === '-' && ddl[i + 1] === '-') {
+      const eol = ddl.indexOf('\n', i);
+      i = eol === -1 ? ddl.length : eol;
+    } else if (ch === '/' && ddl[i + 1] === '*') {
+      const close = ddl.indexOf('*/', i + 2);
+      i = close === -1 ? ddl.length : close + 1;
+    } else if (ch === ';') {
+      push(i);
+      start = i + 1;
+    }
+  }
+  push(ddl.length);
+  return statements;
+}
+
+// 1-based line / column of a character offset
+export function positionAt(text, offset) {
+  const before = text.slice(0, Math.max(0, offset));
+  const lines = before.split('\n');
+  return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+function diagnostic(ddl, fields) {
+  const { offset, ...rest } = fields;
+  const pos =
+    offset === undefined || offset === null
+      ? { line: null, column: null }
+      : positionAt(ddl, offset);
+  return { statementIndex: null, ...rest, ...pos };
+}
+
+// node-sql-parser (PEG.js) errors list every expected token; report the
+// offending word of the statement instead
+function syntaxErrorMessage(err, text) {
+  const at = err.location?.start?.offset;
+  if (at === undefined) return `Syntax error: ${err.message}`;
+  if (at >= text.length) return 'Syntax error: unexpected end of statement';
+  const word = text.slice(at).match(/^[A-Za-z0-9_]+|^\S/)[0];
+  return `Syntax error near "${word}"`;
+}
+
+/**
+ * Parse every statement on its own and report the ones the SQL grammar
+ * rejects, with the position of the syntax error.
+ * @param {Object} parser node-sql-parser instance
+ * @param {string} ddl
+ * @param {Object} parseOptions
+ * @returns {Object[]}
+ */
+export function statementDiagnostics(parser, ddl, parseOptions) {
+  const diagnostics = [];
+  splitStatements(ddl).forEach((stmt, statementIndex) => {
+    try {
+      parser.parse(stmt.text, parseOptions);
+    } catch (err) {
+      const offset = stmt.start + (err.location?.start?.offset ?? 0);
+      diagnostics.push(
+        diagnostic(ddl, {
+          severity: 'warning',
+          parser: 'ast',
+          statementIndex,
+          offset,
+          message: syntaxErrorMessage(err, stmt.text),
+        })
+      );
+    }
+  });
+  return diagnostics;
+}
+
+function tableStatement(statements, tableName) {
+  const re = new RegExp(
+    `^create\\s+(?:\\w+\\s+)*table\\s+(?:if\\s+not\\s+exists\\s+)?(?:[\`"\\[]?\\w+[\`"\\]]?\\.)*[\`"\\[]?${tableName}[\`"\\]]?[\\s(]`,
+    'i'
+  );
+  return statements.findIndex((s) => re.test(s.text));
+}
+
+/**
+ * Semantic checks on a parsed schema: dangling foreign keys, empty tables,
+ * missing primary keys and CHECK expressions that will not be enforced.
+ * @param {Object} schema
+ * @param {string} ddl
+ * @param {'ast'|'naive'|'ai'|'import'} parserPath
+ * @returns {Object[]}
+ */
+export function schemaDiagnostics(schema, ddl, parserPath) {
+  const diagnostics = [];
+  const tables = schema?.tables || {};
+  const statements = splitStatements(ddl);
+  const add = (severity, table, message) => {
+    const statementIndex = table ? tableStatement(statements, table) : -1;
+    diagnostics.push(
+      diagnostic(ddl, {
+        severity,
+        parser: parserPath,
+        table,
+        statementIndex: statementIndex === -1 ? null : statementIndex,
+        offset: statementIndex === -1 ? null : statements[statementIndex].start,
+        message,
+      })
+    );
+  };
+
+  if (!Object.keys(tables).length) {
+    add('error', undefined, 'No CREATE TABLE statements could be parsed');
+  }
+  Object.entries(tables).forEach(([name, tbl]) => {
+    const columns = tbl.columns || {};
+    if (!Object.keys(columns).length) {
+      add('warning', name, `Table ${name} has no columns`);
+    }
+    if (!tbl.primaryKey?.length) {
+      add(
+        'info',
+        name,
+        `Table ${name} has no primary key; one will be inferred`
+      );
+    }
+    (tbl.foreignKeys || []).forEach((fk) => {
+      const parent = tables[fk.referenceTable];
+      const label = `${name}(${fk.columns.join(',')}) -> ${fk.referenceTable}`;
+      if (!parent) {
+        add(
+          'warning',
+          name,
+          `Foreign key ${label} references an unknown table`
+        );
+        return;
+      }
+      const missing = (fk.referenceColumns || []).filter(
+        (c) => !parent.columns?.[c]
+      );
+      if (missing.length) {
+        add(
+          'warning',
+          name,
+          `Foreign key ${label} references unknown column(s) ${missing.join(
+            ', '
+          )}`
+        );
+      }
+    });
+    (tbl.checks || []).forEach((check) => {
+      if (check.kind === 'raw') {
+        add(
+          'info',
+          name,
+          `CHECK (${check.expression}) on ${name} is kept but not enforced`
+        );
+      }
+    });
+  });
+  return diagnostics;
+}
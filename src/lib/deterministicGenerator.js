@@ -1,8 +1,50 @@
 // Deterministic synthetic data generator (fallback / offline mode)
 // Generates per-table rows honoring simple PK/FK relationships.
 // NOTE: Relies on the schema shape produced by DataGenerator._processAST
+import { createHash } from 'crypto';
+import { columnBounds, evaluateCheck } from './checkConstraints.js';
+import { resolveProvider } from './valueProviders.js';
+import { compilePatterns } from './valuePatterns.js';
+import { compileEdgeCases } from './edgeCases.js';
+import { applyFaults, faultTracker, typeMismatch } from './faultInjection.js';
+import { columnLocale, getLocale } from './locales.js';
+import { compileDistribution, distributionStats } from './distributions.js';
+import {
+  applyRules,
+  compileRules,
+  evaluateRule,
+  ruleContext,
+  valueSatisfying,
+} from './consistencyRules.js';
+import {
+  compileExpressions,
+  computeRow,
+  evaluateExpression,
+  fitComputedValue,
+  sameComputedValue,
+} from './computedColumns.js';
+import {
+  cardinalitySatisfied,
+  cardinalityStats,
+  fkCardinalitySpec,
+  planAssignments,
+} from './fkCardinality.js';
+import {
+  foreignKeyStrategies,
+  hierarchyPlanner,
+  hierarchySpec,
+  planHierarchy,
+} from './fkStrategies.js';
 
-function topologicalSortTables(schema) {
+/**
+ * Parent-before-child table order following foreign keys (Kahn's algorithm).
+ * A reference cycle is broken at the first table (declaration order) whose
+ * references into the cycle are all nullable, so they can be inserted as
+ * NULL and backfilled; without one the first remaining table goes next.
+ * @param {Object} schema
+ * @returns {string[]}
+ */
+export function topologicalSortTables(schema) {
   const inDegree = {};
   const graph = {};
   const tables = Object.keys(schema.tables || {});
@@ -29,29 +71,124 @@ function topologicalSortTables(schema) {
     if (deg === 0) queue.push(t);
   });
   const ordered = [];
-  while (queue.length) {
-    const t = queue.shift();
-    ordered.push(t);
-    graph[t].forEach((dep) => {
-      inDegree[dep]--;
-      if (inDegree[dep] === 0) queue.push(dep);
-    });
-  }
-  // If cycle (unlikely in clean schema) append remaining
-  if (ordered.length !== tables.length) {
-    tables.forEach((t) => {
-      if (!ordered.includes(t)) ordered.push(t);
-    });
+  for (;;) {
+    while (queue.length) {
+      const t = queue.shift();
+      ordered.push(t);
+      graph[t].forEach((dep) => {
+        inDegree[dep]--;
+        if (inDegree[dep] === 0) queue.push(dep);
+      });
+    }
+    const rest = tables.filter((t) => !ordered.includes(t));
+    if (!rest.length) break;
+    const breakable = rest.find((t) =>
+      (schema.tables[t].foreignKeys || []).every(
+        (fk) =>
+          fk.referenceTable === t ||
+          !rest.includes(fk.referenceTable) ||
+          fk.columns.every(
+            (c) => schema.tables[t].columns?.[c]?.nullable !== false
+          )
+      )
+    );
+    const next = breakable || rest[0];
+    inDegree[next] = 0;
+    queue.push(next);
   }
   return ordered;
 }
 
-function randChoice(arr) {
-  return arr[Math.floor(Math.random() * arr.length)];
+function randChoice(arr, rand) {
+  return arr[Math.floor(rand() * arr.length)];
+}
+
+// Pick from `values` proportionally to `weights` (value -> weight); values
+// missing from the map weigh 0 unless no weight applies, then uniform
+function weightedChoice(values, weights, rand) {
+  const w = values.map((v) => Math.max(Number(weights?.[v]) || 0, 0));
+  const total = w.reduce((a, b) => a + b, 0);
+  if (!total) return values[Math.floor(rand() * values.length)];
+  let r = rand() * total;
+  for (let i = 0; i < values.length; i++) {
+    r -= w[i];
+    if (r < 0) return values[i];
+  }
+  return values[values.length - 1];
+}
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Resolve a [lo, hi] window from CHECK bounds, falling back to defaults and
+// keeping the default width when only one side is constrained
+function boundedRange(bounds, defLo, defHi, toNumber, step) {
+  const min = bounds?.min !== undefined ? toNumber(bounds.min) : undefined;
+  const max = bounds?.max !== undefined ? toNumber(bounds.max) : undefined;
+  let lo = Number.isFinite(min)
+    ? min + (bounds.minExclusive ? step : 0)
+    : defLo;
+  let hi = Number.isFinite(max)
+    ? max - (bounds.maxExclusive ? step : 0)
+    : defHi;
+  if (!Number.isFinite(max) && lo > hi) hi = lo + (defHi - defLo);
+  if (!Number.isFinite(min) && lo > hi) lo = hi - (defHi - defLo);
+  return [lo, Math.max(lo, hi)];
+}
+
+// Truncate a string to a declared length while keeping its `_<row>` suffix
+// so sequential values stay distinct
+function fitLength(value, maxLength, rowIndex) {
+  if (!maxLength || value.length <= maxLength) return value;
+  const suffix = `_${rowIndex + 1}`;
+  if (suffix.length >= maxLength) return String(rowIndex + 1).slice(-maxLength);
+  const base = value.endsWith(suffix) ? value.slice(0, -suffix.length) : value;
+  return base.slice(0, maxLength - suffix.length) + suffix;
+}
+
+// Largest absolute value a NUMERIC(precision, scale) column can hold
+function precisionLimit(colDef) {
+  if (!colDef.precision) return Infinity;
+  const scale = colDef.scale ?? 0;
+  return 10 ** (colDef.precision - scale) - 10 ** -scale;
+}
+
+// Digits before / after the decimal point of a numeric value
+function numericDigits(value) {
+  const [intPart, fracPart = ''] = Math.abs(Number(value))
+    .toString()
+    .split('.');
+  return {
+    integer: intPart === '0' ? 0 : intPart.length,
+    fraction: fracPart.length,
+  };
+}
+
+const NOW_DEFAULTS =
+  /^(current_timestamp|now|localtimestamp|getdate|sysdate|sysdatetime|current_date|current_time)$/;
+
+// Concrete value for a column DEFAULT; undefined when the default is an
+// expression we cannot evaluate (sequences, uuid functions ...). NOW-style
+// defaults resolve to the run's reference time.
+function resolveDefault(colDef, now) {
+  if (colDef.default !== undefined) return colDef.default;
+  const name = String(colDef.defaultExpression || '')
+    .toLowerCase()
+    .replace(/\(\s*\)$/, '');
+  if (!NOW_DEFAULTS.test(name)) return undefined;
+  const iso = new Date(now).toISOString();
+  const rawType = (colDef.type || '').toLowerCase();
+  if (name === 'current_time') return iso.slice(11, 19);
+  if (
+    name === 'current_date' ||
+    (/date/.test(rawType) && !/time/.test(rawType))
+  )
+    return iso.slice(0, 10);
+  return iso;
 }
 
 function synthValue(colName, colDef, rowIndex, tableName, context) {
   const rawType = (colDef.type || '').toLowerCase();
+  const rand = context.rng || Math.random;
   const fkSource = context.fkSources?.[tableName]?.[colName];
   if (fkSource) {
     // Sample existing parent values
@@ -60,38 +197,110 @@ function synthValue(colName, colDef, rowIndex, tableName, context) {
     const pool = parentRows
       .map((r) => r?.[parentCol])
       .filter((v) => v !== undefined && v !== null);
-    if (pool.length) return randChoice(pool);
+    if (pool.length) return randChoice(pool, rand);
+  }
+  const pattern = context.patterns?.[colName];
+  if (pattern) return pattern.generate(rand, rowIndex);
+  const distribution = context.distributions?.[colName];
+  if (distribution) return distribution.sample(rand);
+
+  // CHECK-derived bounds (IN lists / ranges) for this column
+  const bounds = columnBounds(context.checks, colName);
+  if (colDef.enumValues?.length) {
+    const allowed = bounds?.values
+      ? colDef.enumValues.filter((v) => bounds.values.includes(v))
+      : colDef.enumValues;
+    return weightedChoice(
+      allowed.length ? allowed : colDef.enumValues,
+      context.enumWeights?.[colName],
+      rand
+    );
+  }
+  if (bounds?.values?.length) {
+    return bounds.values[Math.floor(rand() * bounds.values.length)];
+  }
+  const provider = context.providers?.[colName];
+  if (provider) {
+    const value = provider.generate({
+      rng: rand,
+      rowIndex,
+      tableName,
+      colName,
+      colDef,
+      row: context.row || {},
+      locale: getLocale(context.locales?.[colName]),
+    });
+    return typeof value === 'string'
+      ? fitLength(value, colDef.length, rowIndex)
+      : value;
   }
 
   if (/serial|int/.test(rawType)) {
-    return rowIndex + 1; // simple sequential
+    if (!bounds) return rowIndex + 1; // simple sequential
+    const [lo, hi] = boundedRange(bounds, 1, 100, Number, 1);
+    const seq = rowIndex + 1;
+    if (seq >= lo && seq <= hi) return seq;
+    return (
+      Math.ceil(lo) + Math.floor(rand() * (Math.floor(hi) - Math.ceil(lo) + 1))
+    );
   }
   if (/boolean/.test(rawType)) {
     return rowIndex % 2 === 0;
   }
   if (/date/.test(rawType)) {
-    // Recent 5 years random day
-    const now = Date.now();
-    const past = now - 1000 * 60 * 60 * 24 * 365 * 5;
-    const d = new Date(past + Math.random() * (now - past));
+    // Recent 5 years random day (narrowed by CHECK bounds when present)
+    const now = context.now ?? Date.now();
+    const past = now - DAY_MS * 365 * 5;
+    if (bounds) {
+      const [lo, hi] = boundedRange(
+        bounds,
+        past,
+        now,
+        (v) => Date.parse(v),
+        DAY_MS
+      );
+      const d = new Date(lo + rand() * (hi - lo));
+      return d.toISOString().slice(0, 10);
+    }
+    const d = new Date(past + rand() * (now - past));
     return d.toISOString().slice(0, 10);
   }
   if (/time/.test(rawType)) {
-    const h = String(Math.floor(Math.random() * 24)).padStart(2, '0');
-    const m = String(Math.floor(Math.random() * 60)).padStart(2, '0');
-    const s = String(Math.floor(Math.random() * 60)).padStart(2, '0');
+    const h = String(Math.floor(rand() * 24)).padStart(2, '0');
+    const m = String(Math.floor(rand() * 60)).padStart(2, '0');
+    const s = String(Math.floor(rand() * 60)).padStart(2, '0');
     return `${h}:${m}:${s}`;
   }
   if (/char|text|uuid/.test(rawType)) {
-    return `${tableName}_${colName}_${rowIndex + 1}`.slice(0, 50);
+    return fitLength(
+      `${tableName}_${colName}_${rowIndex + 1}`.slice(0, 50),
+      colDef.length,
+      rowIndex
+    );
   }
   if (/numeric|decimal|real|double/.test(rawType)) {
-    return parseFloat((Math.random() * 100).toFixed(2));
+    const scale = colDef.scale ?? 2;
+    const defHi = Math.min(100, precisionLimit(colDef));
+    if (bounds) {
+      const [lo, hi] = boundedRange(bounds, 0, defHi, Number, 10 ** -scale);
+      return parseFloat((lo + rand() * (hi - lo)).toFixed(scale));
+    }
+    return parseFloat((rand() * defHi).toFixed(scale));
   }
   // Fallback generic
   return `${colName}_${rowIndex + 1}`;
 }
 
+// Repair column-vs-column CHECKs (e.g. end_date >= start_date) on a built row
+// by moving the left-hand column relative to the right-hand one
+function applyColumnChecks(row, checks, rand) {
+  (checks || []).forEach((check) => {
+    if (check.kind !== 'columnCompare' || evaluateCheck(check, row)) return;
+    const moved = valueSatisfying(check.operator, row[check.otherColumn], rand);
+    if (moved !== undefined) row[check.column] = moved;
+  });
+}
+
 function buildFkSources(schema) {
   // Map: table -> column -> { table: parentTable, column: parentCol }
   const map = {};
@@ -109,16 +318,394 @@ function buildFkSources(schema) {
   return map;
 }
 
-// Simple seedable RNG (LCG) for reproducibility when config.seed provided
+// Unique column sets of a table: table-level UNIQUE constraints plus
+// columns flagged `unique` inline. Duplicated declarations collapse.
+function getUniqueKeys(tblDef) {
+  const keys = [...(tblDef.uniqueKeys || [])];
+  Object.entries(tblDef.columns || {}).forEach(([colName, colDef]) => {
+    if (colDef.unique) keys.push([colName]);
+  });
+  const seen = new Set();
+  return keys.filter((cols) => {
+    const sig = JSON.stringify(cols);
+    if (!cols.length || seen.has(sig)) return false;
+    seen.add(sig);
+    return true;
+  });
+}
+
+// Tuple signature for a unique key; null when any part is NULL since SQL
+// UNIQUE never treats NULLs as equal
+function uniqueTuple(row, cols) {
+  const vals = cols.map((c) => row[c]);
+  if (vals.some((v) => v === null || v === undefined)) return null;
+  return JSON.stringify(vals);
+}
+
+// Parent rows with a complete, distinct referenced key
+function distinctParentRows(parentRows, refCols) {
+  const seen = new Set();
+  return parentRows.filter((r) => {
+    const vals = refCols.map((c) => r?.[c]);
+    if (vals.some((v) => v === null || v === undefined)) return false;
+    const sig = JSON.stringify(vals);
+    if (seen.has(sig)) return false;
+    seen.add(sig);
+    return true;
+  });
+}
+
+// Copy a parent's referenced key into the FK columns of a row (NULLs when
+// no parent is given)
+function assignParentTuple(row, fk, parent) {
+  fk.columns.forEach((c, idx) => {
+    row[c] = parent ? parent[fk.referenceColumns[idx]] : null;
+  });
+}
+
+// Parent per child row for an FK with a cardinality spec; null when the
+// parent table has no rows yet (left to the reconciliation pass)
+function planForeignKey(fk, spec, parentRows, childCount, columns, rng) {
+  const parents = distinctParentRows(parentRows, fk.referenceColumns);
+  if (!parents.length) return null;
+  const nullable = fk.columns.every((c) => columns[c]?.nullable !== false);
+  const plan = planAssignments(parents.length, childCount, spec, rng, nullable);
+  return plan.map((idx) => (idx === null ? null : parents[idx]));
+}
+
+function fkPool(context, tableName, colName) {
+  const fkSource = context.fkSources?.[tableName]?.[colName];
+  if (!fkSource) return null;
+  const parentRows = context.generated[fkSource.table] || [];
+  return parentRows
+    .map((r) => r?.[fkSource.column])
+    .filter((v) => v !== undefined && v !== null);
+}
+
+// Last-resort tweak making a colliding value distinct while keeping its type
+function disambiguateValue(value, rowIndex) {
+  if (typeof value === 'number') {
+    return Number.isInteger(value)
+      ? value + rowIndex + 1
+      : parseFloat((value + (rowIndex + 1) / 100).toFixed(2));
+  }
+  if (typeof value === 'string') {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      const d = new Date(`${value}T00:00:00Z`);
+      d.setUTCDate(d.getUTCDate() - (rowIndex + 1));
+      return d.toISOString().slice(0, 10);
+    }
+    return `${value}_${rowIndex + 1}`;
+  }
+  return value; // booleans cannot be made unique
+}
+
+const UNIQUE_RETRY_LIMIT = 25;
+
+// Re-draw columns of any unique key whose tuple was already produced.
+// Random re-draws first, then a walk through the value space of a pattern
+// column, an exhaustive scan of FK pools, and a deterministic tweak of the
+// remaining values. Pattern values are never tweaked: a key that only a
+// tweak could free fails with 400. Columns in ctx.fixed (FKs assigned by a
+// cardinality plan) are never re-drawn.
+function enforceUniqueKeys(row, rowIndex, uniqueState, ctx) {
+  const { uniqueKeys, seen } = uniqueState;
+  const { tableName } = ctx;
+  uniqueKeys.forEach((cols, k) => {
+    let tuple = uniqueTuple(row, cols);
+    if (tuple === null || !seen[k].has(tuple)) {
+      if (tuple !== null) seen[k].add(tuple);
+      return;
+    }
+    const free = cols.filter((c) => !ctx.fixed?.has(c));
+    for (let attempt = 0; attempt < UNIQUE_RETRY_LIMIT; attempt++) {
+      free.forEach((c) => {
+        row[c] = ctx.regenerate(c);
+      });
+      tuple = uniqueTuple(row, cols);
+      if (tuple === null || !seen[k].has(tuple)) break;
+    }
+    const patternCol = free.find((c) => ctx.patterns?.[c]?.valueAt);
+    if (tuple !== null && seen[k].has(tuple) && patternCol) {
+      const pattern = ctx.patterns[patternCol];
+      const start = Math.floor(ctx.rng() * pattern.size);
+      for (let step = 0; step < pattern.size; step++) {
+        row[patternCol] = pattern.valueAt((start + step) % pattern.size);
+        tuple = uniqueTuple(row, cols);
+        if (!seen[k].has(tuple)) break;
+      }
+    }
+    if (tuple !== null && seen[k].has(tuple)) {
+      const fkCol = free.find((c) => fkPool(ctx, tableName, c));
+      const parentTuple = ctx.tupleCols?.[fkCol];
+      if (parentTuple) {
+        for (const parent of parentTuple.parents) {
+          assignParentTuple(row, parentTuple.fk, parent);
+          tuple = uniqueTuple(row, cols);
+          if (!seen[k].has(tuple)) break;
+        }
+      } else if (fkCol) {
+        const pool = fkPool(ctx, tableName, fkCol);
+        for (const candidate of pool) {
+          row[fkCol] = candidate;
+          tuple = uniqueTuple(row, cols);
+          if (!seen[k].has(tuple)) break;
+        }
+      }
+    }
+    if (tuple !== null && seen[k].has(tuple)) {
+      cols.forEach((c) => {
+        if (!ctx.fkSources?.[tableName]?.[c] && !ctx.patterns?.[c]) {
+          row[c] = disambiguateValue(row[c], rowIndex);
+        }
+      });
+      tuple = uniqueTuple(row, cols);
+    }
+    if (tuple !== null && seen[k].has(tuple)) {
+      const patterned = cols.filter((c) => ctx.patterns?.[c]);
+      if (patterned.length) {
+        const err = new Error(
+          `Patterns of ${tableName}.${patterned.join(
+            ', '
+          )} ran out of distinct values for unique key (${cols.join(', ')})`
+        );
+        err.status = 400;
+        err.code = 'INVALID_PATTERN';
+        throw err;
+      }
+    }
+    if (tuple !== null) seen[k].add(tuple);
+  });
+}
+
+/**
+ * Enforce table constraints on externally produced (AI) rows.
+ * ENUM values are matched case-insensitively to their declared spelling and
+ * otherwise replaced by a declared value; rows repeating an earlier UNIQUE
+ * tuple are dropped, mirroring what the database would reject on load.
+ * @returns {{ rows: Object[], adjustments: { uniqueDropped: number, enumCoerced: number } }}
+ */
+export function enforceTableConstraints(tblDef, rows) {
+  const uniqueKeys = getUniqueKeys(tblDef || {});
+  const seen = uniqueKeys.map(() => new Set());
+  const adjustments = { uniqueDropped: 0, enumCoerced: 0 };
+  const enumCols = Object.entries(tblDef?.columns || {}).filter(
+    ([, colDef]) => colDef.enumValues?.length
+  );
+  const kept = (rows || []).filter((row, idx) => {
+    enumCols.forEach(([colName, colDef]) => {
+      const v = row[colName];
+      if (v === null || v === undefined || colDef.enumValues.includes(v))
+        return;
+      const match = colDef.enumValues.find(
+        (allowed) => String(allowed).toLowerCase() === String(v).toLowerCase()
+      );
+      row[colName] = match ?? colDef.enumValues[idx % colDef.enumValues.length];
+      adjustments.enumCoerced++;
+    });
+    const tuples = uniqueKeys.map((cols) => uniqueTuple(row, cols));
+    if (tuples.some((t, k) => t !== null && seen[k].has(t))) {
+      adjustments.uniqueDropped++;
+      return false;
+    }
+    tuples.forEach((t, k) => {
+      if (t !== null) seen[k].add(t);
+    });
+    return true;
+  });
+  return { rows: kept, adjustments };
+}
+
+// Simple seedable RNG (LCG) for reproducibility when config.seed provided.
+// Every random draw of a run goes through the one instance so the same
+// schema + config + seed yields byte-identical data.
 function createRNG(seed) {
   let s = seed >>> 0;
   return () => {
-    // LCG constants (Numerical Recipes)
+    // LCG constants (Numerical Recipes); divide by 2^32 so 1 is never returned
     s = (s * 1664525 + 1013904223) >>> 0;
-    return s / 0xffffffff;
+    return s / 0x100000000;
   };
 }
 
+// Date / time values and NOW() defaults of a seeded run are anchored here
+// unless config.referenceDate says otherwise
+export const DEFAULT_REFERENCE_DATE = '2025-01-01T00:00:00.000Z';
+
+// Reference time (ms) of a run: config.referenceDate, the fixed default for
+// seeded runs, the wall clock otherwise
+function resolveReferenceTime(config) {
+  if (config.referenceDate !== undefined && config.referenceDate !== null) {
+    const ms = new Date(config.referenceDate).getTime();
+    if (Number.isNaN(ms)) {
+      const err = new Error(
+        `Invalid referenceDate: ${JSON.stringify(config.referenceDate)}`
+      );
+      err.status = 400;
+      err.code = 'INVALID_REFERENCE_DATE';
+      throw err;
+    }
+    return ms;
+  }
+  return config.seed !== undefined
+    ? Date.parse(DEFAULT_REFERENCE_DATE)
+    : Date.now();
+}
+
+/**
+ * Stable sub-seed for one part of a run (e.g. a table generated on its own),
+ * so parts do not replay the same random stream.
+ * @param {number} seed Run seed
+ * @param {string} label Part name
+ * @returns {number}
+ */
+export function deriveSeed(seed, label) {
+  // FNV-1a over the label, mixed with the seed
+  let h = 0x811c9dc5 ^ (seed >>> 0);
+  for (const ch of String(label)) {
+    h ^= ch.codePointAt(0);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h >>> 0;
+}
+
+// JSON with object keys sorted at every level; arrays keep their order
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((k) => value[k] !== undefined)
+      .map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+/**
+ * SHA-256 of a dataset in canonical form (tables and columns sorted, row
+ * order kept). Equal hashes mean byte-identical data.
+ * @param {Object} data Map of table -> rows
+ * @returns {string} Hex digest
+ */
+export function datasetHash(data) {
+  return createHash('sha256')
+    .update(canonicalJson(data || {}))
+    .digest('hex');
+}
+
+// Value providers, their locales and declared distributions of a table's
+// columns (FK and integer PK columns keep their own logic); the choices
+// are recorded in tableMeta
+function columnGenerators(tableName, tblDef, pkCols, ctx) {
+  const { config, fkSources, now, tableMeta } = ctx;
+  const columns = tblDef.columns || {};
+  const checks = tblDef.checks || [];
+  const ownLogic = (colName, colDef) =>
+    !!fkSources[tableName]?.[colName] ||
+    (pkCols.includes(colName) &&
+      /int|serial/.test((colDef.type || '').toLowerCase()));
+
+  // Regex / template columns (valuePatterns.js); single-column UNIQUE ones
+  // need at least one distinct value per row
+  const patterns = {};
+  const uniqueCols = new Set(
+    [...getUniqueKeys(tblDef), pkCols]
+      .filter((cols) => cols.length === 1)
+      .map((cols) => cols[0])
+  );
+  Object.entries(ctx.patterns || {}).forEach(([colName, pattern]) => {
+    if (ownLogic(colName, columns[colName])) return;
+    if (uniqueCols.has(colName) && pattern.size < tableMeta.rowCount) {
+      const err = new Error(
+        `Pattern for ${tableName}.${colName} yields ${pattern.size} distinct values, fewer than the ${tableMeta.rowCount} unique rows requested`
+      );
+      err.status = 400;
+      err.code = 'INVALID_PATTERN';
+      throw err;
+    }
+    patterns[colName] = pattern;
+  });
+  if (Object.keys(patterns).length) {
+    tableMeta.patterns = Object.fromEntries(
+      Object.entries(patterns).map(([c, p]) => [c, p.source])
+    );
+  }
+
+  const providers = {};
+  Object.entries(columns).forEach(([colName, colDef]) => {
+    if (
+      ownLogic(colName, colDef) ||
+      colDef.enumValues?.length ||
+      patterns[colName]
+    )
+      return;
+    const provider = resolveProvider(
+      tableName,
+      colName,
+      colDef,
+      config.providers
+    );
+    if (provider) providers[colName] = provider;
+  });
+  const locales = {};
+  Object.keys(providers).forEach((colName) => {
+    locales[colName] = columnLocale(config.locale, tableName, colName);
+  });
+  if (Object.keys(providers).length) {
+    tableMeta.providers = Object.fromEntries(
+      Object.entries(providers).map(([c, p]) => [c, p.name])
+    );
+    const overridden = Object.entries(locales).filter(
+      ([, code]) => code !== columnLocale(config.locale)
+    );
+    if (overridden.length) {
+      tableMeta.locales = Object.fromEntries(overridden);
+    }
+  }
+
+  // Edge cases only replace values the generator is free to choose
+  const fkCols = new Set(
+    (tblDef.foreignKeys || []).flatMap((fk) => fk.columns)
+  );
+  const edgeCases = compileEdgeCases(tableName, tblDef, config, {
+    dialect: ctx.dialect,
+    eligible: (colName, colDef) =>
+      !ownLogic(colName, colDef) &&
+      !pkCols.includes(colName) &&
+      !fkCols.has(colName) &&
+      !colDef.enumValues?.length &&
+      !patterns[colName] &&
+      !columnBounds(checks, colName)?.values,
+  });
+
+  const distributions = {};
+  Object.entries(config.distributions?.[tableName] || {}).forEach(
+    ([colName, spec]) => {
+      const colDef = columns[colName];
+      if (!colDef || ownLogic(colName, colDef)) return;
+      distributions[colName] = compileDistribution(spec, colDef, {
+        bounds: columnBounds(checks, colName),
+        now,
+      });
+    }
+  );
+  return { providers, locales, distributions, patterns, edgeCases };
+}
+
+// Edge case replacing a synthesized value at the column's ratio, or undefined
+function drawEdgeCase(picker, rng) {
+  return picker && rng() < picker.ratio ? picker.pick(rng) : undefined;
+}
+
+// Count the edge cases still in place once a row is final (UNIQUE
+// enforcement may have replaced some)
+function countEdgeCases(row, injected, counts) {
+  injected.forEach((value, colName) => {
+    if (Object.is(row[colName], value)) counts[colName]++;
+  });
+}
+
 function inferPrimaryKey(tableName, tblDef) {
   if (Array.isArray(tblDef.primaryKey) && tblDef.primaryKey.length) {
     return tblDef.primaryKey;
@@ -142,82 +729,446 @@ function inferPrimaryKey(tableName, tblDef) {
 }
 
 /**
- * Generate deterministic synthetic data.
- * @param {Object} schema Parsed schema: { tables: { [tableName]: { columns, primaryKey, foreignKeys } } }
- * @param {Object} config Options
- * @param {number} [config.globalRowCount=25] Default row count per table
- * @param {Object} [config.perTable] Map tableName -> rowCount override
- * @param {Object} [config.nullProbability] Map of table -> { default, colName -> prob }
- * @param {number} [config.seed] Seed for reproducible generation
- * @param {boolean} [config.debug] Force debug logging (or set DEBUG_DATA_GEN=true)
- * @param {boolean} [config.withMeta] If true returns { data, meta }
+ * Apply `config.rules` to an already generated dataset (e.g. AI rows), moving
+ * rule columns until each rule holds. Draws use a seed derived from
+ * `config.seed` when one is given.
+ * @param {Object} schema Parsed schema
+ * @param {Object} data Map of table -> rows (modified in place)
+ * @param {Object} config { rules, seed }
+ * @returns {Object} adjusted row count per table
  */
-export function generateDeterministicData(schema, config = {}) {
-  const generated = {};
-  const fkSources = buildFkSources(schema);
+export function enforceRules(schema, data, config = {}) {
+  const rules = compileRules(schema, config.rules);
+  if (!rules.length) return {};
+  const rng =
+    config.seed !== undefined
+      ? createRNG(deriveSeed(config.seed, 'rules'))
+      : Math.random;
+  return applyRules(rules, data, schema, rng, topologicalSortTables(schema));
+}
 
-  const globalCount = config.globalRowCount || 25;
-  const perTable = config.perTable || {};
-  const nullProbConfig = config.nullProbability || { default: 0 }; // Could extend later
-  const debug = !!config.debug || process.env.DEBUG_DATA_GEN === 'true';
-  const rng = config.seed !== undefined ? createRNG(config.seed) : Math.random;
+/**
+ * Corrupt rows of an already generated dataset as `config.faults` asks (see
+ * faultInjection.js). Draws use a seed derived from `config.seed` when one
+ * is given.
+ * @param {Object} schema Parsed schema
+ * @param {Object} data Map of table -> rows (modified in place)
+ * @param {Object} config { faults, seed }
+ * @returns {Object} corrupted rows per table (meta.faults)
+ */
+export function injectFaults(schema, data, config = {}) {
+  return applyFaults(schema, data, config.faults, partRng(config, '#faults'));
+}
 
+// Settings shared by every table of a deterministic run
+function runSettings(schema, config) {
   const order = topologicalSortTables(schema);
-  const meta = {
+  // Self references and references closing a cycle; the latter are left
+  // NULL while generating and backfilled by the reconciliation pass
+  const strategies = foreignKeyStrategies(schema, order, config.hierarchies);
+  return {
     order,
-    tables: {},
-    seed: config.seed ?? null,
+    strategies,
+    deferredCols: new Set(
+      strategies
+        .filter((s) => s.strategy !== 'hierarchy')
+        .flatMap((s) => s.columns.map((c) => `${s.table}.${c}`))
+    ),
+    fkSources: buildFkSources(schema),
+    computed: compileExpressions(schema, config.expressions),
+    patterns: compilePatterns(schema, config.patterns),
+    now: resolveReferenceTime(config),
+    globalCount: config.globalRowCount || 25,
+    perTable: config.perTable || {},
+    enumWeights: config.enumWeights || {},
+    nullProbConfig: config.nullProbability || { default: 0 },
+    defaultProbConfig:
+      typeof config.defaultProbability === 'number'
+        ? { default: config.defaultProbability }
+        : config.defaultProbability || { default: 0 },
   };
+}
 
-  order.forEach((tableName) => {
-    const tblDef = schema.tables[tableName];
-    if (!tblDef) return;
-    const rowCount = perTable[tableName] ?? globalCount;
-    const columns = tblDef.columns || {};
+// Each table and the cross-table passes of a seeded run draw from their own
+// stream, so tables can be generated in any order or thread with the same
+// result
+function partRng(config, label) {
+  return config.seed !== undefined
+    ? createRNG(deriveSeed(config.seed, label))
+    : Math.random;
+}
 
-    // Determine or infer PK(s)
-    const pkCols = inferPrimaryKey(tableName, tblDef);
-    meta.tables[tableName] = {
+/**
+ * Generate the rows of one table of a deterministic run and add them to
+ * `generated`, which must already hold the table's parents. Used table by
+ * table by generateDeterministicData and by the worker pool
+ * (generatorPool.js); completeDeterministicData finishes the run.
+ * @param {Object} schema Parsed schema
+ * @param {string} tableName
+ * @param {Object} generated Map of table -> rows (parents of tableName)
+ * @param {Object} config Options of generateDeterministicData
+ * @returns {{ rows: Object[], meta: Object, plannedFks: string[] }|null}
+ */
+export function generateTableRows(
+  schema,
+  tableName,
+  generated,
+  config = {},
+  settings = runSettings(schema, config)
+) {
+  const {
+    fkSources,
+    deferredCols,
+    computed,
+    patterns: tablePatterns,
+    now,
+    globalCount,
+    perTable,
+    enumWeights,
+    nullProbConfig,
+    defaultProbConfig,
+  } = settings;
+  const rng = partRng(config, tableName);
+  const plannedFks = new Set();
+  const tblDef = schema.tables[tableName];
+  if (!tblDef) return null;
+  const rowCount = perTable[tableName] ?? globalCount;
+  const columns = tblDef.columns || {};
+
+  // Determine or infer PK(s)
+  const pkCols = inferPrimaryKey(tableName, tblDef);
+  const tableMeta = {
+    rowCount,
+    pkCols,
+    fkCount: (tblDef.foreignKeys || []).length,
+  };
+
+  const uniqueKeys = getUniqueKeys(tblDef);
+  const uniqueState = {
+    uniqueKeys,
+    seen: uniqueKeys.map(() => new Set()),
+  };
+  if (uniqueKeys.length) tableMeta.uniqueKeys = uniqueKeys;
+  const checks = tblDef.checks || [];
+  if (checks.length) tableMeta.checkCount = checks.length;
+
+  const { providers, locales, distributions, patterns, edgeCases } =
+    columnGenerators(tableName, tblDef, pkCols, {
+      config,
+      fkSources,
+      now,
+      tableMeta: tableMeta,
+      patterns: tablePatterns[tableName],
+      dialect: schema.dialect?.name,
+    });
+  const edgeCounts = Object.fromEntries(
+    Object.keys(edgeCases).map((c) => [c, 0])
+  );
+
+  // Self references are filled once the table's rows exist (hierarchy)
+  const selfFks = (tblDef.foreignKeys || []).filter(
+    (fk) => fk.referenceTable === tableName
+  );
+  const selfCols = new Set(selfFks.flatMap((fk) => fk.columns));
+  // Computed columns are evaluated once the whole run is final
+  const computedCols = new Set(
+    (computed.tables[tableName] || []).map((c) => c.column)
+  );
+
+  // Parent assignment for FKs with a cardinality spec
+  const plannedCols = {};
+  (tblDef.foreignKeys || []).forEach((fk) => {
+    if (fk.referenceTable === tableName) return;
+    const spec = fkCardinalitySpec(config.cardinality, tableName, fk);
+    if (!spec) return;
+    const plan = planForeignKey(
+      fk,
+      spec,
+      generated[fk.referenceTable] || [],
       rowCount,
-      pkCols,
-      fkCount: (tblDef.foreignKeys || []).length,
+      columns,
+      rng
+    );
+    if (!plan) return;
+    plannedFks.add(`${tableName}.${fk.columns.join(',')}`);
+    fk.columns.forEach((c, idx) => {
+      plannedCols[c] = { plan, refCol: fk.referenceColumns[idx] };
+    });
+  });
+
+  // Composite FKs take whole parent tuples so their columns never mix
+  // values of different parent rows
+  const tupleCols = {};
+  (tblDef.foreignKeys || []).forEach((fk) => {
+    if (
+      fk.columns.length < 2 ||
+      fk.columns.some((c) => plannedCols[c] || tupleCols[c])
+    )
+      return;
+    const parents = distinctParentRows(
+      generated[fk.referenceTable] || [],
+      fk.referenceColumns
+    );
+    if (!parents.length) return;
+    const tuple = {
+      fk,
+      parents,
+      nullable: fk.columns.every((c) => columns[c]?.nullable !== false),
     };
+    fk.columns.forEach((c) => {
+      tupleCols[c] = tuple;
+    });
+  });
 
-    generated[tableName] = [];
-    for (let i = 0; i < rowCount; i++) {
-      const row = {};
-      Object.entries(columns).forEach(([colName, colDef]) => {
-        const lowerType = (colDef.type || '').toLowerCase();
-        const tableNullProb =
-          nullProbConfig[tableName]?.default ?? nullProbConfig.default ?? 0;
-        const colNullProb =
-          nullProbConfig[tableName]?.[colName] ?? tableNullProb;
-        const nullable = colDef.nullable !== false; // treat undefined as nullable unless explicitly false
-        const allowNull = nullable && !pkCols.includes(colName); // Never null a PK
-        const makeNull = allowNull && rng() < colNullProb;
-        if (makeNull) {
-          row[colName] = null;
-          return;
-        }
-        if (pkCols.includes(colName) && /int|serial/.test(lowerType)) {
-          row[colName] = i + 1; // deterministic sequence
-          return;
-        }
-        row[colName] = synthValue(colName, colDef, i, tableName, {
-          generated,
-          fkSources,
-          rng,
-        });
+  let defaultsApplied = 0;
+  generated[tableName] = [];
+  for (let i = 0; i < rowCount; i++) {
+    const row = {};
+    const injected = new Map();
+    Object.entries(columns).forEach(([colName, colDef]) => {
+      if (
+        selfCols.has(colName) ||
+        computedCols.has(colName) ||
+        deferredCols.has(`${tableName}.${colName}`)
+      ) {
+        row[colName] = null;
+        return;
+      }
+      const planned = plannedCols[colName];
+      if (planned) {
+        row[colName] = planned.plan[i]?.[planned.refCol] ?? null;
+        return;
+      }
+      const lowerType = (colDef.type || '').toLowerCase();
+      const tableNullProb =
+        nullProbConfig[tableName]?.default ?? nullProbConfig.default ?? 0;
+      const colNullProb = nullProbConfig[tableName]?.[colName] ?? tableNullProb;
+      const parentTuple = tupleCols[colName];
+      if (parentTuple) {
+        if (colName in row) return; // set with an earlier column of the key
+        const nullTuple = parentTuple.nullable && rng() < colNullProb;
+        assignParentTuple(
+          row,
+          parentTuple.fk,
+          nullTuple ? null : randChoice(parentTuple.parents, rng)
+        );
+        return;
+      }
+      const nullable = colDef.nullable !== false; // treat undefined as nullable unless explicitly false
+      const allowNull = nullable && !pkCols.includes(colName); // Never null a PK
+      const makeNull = allowNull && rng() < colNullProb;
+      if (makeNull) {
+        row[colName] = null;
+        return;
+      }
+      if (pkCols.includes(colName) && /int|serial/.test(lowerType)) {
+        row[colName] = i + 1; // deterministic sequence
+        return;
+      }
+      const colDefaultProb =
+        defaultProbConfig[tableName]?.[colName] ??
+        defaultProbConfig[tableName]?.default ??
+        defaultProbConfig.default ??
+        0;
+      const useDefault =
+        colDefaultProb > 0 &&
+        !pkCols.includes(colName) &&
+        !fkSources[tableName]?.[colName] &&
+        rng() < colDefaultProb;
+      const defaultValue = useDefault ? resolveDefault(colDef, now) : undefined;
+      if (defaultValue !== undefined && (defaultValue !== null || nullable)) {
+        row[colName] = defaultValue;
+        defaultsApplied++;
+        return;
+      }
+      const edgeValue = drawEdgeCase(edgeCases[colName], rng);
+      if (edgeValue !== undefined) {
+        row[colName] = edgeValue;
+        injected.set(colName, edgeValue);
+        return;
+      }
+      row[colName] = synthValue(colName, colDef, i, tableName, {
+        generated,
+        fkSources,
+        rng,
+        now,
+        checks,
+        enumWeights: enumWeights[tableName],
+        providers,
+        locales,
+        distributions,
+        patterns,
+        row,
+      });
+    });
+    applyColumnChecks(row, checks, rng);
+    if (uniqueKeys.length) {
+      enforceUniqueKeys(row, i, uniqueState, {
+        tableName,
+        generated,
+        fkSources,
+        tupleCols,
+        patterns,
+        rng,
+        fixed: new Set(Object.keys(plannedCols)),
+        regenerate: (colName) => {
+          const parentTuple = tupleCols[colName];
+          if (parentTuple) {
+            assignParentTuple(
+              row,
+              parentTuple.fk,
+              randChoice(parentTuple.parents, rng)
+            );
+            return row[colName];
+          }
+          return synthValue(colName, columns[colName], i, tableName, {
+            generated,
+            fkSources,
+            rng,
+            now,
+            checks,
+            enumWeights: enumWeights[tableName],
+            providers,
+            locales,
+            distributions,
+            patterns,
+            row,
+          });
+        },
       });
-      generated[tableName].push(row);
     }
+    countEdgeCases(row, injected, edgeCounts);
+    generated[tableName].push(row);
+  }
+  selfFks.forEach((fk) => {
+    const spec = hierarchySpec(config.hierarchies, tableName, fk);
+    const rows = generated[tableName];
+    const plan = planHierarchy(rows.length, spec, rng);
+    const nullable = fk.columns.every((c) => columns[c]?.nullable !== false);
+    // Roots of a NOT NULL self reference point at themselves
+    rows.forEach((row, i) => {
+      const parent = plan.parents[i];
+      assignParentTuple(
+        row,
+        fk,
+        parent === null ? (nullable ? null : row) : rows[parent]
+      );
+    });
+    tableMeta.hierarchies = {
+      ...tableMeta.hierarchies,
+      [fk.columns.join(',')]: {
+        ...spec,
+        roots: plan.roots,
+        depth: plan.depth,
+      },
+    };
   });
+  if (defaultsApplied) tableMeta.defaultsApplied = defaultsApplied;
+  if (Object.keys(edgeCounts).length) tableMeta.edgeCases = edgeCounts;
+  if (Object.keys(distributions).length) {
+    tableMeta.distributions = Object.fromEntries(
+      Object.entries(distributions).map(([colName, sampler]) => [
+        colName,
+        distributionStats(
+          sampler,
+          generated[tableName].map((r) => r[colName]),
+          columns[colName]
+        ),
+      ])
+    );
+  }
+  return {
+    rows: generated[tableName],
+    meta: tableMeta,
+    plannedFks: [...plannedFks],
+  };
+}
+
+/**
+ * Cross-table passes once every table of a deterministic run is generated:
+ * FK reconciliation (including two-phase backfill), consistency rules and
+ * debug stats. Returns what generateDeterministicData returns.
+ * @param {Object} schema Parsed schema
+ * @param {Object} generated Map of table -> rows
+ * @param {Object} tables Map of table -> result of generateTableRows
+ * @param {Object} config Options of generateDeterministicData
+ * @returns {Object} data, or { data, meta } with config.withMeta
+ */
+export function completeDeterministicData(
+  schema,
+  generated,
+  tables,
+  config = {},
+  settings = runSettings(schema, config)
+) {
+  const { order, strategies, deferredCols, computed, now } = settings;
+  const debug = !!config.debug || process.env.DEBUG_DATA_GEN === 'true';
+  const rng = partRng(config, '#reconcile');
+  const rules = compileRules(schema, config.rules);
+  const plannedFks = new Set(
+    Object.values(tables).flatMap((t) => t.plannedFks)
+  );
+  const meta = {
+    order,
+    ...(strategies.length && { foreignKeyStrategies: strategies }),
+    tables: Object.fromEntries(
+      order.filter((t) => tables[t]).map((t) => [t, tables[t].meta])
+    ),
+    seed: config.seed ?? null,
+    referenceDate: new Date(now).toISOString(),
+    locale: columnLocale(config.locale),
+  };
 
   // FK reconciliation pass (in case cycles or parent empty when child generated)
   Object.entries(schema.tables || {}).forEach(([table, tblDef]) => {
     (tblDef.foreignKeys || []).forEach((fk) => {
+      if (fk.referenceTable === table) return; // hierarchy, built in place
       const parentRows = generated[fk.referenceTable] || [];
       if (!parentRows.length) return; // nothing we can do
+      const spec = fkCardinalitySpec(config.cardinality, table, fk);
+      if (spec) {
+        if (plannedFks.has(`${table}.${fk.columns.join(',')}`)) return;
+        // Parent was empty at generation time: plan the whole relationship now
+        const rows = generated[table] || [];
+        const plan = planForeignKey(
+          fk,
+          spec,
+          parentRows,
+          rows.length,
+          tblDef.columns || {},
+          rng
+        );
+        if (!plan) return;
+        rows.forEach((row, i) => {
+          fk.columns.forEach((c, idx) => {
+            row[c] = plan[i]?.[fk.referenceColumns[idx]] ?? null;
+          });
+        });
+        return;
+      }
+      if (fk.columns.length > 1) {
+        // Composite keys: replace tuples missing from the parent with a whole
+        // parent tuple; all-NULL tuples stay when the FK is nullable (unless
+        // they were only left NULL for a two-phase insert)
+        const parents = distinctParentRows(parentRows, fk.referenceColumns);
+        if (!parents.length) return;
+        const keys = new Set(
+          parents.map((p) => uniqueTuple(p, fk.referenceColumns))
+        );
+        const nullable =
+          !deferredCols.has(`${table}.${fk.columns[0]}`) &&
+          fk.columns.every((c) => tblDef.columns?.[c]?.nullable !== false);
+        (generated[table] || []).forEach((row) => {
+          const tuple = uniqueTuple(row, fk.columns);
+          if (tuple !== null && keys.has(tuple)) return;
+          const allNull = fk.columns.every(
+            (c) => row[c] === null || row[c] === undefined
+          );
+          if (allNull && nullable) return;
+          assignParentTuple(row, fk, randChoice(parents, rng));
+        });
+        return;
+      }
       const parentPool = new Map();
       fk.referenceColumns.forEach((rc) => {
         parentRows.forEach((pr) => {
@@ -227,17 +1178,60 @@ export function generateDeterministicData(schema, config = {}) {
       });
       const poolValues = Array.from(parentPool.keys());
       if (!poolValues.length) return;
+      // Single-column UNIQUE FKs (one-to-one) take unused parent values first
+      const uniqueCols = new Set(
+        getUniqueKeys(tblDef)
+          .filter((cols) => cols.length === 1)
+          .map((cols) => cols[0])
+      );
+      const used = {};
+      fk.columns.forEach((c) => {
+        if (uniqueCols.has(c)) {
+          used[c] = new Set((generated[table] || []).map((r) => r[c]));
+        }
+      });
       (generated[table] || []).forEach((row) => {
         fk.columns.forEach((c) => {
           const val = row[c];
           if (val === undefined || val === null || !parentPool.has(val)) {
-            row[c] = poolValues[Math.floor(rng() * poolValues.length)];
+            const free = used[c]
+              ? poolValues.find((v) => !used[c].has(v))
+              : undefined;
+            row[c] =
+              free !== undefined
+                ? free
+                : poolValues[Math.floor(rng() * poolValues.length)];
+            if (used[c]) used[c].add(row[c]);
           }
         });
       });
     });
   });
 
+  // Consistency rules run on the reconciled data
+  if (rules.length) {
+    const adjusted = applyRules(rules, generated, schema, rng, order);
+    Object.entries(adjusted).forEach(([table, count]) => {
+      if (meta.tables[table]) meta.tables[table].ruleAdjustments = count;
+    });
+  }
+
+  // Computed columns last, once every column they read is final
+  Object.entries(computed.tables).forEach(([table, entries]) => {
+    if (!meta.tables[table]) return;
+    const columns = schema.tables[table].columns;
+    let errors = 0;
+    generated[table].forEach((row) => {
+      errors += computeRow(entries, row, columns).length;
+    });
+    meta.tables[table].computedColumns = entries.map((e) => e.column);
+    if (errors) meta.tables[table].expressionErrors = errors;
+  });
+
+  // Faults go in after everything that could repair them
+  const faults = injectFaults(schema, generated, config);
+  if (Object.keys(faults).length) meta.faults = faults;
+
   if (debug) {
     // Build per-table column stats
     const tableStats = {};
@@ -281,28 +1275,535 @@ export function generateDeterministicData(schema, config = {}) {
 
   // Optionally return meta externally without breaking existing callers
   if (config.withMeta) {
+    meta.contentHash = datasetHash(generated);
     return { data: generated, meta };
   }
 
   return generated;
 }
 
+/**
+ * Generate deterministic synthetic data.
+ * @param {Object} schema Parsed schema: { tables: { [tableName]: { columns, primaryKey, foreignKeys } } }
+ * @param {Object} config Options
+ * @param {number} [config.globalRowCount=25] Default row count per table
+ * @param {Object} [config.perTable] Map tableName -> rowCount override
+ * @param {Object} [config.nullProbability] Map of table -> { default, colName -> prob }
+ * @param {Object} [config.enumWeights] Map of table -> { colName -> { value -> weight } }
+ * @param {number|Object} [config.defaultProbability=0] Chance of using a column's DEFAULT; number or map like nullProbability
+ * @param {Object} [config.providers] Map of table -> { colName -> provider name | false } (see valueProviders.js)
+ * @param {Object} [config.cardinality] Map of table -> { fkColumns -> { min, max, oneToOne, optional, skew } } (see fkCardinality.js)
+ * @param {Object} [config.rules] Map of table -> consistency rule strings (see consistencyRules.js)
+ * @param {Object} [config.hierarchies] Map of table -> { selfFkColumns -> { maxDepth, rootRatio } } (see fkStrategies.js)
+ * @param {Object} [config.patterns] Map of table -> { colName -> regex | { regex } | { template } } (see valuePatterns.js)
+ * @param {Object} [config.expressions] Map of table -> { colName -> expression }, on top of DDL GENERATED columns (see computedColumns.js)
+ * @param {Object} [config.distributions] Map of table -> { colName -> distribution spec } (see distributions.js)
+ * @param {number|Object} [config.edgeCaseRatio=0] Share of values replaced by edge cases; number or map like nullProbability (see edgeCases.js)
+ * @param {string[]} [config.edgeCaseCategories] Edge case categories to use (default: all of EDGE_CASE_CATEGORIES)
+ * @param {Object} [config.faults] Map of table -> { pkDuplicates, fkViolations, notNullViolations, typeViolations } rates of deliberately corrupted rows, listed in meta.faults (see faultInjection.js)
+ * @param {string|Object} [config.locale='en-US'] Locale for provider values; code or map like nullProbability (see locales.js)
+ * @param {number} [config.seed] Seed for reproducible generation; every random draw uses it
+ * @param {string|number} [config.referenceDate] Anchor for dates and NOW() defaults (seeded runs default to DEFAULT_REFERENCE_DATE)
+ * @param {boolean} [config.debug] Force debug logging (or set DEBUG_DATA_GEN=true)
+ * @param {boolean} [config.withMeta] If true returns { data, meta }
+ */
+export function generateDeterministicData(schema, config = {}) {
+  const settings = runSettings(schema, config);
+  // Fail on bad rules before generating anything
+  compileRules(schema, config.rules);
+  const generated = {};
+  const tables = {};
+  settings.order.forEach((tableName) => {
+    const result = generateTableRows(
+      schema,
+      tableName,
+      generated,
+      config,
+      settings
+    );
+    if (result) tables[tableName] = result;
+  });
+  return completeDeterministicData(schema, generated, tables, config, settings);
+}
+
+// Options that need whole tables in memory (plans over all children, rules
+// over aggregates, faults copying earlier keys) and are therefore not
+// available when streaming
+export const STREAMING_UNSUPPORTED_OPTIONS = ['rules', 'cardinality', 'faults'];
+
+const STREAM_BATCH_SIZE = 1000;
+// One batch is one multi-row INSERT; keeps it under pg's 65535 parameters
+export const MAX_STREAM_BATCH_SIZE = 10000;
+// Row cap for tables whose keys cannot be streamed in constant memory
+export const MAX_STREAM_TRACKED_ROWS = 1000000;
+
+// Integer primary key columns a stream fills with the row number 1..count
+// (not those taken from a foreign key or computed): unique by construction
+function sequenceColumns(tableName, tblDef, computedCols) {
+  const fkCols = new Set(
+    (tblDef.foreignKeys || []).flatMap((fk) => fk.columns)
+  );
+  return new Set(
+    inferPrimaryKey(tableName, tblDef).filter(
+      (c) =>
+        !fkCols.has(c) &&
+        !computedCols.has(c) &&
+        /int|serial/.test((tblDef.columns?.[c]?.type || '').toLowerCase())
+    )
+  );
+}
+
+// Keys of a table that other tables reference. Integer primary key
+// sequences are the range 1..count, known before the table is produced;
+// other keys keep one entry per row (null when incomplete).
+function createKeyIndex(cols, sequenceCount) {
+  if (sequenceCount !== undefined) {
+    return {
+      sequence: true,
+      add() {},
+      at: (i) => (i < sequenceCount ? cols.map(() => i + 1) : null),
+      sample(rand) {
+        if (!sequenceCount) return null;
+        const key = Math.floor(rand() * sequenceCount) + 1;
+        return cols.map(() => key);
+      },
+    };
+  }
+  const tuples = [];
+  let complete = 0;
+  return {
+    add(row) {
+      const tuple = cols.map((c) => row[c]);
+      const ok = tuple.every((v) => v !== null && v !== undefined);
+      tuples.push(ok ? tuple : null);
+      if (ok) complete++;
+    },
+    at: (i) => tuples[i] ?? null,
+    sample(rand) {
+      if (!complete) return null;
+      for (;;) {
+        const tuple = tuples[Math.floor(rand() * tuples.length)];
+        if (tuple) return tuple;
+      }
+    },
+  };
+}
+
+/**
+ * Stream deterministic data table by table in batches, for datasets too
+ * large to hold in memory. Only keys that other tables reference are kept
+ * (integer primary keys as a bare count), plus the seen tuples of UNIQUE
+ * constraints without an integer primary key column and one level per row
+ * of self-referencing tables. Tables keeping keys other than integer
+ * sequences are limited to `maxTrackedRows` rows. Each table's rows must be
+ * consumed before the next table is requested.
+ * References closing a cycle are drawn from the parent's key range when it
+ * is an integer sequence, and are NULL (or synthetic when NOT NULL, counted
+ * as `unresolvedReferences`) otherwise.
+ * @param {Object} schema Parsed schema
+ * @param {Object} config Options of generateDeterministicData except
+ *   STREAMING_UNSUPPORTED_OPTIONS and withMeta, plus:
+ * @param {number} [config.batchSize=1000] Rows per yielded batch, at most
+ *   MAX_STREAM_BATCH_SIZE
+ * @param {number} [config.maxTrackedRows=MAX_STREAM_TRACKED_ROWS] Row cap
+ *   for tables with UNIQUE tuples or referenced keys kept per row
+ * @returns {AsyncGenerator<{ table: string, rowCount: number, rows: AsyncGenerator<Object[]>, meta: Object }>}
+ *   `meta` is the run meta, completed as tables finish
+ */
+export async function* streamDeterministicData(schema, config = {}) {
+  const unsupported = STREAMING_UNSUPPORTED_OPTIONS.filter(
+    (k) => config[k] && Object.keys(config[k]).length
+  );
+  if (unsupported.length) {
+    const err = new Error(
+      `Streaming generation does not support ${unsupported.join(
+        ', '
+      )} (they need whole tables)`
+    );
+    err.status = 400;
+    err.code = 'STREAMING_UNSUPPORTED';
+    throw err;
+  }
+  const batchSize = config.batchSize ?? STREAM_BATCH_SIZE;
+  if (
+    !Number.isInteger(batchSize) ||
+    batchSize < 1 ||
+    batchSize > MAX_STREAM_BATCH_SIZE
+  ) {
+    const err = new Error(
+      `batchSize must be an integer between 1 and ${MAX_STREAM_BATCH_SIZE}`
+    );
+    err.status = 400;
+    err.code = 'INVALID_BATCH_SIZE';
+    throw err;
+  }
+  const fkSources = buildFkSources(schema);
+  const globalCount = config.globalRowCount || 25;
+  const perTable = config.perTable || {};
+  const enumWeights = config.enumWeights || {};
+  const nullProbConfig = config.nullProbability || { default: 0 };
+  const defaultProbConfig =
+    typeof config.defaultProbability === 'number'
+      ? { default: config.defaultProbability }
+      : config.defaultProbability || { default: 0 };
+  const rng = config.seed !== undefined ? createRNG(config.seed) : Math.random;
+  const now = resolveReferenceTime(config);
+  const computed = compileExpressions(schema, config.expressions).tables;
+  const tablePatterns = compilePatterns(schema, config.patterns);
+
+  const order = topologicalSortTables(schema);
+  const strategies = foreignKeyStrategies(schema, order, config.hierarchies);
+  const meta = {
+    order,
+    ...(strategies.length && { foreignKeyStrategies: strategies }),
+    tables: {},
+    seed: config.seed ?? null,
+    referenceDate: new Date(now).toISOString(),
+    locale: columnLocale(config.locale),
+    streamed: true,
+  };
+  const rowCounts = Object.fromEntries(
+    order.map((t) => [t, perTable[t] ?? globalCount])
+  );
+  const sequences = Object.fromEntries(
+    order.map((t) => [
+      t,
+      sequenceColumns(
+        t,
+        schema.tables[t],
+        new Set((computed[t] || []).map((c) => c.column))
+      ),
+    ])
+  );
+
+  // table -> referenced columns -> key index
+  const indexes = {};
+  Object.values(schema.tables || {}).forEach((tblDef) => {
+    (tblDef.foreignKeys || []).forEach((fk) => {
+      const parentDef = schema.tables[fk.referenceTable];
+      if (!parentDef) return;
+      const sig = fk.referenceColumns.join(',');
+      indexes[fk.referenceTable] = indexes[fk.referenceTable] || {};
+      if (indexes[fk.referenceTable][sig]) return;
+      const sequence = fk.referenceColumns.every((c) =>
+        sequences[fk.referenceTable].has(c)
+      );
+      indexes[fk.referenceTable][sig] = createKeyIndex(
+        fk.referenceColumns,
+        sequence ? rowCounts[fk.referenceTable] : undefined
+      );
+    });
+  });
+
+  // UNIQUE keys with a sequence column never collide and need no seen set
+  const trackedUniqueKeys = (t) =>
+    getUniqueKeys(schema.tables[t]).filter(
+      (cols) => !cols.some((c) => sequences[t].has(c))
+    );
+  const maxTrackedRows = config.maxTrackedRows ?? MAX_STREAM_TRACKED_ROWS;
+  const tooLarge = order
+    .filter((t) => rowCounts[t] > maxTrackedRows)
+    .map((t) => {
+      const keys = [
+        ...trackedUniqueKeys(t),
+        ...Object.entries(indexes[t] || {})
+          .filter(([, index]) => !index.sequence)
+          .map(([sig]) => sig.split(',')),
+      ];
+      return keys.length
+        ? `${t} (${keys.map((k) => k.join(', ')).join('; ')})`
+        : null;
+    })
+    .filter(Boolean);
+  if (tooLarge.length) {
+    const err = new Error(
+      `Streaming keeps every key of ${tooLarge.join(', ')} in memory; ` +
+        `such tables are limited to ${maxTrackedRows} rows`
+    );
+    err.status = 400;
+    err.code = 'STREAMING_LIMIT';
+    throw err;
+  }
+
+  for (const tableName of order) {
+    const tblDef = schema.tables[tableName];
+    const rowCount = rowCounts[tableName];
+    const columns = tblDef.columns || {};
+    const pkCols = inferPrimaryKey(tableName, tblDef);
+    const tableMeta = {
+      rowCount,
+      pkCols,
+      fkCount: (tblDef.foreignKeys || []).length,
+    };
+    meta.tables[tableName] = tableMeta;
+    const uniqueKeys = getUniqueKeys(tblDef);
+    const trackedUnique = trackedUniqueKeys(tableName);
+    const uniqueState = {
+      uniqueKeys: trackedUnique,
+      seen: trackedUnique.map(() => new Set()),
+    };
+    if (uniqueKeys.length) tableMeta.uniqueKeys = uniqueKeys;
+    const checks = tblDef.checks || [];
+    if (checks.length) tableMeta.checkCount = checks.length;
+    const { providers, locales, distributions, patterns, edgeCases } =
+      columnGenerators(tableName, tblDef, pkCols, {
+        config,
+        fkSources,
+        now,
+        tableMeta,
+        patterns: tablePatterns[tableName],
+        dialect: schema.dialect?.name,
+      });
+    const edgeCounts = Object.fromEntries(
+      Object.keys(edgeCases).map((c) => [c, 0])
+    );
+
+    // FK columns draw whole tuples from the parent's key index; self
+    // references follow a hierarchy plan over earlier rows
+    const refCols = {};
+    const selfRefs = [];
+    (tblDef.foreignKeys || []).forEach((fk) => {
+      const index = indexes[fk.referenceTable]?.[fk.referenceColumns.join(',')];
+      if (!index) return;
+      const nullable = fk.columns.every((c) => columns[c]?.nullable !== false);
+      if (fk.referenceTable === tableName) {
+        const spec = hierarchySpec(config.hierarchies, tableName, fk);
+        selfRefs.push({
+          fk,
+          index,
+          nullable,
+          spec,
+          planner: hierarchyPlanner(rowCount, spec, rng),
+        });
+        return;
+      }
+      fk.columns.forEach((c) => {
+        refCols[c] = { fk, index, nullable };
+      });
+    });
+    const selfCols = new Set(selfRefs.flatMap(({ fk }) => fk.columns));
+    const computedEntries = computed[tableName] || [];
+    const computedCols = new Set(computedEntries.map((c) => c.column));
+    if (computedEntries.length) {
+      tableMeta.computedColumns = computedEntries.map((c) => c.column);
+    }
+    const ownIndexes = Object.values(indexes[tableName] || {});
+    const valueContext = (row) => ({
+      generated: {},
+      rng,
+      now,
+      checks,
+      enumWeights: enumWeights[tableName],
+      providers,
+      locales,
+      distributions,
+      patterns,
+      row,
+    });
+    const drawReference = (row, ref) => {
+      const tuple = ref.index.sample(rng);
+      if (!tuple && !ref.nullable) return false;
+      ref.fk.columns.forEach((c, idx) => {
+        row[c] = tuple ? tuple[idx] : null;
+      });
+      return true;
+    };
+    let defaultsApplied = 0;
+    let unresolved = 0;
+    let expressionErrors = 0;
+
+    const rows = (async function* produceRows() {
+      let batch = [];
+      for (let i = 0; i < rowCount; i++) {
+        const row = {};
+        const injected = new Map();
+        Object.entries(columns).forEach(([colName, colDef]) => {
+          if (colName in row) return; // set with an earlier column of the FK
+          if (selfCols.has(colName) || computedCols.has(colName)) {
+            row[colName] = null; // filled by the hierarchy / expressions below
+            return;
+          }
+          const lowerType = (colDef.type || '').toLowerCase();
+          const tableNullProb =
+            nullProbConfig[tableName]?.default ?? nullProbConfig.default ?? 0;
+          const colNullProb =
+            nullProbConfig[tableName]?.[colName] ?? tableNullProb;
+          const ref = refCols[colName];
+          if (ref) {
+            if (ref.nullable && rng() < colNullProb) {
+              ref.fk.columns.forEach((c) => {
+                row[c] = null;
+              });
+              return;
+            }
+            if (drawReference(row, ref)) return;
+            unresolved++; // NOT NULL and no parent key yet: synthetic value
+          }
+          const nullable = colDef.nullable !== false;
+          const allowNull = nullable && !pkCols.includes(colName);
+          if (allowNull && rng() < colNullProb) {
+            row[colName] = null;
+            return;
+          }
+          if (pkCols.includes(colName) && /int|serial/.test(lowerType)) {
+            row[colName] = i + 1;
+            return;
+          }
+          const colDefaultProb =
+            defaultProbConfig[tableName]?.[colName] ??
+            defaultProbConfig[tableName]?.default ??
+            defaultProbConfig.default ??
+            0;
+          const useDefault =
+            colDefaultProb > 0 &&
+            !pkCols.includes(colName) &&
+            !ref &&
+            rng() < colDefaultProb;
+          const defaultValue = useDefault
+            ? resolveDefault(colDef, now)
+            : undefined;
+          if (
+            defaultValue !== undefined &&
+            (defaultValue !== null || nullable)
+          ) {
+            row[colName] = defaultValue;
+            defaultsApplied++;
+            return;
+          }
+          const edgeValue = drawEdgeCase(edgeCases[colName], rng);
+          if (edgeValue !== undefined) {
+            row[colName] = edgeValue;
+            injected.set(colName, edgeValue);
+            return;
+          }
+          row[colName] = synthValue(
+            colName,
+            colDef,
+            i,
+            tableName,
+            valueContext(row)
+          );
+        });
+        selfRefs.forEach(({ fk, index, nullable, planner }) => {
+          const parent = planner.next();
+          const tuple = parent === null ? null : index.at(parent);
+          fk.columns.forEach((c, idx) => {
+            // Roots of a NOT NULL self reference point at themselves
+            if (tuple) row[c] = tuple[idx];
+            else row[c] = nullable ? null : row[fk.referenceColumns[idx]];
+          });
+        });
+        applyColumnChecks(row, checks, rng);
+        if (trackedUnique.length) {
+          enforceUniqueKeys(row, i, uniqueState, {
+            tableName,
+            generated: {},
+            fkSources,
+            patterns,
+            rng,
+            regenerate: (colName) => {
+              if (refCols[colName]) {
+                drawReference(row, refCols[colName]);
+                return row[colName];
+              }
+              if (selfCols.has(colName)) return row[colName];
+              return synthValue(
+                colName,
+                columns[colName],
+                i,
+                tableName,
+                valueContext(row)
+              );
+            },
+          });
+        }
+        countEdgeCases(row, injected, edgeCounts);
+        if (computedEntries.length) {
+          expressionErrors += computeRow(computedEntries, row, columns).length;
+        }
+        ownIndexes.forEach((index) => index.add(row));
+        batch.push(row);
+        if (batch.length >= batchSize) {
+          yield batch;
+          batch = [];
+        }
+      }
+      if (batch.length) yield batch;
+      if (defaultsApplied) tableMeta.defaultsApplied = defaultsApplied;
+      if (Object.keys(edgeCounts).length) tableMeta.edgeCases = edgeCounts;
+      if (unresolved) tableMeta.unresolvedReferences = unresolved;
+      if (expressionErrors) tableMeta.expressionErrors = expressionErrors;
+      selfRefs.forEach(({ fk, spec, planner }) => {
+        tableMeta.hierarchies = {
+          ...tableMeta.hierarchies,
+          [fk.columns.join(',')]: { ...spec, ...planner.stats() },
+        };
+      });
+    })();
+
+    yield { table: tableName, rowCount, rows, meta };
+    // Finish the table if the consumer did not, so later tables see its keys
+    while (!(await rows.next()).done);
+  }
+}
+
 export function validateDeterministicData(schema, data, options = {}) {
   const errors = [];
+  // With options.faults (meta.faults), violations on corrupted rows are
+  // expected and kept apart from errors
+  const faults = options.faults ? faultTracker(options.faults) : null;
+  const expected = [];
   const debug = options.debug || process.env.DEBUG_DATA_GEN === 'true';
   const report = {
     tables: {},
-    summary: { pkDuplicates: 0, fkViolations: 0, notNullViolations: 0 },
+    summary: {
+      pkDuplicates: 0,
+      uniqueViolations: 0,
+      checkViolations: 0,
+      enumViolations: 0,
+      lengthViolations: 0,
+      precisionViolations: 0,
+      fkViolations: 0,
+      notNullViolations: 0,
+      typeViolations: 0,
+      cardinalityViolations: 0,
+      ruleViolations: 0,
+      expressionViolations: 0,
+      expressionErrors: 0,
+      patternViolations: 0,
+    },
   };
+  const rules = compileRules(schema, options.rules);
+  const computed = compileExpressions(schema, options.expressions);
+  const patterns = compilePatterns(schema, options.patterns);
+  const ruleCtx = ruleContext(data);
 
   Object.entries(schema.tables || {}).forEach(([table, tblDef]) => {
     const rows = data[table] || [];
     const tReport = {
       rowCount: rows.length,
       pkDuplicates: 0,
+      uniqueViolations: 0,
+      checkViolations: 0,
+      enumViolations: 0,
+      lengthViolations: 0,
+      precisionViolations: 0,
       fkViolations: 0,
       notNullViolations: 0,
-      fkCoverage: [], // { fk: 'col->parent.col', coveredPct }
+      typeViolations: 0,
+      cardinalityViolations: 0,
+      ruleViolations: 0,
+      expressionViolations: 0,
+      expressionErrors: 0,
+      patternViolations: 0,
+      fkCoverage: [], // { fk: 'col->parent.col', coveredPct, cardinality }
+    };
+    // Count a violation of `row`; `columns` left out for whole-row findings
+    const flag = (category, message, row, columns) => {
+      tReport[category]++;
+      if (faults?.attribute(category, table, row, columns)) {
+        expected.push(message);
+      } else errors.push(message);
     };
 
     // Primary key uniqueness (single or composite)
@@ -314,69 +1815,276 @@ export function validateDeterministicData(schema, data, options = {}) {
         if (keyVals.some((v) => v === null || v === undefined)) return; // skip incomplete pk
         const compositeKey = JSON.stringify(keyVals);
         if (seen.has(compositeKey)) {
-          errors.push(
+          flag(
+            'pkDuplicates',
             `Duplicate PK ${table}(${pkCols.join(
               ','
-            )})=${compositeKey} (row ${idx})`
+            )})=${compositeKey} (row ${idx})`,
+            idx,
+            pkCols
           );
-          tReport.pkDuplicates++;
         }
         seen.add(compositeKey);
       });
       report.summary.pkDuplicates += tReport.pkDuplicates;
     }
 
+    // UNIQUE constraints (single or composite); NULL tuples never collide
+    getUniqueKeys(tblDef).forEach((cols) => {
+      const seen = new Set();
+      rows.forEach((r, idx) => {
+        const tuple = uniqueTuple(r, cols);
+        if (tuple === null) return;
+        if (seen.has(tuple)) {
+          flag(
+            'uniqueViolations',
+            `UNIQUE violation ${table}(${cols.join(',')})=${tuple} (row ${idx})`,
+            idx,
+            cols
+          );
+        }
+        seen.add(tuple);
+      });
+    });
+    report.summary.uniqueViolations += tReport.uniqueViolations;
+
+    // CHECK constraints (structured forms only; raw expressions are skipped)
+    (tblDef.checks || []).forEach((check) => {
+      if (check.kind === 'raw') return;
+      rows.forEach((r, idx) => {
+        if (!evaluateCheck(check, r)) {
+          flag(
+            'checkViolations',
+            `CHECK violation ${table} (${check.expression}) (row ${idx})`,
+            idx,
+            [check.column, check.otherColumn].filter(Boolean)
+          );
+        }
+      });
+    });
+    report.summary.checkViolations += tReport.checkViolations;
+
+    // ENUM membership
+    Object.entries(tblDef.columns || {}).forEach(([colName, colDef]) => {
+      if (!colDef.enumValues?.length) return;
+      rows.forEach((r, idx) => {
+        const v = r[colName];
+        if (v === null || v === undefined) return;
+        if (!colDef.enumValues.includes(v)) {
+          flag(
+            'enumViolations',
+            `ENUM violation ${table}.${colName} value ${v} (row ${idx})`,
+            idx,
+            [colName]
+          );
+        }
+      });
+    });
+    report.summary.enumViolations += tReport.enumViolations;
+
+    // Declared length (VARCHAR(n)) and precision / scale (NUMERIC(p,s))
+    Object.entries(tblDef.columns || {}).forEach(([colName, colDef]) => {
+      if (!colDef.length && !colDef.precision) return;
+      rows.forEach((r, idx) => {
+        const v = r[colName];
+        if (v === null || v === undefined) return;
+        if (colDef.length && String(v).length > colDef.length) {
+          flag(
+            'lengthViolations',
+            `LENGTH violation ${table}.${colName} exceeds ${colDef.length} (row ${idx})`,
+            idx,
+            [colName]
+          );
+        }
+        if (colDef.precision && Number.isFinite(Number(v))) {
+          const scale = colDef.scale ?? 0;
+          const digits = numericDigits(v);
+          if (
+            digits.integer > colDef.precision - scale ||
+            digits.fraction > scale
+          ) {
+            flag(
+              'precisionViolations',
+              `PRECISION violation ${table}.${colName} value ${v} exceeds (${colDef.precision},${scale}) (row ${idx})`,
+              idx,
+              [colName]
+            );
+          }
+        }
+      });
+    });
+    report.summary.lengthViolations += tReport.lengthViolations;
+    report.summary.precisionViolations += tReport.precisionViolations;
+
     // NOT NULL (columns explicitly marked nullable:false)
     Object.entries(tblDef.columns || {}).forEach(([colName, colDef]) => {
       if (colDef.nullable === false) {
         rows.forEach((r, idx) => {
           if (r[colName] === null || r[colName] === undefined) {
-            errors.push(`NOT NULL violation ${table}.${colName} (row ${idx})`);
-            tReport.notNullViolations++;
+            flag(
+              'notNullViolations',
+              `NOT NULL violation ${table}.${colName} (row ${idx})`,
+              idx,
+              [colName]
+            );
           }
         });
       }
     });
     report.summary.notNullViolations += tReport.notNullViolations;
 
+    // Values of the wrong type in numeric, boolean and temporal columns
+    Object.entries(tblDef.columns || {}).forEach(([colName, colDef]) => {
+      rows.forEach((r, idx) => {
+        if (!typeMismatch(r[colName], colDef)) return;
+        flag(
+          'typeViolations',
+          `TYPE violation ${table}.${colName} value ${JSON.stringify(
+            r[colName]
+          )} is not a ${colDef.type} (row ${idx})`,
+          idx,
+          [colName]
+        );
+      });
+    });
+    report.summary.typeViolations += tReport.typeViolations;
+
     // Foreign key coverage & violations
     (tblDef.foreignKeys || []).forEach((fk) => {
       const parentTable = fk.referenceTable;
       const parentRows = data[parentTable] || [];
-      // Build index on all referenced columns (only supports single-column & independent columns for coverage simple metric)
-      fk.columns.forEach((c, idx) => {
-        const parentCol = fk.referenceColumns[idx];
-        const index = new Set(
-          parentRows
-            .map((pr) => pr[parentCol])
-            .filter((v) => v !== null && v !== undefined)
-        );
-        let covered = 0;
-        let total = 0;
-        rows.forEach((r) => {
-          const val = r[c];
-          if (val !== null && val !== undefined) {
-            total++;
-            if (index.has(val)) covered++;
-            else {
-              errors.push(
-                `FK violation ${table}.${c} -> ${parentTable}.${parentCol} value ${val}`
-              );
-              tReport.fkViolations++;
-            }
-          }
-        });
-        const pct = total ? +((covered / total) * 100).toFixed(2) : 0;
-        tReport.fkCoverage.push({
-          fk: `${c}->${parentTable}.${parentCol}`,
-          coveredPct: pct,
-        });
+      // Achieved children per parent for the whole key, checked against
+      // options.cardinality when the FK has a spec
+      const cardinality = cardinalityStats(
+        rows.map((r) => fk.columns.map((c) => r[c])),
+        parentRows.map((pr) => fk.referenceColumns.map((c) => pr[c]))
+      );
+      const spec = options.cardinality?.[table]?.[fk.columns.join(',')];
+      if (spec) {
+        cardinality.expected = spec;
+        cardinality.satisfied = cardinalitySatisfied(cardinality, spec);
+        if (!cardinality.satisfied) tReport.cardinalityViolations++;
+      }
+      // Keys are checked as whole tuples; a row with any NULL key column is
+      // not checked (MATCH SIMPLE)
+      const composite = fk.columns.length > 1;
+      const childLabel = composite
+        ? `(${fk.columns.join(',')})`
+        : fk.columns[0];
+      const parentLabel = composite
+        ? `${parentTable}.(${fk.referenceColumns.join(',')})`
+        : `${parentTable}.${fk.referenceColumns[0]}`;
+      const index = new Set(
+        distinctParentRows(parentRows, fk.referenceColumns).map((pr) =>
+          uniqueTuple(pr, fk.referenceColumns)
+        )
+      );
+      let covered = 0;
+      let total = 0;
+      rows.forEach((r, idx) => {
+        const tuple = uniqueTuple(r, fk.columns);
+        if (tuple === null) return;
+        total++;
+        if (index.has(tuple)) covered++;
+        else {
+          const shown = composite ? tuple : JSON.parse(tuple)[0];
+          flag(
+            'fkViolations',
+            `FK violation ${table}.${childLabel} -> ${parentLabel} value ${shown}`,
+            idx,
+            fk.columns
+          );
+        }
+      });
+      const pct = total ? +((covered / total) * 100).toFixed(2) : 0;
+      tReport.fkCoverage.push({
+        fk: `${childLabel}->${parentLabel}`,
+        coveredPct: pct,
+        cardinality,
       });
     });
     report.summary.fkViolations += tReport.fkViolations;
+    report.summary.cardinalityViolations += tReport.cardinalityViolations;
+
+    // Consistency rules from options.rules
+    rules
+      .filter((rule) => rule.table === table)
+      .forEach((rule) => {
+        rows.forEach((r, idx) => {
+          if (evaluateRule(rule, r, ruleCtx)) return;
+          flag(
+            'ruleViolations',
+            `Rule violation ${table}: ${rule.text} (row ${idx})`,
+            idx
+          );
+        });
+      });
+    report.summary.ruleViolations += tReport.ruleViolations;
+
+    // Computed columns: DDL expressions that cannot be evaluated at all,
+    // then per row failures and stored values that disagree
+    computed.problems
+      .filter((p) => p.table === table)
+      .forEach(({ column, message }) => {
+        flag(
+          'expressionErrors',
+          `Expression error ${table}.${column}: ${message}`
+        );
+      });
+    (computed.tables[table] || []).forEach(({ column, text, tree }) => {
+      rows.forEach((r, idx) => {
+        let expected;
+        try {
+          expected = fitComputedValue(
+            evaluateExpression(tree, r),
+            tblDef.columns[column]
+          );
+        } catch (e) {
+          flag(
+            'expressionErrors',
+            `Expression error ${table}.${column}: ${e.message} (row ${idx})`,
+            idx
+          );
+          return;
+        }
+        if (sameComputedValue(r[column], expected)) return;
+        flag(
+          'expressionViolations',
+          `Expression mismatch ${table}.${column} = ${text} (row ${idx})`,
+          idx
+        );
+      });
+    });
+    report.summary.expressionViolations += tReport.expressionViolations;
+    report.summary.expressionErrors += tReport.expressionErrors;
+
+    // Regex / template patterns from options.patterns
+    Object.entries(patterns[table] || {}).forEach(([column, pattern]) => {
+      rows.forEach((r, idx) => {
+        const v = r[column];
+        if (v === null || v === undefined || pattern.test(String(v))) {
+          return;
+        }
+        flag(
+          'patternViolations',
+          `Pattern violation ${table}.${column}: ${JSON.stringify(
+            v
+          )} does not match ${pattern.source} (row ${idx})`,
+          idx,
+          [column]
+        );
+      });
+    });
+    report.summary.patternViolations += tReport.patternViolations;
     report.tables[table] = tReport;
   });
 
+  if (faults) {
+    faults.undetected().forEach(({ table, row, kind }) => {
+      errors.push(`Undetected fault ${kind} ${table} (row ${row})`);
+    });
+    report.faults = faults.report();
+  }
   const passed = errors.length === 0;
   if (debug) {
     console.log('[validation] report:', JSON.stringify(report, null, 2));
@@ -384,5 +2092,5 @@ export function validateDeterministicData(schema, data, options = {}) {
       console.log('[validation] firstErrors:', errors.slice(0, 15));
     }
   }
-  return { passed, errors, report };
+  return { passed, errors, ...(faults && { expected }), report };
 }
@@ -0,0 +1,351 @@
+// Per-column statistical distributions for the deterministic generator.
+// `config.distributions` maps table -> column -> spec, e.g.
+//   { books: { price: { type: 'normal', mean: 25, stddev: 8, min: 1 } } }
+// Numeric specs work in column units; on DATE / TIMESTAMP columns min, max
+// and mean may be dates and stddev is in days. Every draw uses the run RNG.
+
+export const DISTRIBUTION_TYPES = [
+  'uniform',
+  'normal',
+  'lognormal',
+  'zipf',
+  'categorical',
+  'fixed',
+];
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// How a column's values are represented: numbers, epoch days or seconds of day
+function columnKind(colDef) {
+  const rawType = (colDef?.type || '').toLowerCase();
+  if (/serial|int/.test(rawType)) return 'integer';
+  if (/numeric|decimal|real|double|float|money/.test(rawType)) return 'decimal';
+  if (/timestamp|datetime/.test(rawType)) return 'timestamp';
+  if (/date/.test(rawType)) return 'date';
+  if (/time/.test(rawType)) return 'time';
+  if (/bool/.test(rawType)) return 'boolean';
+  return 'text';
+}
+
+const isTemporal = (kind) => kind === 'date' || kind === 'timestamp';
+const TIME_OF_DAY = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/;
+
+// Numeric parameter in the column's units: epoch days for DATE / TIMESTAMP,
+// seconds of day for TIME, the number itself otherwise
+function toUnits(value, kind) {
+  if (value === undefined || value === null) return undefined;
+  if (typeof value === 'number') return value;
+  const text = String(value).trim();
+  if (text !== '' && Number.isFinite(Number(text))) return Number(text);
+  const time = TIME_OF_DAY.exec(text);
+  if (time) return time[1] * 3600 + time[2] * 60 + Number(time[3] || 0);
+  const ms = Date.parse(text);
+  if (Number.isNaN(ms)) return NaN;
+  return isTemporal(kind) ? ms / DAY_MS : NaN;
+}
+
+function fromUnits(value, kind, colDef) {
+  switch (kind) {
+    case 'integer':
+      return Math.round(value);
+    case 'decimal':
+      return parseFloat(value.toFixed(colDef.scale ?? 2));
+    case 'date':
+      return new Date(Math.round(value) * DAY_MS).toISOString().slice(0, 10);
+    case 'timestamp':
+      return new Date(Math.round(value * DAY_MS)).toISOString();
+    case 'time': {
+      const secs = Math.min(Math.max(Math.round(value), 0), 86399);
+      const pad = (n) => String(n).padStart(2, '0');
+      return `${pad(Math.floor(secs / 3600))}:${pad(
+        Math.floor(secs / 60) % 60
+      )}:${pad(secs % 60)}`;
+    }
+    case 'boolean':
+      return value >= 0.5;
+    default:
+      return String(parseFloat(value.toFixed(4)));
+  }
+}
+
+// Categorical keys are strings; give them the column's value type back
+function castValue(value, kind) {
+  if (typeof value !== 'string') return value;
+  if (kind === 'integer' || kind === 'decimal') {
+    const n = Number(value);
+    return Number.isNaN(n) ? value : n;
+  }
+  if (kind === 'boolean') return value === 'true';
+  return value;
+}
+
+// Standard normal draw (Box-Muller)
+function gaussian(rand) {
+  const u = 1 - rand();
+  const v = rand();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Describe what is wrong with a distribution spec.
+ * @param {Object} spec
+ * @returns {string|null} error message, null when valid
+ */
+export function distributionError(spec) {
+  if (!spec || typeof spec !== 'object') return 'spec must be an object';
+  if (!DISTRIBUTION_TYPES.includes(spec.type)) {
+    return `type must be one of: ${DISTRIBUTION_TYPES.join(', ')}`;
+  }
+  // Parameters are checked in date units so date strings pass too
+  const param = (key) => toUnits(spec[key], 'date');
+  const bad = ['min', 'max', 'mean', 'stddev', 'mu', 'sigma', 's', 'n'].find(
+    (key) => spec[key] !== undefined && !Number.isFinite(param(key))
+  );
+  if (bad) return `${bad} must be a number, date or time`;
+  if (spec.stddev !== undefined && Number(spec.stddev) < 0)
+    return 'stddev must be >= 0';
+  if (spec.sigma !== undefined && Number(spec.sigma) < 0)
+    return 'sigma must be >= 0';
+  if (
+    spec.min !== undefined &&
+    spec.max !== undefined &&
+    param('min') > param('max')
+  )
+    return 'min must not exceed max';
+  if (spec.type === 'zipf') {
+    if (spec.n !== undefined && !(Number.isInteger(spec.n) && spec.n > 0))
+      return 'n must be a positive integer';
+    if (
+      spec.values !== undefined &&
+      !(Array.isArray(spec.values) && spec.values.length)
+    )
+      return 'values must be a non-empty array';
+  }
+  if (
+    spec.type === 'fixed' &&
+    !(Array.isArray(spec.values) && spec.values.length)
+  )
+    return 'values must be a non-empty array';
+  if (spec.type === 'categorical') {
+    const weights = Object.values(spec.weights || {});
+    if (!weights.length || weights.some((w) => !(Number(w) >= 0)))
+      return 'weights must map values to non-negative numbers';
+    if (!weights.some((w) => Number(w) > 0))
+      return 'weights must not all be zero';
+  }
+  return null;
+}
+
+/**
+ * Check every spec of `config.distributions`.
+ * @param {Object} config Map of table -> { colName -> spec }
+ * @returns {string[]} messages like `books.price: stddev must be >= 0`
+ */
+export function distributionErrors(config = {}) {
+  const errors = [];
+  Object.entries(config || {}).forEach(([table, cols]) => {
+    Object.entries(cols || {}).forEach(([col, spec]) => {
+      const err = distributionError(spec);
+      if (err) errors.push(`${table}.${col}: ${err}`);
+    });
+  });
+  return errors;
+}
+
+/**
+ * Compile a spec into a sampler for one column.
+ * @param {Object} spec Distribution spec
+ * @param {Object} colDef Column definition
+ * @param {Object} [options]
+ * @param {Object} [options.bounds] CHECK bounds (columnBounds) folded into the clamps
+ * @param {number} [options.now] Reference time (ms) for default date windows
+ * @returns {{ type: string, kind: string, sample: (rand: Function) => * }}
+ */
+export function compileDistribution(spec, colDef, options = {}) {
+  const error = distributionError(spec);
+  if (error) {
+    const err = new Error(`Invalid distribution: ${error}`);
+    err.status = 400;
+    err.code = 'INVALID_DISTRIBUTION';
+    throw err;
+  }
+  const kind = columnKind(colDef);
+  const { type } = spec;
+
+  if (type === 'fixed') {
+    const values = spec.values.map((v) => castValue(v, kind));
+    return {
+      type,
+      kind,
+      sample: (rand) => values[Math.floor(rand() * values.length)],
+    };
+  }
+  if (type === 'categorical') {
+    const entries = Object.entries(spec.weights)
+      .map(([v, w]) => [castValue(v, kind), Number(w)])
+      .filter(([, w]) => w > 0);
+    const total = entries.reduce((a, [, w]) => a + w, 0);
+    return {
+      type,
+      kind,
+      sample: (rand) => {
+        let r = rand() * total;
+        for (const [v, w] of entries) {
+          r -= w;
+          if (r < 0) return v;
+        }
+        return entries[entries.length - 1][0];
+      },
+    };
+  }
+
+  // Clamp window: spec min / max intersected with CHECK bounds and the
+  // NUMERIC(p, s) limit; open sides stay infinite
+  const bounds = options.bounds || {};
+  const scale = colDef.scale ?? 2;
+  const step = kind === 'integer' ? 1 : kind === 'decimal' ? 10 ** -scale : 0;
+  const lows = [toUnits(spec.min, kind)];
+  const highs = [toUnits(spec.max, kind)];
+  const checkMin = toUnits(bounds.min, kind);
+  const checkMax = toUnits(bounds.max, kind);
+  if (Number.isFinite(checkMin))
+    lows.push(checkMin + (bounds.minExclusive ? step : 0));
+  if (Number.isFinite(checkMax))
+    highs.push(checkMax - (bounds.maxExclusive ? step : 0));
+  if (kind === 'decimal' && colDef.precision) {
+    const limit = 10 ** (colDef.precision - (colDef.scale ?? 0)) - 10 ** -scale;
+    lows.push(-limit);
+    highs.push(limit);
+  }
+  if (kind === 'time') {
+    lows.push(0);
+    highs.push(86399);
+  }
+  const lo = Math.max(...lows.filter(Number.isFinite));
+  const hi = Math.max(lo, Math.min(...highs.filter(Number.isFinite)));
+  const clamp = (v) => Math.min(Math.max(v, lo), hi);
+  const emit = (v) => fromUnits(clamp(v), kind, colDef);
+
+  // Finite window for uniform draws and default normal parameters; matches
+  // the generator's own defaults (0..100, the five years before `now`)
+  const nowDays = (options.now ?? Date.now()) / DAY_MS;
+  const [defLo, defHi] = isTemporal(kind)
+    ? [nowDays - 365 * 5, nowDays]
+    : [0, 100];
+  const width = defHi - defLo;
+  let winLo = lo;
+  let winHi = hi;
+  if (!Number.isFinite(winLo) && !Number.isFinite(winHi)) {
+    winLo = defLo;
+    winHi = defHi;
+  } else if (!Number.isFinite(winLo)) {
+    winLo = winHi - width;
+  } else if (!Number.isFinite(winHi)) {
+    winHi = winLo + width;
+  }
+
+  if (type === 'zipf') {
+    const exponent = spec.s !== undefined ? Number(spec.s) : 1;
+    const n = spec.n || spec.values?.length || 10;
+    const cdf = [];
+    let acc = 0;
+    for (let k = 1; k <= n; k++) {
+      acc += 1 / k ** exponent;
+      cdf.push(acc);
+    }
+    const values = spec.values?.map((v) => castValue(v, kind));
+    return {
+      type,
+      kind,
+      sample: (rand) => {
+        const r = rand() * acc;
+        const rank = cdf.findIndex((c) => r < c) + 1 || n;
+        return values ? values[(rank - 1) % values.length] : emit(rank);
+      },
+    };
+  }
+  if (type === 'uniform') {
+    return {
+      type,
+      kind,
+      sample: (rand) => emit(winLo + rand() * (winHi - winLo)),
+    };
+  }
+  if (type === 'normal') {
+    const mean =
+      spec.mean !== undefined ? toUnits(spec.mean, kind) : (winLo + winHi) / 2;
+    const stddev =
+      spec.stddev !== undefined ? Number(spec.stddev) : (winHi - winLo) / 6;
+    return {
+      type,
+      kind,
+      sample: (rand) => emit(mean + stddev * gaussian(rand)),
+    };
+  }
+  // lognormal: exp(mu + sigma * Z), shifted by `min` when one is given
+  const mu = spec.mu !== undefined ? Number(spec.mu) : 0;
+  const sigma = spec.sigma !== undefined ? Number(spec.sigma) : 1;
+  const offset = Number.isFinite(toUnits(spec.min, kind))
+    ? toUnits(spec.min, kind)
+    : 0;
+  return {
+    type,
+    kind,
+    sample: (rand) => emit(offset + Math.exp(mu + sigma * gaussian(rand))),
+  };
+}
+
+const round = (n) => parseFloat(n.toFixed(4));
+
+/**
+ * Realized statistics of generated values, for meta / debug output. Numeric
+ * and temporal columns report min / max / mean / median / stddev (temporal
+ * ones as dates with stddev in days); categorical ones report frequencies.
+ * @param {Object} sampler Result of compileDistribution
+ * @param {Array} values Column values (NULLs are counted, not measured)
+ * @param {Object} colDef Column definition
+ * @returns {Object}
+ */
+export function distributionStats(sampler, values, colDef) {
+  const present = values.filter((v) => v !== null && v !== undefined);
+  const stats = {
+    type: sampler.type,
+    count: present.length,
+    nulls: values.length - present.length,
+  };
+  const numericKinds = ['integer', 'decimal', 'date', 'timestamp', 'time'];
+  const units = present.map((v) => toUnits(v, sampler.kind));
+  if (
+    !numericKinds.includes(sampler.kind) ||
+    !present.length ||
+    units.some((u) => !Number.isFinite(u))
+  ) {
+    const freq = {};
+    present.forEach((v) => {
+      freq[v] = (freq[v] || 0) + 1;
+    });
+    const top = Object.entries(freq).sort((a, b) => b[1] - a[1]);
+    stats.distinct = top.length;
+    stats.frequencies = Object.fromEntries(top.slice(0, 10));
+    return stats;
+  }
+  const sorted = [...units].sort((a, b) => a - b);
+  const mean = units.reduce((a, b) => a + b, 0) / units.length;
+  const variance =
+    units.reduce((a, b) => a + (b - mean) ** 2, 0) / units.length;
+  const mid = Math.floor(sorted.length / 2);
+  const median =
+    sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  const show = (v) =>
+    sampler.kind === 'integer' || sampler.kind === 'decimal'
+      ? round(v)
+      : fromUnits(v, sampler.kind, colDef);
+  Object.assign(stats, {
+    min: show(sorted[0]),
+    max: show(sorted[sorted.length - 1]),
+    mean: show(mean),
+    median: show(median),
+    stddev: round(Math.sqrt(variance)),
+  });
+  return stats;
+}
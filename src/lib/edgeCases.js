@@ -0,0 +1,318 @@
+// Edge-case values for QA datasets. `config.edgeCaseRatio` is the share of
+// generated cells replaced by an edge case — a number, or a map like
+// nullProbability (`{ default, [table]: { default, [column] } }`) — and
+// `config.edgeCaseCategories` narrows the kinds used (default: all):
+//   length      max-length, empty and one-character strings
+//   unicode     accents, emoji, RTL scripts, combining marks, zero-width
+//   injection   SQL, HTML / script, template and path traversal payloads
+//   whitespace  padding, tabs, newlines, non-breaking spaces
+//   numeric     type minimum / maximum, zero, negative zero, smallest step
+//   temporal    leap days, epoch and 2038 boundaries, calendar extremes
+// Values always fit the column: its type, declared length / precision and
+// single-column CHECKs. Keys, references, enums, patterns and computed
+// columns never get one.
+import { evaluateCheck } from './checkConstraints.js';
+
+export const EDGE_CASE_CATEGORIES = [
+  'length',
+  'unicode',
+  'injection',
+  'whitespace',
+  'numeric',
+  'temporal',
+];
+
+// Length of `length` strings for text columns without a declared length
+const UNBOUNDED_TEXT_LENGTH = 1024;
+
+const UNICODE = [
+  'Zoë Ångström-Øre',
+  'Ñandú façade naïve',
+  'emoji 😀🎉👍🏽',
+  'family \u{1F468}\u200D\u{1F469}\u200D\u{1F467}\u200D\u{1F466}',
+  'مرحبا بالعالم',
+  'שלום עולם',
+  '漢字かなカナ',
+  '한국어 텍스트',
+  'Ελληνικά',
+  'combining e\u0301\u0300',
+  'zero\u200Bwidth\u200Djoiner',
+  'left\u202Eright override',
+  'Ｆｕｌｌｗｉｄｔｈ',
+  'ß',
+];
+
+const INJECTION = [
+  "' OR '1'='1",
+  "'; DROP TABLE users; --",
+  "Robert'); DROP TABLE students;--",
+  '" OR ""="',
+  '1; SELECT pg_sleep(0) --',
+  '<script>alert(1)</script>',
+  '"><img src=x onerror=alert(1)>',
+  "javascript:alert('x')",
+  '{{7*7}}',
+  '${7*7}',
+  '../../../etc/passwd',
+  '%00',
+];
+
+const WHITESPACE = [
+  '  padded value  ',
+  ' ',
+  'tab\tseparated',
+  'line\nbreak',
+  'carriage\r\nreturn',
+  'non\u00A0breaking\u00A0space',
+];
+
+const DATES = [
+  '1970-01-01',
+  '1969-12-31',
+  '2000-02-29',
+  '2024-02-29',
+  '1900-02-28',
+  '2038-01-19',
+  '9999-12-31',
+];
+
+const TIMESTAMPS = [
+  '1970-01-01T00:00:00.000Z',
+  '1969-12-31T23:59:59.999Z',
+  '2000-02-29T00:00:00.000Z',
+  '2024-02-29T23:59:59.999Z',
+  '2038-01-19T03:14:07.000Z',
+  '2038-01-19T03:14:08.000Z',
+  '9999-12-31T23:59:59.999Z',
+];
+
+// MySQL / MariaDB TIMESTAMP columns hold 1970-01-01 00:00:01 .. 2038-01-19 03:14:07 UTC
+const UNIX_TIMESTAMP_RANGE = [
+  '1970-01-01T00:00:01.000Z',
+  '2038-01-19T03:14:07.000Z',
+];
+
+const TIMES = ['00:00:00', '23:59:59', '12:00:00'];
+
+// Integer ranges by type; BIGINT stops at the JS safe integer range
+const INTEGER_RANGES = [
+  [/tinyint/, 0, 127],
+  [/smallint|int2|smallserial/, -32768, 32767],
+  [/mediumint/, -8388608, 8388607],
+  [/bigint|int8|bigserial/, Number.MIN_SAFE_INTEGER, Number.MAX_SAFE_INTEGER],
+  [/int|serial/, -2147483648, 2147483647],
+];
+
+const FLOAT4_MAX = 3.4028234663852886e38;
+const FLOAT4_MIN_NORMAL = 1.1754943508222875e-38;
+const FLOAT8_MIN_NORMAL = 2.2250738585072014e-308;
+
+function edgeCaseError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  err.code = 'INVALID_EDGE_CASES';
+  return err;
+}
+
+// Value kind of a column; null for kinds without edge cases (booleans, uuid,
+// JSON, binary ...)
+function columnKind(colDef) {
+  const rawType = (colDef?.type || '').toLowerCase();
+  if (/serial|int/.test(rawType)) return 'integer';
+  if (/numeric|decimal|money/.test(rawType)) return 'decimal';
+  if (/real|double|float/.test(rawType)) return 'float';
+  if (/timestamp|datetime/.test(rawType)) return 'timestamp';
+  if (/date/.test(rawType)) return 'date';
+  if (/time/.test(rawType)) return 'time';
+  if (/char|text|string|clob/.test(rawType)) return 'text';
+  return null;
+}
+
+function integerValues(colDef, dialect) {
+  const rawType = (colDef.type || '').toLowerCase();
+  // SQL Server TINYINT is unsigned (0..255)
+  if (dialect === 'tsql' && rawType === 'tinyint') return [0, 1, 255];
+  const [, min, max] = INTEGER_RANGES.find(([re]) => re.test(rawType));
+  // Unsigned columns and sequences only hold non-negative values
+  if (/unsigned/.test(rawType) || /serial/.test(rawType)) {
+    return [0, 1, /unsigned/.test(rawType) ? max * 2 + 1 : max];
+  }
+  return [min, max, 0, -1, 1];
+}
+
+function decimalValues(colDef) {
+  const scale = colDef.scale ?? (colDef.precision ? 0 : 2);
+  const step = 10 ** -scale;
+  const max = colDef.precision
+    ? parseFloat((10 ** (colDef.precision - scale) - step).toFixed(scale))
+    : 1e15;
+  return [max, -max, step, -step, 0, -0];
+}
+
+function floatValues(colDef) {
+  const single = !/double|float8/.test((colDef.type || '').toLowerCase());
+  const max = single ? FLOAT4_MAX : Number.MAX_VALUE;
+  const tiny = single ? FLOAT4_MIN_NORMAL : FLOAT8_MIN_NORMAL;
+  return [max, -max, tiny, -tiny, 0, -0];
+}
+
+function textValues(category, colDef) {
+  switch (category) {
+    case 'length':
+      return ['x'.repeat(colDef.length || UNBOUNDED_TEXT_LENGTH), '', 'x'];
+    case 'unicode':
+      return UNICODE;
+    case 'injection':
+      return INJECTION;
+    case 'whitespace':
+      return WHITESPACE;
+    default:
+      return [];
+  }
+}
+
+function temporalValues(kind, colDef, dialect) {
+  if (kind === 'date') return DATES;
+  if (kind === 'time') return TIMES;
+  const nativeType = (colDef.nativeType || colDef.type || '').toLowerCase();
+  if (
+    (dialect === 'mysql' || dialect === 'mariadb') &&
+    nativeType === 'timestamp'
+  ) {
+    return TIMESTAMPS.filter(
+      (v) => v >= UNIX_TIMESTAMP_RANGE[0] && v <= UNIX_TIMESTAMP_RANGE[1]
+    );
+  }
+  return TIMESTAMPS;
+}
+
+/**
+ * Edge-case values of one category that fit a column.
+ * @param {string} category One of EDGE_CASE_CATEGORIES
+ * @param {Object} colDef Column definition
+ * @param {Object} [options]
+ * @param {Object[]} [options.checks] Table CHECKs (single-column ones filter values)
+ * @param {string} [options.column] Column name the checks refer to
+ * @param {string} [options.dialect] Canonical dialect key
+ * @returns {Array}
+ */
+export function edgeCaseValues(category, colDef, options = {}) {
+  const kind = columnKind(colDef);
+  let values = [];
+  if (kind === 'text') values = textValues(category, colDef);
+  else if (category === 'numeric' && kind === 'integer')
+    values = integerValues(colDef, options.dialect);
+  else if (category === 'numeric' && kind === 'decimal')
+    values = decimalValues(colDef);
+  else if (category === 'numeric' && kind === 'float')
+    values = floatValues(colDef);
+  else if (
+    category === 'temporal' &&
+    ['date', 'timestamp', 'time'].includes(kind)
+  )
+    values = temporalValues(kind, colDef, options.dialect);
+  const checks = (options.checks || []).filter(
+    (c) => c.column === options.column && c.kind !== 'columnCompare'
+  );
+  return values.filter(
+    (v) =>
+      (typeof v !== 'string' || !colDef.length || v.length <= colDef.length) &&
+      checks.every((c) => evaluateCheck(c, { [options.column]: v }))
+  );
+}
+
+/**
+ * Describe what is wrong with the edge-case options of a config.
+ * @param {Object} config { edgeCaseRatio, edgeCaseCategories }
+ * @returns {string[]} messages like `edgeCaseRatio.books.title must be a ratio between 0 and 1`
+ */
+export function edgeCaseErrors(config = {}) {
+  const errors = [];
+  const ratio = (value, path) => {
+    if (!(typeof value === 'number' && value >= 0 && value <= 1))
+      errors.push(`${path} must be a ratio between 0 and 1`);
+  };
+  const { edgeCaseRatio, edgeCaseCategories } = config || {};
+  if (edgeCaseRatio !== undefined && edgeCaseRatio !== null) {
+    if (typeof edgeCaseRatio === 'object') {
+      Object.entries(edgeCaseRatio).forEach(([table, value]) => {
+        if (table === 'default' || typeof value !== 'object' || !value) {
+          ratio(value, `edgeCaseRatio.${table}`);
+          return;
+        }
+        Object.entries(value).forEach(([col, v]) =>
+          ratio(v, `edgeCaseRatio.${table}.${col}`)
+        );
+      });
+    } else ratio(edgeCaseRatio, 'edgeCaseRatio');
+  }
+  if (edgeCaseCategories !== undefined && edgeCaseCategories !== null) {
+    if (!Array.isArray(edgeCaseCategories) || !edgeCaseCategories.length) {
+      errors.push('edgeCaseCategories must be a non-empty array');
+    } else {
+      const unknown = edgeCaseCategories.filter(
+        (c) => !EDGE_CASE_CATEGORIES.includes(c)
+      );
+      if (unknown.length)
+        errors.push(
+          `Unknown edge case categories ${unknown.join(
+            ', '
+          )} (available: ${EDGE_CASE_CATEGORIES.join(', ')})`
+        );
+    }
+  }
+  return errors;
+}
+
+// Ratio for one column from a number or a nullProbability-style map
+function columnRatio(config, tableName, colName) {
+  if (typeof config === 'number') return config;
+  const tableConfig = config?.[tableName];
+  if (typeof tableConfig === 'number') return tableConfig;
+  return tableConfig?.[colName] ?? tableConfig?.default ?? config?.default ?? 0;
+}
+
+/**
+ * Edge-case pickers of a table's columns. `eligible` columns are the ones
+ * the generator synthesizes freely (no keys, references, enums, patterns
+ * or computed columns).
+ * @param {string} tableName
+ * @param {Object} tblDef Table definition
+ * @param {Object} config { edgeCaseRatio, edgeCaseCategories }
+ * @param {Object} [options]
+ * @param {(colName: string) => boolean} [options.eligible]
+ * @param {string} [options.dialect] Canonical dialect key
+ * @returns {Object} Map colName -> { ratio, pick(rand) }
+ */
+export function compileEdgeCases(tableName, tblDef, config = {}, options = {}) {
+  if (!config.edgeCaseRatio) return {};
+  const errors = edgeCaseErrors(config);
+  if (errors.length)
+    throw edgeCaseError(`Invalid edge cases: ${errors.join('; ')}`);
+  const categories = config.edgeCaseCategories || EDGE_CASE_CATEGORIES;
+  const eligible = options.eligible || (() => true);
+  const pickers = {};
+  Object.entries(tblDef.columns || {}).forEach(([colName, colDef]) => {
+    const ratio = columnRatio(config.edgeCaseRatio, tableName, colName);
+    if (!(ratio > 0) || !eligible(colName, colDef)) return;
+    const pools = categories
+      .map((category) =>
+        edgeCaseValues(category, colDef, {
+          checks: tblDef.checks,
+          column: colName,
+          dialect: options.dialect,
+        })
+      )
+      .filter((values) => values.length);
+    if (!pools.length) return;
+    pickers[colName] = {
+      ratio,
+      // Category first, so one long list does not crowd out the others
+      pick: (rand) => {
+        const pool = pools[Math.floor(rand() * pools.length)];
+        return pool[Math.floor(rand() * pool.length)];
+      },
+    };
+  });
+  return pickers;
+}
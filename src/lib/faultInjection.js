@@ -0,0 +1,453 @@
+// Controlled constraint violations for negative testing (e.g. of ETL
+// rejection logic). `config.faults` maps tables to the share of their rows
+// corrupted per kind: `{ orders: { fkViolations: 0.05, pkDuplicates: 0.01 } }`
+//   pkDuplicates       the row takes the primary key of an earlier row; rows
+//                      referencing its old key follow it
+//   fkViolations       one foreign key points at a parent key that does not exist
+//   notNullViolations  a NOT NULL column is set to NULL
+//   typeViolations     a numeric, boolean or temporal column holds a string
+// Each kind corrupts exactly round(rate * rows) rows and a row is corrupted
+// at most once. Columns other tables reference are never touched, so the
+// damage stays on the chosen rows. The record of corrupted rows (meta.faults)
+// lets validateDeterministicData tell expected violations from unexpected ones.
+
+export const FAULT_KINDS = [
+  'pkDuplicates',
+  'fkViolations',
+  'notNullViolations',
+  'typeViolations',
+];
+
+// Strings no column of the family accepts
+const WRONG_TYPE_VALUES = {
+  number: 'not_a_number',
+  boolean: 'not_a_boolean',
+  temporal: 'not_a_date',
+};
+
+const BOOLEAN_STRINGS = new Set([
+  'true',
+  'false',
+  't',
+  'f',
+  'yes',
+  'no',
+  'y',
+  'n',
+  '0',
+  '1',
+]);
+
+const TIME_OF_DAY = /^\d{1,2}:\d{2}(:\d{2}(\.\d+)?)?$/;
+
+function faultError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  err.code = 'INVALID_FAULTS';
+  return err;
+}
+
+// Type family whose values are checked; null for columns any value fits
+function typeFamily(colDef) {
+  const rawType = (colDef?.type || '').toLowerCase();
+  if (/^bool/.test(rawType)) return 'boolean';
+  if (
+    /\b(tiny|small|medium|big)?int(eger|[248])?\b|serial|numeric|decimal|real|double|float/.test(
+      rawType
+    )
+  )
+    return 'number';
+  if (/date|time/.test(rawType)) return 'temporal';
+  return null;
+}
+
+/**
+ * Whether a value does not fit a numeric, boolean or temporal column.
+ * Lenient: numeric strings, 0 / 1 and 'true' / 'false' style booleans,
+ * parseable dates and times of day all fit. NULL and other column types
+ * always fit.
+ * @param {*} value
+ * @param {Object} colDef Column definition
+ * @returns {boolean}
+ */
+export function typeMismatch(value, colDef) {
+  if (value === null || value === undefined) return false;
+  switch (typeFamily(colDef)) {
+    case 'number':
+      if (typeof value === 'number') return !Number.isFinite(value);
+      if (typeof value === 'bigint') return false;
+      return !(
+        typeof value === 'string' &&
+        value.trim() !== '' &&
+        Number.isFinite(Number(value))
+      );
+    case 'boolean':
+      if (typeof value === 'boolean' || value === 0 || value === 1) {
+        return false;
+      }
+      return !(
+        typeof value === 'string' && BOOLEAN_STRINGS.has(value.toLowerCase())
+      );
+    case 'temporal':
+      if (value instanceof Date) return Number.isNaN(value.getTime());
+      if (typeof value === 'number') return !Number.isFinite(value);
+      return !(
+        typeof value === 'string' &&
+        (TIME_OF_DAY.test(value) || !Number.isNaN(Date.parse(value)))
+      );
+    default:
+      return false;
+  }
+}
+
+/**
+ * Describe what is wrong with a faults config.
+ * @param {Object} faults Map of table -> { [kind]: rate }
+ * @returns {string[]} messages like `faults.orders.pkDuplicates must be a ratio between 0 and 1`
+ */
+export function faultErrors(faults) {
+  if (faults === undefined || faults === null) return [];
+  if (typeof faults !== 'object' || Array.isArray(faults)) {
+    return ['faults must map tables to { kind: rate }'];
+  }
+  const errors = [];
+  Object.entries(faults).forEach(([table, rates]) => {
+    if (!rates || typeof rates !== 'object' || Array.isArray(rates)) {
+      errors.push(`faults.${table} must map fault kinds to rates`);
+      return;
+    }
+    let total = 0;
+    Object.entries(rates).forEach(([kind, rate]) => {
+      if (!FAULT_KINDS.includes(kind)) {
+        errors.push(
+          `Unknown fault kind faults.${table}.${kind} (available: ${FAULT_KINDS.join(
+            ', '
+          )})`
+        );
+      } else if (!(typeof rate === 'number' && rate >= 0 && rate <= 1)) {
+        errors.push(`faults.${table}.${kind} must be a ratio between 0 and 1`);
+      } else total += rate;
+    });
+    // A row is corrupted at most once
+    if (total > 1) errors.push(`faults.${table} rates add up to more than 1`);
+  });
+  return errors;
+}
+
+function tupleKey(row, cols) {
+  const vals = cols.map((c) => row[c]);
+  if (vals.some((v) => v === null || v === undefined)) return null;
+  return JSON.stringify(vals);
+}
+
+// Unique keys of a table, primary key included
+function keyColumnSets(tblDef) {
+  const keys = [...(tblDef.uniqueKeys || [])];
+  if (tblDef.primaryKey?.length) keys.push(tblDef.primaryKey);
+  Object.entries(tblDef.columns || {}).forEach(([colName, colDef]) => {
+    if (colDef.unique) keys.push([colName]);
+  });
+  return keys;
+}
+
+// References into `table` from every table, self references included
+function incomingReferences(tables, table) {
+  return Object.entries(tables).flatMap(([child, def]) =>
+    (def.foreignKeys || [])
+      .filter((fk) => fk.referenceTable === table)
+      .map((fk) => ({ child, def, fk }))
+  );
+}
+
+// Rows whose key a child row reads through a FK that is part of one of the
+// child's keys: moving those children could duplicate a child key
+function pinnedRows(tables, data, table) {
+  const pinned = new Set();
+  const rows = data[table] || [];
+  incomingReferences(tables, table).forEach(({ child, def, fk }) => {
+    const keyed = keyColumnSets(def).some((cols) =>
+      cols.some((c) => fk.columns.includes(c))
+    );
+    if (!keyed) return;
+    const used = new Set(
+      (data[child] || []).map((r) => tupleKey(r, fk.columns)).filter(Boolean)
+    );
+    rows.forEach((r, i) => {
+      if (used.has(tupleKey(r, fk.referenceColumns))) pinned.add(i);
+    });
+  });
+  return pinned;
+}
+
+// Point children of a row's old key at its new key
+function repointChildren(tables, data, table, before, after) {
+  incomingReferences(tables, table).forEach(({ child, fk }) => {
+    const from = tupleKey(before, fk.referenceColumns);
+    if (from === null || from === tupleKey(after, fk.referenceColumns)) return;
+    (data[child] || []).forEach((r) => {
+      if (tupleKey(r, fk.columns) !== from) return;
+      fk.columns.forEach((c, k) => {
+        r[c] = after[fk.referenceColumns[k]];
+      });
+    });
+  });
+}
+
+// Values for a FK column that no parent row holds
+function orphanMaker(colDef, parentValues) {
+  if (typeFamily(colDef) === 'number') {
+    let next =
+      parentValues.reduce((max, v) => {
+        const n = Number(v);
+        return Number.isFinite(n) && n > max ? n : max;
+      }, 0) + 1;
+    next = Math.floor(next);
+    return () => next++;
+  }
+  const taken = new Set(parentValues.map(String));
+  const uuid = /uuid|uniqueidentifier/.test((colDef?.type || '').toLowerCase());
+  let n = 0;
+  return () => {
+    for (;;) {
+      n++;
+      let value = uuid
+        ? `00000000-0000-4000-8000-${n.toString(16).padStart(12, '0')}`
+        : `orphan_${n}`;
+      if (colDef?.length && value.length > colDef.length) {
+        value = n.toString(36);
+        if (value.length > colDef.length) {
+          throw faultError(
+            `No value left for a broken reference in a column of length ${colDef.length}`
+          );
+        }
+      }
+      if (!taken.has(value)) return value;
+    }
+  };
+}
+
+// Distinct random picks, ascending (partial Fisher-Yates)
+function sampleRows(candidates, count, rand) {
+  const pool = [...candidates];
+  for (let k = 0; k < count; k++) {
+    const r = k + Math.floor(rand() * (pool.length - k));
+    [pool[k], pool[r]] = [pool[r], pool[k]];
+  }
+  return pool.slice(0, count).sort((a, b) => a - b);
+}
+
+// How many entries of the sorted `values` are below `limit`
+function countBelow(values, limit) {
+  let lo = 0;
+  let hi = values.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (values[mid] < limit) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * Corrupt rows of a generated dataset as `faults` asks.
+ * @param {Object} schema Parsed schema
+ * @param {Object} data Map of table -> rows (modified in place)
+ * @param {Object} faults Map of table -> { [kind]: rate } (see FAULT_KINDS)
+ * @param {() => number} [rand=Math.random]
+ * @returns {Object} Map of table -> [{ row, kind, columns, duplicateOf? }],
+ *   by row; `duplicateOf` is the row whose primary key was copied
+ */
+export function applyFaults(schema, data, faults, rand = Math.random) {
+  if (!faults || !Object.keys(faults).length) return {};
+  const errors = faultErrors(faults);
+  if (errors.length) throw faultError(`Invalid faults: ${errors.join('; ')}`);
+  const tables = schema.tables || {};
+  const referenced = new Set();
+  Object.values(tables).forEach((def) =>
+    (def.foreignKeys || []).forEach((fk) =>
+      fk.referenceColumns.forEach((c) =>
+        referenced.add(`${fk.referenceTable}.${c}`)
+      )
+    )
+  );
+  const unknown = Object.keys(faults).filter((t) => !tables[t]);
+  if (unknown.length) {
+    throw faultError(`Invalid faults: unknown table(s) ${unknown.join(', ')}`);
+  }
+
+  // Rows are chosen for every table first: a key copied by pkDuplicates may
+  // belong to another table's row that is then corrupted
+  const plans = Object.entries(faults).map(([table, rates]) => {
+    const tblDef = tables[table];
+    const rows = data[table] || [];
+    const cols = tblDef.columns || {};
+    const pk = tblDef.primaryKey || [];
+    const fkCols = new Set(
+      (tblDef.foreignKeys || []).flatMap((f) => f.columns)
+    );
+    const free = (c) => !pk.includes(c) && !referenced.has(`${table}.${c}`);
+    const targets = {
+      pkDuplicates: pk.length ? [pk] : [],
+      fkViolations: (tblDef.foreignKeys || []).filter((fk) =>
+        fk.columns.every((c) => !referenced.has(`${table}.${c}`))
+      ),
+      notNullViolations: Object.keys(cols).filter(
+        (c) => cols[c].nullable === false && free(c)
+      ),
+      typeViolations: Object.keys(cols).filter(
+        (c) => typeFamily(cols[c]) && free(c) && !fkCols.has(c)
+      ),
+    };
+    const missing = {
+      pkDuplicates: 'has no primary key',
+      fkViolations: 'has no foreign key that can be broken',
+      notNullViolations: 'has no NOT NULL column that can be nulled',
+      typeViolations:
+        'has no numeric, boolean or temporal column that can be corrupted',
+    };
+    const used = new Set();
+    const picked = {};
+    let sources = [];
+    // Duplicated keys are copied from rows whose key stays intact, so they
+    // are chosen last
+    [
+      'fkViolations',
+      'notNullViolations',
+      'typeViolations',
+      'pkDuplicates',
+    ].forEach((kind) => {
+      const count = Math.round((rates[kind] || 0) * rows.length);
+      if (!count) return;
+      if (!targets[kind].length) {
+        throw faultError(
+          `Invalid faults: faults.${table}.${kind}: ${table} ${missing[kind]}`
+        );
+      }
+      let candidates = rows.map((_, i) => i).filter((i) => !used.has(i));
+      if (kind === 'pkDuplicates') {
+        const broken = new Set(picked.fkViolations || []);
+        sources = rows.map((_, i) => i).filter((i) => !broken.has(i));
+        const pinned = pinnedRows(tables, data, table);
+        candidates = candidates.filter((i) => i > sources[0] && !pinned.has(i));
+      }
+      if (count > candidates.length) {
+        throw faultError(
+          `Invalid faults: faults.${table}.${kind} asks for ${count} rows, only ${candidates.length} can be corrupted`
+        );
+      }
+      picked[kind] = sampleRows(candidates, count, rand);
+      picked[kind].forEach((i) => used.add(i));
+    });
+    return { table, tblDef, rows, targets, picked, sources };
+  });
+
+  const record = {};
+  plans.forEach(({ table, tblDef, rows, targets, picked, sources }) => {
+    const entries = [];
+    const pk = tblDef.primaryKey || [];
+    (picked.pkDuplicates || []).forEach((i) => {
+      const j = sources[Math.floor(rand() * countBelow(sources, i))];
+      const before = { ...rows[i] };
+      pk.forEach((c) => {
+        rows[i][c] = rows[j][c];
+      });
+      repointChildren(tables, data, table, before, rows[i]);
+      entries.push({
+        row: i,
+        kind: 'pkDuplicates',
+        columns: [...pk],
+        duplicateOf: j,
+      });
+    });
+    const makers = new Map();
+    (picked.fkViolations || []).forEach((i) => {
+      const fk =
+        targets.fkViolations[Math.floor(rand() * targets.fkViolations.length)];
+      if (!makers.has(fk)) {
+        const parentRows = data[fk.referenceTable] || [];
+        makers.set(
+          fk,
+          fk.columns.map((c, k) =>
+            orphanMaker(
+              tblDef.columns?.[c],
+              parentRows.map((p) => p[fk.referenceColumns[k]])
+            )
+          )
+        );
+      }
+      const next = makers.get(fk);
+      fk.columns.forEach((c, k) => {
+        rows[i][c] = next[k]();
+      });
+      entries.push({ row: i, kind: 'fkViolations', columns: [...fk.columns] });
+    });
+    (picked.notNullViolations || []).forEach((i) => {
+      const cols = targets.notNullViolations;
+      const c = cols[Math.floor(rand() * cols.length)];
+      rows[i][c] = null;
+      entries.push({ row: i, kind: 'notNullViolations', columns: [c] });
+    });
+    (picked.typeViolations || []).forEach((i) => {
+      const cols = targets.typeViolations;
+      const c = cols[Math.floor(rand() * cols.length)];
+      rows[i][c] = WRONG_TYPE_VALUES[typeFamily(tblDef.columns[c])];
+      entries.push({ row: i, kind: 'typeViolations', columns: [c] });
+    });
+    if (entries.length) record[table] = entries.sort((a, b) => a.row - b.row);
+  });
+  return record;
+}
+
+/**
+ * Attribution of validation findings to a record of corrupted rows. A
+ * finding is expected when it falls on a corrupted row and, when it names
+ * columns, on one of the corrupted columns.
+ * @param {Object} record Map of table -> [{ row, kind, columns }] (meta.faults)
+ * @returns {{ attribute: Function, undetected: Function, report: Function }}
+ */
+export function faultTracker(record = {}) {
+  const byRow = {};
+  let injected = 0;
+  Object.entries(record || {}).forEach(([table, entries]) => {
+    byRow[table] = new Map(
+      entries.map((e) => [e.row, { ...e, detected: false }])
+    );
+    injected += entries.length;
+  });
+  const expected = {};
+  const unexpected = {};
+  return {
+    /**
+     * Count one finding; true when it is expected.
+     * @param {string} category Validation summary key
+     * @param {string} table
+     * @param {number} [row]
+     * @param {string[]} [columns] Omitted for findings about the whole row
+     */
+    attribute(category, table, row, columns) {
+      const fault = byRow[table]?.get(row);
+      const hit =
+        !!fault && (!columns || columns.some((c) => fault.columns.includes(c)));
+      const counts = hit ? expected : unexpected;
+      counts[category] = (counts[category] || 0) + 1;
+      if (hit && fault.kind === category) fault.detected = true;
+      return hit;
+    },
+    // Corrupted rows no finding of their kind pointed at
+    undetected() {
+      return Object.entries(byRow).flatMap(([table, faults]) =>
+        [...faults.values()]
+          .filter((f) => !f.detected)
+          .map(({ row, kind }) => ({ table, row, kind }))
+      );
+    },
+    report() {
+      return {
+        injected,
+        expected,
+        unexpected,
+        undetected: this.undetected().length,
+      };
+    },
+  };
+}
@@ -0,0 +1,206 @@
+// Foreign key cardinality controls. `config.cardinality` maps child table ->
+// FK columns (comma separated for composite keys) -> spec, e.g.
+//   { books: { author_id: { min: 1, max: 5, skew: 1.2, optional: 0.1 } } }
+// min / max bound the children per parent, oneToOne pairs every parent with
+// exactly one child, optional is the share of NULL references (nullable FKs
+// only) and skew is a power-law exponent favouring a few popular parents.
+
+const SPEC_KEYS = ['min', 'max', 'oneToOne', 'optional', 'skew'];
+
+/**
+ * Describe what is wrong with a cardinality spec.
+ * @param {Object} spec
+ * @returns {string|null} error message, null when valid
+ */
+export function cardinalityError(spec) {
+  if (!spec || typeof spec !== 'object') return 'spec must be an object';
+  const unknown = Object.keys(spec).find((k) => !SPEC_KEYS.includes(k));
+  if (unknown) return `unknown option ${unknown}`;
+  const count = (k) =>
+    spec[k] === undefined || (Number.isInteger(spec[k]) && spec[k] >= 0);
+  if (!count('min')) return 'min must be a non-negative integer';
+  if (!count('max')) return 'max must be a non-negative integer';
+  if (spec.min !== undefined && spec.max !== undefined && spec.min > spec.max)
+    return 'min must not exceed max';
+  if (spec.oneToOne !== undefined && typeof spec.oneToOne !== 'boolean')
+    return 'oneToOne must be a boolean';
+  if (spec.oneToOne && (spec.min !== undefined || spec.max !== undefined))
+    return 'oneToOne cannot be combined with min / max';
+  if (
+    spec.optional !== undefined &&
+    !(
+      typeof spec.optional === 'number' &&
+      spec.optional >= 0 &&
+      spec.optional <= 1
+    )
+  )
+    return 'optional must be a ratio between 0 and 1';
+  if (
+    spec.skew !== undefined &&
+    !(
+      typeof spec.skew === 'number' &&
+      Number.isFinite(spec.skew) &&
+      spec.skew >= 0
+    )
+  )
+    return 'skew must be a non-negative number';
+  return null;
+}
+
+/**
+ * Check every spec of `config.cardinality`.
+ * @param {Object} config Map of table -> { fkColumns -> spec }
+ * @returns {string[]} messages like `books.author_id: min must not exceed max`
+ */
+export function cardinalityErrors(config = {}) {
+  const errors = [];
+  Object.entries(config || {}).forEach(([table, fks]) => {
+    Object.entries(fks || {}).forEach(([cols, spec]) => {
+      const err = cardinalityError(spec);
+      if (err) errors.push(`${table}.${cols}: ${err}`);
+    });
+  });
+  return errors;
+}
+
+/**
+ * Spec configured for one foreign key of a table, if any.
+ * @param {Object} config config.cardinality
+ * @param {string} tableName Child table
+ * @param {Object} fk Foreign key ({ columns })
+ * @returns {Object|null}
+ */
+export function fkCardinalitySpec(config, tableName, fk) {
+  const spec = config?.[tableName]?.[fk.columns.join(',')];
+  if (!spec) return null;
+  const err = cardinalityError(spec);
+  if (err) {
+    const e = new Error(
+      `Invalid cardinality for ${tableName}.${fk.columns.join(',')}: ${err}`
+    );
+    e.status = 400;
+    e.code = 'INVALID_CARDINALITY';
+    throw e;
+  }
+  return spec;
+}
+
+// Children-per-parent window of a spec
+function childBounds(spec) {
+  if (spec.oneToOne) return { min: 1, max: 1 };
+  return { min: spec.min ?? 0, max: spec.max ?? Infinity };
+}
+
+function shuffle(arr, rand) {
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(rand() * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+}
+
+/**
+ * Assign a parent to each child row. Every parent first receives `min`
+ * children (most popular first when skewed), the rest are drawn by weight
+ * among parents still under `max`. Children left without a parent become
+ * NULL on nullable FKs; on NOT NULL ones they go over `max`.
+ * @param {number} parentCount Number of parent keys
+ * @param {number} childCount Number of child rows
+ * @param {Object} spec Cardinality spec
+ * @param {Function} rand Seeded RNG
+ * @param {boolean} nullable Whether the FK accepts NULL
+ * @returns {(number|null)[]} parent index (or null) per child row
+ */
+export function planAssignments(parentCount, childCount, spec, rand, nullable) {
+  const { min, max } = childBounds(spec);
+  const nulls = nullable ? Math.round((spec.optional || 0) * childCount) : 0;
+  const target = childCount - nulls;
+  // Popularity ranks are shuffled so the favoured parents vary by seed
+  const ranked = shuffle(
+    Array.from({ length: parentCount }, (_, i) => i),
+    rand
+  );
+  const weights = new Array(parentCount);
+  ranked.forEach((p, r) => {
+    weights[p] = 1 / (r + 1) ** (spec.skew || 0);
+  });
+  const counts = new Array(parentCount).fill(0);
+  const picks = [];
+  for (let round = 0; round < min && picks.length < target; round++) {
+    for (const p of ranked) {
+      if (picks.length >= target) break;
+      picks.push(p);
+      counts[p]++;
+    }
+  }
+  const weightedPick = (candidates) => {
+    const total = candidates.reduce((a, p) => a + weights[p], 0);
+    let r = rand() * total;
+    for (const p of candidates) {
+      r -= weights[p];
+      if (r < 0) return p;
+    }
+    return candidates[candidates.length - 1];
+  };
+  const open = ranked.filter((p) => counts[p] < max);
+  while (picks.length < target && open.length) {
+    const p = weightedPick(open);
+    picks.push(p);
+    counts[p]++;
+    if (counts[p] >= max) open.splice(open.indexOf(p), 1);
+  }
+  const plan = [...picks, ...new Array(childCount - picks.length).fill(null)];
+  if (!nullable && parentCount) {
+    for (let i = picks.length; i < childCount; i++)
+      plan[i] = weightedPick(ranked);
+  }
+  return shuffle(plan, rand);
+}
+
+/**
+ * Achieved children-per-parent figures of one foreign key.
+ * @param {Array[]} childTuples FK values per child row
+ * @param {Array[]} parentTuples Referenced key values per parent row
+ * @returns {{ parents: number, childless: number, minChildren: number, maxChildren: number, meanChildren: number, nullPct: number }}
+ */
+export function cardinalityStats(childTuples, parentTuples) {
+  const counts = new Map();
+  parentTuples.forEach((t) => {
+    if (t.every((v) => v !== null && v !== undefined))
+      counts.set(JSON.stringify(t), 0);
+  });
+  let nulls = 0;
+  childTuples.forEach((t) => {
+    if (t.some((v) => v === null || v === undefined)) {
+      nulls++;
+      return;
+    }
+    const key = JSON.stringify(t);
+    if (counts.has(key)) counts.set(key, counts.get(key) + 1);
+  });
+  const values = [...counts.values()];
+  return {
+    parents: values.length,
+    childless: values.filter((n) => n === 0).length,
+    minChildren: values.length ? values.reduce((a, b) => Math.min(a, b)) : 0,
+    maxChildren: values.length ? values.reduce((a, b) => Math.max(a, b)) : 0,
+    meanChildren: values.length
+      ? +(values.reduce((a, b) => a + b, 0) / values.length).toFixed(2)
+      : 0,
+    nullPct: childTuples.length
+      ? +((nulls / childTuples.length) * 100).toFixed(2)
+      : 0,
+  };
+}
+
+/**
+ * Whether achieved figures meet a spec's children-per-parent window.
+ * @param {Object} stats Result of cardinalityStats
+ * @param {Object} spec Cardinality spec
+ * @returns {boolean}
+ */
+export function cardinalitySatisfied(stats, spec) {
+  if (!stats.parents) return true;
+  const { min, max } = childBounds(spec);
+  return stats.minChildren >= min && stats.maxChildren <= max;
+}
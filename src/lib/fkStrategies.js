@@ -0,0 +1,166 @@
+// Strategies for foreign keys that cannot simply point at an earlier table:
+// self references are built as hierarchies (`config.hierarchies` maps table
+// -> FK columns -> { maxDepth, rootRatio }) and references closing a cycle
+// are inserted in two phases (NULL first, UPDATE once the parent exists).
+
+const SPEC_KEYS = ['maxDepth', 'rootRatio'];
+
+export const DEFAULT_HIERARCHY = { maxDepth: 4, rootRatio: 0.1 };
+
+/**
+ * Describe what is wrong with a hierarchy spec.
+ * @param {Object} spec
+ * @returns {string|null} error message, null when valid
+ */
+export function hierarchyError(spec) {
+  if (!spec || typeof spec !== 'object') return 'spec must be an object';
+  const unknown = Object.keys(spec).find((k) => !SPEC_KEYS.includes(k));
+  if (unknown) return `unknown option ${unknown}`;
+  if (
+    spec.maxDepth !== undefined &&
+    !(Number.isInteger(spec.maxDepth) && spec.maxDepth >= 1)
+  )
+    return 'maxDepth must be a positive integer';
+  if (
+    spec.rootRatio !== undefined &&
+    !(
+      typeof spec.rootRatio === 'number' &&
+      spec.rootRatio > 0 &&
+      spec.rootRatio <= 1
+    )
+  )
+    return 'rootRatio must be a ratio above 0 and at most 1';
+  return null;
+}
+
+/**
+ * Check every spec of `config.hierarchies`.
+ * @param {Object} config Map of table -> { fkColumns -> spec }
+ * @returns {string[]} messages like `employees.manager_id: maxDepth must be a positive integer`
+ */
+export function hierarchyErrors(config = {}) {
+  const errors = [];
+  Object.entries(config || {}).forEach(([table, fks]) => {
+    Object.entries(fks || {}).forEach(([cols, spec]) => {
+      const err = hierarchyError(spec);
+      if (err) errors.push(`${table}.${cols}: ${err}`);
+    });
+  });
+  return errors;
+}
+
+/**
+ * Hierarchy settings of one self-referencing foreign key (defaults filled in).
+ * @param {Object} config config.hierarchies
+ * @param {string} tableName
+ * @param {Object} fk Foreign key ({ columns })
+ * @returns {{ maxDepth: number, rootRatio: number }}
+ */
+export function hierarchySpec(config, tableName, fk) {
+  const spec = config?.[tableName]?.[fk.columns.join(',')];
+  if (!spec) return { ...DEFAULT_HIERARCHY };
+  const err = hierarchyError(spec);
+  if (err) {
+    const e = new Error(
+      `Invalid hierarchy for ${tableName}.${fk.columns.join(',')}: ${err}`
+    );
+    e.status = 400;
+    e.code = 'INVALID_HIERARCHY';
+    throw e;
+  }
+  return { ...DEFAULT_HIERARCHY, ...spec };
+}
+
+/**
+ * Incremental form of planHierarchy for rows produced one at a time: call
+ * `next()` once per row, in order. Keeps one level per row.
+ * @param {number} rowCount
+ * @param {{ maxDepth: number, rootRatio: number }} spec
+ * @param {Function} rand Seeded RNG
+ * @returns {{ next: () => (number|null), stats: () => { roots: number, depth: number } }}
+ */
+export function hierarchyPlanner(rowCount, spec, rand) {
+  const rootCount = Math.min(
+    rowCount,
+    Math.max(1, Math.round(rowCount * spec.rootRatio))
+  );
+  const levels = new Uint32Array(rowCount);
+  const open = new Uint32Array(rowCount);
+  let openCount = 0;
+  let roots = 0;
+  let depth = 0;
+  let i = 0;
+  return {
+    next() {
+      let parent = null;
+      levels[i] = 1;
+      if (i >= rootCount && openCount) {
+        parent = open[Math.floor(rand() * openCount)];
+        levels[i] = levels[parent] + 1;
+      } else roots++;
+      if (levels[i] < spec.maxDepth) open[openCount++] = i;
+      depth = Math.max(depth, levels[i]);
+      i++;
+      return parent;
+    },
+    stats: () => ({ roots, depth }),
+  };
+}
+
+/**
+ * Plan a forest over `rowCount` rows: the first `rootRatio` share are roots,
+ * every later row picks a parent among earlier rows that are less than
+ * `maxDepth` levels deep, so parents always precede their children.
+ * @param {number} rowCount
+ * @param {{ maxDepth: number, rootRatio: number }} spec
+ * @param {Function} rand Seeded RNG
+ * @returns {{ parents: (number|null)[], roots: number, depth: number }}
+ */
+export function planHierarchy(rowCount, spec, rand) {
+  const planner = hierarchyPlanner(rowCount, spec, rand);
+  const parents = Array.from({ length: rowCount }, () => planner.next());
+  return { parents, ...planner.stats() };
+}
+
+/**
+ * Foreign keys needing a non-default insert strategy for a table order:
+ * `hierarchy` for self references, `twoPhase` for nullable references to a
+ * later table (insert NULL, UPDATE afterwards) and `deferred` for NOT NULL
+ * ones, which need a DEFERRABLE constraint.
+ * @param {Object} schema
+ * @param {string[]} order Table generation / insert order
+ * @param {Object} [hierarchies] config.hierarchies
+ * @returns {Object[]} { table, columns, referenceTable, referenceColumns, strategy, maxDepth?, rootRatio? }
+ */
+export function foreignKeyStrategies(schema, order, hierarchies) {
+  const position = new Map(order.map((t, idx) => [t, idx]));
+  const strategies = [];
+  order.forEach((table) => {
+    const tblDef = schema.tables?.[table];
+    (tblDef?.foreignKeys || []).forEach((fk) => {
+      const entry = {
+        table,
+        columns: fk.columns,
+        referenceTable: fk.referenceTable,
+        referenceColumns: fk.referenceColumns,
+      };
+      if (fk.referenceTable === table) {
+        strategies.push({
+          ...entry,
+          strategy: 'hierarchy',
+          ...hierarchySpec(hierarchies, table, fk),
+        });
+        return;
+      }
+      if (!(position.get(fk.referenceTable) > position.get(table))) return;
+      const nullable = fk.columns.every(
+        (c) => tblDef.columns?.[c]?.nullable !== false
+      );
+      strategies.push({
+        ...entry,
+        strategy: nullable ? 'twoPhase' : 'deferred',
+      });
+    });
+  });
+  return strategies;
+}
@@ -1,10 +1,24 @@
 import { v4 as uuidv4 } from 'uuid';
 import DataGenerator from './dataGenerator.js';
 import DatasetManager from './datasetManager.js';
-import { validateDeterministicData } from './deterministicGenerator.js';
+import {
+  datasetHash,
+  MAX_STREAM_TRACKED_ROWS,
+  streamDeterministicData,
+  validateDeterministicData,
+} from './deterministicGenerator.js';
 import DataModifier from './dataModifier.js';
 import DataExporter from './dataExporter.js';
 import { pool } from './database.js';
+import { introspectPostgres } from './schemaIntrospector.js';
+import { buildSqlScript } from './sqlExport.js';
+import { generateDeterministicDataParallel } from './generatorPool.js';
+import {
+  profileConfig,
+  profileSamples,
+  profileSchema,
+} from './sampleProfiler.js';
+import { applyDialect, DEFAULT_DIALECT } from './sqlDialects.js';
 
 // Lightweight in-memory job store (could be replaced by Redis later)
 const jobs = new Map();
@@ -38,8 +52,27 @@ export class GenerationService {
     this.modifier = new DataModifier(this.generator);
   }
 
-  async parseDDL(ddl) {
-    return this.generator.parseDDL(ddl);
+  async parseDDL(ddl, options = {}) {
+    return this.generator.parseDDL(ddl, options);
+  }
+
+  async parseDDLWithDiagnostics(ddl, options = {}) {
+    return this.generator.parseDDLWithDiagnostics(ddl, options);
+  }
+
+  async introspectSchema(options = {}) {
+    try {
+      return await introspectPostgres(options);
+    } catch (err) {
+      if (err.status) throw err;
+      // Driver messages (refused ports, auth failures) stay in the log so
+      // the endpoint cannot be used to probe the network
+      console.error('Schema introspection failed:', err.message);
+      const failure = new Error('Could not read the database catalog');
+      failure.status = 502;
+      failure.code = 'INTROSPECTION_FAILED';
+      throw failure;
+    }
   }
 
   async _executeJob(
@@ -48,8 +81,25 @@ export class GenerationService {
   ) {
     const controller = abortControllers.get(job.id);
     try {
-      const schema = await this.parseDDL(ddl);
+      const { schema, diagnostics } = await this.parseDDLWithDiagnostics(ddl, {
+        dialect: config?.dialect,
+        format: config?.format,
+      });
       job.progress = 0.1;
+      if (config?.stream) {
+        const streamed = await this._runStream(schema, {
+          jobId: job.id,
+          config,
+          saveName,
+          description,
+          callbacks,
+          signal: controller?.signal,
+        });
+        job.status = 'completed';
+        job.progress = 1;
+        job.result = { jobId: job.id, ...streamed, diagnostics };
+        return;
+      }
       const withMeta = true;
       const generationResult = await this.generator.generateSyntheticData(
         schema,
@@ -73,8 +123,19 @@ export class GenerationService {
       }
       const validation = validateDeterministicData(schema, data, {
         debug: config?.debug,
+        cardinality: config?.cardinality,
+        rules: config?.rules,
+        expressions: config?.expressions,
+        patterns: config?.patterns,
+        faults: meta.faults,
       });
-      meta = { ...meta, validation: validation.report };
+      meta = {
+        ...meta,
+        dialect: schema.dialect,
+        validation: validation.report,
+        // Same schema + config + seed reproduces this hash
+        contentHash: datasetHash(data),
+      };
       job.progress = 0.9;
       let datasetId = null;
       if (saveName) {
@@ -93,6 +154,7 @@ export class GenerationService {
         datasetId,
         meta,
         validation: validation.report,
+        diagnostics,
         rowCounts: Object.fromEntries(
           Object.entries(data).map(([t, rows]) => [t, rows.length])
         ),
@@ -105,21 +167,115 @@ export class GenerationService {
         job.status = 'error';
         job.error = err.message;
       }
+      // A streamed save that stopped part way can be resumed from here
+      if (err.datasetId) {
+        job.result = {
+          jobId: job.id,
+          datasetId: err.datasetId,
+          rowCounts: err.rowCounts,
+        };
+      }
     } finally {
       abortControllers.delete(job.id);
     }
   }
 
+  // Streaming jobs never hold a whole table: batches go straight to the
+  // database (saveName) or to one CSV file per table in the job's own
+  // directory. The deterministic generator is used regardless of USE_AI and
+  // no in-memory validation runs.
+  async _runStream(
+    schema,
+    { jobId, config, saveName, description, callbacks, signal }
+  ) {
+    const numRecords = config.numRecords || 100;
+    const perTable = config.perTableRowCounts || {};
+    const tableCount = Object.keys(schema.tables || {}).length;
+    const totalRows = Object.keys(schema.tables || {}).reduce(
+      (sum, t) => sum + (perTable[t] ?? numRecords),
+      0
+    );
+    const stream = streamDeterministicData(schema, {
+      globalRowCount: numRecords,
+      perTable,
+      nullProbability: config.nullProbability || {},
+      enumWeights: config.enumWeights || {},
+      defaultProbability: config.defaultProbability,
+      distributions: config.distributions,
+      hierarchies: config.hierarchies,
+      cardinality: config.cardinality,
+      rules: config.rules,
+      expressions: config.expressions,
+      patterns: config.patterns,
+      edgeCaseRatio: config.edgeCaseRatio,
+      edgeCaseCategories: config.edgeCaseCategories,
+      providers: config.providers,
+      locale: config.locale,
+      seed: config.seed,
+      referenceDate: config.referenceDate,
+      batchSize: config.batchSize,
+      maxTrackedRows: Number(
+        process.env.MAX_STREAM_TRACKED_ROWS_PER_TABLE || MAX_STREAM_TRACKED_ROWS
+      ),
+    });
+    // Progress callbacks and cancellation between batches
+    async function* tracked() {
+      let index = 0;
+      let completed = 0;
+      for await (const entry of stream) {
+        const { table, rowCount } = entry;
+        entry.meta.dialect = schema.dialect;
+        callbacks?.onTableStart?.({ table, index, total: tableCount });
+        const position = index;
+        const rows = (async function* () {
+          for await (const batch of entry.rows) {
+            if (signal?.aborted) throw new Error('Generation aborted');
+            completed += batch.length;
+            callbacks?.onProgress?.({
+              phase: 'stream',
+              completed,
+              total: totalRows,
+              ratio: totalRows ? completed / totalRows : 1,
+            });
+            yield batch;
+          }
+          callbacks?.onTableComplete?.({
+            table,
+            index: position,
+            total: tableCount,
+            rows: rowCount,
+          });
+        })();
+        yield { ...entry, rows };
+        index++;
+      }
+    }
+    if (saveName) {
+      const { datasetId, rowCounts, meta } =
+        await this.datasetManager.saveDatasetStream(
+          saveName,
+          description || 'Streamed dataset',
+          schema,
+          tracked(),
+          { resumeDatasetId: config.resumeDatasetId, seed: config.seed ?? null }
+        );
+      return { datasetId, meta, rowCounts };
+    }
+    const { directory, files, rowCounts, meta } =
+      await this.exporter.exportStreamToCSV(tracked(), { runId: jobId });
+    return { datasetId: null, meta, rowCounts, directory, files };
+  }
+
   async generate(params) {
     const job = createJob('generate');
     job.status = 'running';
     abortControllers.set(job.id, new AbortController());
     await this._executeJob(job, params);
-    if (job.result) return job.result;
     // throw if ended with error
     if (job.status === 'error')
       throw new Error(job.error || 'Generation failed');
     if (job.status === 'cancelled') throw new Error('Job cancelled');
+    if (job.result) return job.result;
     return { jobId: job.id, status: job.status };
   }
 
@@ -132,6 +288,70 @@ export class GenerationService {
     return { jobId: job.id, status: job.status };
   }
 
+  // Lookalike data from sample CSVs: only the profile (aggregates, never
+  // the sampled rows) is returned and stored in generation_meta
+  async generateFromSamples(
+    samples,
+    { ddl, dialect, scale, seed, saveName, description, maxRows } = {}
+  ) {
+    const parsed = ddl ? await this.parseDDL(ddl, { dialect }) : null;
+    const profile = profileSamples(samples, { schema: parsed });
+    const schema =
+      parsed ||
+      applyDialect(profileSchema(profile), DEFAULT_DIALECT, 'profile');
+    const config = { ...profileConfig(profile, { scale }), seed };
+    const largest = Math.max(...Object.values(config.perTableRowCounts));
+    if (maxRows && largest > maxRows) {
+      const err = new Error(
+        `Scaled row count ${largest} exceeds max ${maxRows}`
+      );
+      err.status = 400;
+      err.code = 'INVALID_SAMPLE';
+      throw err;
+    }
+    const { perTableRowCounts, ...settings } = config;
+    const result = await generateDeterministicDataParallel(schema, {
+      ...settings,
+      // Tables without a sample keep the smallest sampled size
+      globalRowCount: Math.min(...Object.values(perTableRowCounts)),
+      perTable: perTableRowCounts,
+      withMeta: true,
+    });
+    const { data } = result;
+    const validation = validateDeterministicData(schema, data, {
+      cardinality: config.cardinality,
+    });
+    const meta = {
+      ...result.meta,
+      dialect: schema.dialect,
+      validation: validation.report,
+      contentHash: datasetHash(data),
+      profile,
+    };
+    let datasetId = null;
+    if (saveName) {
+      datasetId = await this.datasetManager.saveDataset(
+        saveName,
+        description || 'Generated from sample profile',
+        schema,
+        data,
+        meta
+      );
+    }
+    return {
+      datasetId,
+      profile,
+      schema,
+      config,
+      meta,
+      validation: validation.report,
+      rowCounts: Object.fromEntries(
+        Object.entries(data).map(([t, rows]) => [t, rows.length])
+      ),
+      ...(saveName ? {} : { data }),
+    };
+  }
+
   async listDatasets({ limit = 50, offset = 0 } = {}) {
     const sql = `
       SELECT gd.id, gd.name, gd.description, gd.created_at,
@@ -238,8 +458,21 @@ export class GenerationService {
     return { datasetId, table: tableName, offset, limit, total, rows };
   }
 
-  async exportDataset(datasetId) {
+  async exportDataset(datasetId, { format = 'csv', dialect } = {}) {
     const dataset = await this.getDataset(datasetId, { includeData: true });
+    if (format === 'sql') {
+      const res = await pool.query(
+        'SELECT schema_definition FROM generated_datasets WHERE id = $1',
+        [datasetId]
+      );
+      const schema = res.rows[0]?.schema_definition;
+      if (!schema?.tables) throw new Error('Dataset has no stored schema');
+      const { sql } = buildSqlScript(schema, dataset.data, {
+        dialect: dialect || schema.dialect?.name,
+        order: dataset.meta?.order,
+      });
+      return { sql };
+    }
     const zipPath = await this.exporter.createZipArchive(
       await this.exporter.exportToCSV(dataset.data),
       `dataset_${datasetId}`
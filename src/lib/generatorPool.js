@@ -0,0 +1,246 @@
+// worker_threads pool for deterministic generation. Tables of the same
+// dependency layer are generated concurrently, the cross-table passes run on
+// the calling thread. Every table draws from its own seeded stream (see
+// generateTableRows), so the output equals generateDeterministicData.
+import os from 'os';
+import { Worker } from 'worker_threads';
+import { compileRules } from './consistencyRules.js';
+import {
+  completeDeterministicData,
+  generateTableRows,
+  topologicalSortTables,
+} from './deterministicGenerator.js';
+
+const WORKER_URL = new URL('./generatorWorker.js', import.meta.url);
+
+/**
+ * Workers to use: GENERATOR_WORKERS when set (0 generates on the calling
+ * thread), otherwise one less than the cores, between 1 and 4.
+ * @returns {number}
+ */
+export function defaultPoolSize() {
+  const configured = process.env.GENERATOR_WORKERS;
+  if (configured !== undefined && configured !== '') {
+    return Math.max(0, parseInt(configured, 10) || 0);
+  }
+  const cores = os.availableParallelism
+    ? os.availableParallelism()
+    : os.cpus().length;
+  return Math.max(1, Math.min(4, cores - 1));
+}
+
+export class GeneratorPool {
+  constructor(size = defaultPoolSize()) {
+    this.size = size;
+    this.workers = [];
+    this.idle = [];
+    this.queue = [];
+    this.tasks = new Map();
+    this.nextId = 1;
+  }
+
+  _spawn() {
+    const worker = new Worker(WORKER_URL);
+    worker.on('message', ({ id, result, error }) => {
+      const task = this.tasks.get(id);
+      this.tasks.delete(id);
+      worker.taskId = null;
+      if (error) {
+        const err = new Error(error.message);
+        if (error.status) err.status = error.status;
+        if (error.code) err.code = error.code;
+        task.reject(err);
+      } else task.resolve(result);
+      this._release(worker);
+    });
+    worker.on('error', (err) => this._drop(worker, err));
+    // Exits without an 'error' (process.exit, terminate, out of memory)
+    worker.on('exit', (code) =>
+      this._drop(worker, new Error(`Generator worker exited with code ${code}`))
+    );
+    this.workers.push(worker);
+    return worker;
+  }
+
+  // A crashed worker is dropped; its task fails, the others go on
+  _drop(worker, err) {
+    this.tasks.get(worker.taskId)?.reject(err);
+    this.tasks.delete(worker.taskId);
+    worker.taskId = null;
+    this.workers = this.workers.filter((w) => w !== worker);
+    this.idle = this.idle.filter((w) => w !== worker);
+    this._dispatch();
+  }
+
+  _dispatch() {
+    while (this.queue.length) {
+      let worker = this.idle.pop();
+      if (!worker && this.workers.length < this.size) worker = this._spawn();
+      if (!worker) return;
+      const { id, payload } = this.queue.shift();
+      worker.taskId = id;
+      worker.ref(); // keep the process alive while a table is in flight
+      worker.postMessage({ id, ...payload });
+    }
+  }
+
+  _release(worker) {
+    worker.unref();
+    this.idle.push(worker);
+    this._dispatch();
+  }
+
+  /**
+   * Generate one table in a worker.
+   * @param {{ schema: Object, tableName: string, parents: Object, config: Object }} payload
+   * @returns {Promise<Object>} result of generateTableRows
+   */
+  run(payload) {
+    return new Promise((resolve, reject) => {
+      const id = this.nextId++;
+      this.tasks.set(id, { resolve, reject });
+      this.queue.push({ id, payload });
+      this._dispatch();
+    });
+  }
+
+  async close() {
+    const workers = this.workers;
+    this.workers = [];
+    this.idle = [];
+    await Promise.all(workers.map((w) => w.terminate()));
+  }
+}
+
+let sharedPool = null;
+
+/**
+ * Process-wide pool, created on first use.
+ * @returns {GeneratorPool}
+ */
+export function getGeneratorPool() {
+  if (!sharedPool) sharedPool = new GeneratorPool();
+  return sharedPool;
+}
+
+export async function closeGeneratorPool() {
+  if (!sharedPool) return;
+  const pool = sharedPool;
+  sharedPool = null;
+  await pool.close();
+}
+
+// Tables grouped by dependency layer: a table only waits for the parents
+// before it in `order` (later ones are backfilled by the reconciliation)
+function tableLayers(schema, order) {
+  const position = new Map(order.map((t, idx) => [t, idx]));
+  const layer = {};
+  const deps = {};
+  order.forEach((table) => {
+    deps[table] = [
+      ...new Set(
+        (schema.tables[table]?.foreignKeys || [])
+          .map((fk) => fk.referenceTable)
+          .filter((p) => position.get(p) < position.get(table))
+      ),
+    ];
+    layer[table] = deps[table].reduce((l, p) => Math.max(l, layer[p] + 1), 0);
+  });
+  const layers = [];
+  order.forEach((table) => {
+    (layers[layer[table]] = layers[layer[table]] || []).push(table);
+  });
+  return { layers, deps };
+}
+
+/**
+ * generateDeterministicData on a worker pool: same options and result, but
+ * asynchronous, so the event loop stays free during big jobs.
+ * @param {Object} schema Parsed schema
+ * @param {Object} config Options of generateDeterministicData
+ * @param {Object} [options]
+ * @param {GeneratorPool} [options.pool] Defaults to the shared pool
+ * @param {Function} [options.onTableStart] ({ table, index, total })
+ * @param {Function} [options.onTableComplete] ({ table, index, total, rows })
+ * @param {Function} [options.onProgress] ({ phase, completed, total, ratio })
+ * @param {AbortSignal} [options.abortSignal] Checked before each layer
+ * @returns {Promise<Object>} data, or { data, meta } with config.withMeta
+ */
+export async function generateDeterministicDataParallel(
+  schema,
+  config = {},
+  options = {}
+) {
+  const { onTableStart, onTableComplete, onProgress, abortSignal } = options;
+  const pool = options.pool || getGeneratorPool();
+  // Fail on bad rules before generating anything
+  compileRules(schema, config.rules);
+  // Workers get a plain copy (no functions, dates as strings)
+  const plainConfig = JSON.parse(JSON.stringify(config));
+  // Unseeded runs pin "now" once so every worker shares it
+  if (plainConfig.referenceDate == null && plainConfig.seed === undefined)
+    plainConfig.referenceDate = Date.now();
+  const order = topologicalSortTables(schema).filter((t) => schema.tables[t]);
+  const { layers, deps } = tableLayers(schema, order);
+  const notify = (fn, payload) => {
+    if (typeof fn !== 'function') return;
+    try {
+      fn(payload);
+    } catch (_) {}
+  };
+
+  const generated = {};
+  const tables = {};
+  let completed = 0;
+  for (const layer of layers) {
+    if (abortSignal?.aborted) throw new Error('Generation aborted');
+    // eslint-disable-next-line no-await-in-loop
+    await Promise.all(
+      layer.map(async (tableName) => {
+        const index = order.indexOf(tableName);
+        notify(onTableStart, { table: tableName, index, total: order.length });
+        let result;
+        if (pool.size > 0) {
+          result = await pool.run({
+            schema,
+            tableName,
+            parents: Object.fromEntries(
+              deps[tableName].map((p) => [p, generated[p]])
+            ),
+            config: plainConfig,
+          });
+        } else {
+          // No workers: one table per tick so the event loop keeps going
+          await new Promise((resolve) => setImmediate(resolve));
+          result = generateTableRows(
+            schema,
+            tableName,
+            { ...generated },
+            plainConfig
+          );
+        }
+        tables[tableName] = result;
+        completed++;
+        notify(onTableComplete, {
+          table: tableName,
+          index,
+          total: order.length,
+          rows: result.rows.length,
+        });
+        notify(onProgress, {
+          phase: 'tables',
+          completed,
+          total: order.length,
+          ratio: completed / order.length,
+        });
+      })
+    );
+    layer.forEach((tableName) => {
+      generated[tableName] = tables[tableName].rows;
+    });
+  }
+  return completeDeterministicData(schema, generated, tables, {
+    ...config,
+    referenceDate: plainConfig.referenceDate,
+  });
+}
@@ -0,0 +1,15 @@
+// Worker thread of generatorPool.js: generates one table per message
+import { parentPort } from 'worker_threads';
+import { generateTableRows } from './deterministicGenerator.js';
+
+parentPort.on('message', ({ id, schema, tableName, parents, config }) => {
+  try {
+    const result = generateTableRows(schema, tableName, { ...parents }, config);
+    parentPort.postMessage({ id, result });
+  } catch (err) {
+    parentPort.postMessage({
+      id,
+      error: { message: err.message, status: err.status, code: err.code },
+    });
+  }
+});
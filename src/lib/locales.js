@@ -0,0 +1,491 @@
+// Bundled locale data for the value providers (no network access needed).
+// Name entries are either a plain string or a [display, latin] pair; the
+// latin form is used where ASCII is expected (emails, usernames).
+// DATE / TIMESTAMP columns stay ISO formatted so rows remain insertable;
+// `formatDate` only applies to free-text date columns.
+
+const digits = (n, rng) =>
+  Array.from({ length: n }, () => Math.floor(rng() * 10)).join('');
+const pick = (arr, rng) => arr[Math.floor(rng() * arr.length)];
+const num = (lo, hi, rng) => lo + Math.floor(rng() * (hi - lo + 1));
+const pad = (n) => String(n).padStart(2, '0');
+
+const LOCALES = {
+  'en-US': {
+    label: 'English (United States)',
+    aliases: ['en', 'en-us', 'us'],
+    firstNames: [
+      'James',
+      'Mary',
+      'Robert',
+      'Patricia',
+      'John',
+      'Jennifer',
+      'Michael',
+      'Linda',
+      'David',
+      'Elizabeth',
+      'William',
+      'Barbara',
+      'Richard',
+      'Susan',
+      'Joseph',
+      'Jessica',
+      'Thomas',
+      'Sarah',
+      'Charles',
+      'Karen',
+    ],
+    lastNames: [
+      'Smith',
+      'Johnson',
+      'Williams',
+      'Brown',
+      'Jones',
+      'Garcia',
+      'Miller',
+      'Davis',
+      'Rodriguez',
+      'Martinez',
+      'Hernandez',
+      'Lopez',
+      'Wilson',
+      'Anderson',
+      'Thomas',
+      'Taylor',
+      'Moore',
+      'Jackson',
+      'Martin',
+      'Lee',
+    ],
+    cities: [
+      'Springfield',
+      'Riverside',
+      'Franklin',
+      'Greenville',
+      'Bristol',
+      'Clinton',
+      'Fairview',
+      'Salem',
+      'Madison',
+      'Georgetown',
+      'Arlington',
+      'Ashland',
+      'Dover',
+      'Oxford',
+      'Burlington',
+      'Manchester',
+    ],
+    states: [
+      'California',
+      'Texas',
+      'Florida',
+      'New York',
+      'Ohio',
+      'Georgia',
+      'Oregon',
+      'Michigan',
+      'Arizona',
+      'Colorado',
+      'Virginia',
+      'Washington',
+    ],
+    countries: [
+      'United States',
+      'Canada',
+      'United Kingdom',
+      'Germany',
+      'France',
+      'Spain',
+      'Italy',
+      'Japan',
+      'Brazil',
+      'India',
+      'Australia',
+      'Mexico',
+    ],
+    domains: ['example.com', 'example.org', 'example.net'],
+    fullName: (first, last) => `${first} ${last}`,
+    street: (rng) =>
+      `${num(1, 9899, rng)} ${pick(
+        ['Main', 'Oak', 'Pine', 'Maple', 'Cedar', 'Elm', 'Lake', 'Park'],
+        rng
+      )} ${pick(['St', 'Ave', 'Rd', 'Blvd', 'Ln', 'Dr'], rng)}`,
+    postalCode: (rng) => digits(5, rng),
+    phone: (rng) =>
+      `+1-${num(2, 9, rng)}${digits(2, rng)}-${digits(3, rng)}-${digits(
+        4,
+        rng
+      )}`,
+    company: (rng, word) =>
+      `${word} ${pick(['Inc', 'LLC', 'Group', 'Ltd', 'Co'], rng)}`,
+    formatDate: (y, m, d) => `${pad(m)}/${pad(d)}/${y}`,
+  },
+  'de-DE': {
+    label: 'German (Germany)',
+    aliases: ['de', 'de-de', 'german'],
+    firstNames: [
+      'Lukas',
+      'Anna',
+      'Leon',
+      'Mia',
+      'Finn',
+      'Emma',
+      'Paul',
+      'Hannah',
+      'Jonas',
+      'Lea',
+      'Felix',
+      'Sophie',
+      'Maximilian',
+      'Marie',
+      'Jürgen',
+      'Ursula',
+    ],
+    lastNames: [
+      'Müller',
+      'Schmidt',
+      'Schneider',
+      'Fischer',
+      'Weber',
+      'Meyer',
+      'Wagner',
+      'Becker',
+      'Schulz',
+      'Hoffmann',
+      'Koch',
+      'Richter',
+      'Klein',
+      'Wolf',
+      'Schröder',
+      'Neumann',
+    ],
+    cities: [
+      'Berlin',
+      'Hamburg',
+      'München',
+      'Köln',
+      'Frankfurt am Main',
+      'Stuttgart',
+      'Düsseldorf',
+      'Leipzig',
+      'Dortmund',
+      'Dresden',
+      'Bremen',
+      'Nürnberg',
+    ],
+    states: [
+      'Bayern',
+      'Berlin',
+      'Hamburg',
+      'Hessen',
+      'Nordrhein-Westfalen',
+      'Sachsen',
+      'Baden-Württemberg',
+      'Niedersachsen',
+      'Bremen',
+      'Thüringen',
+    ],
+    countries: [
+      'Deutschland',
+      'Österreich',
+      'Schweiz',
+      'Frankreich',
+      'Italien',
+      'Spanien',
+      'Niederlande',
+      'Polen',
+      'Dänemark',
+      'Belgien',
+    ],
+    domains: ['example.de', 'beispiel.de', 'mail.test'],
+    fullName: (first, last) => `${first} ${last}`,
+    street: (rng) =>
+      `${pick(
+        ['Haupt', 'Bahnhof', 'Garten', 'Schul', 'Berg', 'Kirch', 'Linden'],
+        rng
+      )}${pick(['straße', 'weg', 'gasse', 'allee'], rng)} ${num(1, 180, rng)}`,
+    postalCode: (rng) => `${num(1, 9, rng)}${digits(4, rng)}`,
+    phone: (rng) =>
+      `+49 ${pick(['30', '40', '89', '69', '221', '711'], rng)} ${digits(
+        7,
+        rng
+      )}`,
+    company: (rng, word) =>
+      `${word} ${pick(['GmbH', 'AG', 'KG', 'GmbH & Co. KG'], rng)}`,
+    formatDate: (y, m, d) => `${pad(d)}.${pad(m)}.${y}`,
+  },
+  'ja-JP': {
+    label: 'Japanese (Japan)',
+    aliases: ['ja', 'ja-jp', 'jp', 'japanese'],
+    firstNames: [
+      ['翔太', 'Shota'],
+      ['陽菜', 'Hina'],
+      ['蓮', 'Ren'],
+      ['結衣', 'Yui'],
+      ['大翔', 'Hiroto'],
+      ['さくら', 'Sakura'],
+      ['悠真', 'Yuma'],
+      ['美咲', 'Misaki'],
+      ['健太', 'Kenta'],
+      ['愛', 'Ai'],
+      ['拓海', 'Takumi'],
+      ['葵', 'Aoi'],
+    ],
+    lastNames: [
+      ['佐藤', 'Sato'],
+      ['鈴木', 'Suzuki'],
+      ['高橋', 'Takahashi'],
+      ['田中', 'Tanaka'],
+      ['伊藤', 'Ito'],
+      ['渡辺', 'Watanabe'],
+      ['山本', 'Yamamoto'],
+      ['中村', 'Nakamura'],
+      ['小林', 'Kobayashi'],
+      ['加藤', 'Kato'],
+      ['吉田', 'Yoshida'],
+      ['山田', 'Yamada'],
+    ],
+    cities: [
+      '東京',
+      '横浜',
+      '大阪',
+      '名古屋',
+      '札幌',
+      '福岡',
+      '神戸',
+      '京都',
+      '川崎',
+      '仙台',
+    ],
+    states: [
+      '東京都',
+      '大阪府',
+      '京都府',
+      '北海道',
+      '神奈川県',
+      '愛知県',
+      '福岡県',
+      '兵庫県',
+      '宮城県',
+      '埼玉県',
+    ],
+    countries: [
+      '日本',
+      'アメリカ合衆国',
+      '中国',
+      '韓国',
+      'イギリス',
+      'フランス',
+      'ドイツ',
+      'ブラジル',
+      'オーストラリア',
+      'カナダ',
+    ],
+    domains: ['example.jp', 'example.co.jp', 'mail.test'],
+    // Family name first
+    fullName: (first, last) => `${last} ${first}`,
+    street: (rng) =>
+      `${pick(['中央区', '港区', '北区', '中区', '西区'], rng)}${pick(
+        ['本町', '栄', '銀座', '梅田', '緑町'],
+        rng
+      )}${num(1, 9, rng)}-${num(1, 30, rng)}-${num(1, 20, rng)}`,
+    postalCode: (rng) => `${digits(3, rng)}-${digits(4, rng)}`,
+    phone: (rng) =>
+      `+81 ${pick(['3', '6', '52', '92', '11', '45'], rng)}-${digits(
+        4,
+        rng
+      )}-${digits(4, rng)}`,
+    company: (rng, word) =>
+      `株式会社${pick(['山田', '富士', '大和', '日の出', '東洋', '光'], rng)}${pick(
+        ['商事', '製作所', '工業', '電機', '物産'],
+        rng
+      )}`,
+    formatDate: (y, m, d) => `${y}/${pad(m)}/${pad(d)}`,
+  },
+  'pt-BR': {
+    label: 'Portuguese (Brazil)',
+    aliases: ['pt', 'pt-br', 'br', 'brazil'],
+    firstNames: [
+      'Maria',
+      'José',
+      'Ana',
+      'João',
+      'Antônio',
+      'Francisca',
+      'Carlos',
+      'Paulo',
+      'Lucas',
+      'Juliana',
+      'Gabriel',
+      'Fernanda',
+      'Rafael',
+      'Letícia',
+    ],
+    lastNames: [
+      'Silva',
+      'Santos',
+      'Oliveira',
+      'Souza',
+      'Rodrigues',
+      'Ferreira',
+      'Alves',
+      'Pereira',
+      'Lima',
+      'Gomes',
+      'Costa',
+      'Ribeiro',
+      'Araújo',
+      'Carvalho',
+    ],
+    cities: [
+      'São Paulo',
+      'Rio de Janeiro',
+      'Belo Horizonte',
+      'Salvador',
+      'Fortaleza',
+      'Curitiba',
+      'Recife',
+      'Porto Alegre',
+      'Brasília',
+      'Manaus',
+      'Goiânia',
+      'Belém',
+    ],
+    states: [
+      'São Paulo',
+      'Rio de Janeiro',
+      'Minas Gerais',
+      'Bahia',
+      'Ceará',
+      'Paraná',
+      'Pernambuco',
+      'Rio Grande do Sul',
+      'Distrito Federal',
+      'Amazonas',
+    ],
+    countries: [
+      'Brasil',
+      'Portugal',
+      'Argentina',
+      'Estados Unidos',
+      'Chile',
+      'Uruguai',
+      'Paraguai',
+      'Angola',
+      'Moçambique',
+      'Espanha',
+    ],
+    domains: ['example.com.br', 'exemplo.com.br', 'mail.test'],
+    fullName: (first, last) => `${first} ${last}`,
+    street: (rng) =>
+      `${pick(['Rua', 'Avenida', 'Travessa'], rng)} ${pick(
+        [
+          'das Flores',
+          'Sete de Setembro',
+          'XV de Novembro',
+          'Tiradentes',
+          'Dom Pedro II',
+          'Santos Dumont',
+        ],
+        rng
+      )}, ${num(1, 2500, rng)}`,
+    postalCode: (rng) => `${digits(5, rng)}-${digits(3, rng)}`,
+    phone: (rng) =>
+      `+55 ${pick(['11', '21', '31', '41', '51', '61', '71'], rng)} 9${digits(
+        4,
+        rng
+      )}-${digits(4, rng)}`,
+    company: (rng, word) =>
+      `${word} ${pick(['Ltda.', 'S.A.', 'ME', 'EIRELI'], rng)}`,
+    formatDate: (y, m, d) => `${pad(d)}/${pad(m)}/${y}`,
+  },
+};
+
+export const DEFAULT_LOCALE = 'en-US';
+
+/**
+ * Canonical locale code for a user supplied name (case-insensitive; accepts
+ * aliases such as `de`, `ja`, `pt-br`).
+ * @param {string} name
+ * @returns {string|null} null when unknown
+ */
+export function resolveLocaleCode(name) {
+  if (!name) return null;
+  const wanted = String(name).trim().toLowerCase().replace('_', '-');
+  const entry = Object.entries(LOCALES).find(
+    ([code, l]) => code.toLowerCase() === wanted || l.aliases.includes(wanted)
+  );
+  return entry ? entry[0] : null;
+}
+
+export function supportedLocales() {
+  return Object.keys(LOCALES);
+}
+
+export function getLocale(code) {
+  return LOCALES[code] || LOCALES[DEFAULT_LOCALE];
+}
+
+// Display and ASCII forms of a name entry
+export const displayName = (entry) => (Array.isArray(entry) ? entry[0] : entry);
+export const latinName = (entry) => (Array.isArray(entry) ? entry[1] : entry);
+
+/**
+ * Locale code for a column from `config.locale`: a code, or a map like
+ * nullProbability (`{ default, [table]: code | { default, [column] } }`).
+ * @param {string|Object} config
+ * @param {string} [tableName] omitted for the global default
+ * @param {string} [colName]
+ * @returns {string} canonical code (unknown names fall back to the default)
+ */
+export function columnLocale(config, tableName, colName) {
+  if (typeof config === 'string')
+    return resolveLocaleCode(config) || DEFAULT_LOCALE;
+  const tableConfig = config?.[tableName];
+  const raw =
+    typeof tableConfig === 'string'
+      ? tableConfig
+      : ((colName !== undefined ? tableConfig?.[colName] : undefined) ??
+        tableConfig?.default ??
+        config?.default);
+  return resolveLocaleCode(raw) || DEFAULT_LOCALE;
+}
+
+/**
+ * Locale names in `config.locale` that are not bundled.
+ * @param {string|Object} config
+ * @returns {string[]}
+ */
+export function unknownLocales(config) {
+  if (config === undefined || config === null) return [];
+  const names =
+    typeof config === 'string'
+      ? [config]
+      : Object.values(config).flatMap((v) =>
+          typeof v === 'object' && v ? Object.values(v) : [v]
+        );
+  return names.filter((n) => typeof n !== 'string' || !resolveLocaleCode(n));
+}
+
+/**
+ * Prompt line telling the AI model which locale to write values in for a
+ * table, including column-level overrides.
+ * @param {string|Object} config config.locale
+ * @param {string} tableName
+ * @param {Object} tableSchema
+ * @returns {string} empty when no locale is configured
+ */
+export function localePromptLine(config, tableName, tableSchema) {
+  if (!config) return '';
+  const tableCode = columnLocale(config, tableName);
+  const overrides = Object.keys(tableSchema?.columns || {})
+    .map((c) => [c, columnLocale(config, tableName, c)])
+    .filter(([, code]) => code !== tableCode)
+    .map(([c, code]) => `${c}: ${code}`);
+  return `Locale: write names, addresses, postal codes, phone numbers and free text as typical for ${
+    getLocale(tableCode).label
+  } (${tableCode})${
+    overrides.length ? `; column overrides ${overrides.join(', ')}` : ''
+  }. Keep DATE / TIMESTAMP columns in ISO 8601 format.`;
+}
@@ -0,0 +1,537 @@
+// Sample profiling: small real CSV extracts (one per table) are reduced to a
+// profile of their shape — inferred types, null rates, numeric and date
+// ranges, string lengths, categorical frequencies and children-per-parent
+// counts of foreign keys between the uploaded tables. The profile becomes a
+// generation config (and, without DDL, a schema) for the deterministic
+// generator. Only aggregates are kept: free-text values never leave the
+// profiler, categorical columns keep their value frequencies.
+
+// Categorical when a column has at most MAX_CATEGORIES distinct values and
+// each of them repeats on average
+const MAX_CATEGORIES = 20;
+const NULL_TOKENS = ['', 'NULL', 'null', '\\N'];
+
+const INTEGER = /^[-+]?\d+$/;
+const DECIMAL = /^[-+]?(\d+\.\d*|\.\d+)$/;
+const LEADING_ZERO = /^[-+]?0\d/;
+const BOOLEAN = /^(true|false|t|f|yes|no)$/i;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const TIMESTAMP =
+  /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+const INT32_MAX = 2147483647;
+
+function sampleError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  err.code = 'INVALID_SAMPLE';
+  return err;
+}
+
+const round = (n, digits = 4) => parseFloat(n.toFixed(digits));
+const keyOf = (row, cols) => JSON.stringify(cols.map((c) => row[c] ?? null));
+// Smallest and largest value without spreading large samples into arguments
+const extent = (list) =>
+  list.reduce(
+    ([lo, hi], v) => [Math.min(lo, v), Math.max(hi, v)],
+    [Infinity, -Infinity]
+  );
+const singular = (name) =>
+  name
+    .replace(/ies$/i, 'y')
+    .replace(/(s|x|z|ch|sh)es$/i, '$1')
+    .replace(/s$/i, '');
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, CRLF, BOM). The
+ * first line is the header. Unquoted NULL tokens ('', NULL, null, \N) become
+ * null; quoted values are kept as written.
+ * @param {string} text
+ * @param {string} [name='sample'] Used in error messages
+ * @returns {{ columns: string[], rows: Object[] }}
+ */
+export function parseCsv(text, name = 'sample') {
+  const source = String(text ?? '').replace(/^\uFEFF/, '');
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let inQuotes = false;
+  let line = 1;
+  const endField = () => {
+    record.push(!quoted && NULL_TOKENS.includes(field) ? null : field);
+    field = '';
+    quoted = false;
+  };
+  const endRecord = () => {
+    endField();
+    // Blank lines carry no row
+    if (record.length > 1 || record[0] !== null) records.push({ record, line });
+    record = [];
+  };
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (inQuotes) {
+      if (ch === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') inQuotes = false;
+      else {
+        if (ch === '\n') line++;
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      inQuotes = true;
+      quoted = true;
+    } else if (ch === ',') endField();
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+    } else field += ch;
+  }
+  if (inQuotes) throw sampleError(`${name}: unterminated quoted field`);
+  if (field !== '' || quoted || record.length) endRecord();
+  if (!records.length) throw sampleError(`${name}: no header row`);
+
+  const columns = records[0].record.map((c) => (c ?? '').trim());
+  if (columns.some((c) => !c))
+    throw sampleError(`${name}: header has an empty column name`);
+  const duplicate = columns.find((c, i) => columns.indexOf(c) !== i);
+  if (duplicate)
+    throw sampleError(`${name}: duplicate column ${duplicate} in header`);
+  const rows = records.slice(1).map(({ record: cells, line: at }) => {
+    if (cells.length !== columns.length) {
+      throw sampleError(
+        `${name}: line ${at} has ${cells.length} fields, expected ${columns.length}`
+      );
+    }
+    return Object.fromEntries(columns.map((c, i) => [c, cells[i]]));
+  });
+  return { columns, rows };
+}
+
+// Value kind of a declared column type
+function schemaKind(colDef) {
+  const rawType = (colDef?.type || '').toLowerCase();
+  if (/serial|int/.test(rawType)) return 'integer';
+  if (/numeric|decimal|real|double|float|money/.test(rawType)) return 'decimal';
+  if (/timestamp|datetime/.test(rawType)) return 'timestamp';
+  if (/date/.test(rawType)) return 'date';
+  if (/bool/.test(rawType)) return 'boolean';
+  return 'text';
+}
+
+// Value kind every non-null value of a column agrees on
+function inferKind(values) {
+  if (!values.length) return 'text';
+  const all = (re) => values.every((v) => re.test(v));
+  const validDates = () => values.every((v) => !Number.isNaN(Date.parse(v)));
+  if (values.some((v) => LEADING_ZERO.test(v))) return 'text';
+  if (all(INTEGER)) return 'integer';
+  if (values.every((v) => INTEGER.test(v) || DECIMAL.test(v))) return 'decimal';
+  if (all(BOOLEAN)) return 'boolean';
+  if (all(DATE) && validDates()) return 'date';
+  if (values.every((v) => DATE.test(v) || TIMESTAMP.test(v)) && validDates())
+    return 'timestamp';
+  return 'text';
+}
+
+function typedValue(text, kind) {
+  if (kind === 'integer' || kind === 'decimal') {
+    const n = Number(text);
+    return Number.isFinite(n) ? n : null;
+  }
+  if (kind === 'boolean') return /^(true|t|yes|1)$/i.test(text);
+  return text;
+}
+
+function columnType(kind, numbers, lengths) {
+  switch (kind) {
+    case 'integer':
+      return numbers &&
+        Math.max(Math.abs(numbers.min), Math.abs(numbers.max)) > INT32_MAX
+        ? { type: 'BIGINT' }
+        : { type: 'INTEGER' };
+    case 'decimal': {
+      const scale = numbers?.scale ?? 2;
+      const digits = numbers
+        ? String(
+            Math.trunc(Math.max(Math.abs(numbers.min), Math.abs(numbers.max)))
+          ).length
+        : 8;
+      return { type: 'DECIMAL', precision: Math.max(digits + scale, 1), scale };
+    }
+    case 'boolean':
+      return { type: 'BOOLEAN' };
+    case 'date':
+      return { type: 'DATE' };
+    case 'timestamp':
+      return { type: 'TIMESTAMP' };
+    default:
+      return { type: 'VARCHAR', length: Math.max(lengths?.max ?? 0, 1) };
+  }
+}
+
+function profileColumn(texts, colDef) {
+  const present = texts.filter((v) => v !== null);
+  const kind = colDef ? schemaKind(colDef) : inferKind(present);
+  const values = present
+    .map((v) => typedValue(v, kind))
+    .filter((v) => v !== null);
+  const counts = new Map();
+  values.forEach((v) => counts.set(v, (counts.get(v) || 0) + 1));
+  const profile = {
+    kind,
+    nullRate: texts.length ? round(1 - values.length / texts.length) : 0,
+    distinct: counts.size,
+    unique: values.length > 1 && counts.size === values.length,
+  };
+
+  if ((kind === 'integer' || kind === 'decimal') && values.length) {
+    const mean = values.reduce((a, b) => a + b, 0) / values.length;
+    const variance =
+      values.reduce((a, b) => a + (b - mean) ** 2, 0) / values.length;
+    const [min, max] = extent(values);
+    profile.numbers = {
+      min,
+      max,
+      mean: round(mean),
+      stddev: round(Math.sqrt(variance)),
+    };
+    if (kind === 'decimal') {
+      profile.numbers.scale = extent(
+        present.map((v) => (v.split('.')[1] || '').length)
+      )[1];
+    }
+  }
+  if ((kind === 'date' || kind === 'timestamp') && values.length) {
+    const sorted = [...values].sort((a, b) => Date.parse(a) - Date.parse(b));
+    profile.dates = { min: sorted[0], max: sorted[sorted.length - 1] };
+  }
+  if (kind === 'text' && values.length) {
+    const lengths = values.map((v) => v.length);
+    const [min, max] = extent(lengths);
+    profile.lengths = {
+      min,
+      max,
+      mean: round(lengths.reduce((a, b) => a + b, 0) / lengths.length, 2),
+    };
+  }
+  // Dates keep a range even when they repeat
+  const categorical =
+    kind === 'boolean' ||
+    (kind !== 'date' &&
+      kind !== 'timestamp' &&
+      counts.size &&
+      counts.size <= MAX_CATEGORIES &&
+      counts.size * 2 <= values.length);
+  if (categorical) {
+    profile.categories = Object.fromEntries(
+      [...counts.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .map(([value, count]) => [String(value), round(count / values.length)])
+    );
+  }
+  const declared = colDef
+    ? Object.fromEntries(
+        ['type', 'length', 'precision', 'scale']
+          .filter((k) => colDef[k] !== undefined)
+          .map((k) => [k, colDef[k]])
+      )
+    : columnType(kind, profile.numbers, profile.lengths);
+  return { ...declared, ...profile };
+}
+
+// Primary key of a sample without DDL: `id`, else a leading `<x>id` column,
+// as long as its values are present and distinct
+function inferPrimaryKey(columns, profiles, rowCount) {
+  const candidates = [
+    columns.find((c) => c.toLowerCase() === 'id'),
+    /id$/i.test(columns[0]) ? columns[0] : undefined,
+  ];
+  const pk = candidates.find(
+    (c) =>
+      c && profiles[c].nullRate === 0 && (profiles[c].unique || rowCount === 1)
+  );
+  return pk ? [pk] : [];
+}
+
+// Foreign keys of a sample without DDL: a `<parent>_id` / `<parent>id`
+// column whose values all occur in that uploaded parent's primary key
+function inferForeignKeys(table, tables) {
+  const { columns, primaryKey, rows } = tables[table];
+  const foreignKeys = [];
+  columns
+    .filter((c) => !primaryKey.includes(c))
+    .forEach((col) => {
+      const base = col.replace(/_?id$/i, '').toLowerCase();
+      if (!base || base === col.toLowerCase()) return;
+      const parent = Object.keys(tables).find(
+        (t) =>
+          t !== table &&
+          tables[t].primaryKey.length === 1 &&
+          [t.toLowerCase(), singular(t).toLowerCase()].includes(base)
+      );
+      if (!parent) return;
+      const parentPk = tables[parent].primaryKey;
+      const keys = new Set(tables[parent].rows.map((r) => keyOf(r, parentPk)));
+      const contained = rows.every(
+        (r) => r[col] === null || keys.has(keyOf(r, [col]))
+      );
+      if (contained)
+        foreignKeys.push({
+          columns: [col],
+          referenceTable: parent,
+          referenceColumns: parentPk,
+        });
+    });
+  return foreignKeys;
+}
+
+// Children per sampled parent row of one foreign key
+function fkCardinality(fk, childRows, parentRows) {
+  const counts = new Map(
+    parentRows.map((r) => [keyOf(r, fk.referenceColumns), 0])
+  );
+  let nulls = 0;
+  childRows.forEach((r) => {
+    if (fk.columns.some((c) => r[c] === null)) {
+      nulls++;
+      return;
+    }
+    const key = keyOf(r, fk.columns);
+    if (counts.has(key)) counts.set(key, counts.get(key) + 1);
+  });
+  const perParent = [...counts.values()];
+  const [min, max] = extent(perParent);
+  return {
+    children: perParent.length
+      ? {
+          min,
+          max,
+          mean: round(
+            perParent.reduce((a, b) => a + b, 0) / perParent.length,
+            2
+          ),
+        }
+      : { min: 0, max: 0, mean: 0 },
+    childless: perParent.length
+      ? round(perParent.filter((n) => n === 0).length / perParent.length)
+      : 0,
+    optional: childRows.length ? round(nulls / childRows.length) : 0,
+  };
+}
+
+/**
+ * Profile sample CSVs, one per table. With a schema, its column types, keys
+ * and foreign keys are used and every sample must name one of its tables;
+ * without one, types are inferred and keys are guessed from column names
+ * and values (`id` primary keys, `<parent>_id` references, text columns
+ * without repeats as unique keys).
+ * @param {Object} samples Map table -> CSV text
+ * @param {Object} [options]
+ * @param {Object} [options.schema] Parsed schema ({ tables })
+ * @returns {{ tables: Object }} Map table -> { rowCount, columns, primaryKey, uniqueKeys, foreignKeys }
+ */
+export function profileSamples(samples, options = {}) {
+  const { schema } = options;
+  const names = Object.keys(samples || {});
+  if (!names.length) throw sampleError('At least one sample CSV is required');
+  const tables = {};
+  names.forEach((table) => {
+    const tblDef = schema ? schema.tables?.[table] : undefined;
+    if (schema && !tblDef)
+      throw sampleError(`Sample ${table} does not match a schema table`);
+    const { columns, rows } = parseCsv(samples[table], table);
+    const unknown = tblDef && columns.find((c) => !tblDef.columns?.[c]);
+    if (unknown)
+      throw sampleError(`Sample ${table} has unknown column ${unknown}`);
+    const profiles = Object.fromEntries(
+      columns.map((c) => [
+        c,
+        profileColumn(
+          rows.map((r) => r[c]),
+          tblDef?.columns?.[c]
+        ),
+      ])
+    );
+    // Rows are kept typed only for key matching and dropped afterwards
+    const typed = rows.map((r) =>
+      Object.fromEntries(
+        columns.map((c) => [
+          c,
+          r[c] === null ? null : typedValue(r[c], profiles[c].kind),
+        ])
+      )
+    );
+    tables[table] = {
+      columns,
+      profiles,
+      rows: typed,
+      primaryKey: tblDef
+        ? tblDef.primaryKey || []
+        : inferPrimaryKey(columns, profiles, rows.length),
+    };
+  });
+
+  const profile = { tables: {} };
+  names.forEach((table) => {
+    const { columns, profiles, rows, primaryKey } = tables[table];
+    const declared = schema?.tables?.[table]?.foreignKeys;
+    const foreignKeys = (declared || inferForeignKeys(table, tables))
+      .filter(
+        (fk) =>
+          tables[fk.referenceTable] &&
+          fk.columns.every((c) => columns.includes(c))
+      )
+      .map((fk) => ({
+        columns: fk.columns,
+        referenceTable: fk.referenceTable,
+        referenceColumns: fk.referenceColumns,
+        ...fkCardinality(fk, rows, tables[fk.referenceTable].rows),
+      }));
+    const keyColumns = new Set([
+      ...primaryKey,
+      ...foreignKeys.flatMap((fk) => fk.columns),
+    ]);
+    const uniqueKeys = schema
+      ? schema.tables[table].uniqueKeys || []
+      : columns
+          .filter(
+            (c) =>
+              !keyColumns.has(c) &&
+              profiles[c].unique &&
+              profiles[c].kind === 'text'
+          )
+          .map((c) => [c]);
+    profile.tables[table] = {
+      rowCount: rows.length,
+      columns: Object.fromEntries(
+        Object.entries(profiles).map(([c, { kind, ...rest }]) => {
+          // Key values identify sampled rows: keep only their shape
+          if (keyColumns.has(c)) {
+            const { categories, numbers, dates, ...shape } = rest;
+            return [c, shape];
+          }
+          return [c, rest];
+        })
+      ),
+      primaryKey,
+      uniqueKeys,
+      foreignKeys,
+    };
+  });
+  return profile;
+}
+
+/**
+ * Schema described by a profile made without DDL. Columns are nullable
+ * when their sample had NULLs.
+ * @param {Object} profile Result of profileSamples
+ * @returns {{ tables: Object }}
+ */
+export function profileSchema(profile) {
+  const tables = {};
+  Object.entries(profile.tables).forEach(([table, tbl]) => {
+    const keyColumns = new Set(tbl.primaryKey);
+    tables[table] = {
+      name: table,
+      columns: Object.fromEntries(
+        Object.entries(tbl.columns).map(([c, col]) => {
+          const def = {
+            type: col.type,
+            nullable: !keyColumns.has(c) && col.nullRate > 0,
+          };
+          ['length', 'precision', 'scale'].forEach((k) => {
+            if (col[k] !== undefined) def[k] = col[k];
+          });
+          return [c, def];
+        })
+      ),
+      primaryKey: tbl.primaryKey,
+      foreignKeys: tbl.foreignKeys.map((fk) => ({
+        columns: fk.columns,
+        referenceTable: fk.referenceTable,
+        referenceColumns: fk.referenceColumns,
+      })),
+      uniqueKeys: tbl.uniqueKeys,
+      checks: [],
+    };
+  });
+  return { tables, relationships: [] };
+}
+
+// Distribution spec reproducing a profiled column, if it has values
+function columnDistribution(col) {
+  if (col.categories) {
+    return { type: 'categorical', weights: col.categories };
+  }
+  if (col.numbers) {
+    const { min, max, mean, stddev } = col.numbers;
+    if (min === max) return { type: 'fixed', values: [min] };
+    return { type: 'normal', mean, stddev, min, max };
+  }
+  if (col.dates) {
+    return { type: 'uniform', min: col.dates.min, max: col.dates.max };
+  }
+  return null;
+}
+
+/**
+ * Generation config reproducing a profile: row counts (scaled), null
+ * probabilities, a distribution per column and a cardinality spec per
+ * foreign key between sampled tables. Key and unique columns are left to
+ * the generator.
+ * @param {Object} profile Result of profileSamples
+ * @param {Object} [options]
+ * @param {number} [options.scale=1] Generated rows per sampled row
+ * @returns {Object} config for /api/generate or generateDeterministicData
+ *   ({ perTableRowCounts, nullProbability, distributions, cardinality })
+ */
+export function profileConfig(profile, options = {}) {
+  const scale = options.scale ?? 1;
+  if (!(typeof scale === 'number' && scale > 0 && Number.isFinite(scale)))
+    throw sampleError('scale must be a positive number');
+  const config = {
+    perTableRowCounts: {},
+    nullProbability: {},
+    distributions: {},
+    cardinality: {},
+  };
+  Object.entries(profile.tables).forEach(([table, tbl]) => {
+    config.perTableRowCounts[table] = Math.max(
+      1,
+      Math.round(tbl.rowCount * scale)
+    );
+    const fkColumns = new Set(tbl.foreignKeys.flatMap((fk) => fk.columns));
+    const generated = new Set([
+      ...tbl.primaryKey,
+      ...fkColumns,
+      ...tbl.uniqueKeys.flat(),
+    ]);
+    Object.entries(tbl.columns).forEach(([c, col]) => {
+      if (
+        col.nullRate > 0 &&
+        !tbl.primaryKey.includes(c) &&
+        !fkColumns.has(c)
+      ) {
+        config.nullProbability[table] ??= {};
+        config.nullProbability[table][c] = col.nullRate;
+      }
+      if (generated.has(c)) return;
+      const spec = columnDistribution(col);
+      if (!spec) return;
+      config.distributions[table] ??= {};
+      config.distributions[table][c] = spec;
+    });
+    tbl.foreignKeys.forEach((fk) => {
+      // No sampled parent had children (partial extract): nothing to copy
+      if (!fk.children.max) return;
+      const spec = { min: fk.children.min, max: fk.children.max };
+      if (fk.optional > 0) spec.optional = fk.optional;
+      config.cardinality[table] ??= {};
+      config.cardinality[table][fk.columns.join(',')] = spec;
+    });
+  });
+  return config;
+}
@@ -0,0 +1,255 @@
+import { topologicalSortTables } from './deterministicGenerator.js';
+
+// Entity-relationship views of a parsed schema: a nodes / edges graph plus
+// Mermaid `erDiagram` and Graphviz DOT renderings. Edges point from the child
+// (FK owner) to the parent table; `order` is the generation order followed by
+// the deterministic generator.
+
+// Strongly connected components (Tarjan) of the child -> parent FK graph;
+// components with more than one table are reference cycles
+function findCycles(tables, adjacency) {
+  let index = 0;
+  const indices = {};
+  const low = {};
+  const stack = [];
+  const onStack = new Set();
+  const cycles = [];
+  const visit = (t) => {
+    indices[t] = low[t] = index++;
+    stack.push(t);
+    onStack.add(t);
+    adjacency[t].forEach((next) => {
+      if (indices[next] === undefined) {
+        visit(next);
+        low[t] = Math.min(low[t], low[next]);
+      } else if (onStack.has(next)) {
+        low[t] = Math.min(low[t], indices[next]);
+      }
+    });
+    if (low[t] === indices[t]) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== t);
+      if (component.length > 1) cycles.push(component.reverse());
+    }
+  };
+  tables.forEach((t) => {
+    if (indices[t] === undefined) visit(t);
+  });
+  return cycles;
+}
+
+const isObject = (v) =>
+  v !== null && typeof v === 'object' && !Array.isArray(v);
+
+// Shape problems of a client-supplied schema that would break the graph
+function schemaShapeError(tables) {
+  for (const [name, tbl] of Object.entries(tables)) {
+    if (!isObject(tbl)) return `Table ${name} must be an object`;
+    if (tbl.columns !== undefined && !isObject(tbl.columns)) {
+      return `${name}.columns must be an object`;
+    }
+    const badColumn = Object.entries(tbl.columns || {}).find(
+      ([, def]) => !isObject(def)
+    );
+    if (badColumn) return `Column ${name}.${badColumn[0]} must be an object`;
+    for (const key of ['primaryKey', 'uniqueKeys', 'foreignKeys']) {
+      if (tbl[key] !== undefined && !Array.isArray(tbl[key])) {
+        return `${name}.${key} must be an array`;
+      }
+    }
+    if ((tbl.uniqueKeys || []).some((key) => !Array.isArray(key))) {
+      return `${name}.uniqueKeys entries must be column arrays`;
+    }
+    const badFk = (fk) =>
+      !isObject(fk) ||
+      ['columns', 'referenceColumns'].some(
+        (key) => fk[key] !== undefined && !Array.isArray(fk[key])
+      );
+    if ((tbl.foreignKeys || []).some(badFk)) {
+      return `${name}.foreignKeys entries must be objects with column arrays`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Build the relationship graph of a schema.
+ * @param {Object} schema Parsed schema ({ tables })
+ * @returns {{ nodes: Object[], edges: Object[], order: string[], cycles: string[][], selfReferences: string[], orphans: string[] }}
+ * @throws {Error} 400 INVALID_SCHEMA for malformed table entries
+ */
+export function buildSchemaGraph(schema) {
+  const tables = schema?.tables || {};
+  const shapeError = schemaShapeError(tables);
+  if (shapeError) {
+    const err = new Error(shapeError);
+    err.status = 400;
+    err.code = 'INVALID_SCHEMA';
+    throw err;
+  }
+  const names = Object.keys(tables);
+  const order = topologicalSortTables({ tables });
+  const adjacency = Object.fromEntries(names.map((t) => [t, new Set()]));
+  const edges = [];
+  names.forEach((child) => {
+    const tbl = tables[child];
+    (tbl.foreignKeys || []).forEach((fk) => {
+      if (!tables[fk.referenceTable]) return;
+      const columns = fk.columns || [];
+      const nullable = columns.some(
+        (c) => tbl.columns?.[c]?.nullable !== false
+      );
+      const sameCols = (keys) =>
+        keys.length === columns.length &&
+        keys.every((k) => columns.includes(k));
+      const oneToOne =
+        sameCols(tbl.primaryKey || []) || (tbl.uniqueKeys || []).some(sameCols);
+      edges.push({
+        from: child,
+        to: fk.referenceTable,
+        columns,
+        referenceColumns: fk.referenceColumns || [],
+        nullable,
+        cardinality: oneToOne ? 'one-to-one' : 'many-to-one',
+        selfReference: child === fk.referenceTable,
+      });
+      if (child !== fk.referenceTable) adjacency[child].add(fk.referenceTable);
+    });
+  });
+  const cycles = findCycles(names, adjacency);
+  const inCycle = new Set(cycles.flat());
+  edges.forEach((e) => {
+    e.inCycle = inCycle.has(e.from) && inCycle.has(e.to) && !e.selfReference;
+  });
+  const selfReferences = [
+    ...new Set(edges.filter((e) => e.selfReference).map((e) => e.from)),
+  ];
+  const connected = new Set(
+    edges.filter((e) => !e.selfReference).flatMap((e) => [e.from, e.to])
+  );
+  const orphans = names.filter((t) => !connected.has(t));
+  const nodes = names.map((name) => {
+    const tbl = tables[name];
+    const fkColumns = new Set(
+      (tbl.foreignKeys || []).flatMap((fk) => fk.columns || [])
+    );
+    return {
+      id: name,
+      order: order.indexOf(name),
+      columns: Object.entries(tbl.columns || {}).map(([col, def]) => ({
+        name: col,
+        type: def.type,
+        nullable: def.nullable !== false,
+        primaryKey: (tbl.primaryKey || []).includes(col),
+        foreignKey: fkColumns.has(col),
+        unique: !!def.unique,
+      })),
+      inCycle: inCycle.has(name),
+      orphan: !connected.has(name),
+    };
+  });
+  return { nodes, edges, order, cycles, selfReferences, orphans };
+}
+
+// Mermaid entity / attribute names allow word characters and hyphens only
+const mermaidId = (s) => String(s).replace(/[^\w-]/g, '_');
+
+/**
+ * Render a schema graph as a Mermaid `erDiagram`. Cycles, self references
+ * and orphan tables are listed as `%%` comments.
+ * @param {Object} graph Result of buildSchemaGraph
+ * @returns {string}
+ */
+export function toMermaid(graph) {
+  const lines = ['erDiagram'];
+  graph.nodes.forEach((node) => {
+    lines.push(`    ${mermaidId(node.id)} {`);
+    node.columns.forEach((col) => {
+      const keys = [
+        col.primaryKey && 'PK',
+        col.foreignKey && 'FK',
+        col.unique && !col.primaryKey && 'UK',
+      ].filter(Boolean);
+      lines.push(
+        `        ${mermaidId(col.type || 'unknown')} ${mermaidId(col.name)}${
+          keys.length ? ` ${keys.join(', ')}` : ''
+        }`
+      );
+    });
+    lines.push('    }');
+  });
+  graph.edges.forEach((e) => {
+    const parentSide = e.nullable ? '|o' : '||';
+    const childSide = e.cardinality === 'one-to-one' ? 'o|' : 'o{';
+    lines.push(
+      `    ${mermaidId(e.to)} ${parentSide}--${childSide} ${mermaidId(
+        e.from
+      )} : "${e.columns.join(', ')}"`
+    );
+  });
+  lines.push(`    %% generation order: ${graph.order.join(' -> ')}`);
+  graph.cycles.forEach((c) => {
+    lines.push(`    %% cycle: ${[...c, c[0]].join(' -> ')}`);
+  });
+  if (graph.selfReferences.length) {
+    lines.push(`    %% self references: ${graph.selfReferences.join(', ')}`);
+  }
+  if (graph.orphans.length) {
+    lines.push(`    %% orphan tables: ${graph.orphans.join(', ')}`);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+const dotString = (s) => String(s).replace(/["\\]/g, '\\$&');
+const dotRecord = (s) => dotString(s).replace(/[{}|<>]/g, '\\$&');
+
+/**
+ * Render a schema graph as Graphviz DOT. Tables in a cycle and the edges
+ * closing it are drawn red, orphan tables dashed; table headers carry their
+ * position in the generation order.
+ * @param {Object} graph Result of buildSchemaGraph
+ * @returns {string}
+ */
+export function toDot(graph) {
+  const lines = [
+    'digraph schema {',
+    '  rankdir=LR;',
+    '  node [shape=record, fontname="Helvetica", fontsize=10];',
+    '  edge [fontname="Helvetica", fontsize=9];',
+  ];
+  graph.nodes.forEach((node) => {
+    const fields = node.columns
+      .map((col) => {
+        const keys = [col.primaryKey && 'PK', col.foreignKey && 'FK']
+          .filter(Boolean)
+          .join(',');
+        return dotRecord(
+          `${col.name} : ${col.type || 'unknown'}${keys ? ` (${keys})` : ''}`
+        );
+      })
+      .join('\\l');
+    const attrs = [
+      `label="{${node.order + 1}. ${dotRecord(node.id)}|${fields}${
+        fields ? '\\l' : ''
+      }}"`,
+    ];
+    if (node.inCycle) attrs.push('color="red"');
+    if (node.orphan) attrs.push('style="dashed"');
+    lines.push(`  "${dotString(node.id)}" [${attrs.join(', ')}];`);
+  });
+  graph.edges.forEach((e) => {
+    const attrs = [`label="${dotString(e.columns.join(', '))}"`];
+    if (e.nullable) attrs.push('style="dashed"');
+    if (e.inCycle) attrs.push('color="red"');
+    lines.push(
+      `  "${dotString(e.from)}" -> "${dotString(e.to)}" [${attrs.join(', ')}];`
+    );
+  });
+  lines.push('}');
+  return `${lines.join('\n')}\n`;
+}
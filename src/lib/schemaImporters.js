@@ -0,0 +1,960 @@
+import path from 'path';
+import { parseCheckExpression } from './checkConstraints.js';
+
+// Importers turning non-SQL model definitions into the internal schema shape
+// ({ tables: { columns, primaryKey, foreignKeys, uniqueKeys, checks } }):
+//   - Prisma schema files (.prisma)
+//   - Sequelize models (sequelize.define / Model.init + associations)
+//   - TypeORM entities (@Entity classes)
+//   - JSON Schema / OpenAPI component definitions (.json)
+// Source files are read as text and never executed.
+
+export const IMPORT_FORMATS = ['prisma', 'sequelize', 'typeorm', 'jsonschema'];
+
+function emptyTable(name) {
+  return {
+    name,
+    columns: {},
+    primaryKey: [],
+    foreignKeys: [],
+    uniqueKeys: [],
+    checks: [],
+  };
+}
+
+const OPENERS = { '(': ')', '{': '}', '[': ']' };
+
+// Index of the bracket closing the one at `openIdx` (any of () {} []),
+// skipping string literals; -1 when unbalanced
+function matchingBracket(text, openIdx) {
+  const stack = [];
+  let quote = null;
+  for (let i = openIdx; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === '\\') i++;
+      else if (ch === quote) quote = null;
+      continue;
+    }
+    if (ch === "'" || ch === '"' || ch === '`') quote = ch;
+    else if (OPENERS[ch]) stack.push(OPENERS[ch]);
+    else if (ch === stack[stack.length - 1]) {
+      stack.pop();
+      if (!stack.length) return i;
+    }
+  }
+  return -1;
+}
+
+// Split on `sep` at bracket depth 0 and outside strings
+function splitTopLevel(text, sep = ',') {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let last = 0;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === '\\') i++;
+      else if (ch === quote) quote = null;
+      continue;
+    }
+    if (ch === "'" || ch === '"' || ch === '`') quote = ch;
+    else if (OPENERS[ch]) depth++;
+    else if (ch === ')' || ch === '}' || ch === ']') depth--;
+    else if (ch === sep && depth === 0) {
+      parts.push(text.slice(last, i));
+      last = i + 1;
+    }
+  }
+  parts.push(text.slice(last));
+  return parts.map((p) => p.trim()).filter(Boolean);
+}
+
+function stripJsComments(text) {
+  return text
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/(^|[^:'"`])\/\/.*$/gm, '$1');
+}
+
+/**
+ * Read a JavaScript literal (object, array, string, number, boolean, null)
+ * without evaluating it. Anything else (identifiers, calls, arrow functions)
+ * comes back as `{ $expr: 'source text' }`.
+ * @param {string} text
+ * @returns {*}
+ */
+export function parseJsLiteral(text) {
+  const t = String(text).trim();
+  if (t.startsWith('{') && matchingBracket(t, 0) === t.length - 1) {
+    const obj = {};
+    splitTopLevel(t.slice(1, -1)).forEach((prop) => {
+      const m = prop.match(
+        /^(?:(['"`])(.*?)\1|([A-Za-z_$][\w$]*))\s*:\s*([\s\S]+)$/
+      );
+      if (m) obj[m[2] ?? m[3]] = parseJsLiteral(m[4]);
+      else if (/^[A-Za-z_$][\w$]*$/.test(prop)) obj[prop] = { $expr: prop }; // shorthand
+    });
+    return obj;
+  }
+  if (t.startsWith('[') && matchingBracket(t, 0) === t.length - 1) {
+    return splitTopLevel(t.slice(1, -1)).map(parseJsLiteral);
+  }
+  const str = t.match(/^(['"`])([\s\S]*)\1$/);
+  if (str && !str[2].includes(str[1])) return str[2];
+  if (/^-?\d+(\.\d+)?$/.test(t)) return Number(t);
+  if (t === 'true' || t === 'false') return t === 'true';
+  if (t === 'null') return null;
+  return { $expr: t };
+}
+
+const isExpr = (v) => v && typeof v === 'object' && '$expr' in v;
+
+// Arguments of a call expression text such as `DataTypes.STRING(100)`
+function callArgs(expr) {
+  const open = expr.indexOf('(');
+  if (open === -1) return [];
+  const close = matchingBracket(expr, open);
+  return splitTopLevel(expr.slice(open + 1, close === -1 ? undefined : close));
+}
+
+function checksFromBounds(colName, { min, max, exclusiveMin, exclusiveMax }) {
+  const parts = [];
+  if (typeof min === 'number')
+    parts.push(`${colName} ${exclusiveMin ? '>' : '>='} ${min}`);
+  if (typeof max === 'number')
+    parts.push(`${colName} ${exclusiveMax ? '<' : '<='} ${max}`);
+  return parts.length ? parseCheckExpression(parts.join(' AND ')) : [];
+}
+
+// FKs declared without referenced columns point at the parent primary key
+function resolveReferences(schema) {
+  Object.values(schema.tables).forEach((tbl) => {
+    tbl.foreignKeys = tbl.foreignKeys.filter(
+      (fk) => schema.tables[fk.referenceTable]
+    );
+    tbl.foreignKeys.forEach((fk) => {
+      if (fk.referenceColumns.length) return;
+      const parentPk = schema.tables[fk.referenceTable].primaryKey;
+      fk.referenceColumns = parentPk.length ? [...parentPk] : ['id'];
+    });
+  });
+  return schema;
+}
+
+// ---------------------------------------------------------------- Prisma
+
+const PRISMA_TYPES = {
+  Int: 'INTEGER',
+  BigInt: 'BIGINT',
+  Float: 'DOUBLE',
+  Decimal: 'DECIMAL',
+  String: 'TEXT',
+  Boolean: 'BOOLEAN',
+  DateTime: 'TIMESTAMP',
+  Json: 'JSON',
+  Bytes: 'BLOB',
+};
+
+// `@name(args)` attributes of a Prisma field or block line
+function prismaAttributes(text) {
+  const attrs = [];
+  const re = /@@?([\w.]+)/g;
+  let m;
+  while ((m = re.exec(text))) {
+    let args = null;
+    if (text[re.lastIndex] === '(') {
+      const close = matchingBracket(text, re.lastIndex);
+      args = text.slice(re.lastIndex + 1, close);
+      re.lastIndex = close + 1;
+    }
+    attrs.push({ name: m[1], args });
+  }
+  return attrs;
+}
+
+function prismaList(args, key) {
+  const m = key
+    ? args?.match(new RegExp(`${key}\\s*:\\s*\\[([^\\]]*)\\]`))
+    : args?.match(/^\s*\[([^\]]*)\]/);
+  return m
+    ? m[1]
+        .split(',')
+        .map((s) => s.trim())
+        .filter(Boolean)
+    : [];
+}
+
+function prismaDefault(args) {
+  const v = args.trim();
+  if (v === 'autoincrement()') return { serial: true };
+  if (/^\w+\(.*\)$/.test(v)) return { defaultExpression: v };
+  const str = v.match(/^"(.*)"$/);
+  if (str) return { default: str[1] };
+  if (/^-?\d+(\.\d+)?$/.test(v)) return { default: Number(v) };
+  if (v === 'true' || v === 'false') return { default: v === 'true' };
+  return { default: v }; // enum member
+}
+
+/**
+ * Convert a Prisma schema file into the internal schema shape. Relation
+ * fields with `@relation(fields, references)` become foreign keys; list and
+ * back-reference relation fields are skipped.
+ * @param {string} source
+ * @returns {Object}
+ */
+export function importPrisma(source) {
+  const text = source.replace(/\/\/.*$/gm, '');
+  const blocks = [];
+  const re = /^\s*(model|enum)\s+(\w+)\s*\{/gm;
+  let m;
+  while ((m = re.exec(text))) {
+    const open = re.lastIndex - 1;
+    const close = matchingBracket(text, open);
+    blocks.push({ kind: m[1], name: m[2], body: text.slice(open + 1, close) });
+  }
+  const enums = {};
+  blocks
+    .filter((b) => b.kind === 'enum')
+    .forEach((b) => {
+      enums[b.name] = b.body
+        .split('\n')
+        .map((l) => l.trim().split(/\s+/)[0])
+        .filter((v) => /^\w+$/.test(v));
+    });
+  const models = blocks.filter((b) => b.kind === 'model');
+  const tableNames = {};
+  const columnNames = {};
+  models.forEach((b) => {
+    const map = b.body.match(/@@map\(\s*"([^"]+)"\s*\)/);
+    tableNames[b.name] = map ? map[1] : b.name;
+  });
+
+  const schema = { tables: {}, relationships: [] };
+  if (Object.keys(enums).length) schema.enums = enums;
+  const pendingFks = [];
+  models.forEach((b) => {
+    const table = emptyTable(tableNames[b.name]);
+    columnNames[b.name] = {};
+    const blockAttrs = [];
+    b.body.split('\n').forEach((raw) => {
+      const line = raw.trim();
+      if (!line) return;
+      if (line.startsWith('@@')) {
+        blockAttrs.push(...prismaAttributes(line));
+        return;
+      }
+      const f = line.match(/^(\w+)\s+(\w+)(\[\])?(\?)?\s*(.*)$/);
+      if (!f) return;
+      const [, field, type, list, optional, rest] = f;
+      const attrs = prismaAttributes(rest);
+      const attr = (name) => attrs.find((a) => a.name === name);
+      if (tableNames[type]) {
+        // Relation field: only the owning side (with fields/references) maps to a FK
+        const rel = attr('relation');
+        const fields = prismaList(rel?.args, 'fields');
+        if (!list && fields.length) {
+          pendingFks.push({
+            model: b.name,
+            fields,
+            target: type,
+            references: prismaList(rel.args, 'references'),
+          });
+        }
+        return;
+      }
+      if (list) return; // scalar lists have no relational counterpart
+      const map = attr('map');
+      const colName = map ? map.args.replace(/"/g, '').trim() : field;
+      columnNames[b.name][field] = colName;
+      const col = { type: PRISMA_TYPES[type] || 'TEXT', nullable: !!optional };
+      if (enums[type]) {
+        Object.assign(col, {
+          type: 'enum',
+          enumType: type,
+          enumValues: enums[type],
+        });
+      }
+      attrs.forEach(({ name, args }) => {
+        const dbType = name.match(/^db\.(\w+)$/);
+        if (!dbType) return;
+        const nums = (args || '')
+          .split(',')
+          .map(Number)
+          .filter(Number.isFinite);
+        if (/char/i.test(dbType[1]) && nums[0]) {
+          Object.assign(col, {
+            type: dbType[1].toUpperCase(),
+            length: nums[0],
+          });
+        } else if (/decimal|numeric/i.test(dbType[1]) && nums[0]) {
+          Object.assign(col, { precision: nums[0], scale: nums[1] || 0 });
+        } else if (/^date$/i.test(dbType[1])) {
+          col.type = 'DATE';
+        } else if (/uuid/i.test(dbType[1])) {
+          col.type = 'UUID';
+        }
+      });
+      const def = attr('default');
+      if (def) {
+        const { serial, ...value } = prismaDefault(def.args);
+        if (serial) col.type = 'serial';
+        Object.assign(col, value);
+      }
+      if (attr('id')) table.primaryKey.push(colName);
+      if (attr('unique')) {
+        col.unique = true;
+        table.uniqueKeys.push([colName]);
+      }
+      table.columns[colName] = col;
+    });
+    const toColumns = (fields) =>
+      fields.map((fld) => columnNames[b.name][fld] || fld);
+    blockAttrs.forEach(({ name, args }) => {
+      if (name === 'id')
+        table.primaryKey = toColumns(
+          prismaList(args, 'fields').length
+            ? prismaList(args, 'fields')
+            : prismaList(args)
+        );
+      if (name === 'unique') {
+        const fields = prismaList(args, 'fields').length
+          ? prismaList(args, 'fields')
+          : prismaList(args);
+        if (fields.length) table.uniqueKeys.push(toColumns(fields));
+      }
+    });
+    schema.tables[table.name] = table;
+  });
+
+  pendingFks.forEach(({ model, fields, target, references }) => {
+    schema.tables[tableNames[model]].foreignKeys.push({
+      columns: fields.map((f) => columnNames[model][f] || f),
+      referenceTable: tableNames[target],
+      referenceColumns: references.map((r) => columnNames[target][r] || r),
+    });
+  });
+  return resolveReferences(schema);
+}
+
+// ------------------------------------------------------------- Sequelize
+
+// Sequelize / TypeORM type name (already upper-cased) -> internal column
+function sqlTypeColumn(name, args = []) {
+  const nums = args.map(Number).filter(Number.isFinite);
+  const col = { type: name };
+  if (/^(STRING|VARCHAR|CHARACTER VARYING)$/.test(name)) {
+    Object.assign(col, { type: 'VARCHAR', length: nums[0] || 255 });
+  } else if (/^CHAR$/.test(name)) {
+    Object.assign(col, { type: 'CHAR', length: nums[0] || 1 });
+  } else if (/^(DECIMAL|NUMERIC)$/.test(name)) {
+    col.type = 'DECIMAL';
+    if (nums[0])
+      Object.assign(col, { precision: nums[0], scale: nums[1] || 0 });
+  } else if (/^(FLOAT|DOUBLE|REAL|DOUBLE PRECISION)$/.test(name)) {
+    col.type = 'DOUBLE';
+  } else if (/^(INTEGER|INT|SMALLINT|TINYINT|MEDIUMINT)$/.test(name)) {
+    col.type = 'INTEGER';
+  } else if (/^(DATE|DATETIME|TIMESTAMP|TIMESTAMPTZ)$/.test(name)) {
+    col.type = 'TIMESTAMP';
+  } else if (name === 'DATEONLY') {
+    col.type = 'DATE';
+  } else if (/^(BOOLEAN|BOOL)$/.test(name)) {
+    col.type = 'BOOLEAN';
+  } else if (/^(JSON|JSONB|SIMPLE-JSON)$/.test(name)) {
+    col.type = 'JSON';
+  } else if (/^(BLOB|BYTEA)$/.test(name)) {
+    col.type = 'BLOB';
+  }
+  return col;
+}
+
+// `DataTypes.STRING(100)` / `Sequelize.ENUM('a', 'b')` -> column
+function sequelizeType(expr) {
+  const m = String(expr).match(/(?:DataTypes|Sequelize|DataType)\.(\w+)/);
+  if (!m) return { type: 'TEXT' };
+  const name = m[1].toUpperCase();
+  const args = callArgs(expr.slice(expr.indexOf(m[0])));
+  if (name === 'ENUM') {
+    return {
+      type: 'enum',
+      enumValues: args.map(parseJsLiteral).filter((v) => typeof v === 'string'),
+    };
+  }
+  return sqlTypeColumn(name, args);
+}
+
+function sequelizeDefault(value) {
+  if (isExpr(value)) {
+    if (/\.NOW\b|fn\(\s*['"]now/i.test(value.$expr))
+      return { defaultExpression: 'now()' };
+    if (/UUIDV[14]/.test(value.$expr)) return { defaultExpression: 'uuid()' };
+    return {};
+  }
+  return value === undefined ? {} : { default: value };
+}
+
+/**
+ * Convert Sequelize model definitions (`sequelize.define(...)`,
+ * `Model.init(...)`) and their `belongsTo` / `hasOne` / `hasMany`
+ * associations into the internal schema shape.
+ * @param {string} source
+ * @returns {Object}
+ */
+export function importSequelize(source) {
+  const text = stripJsComments(source);
+  const schema = { tables: {}, relationships: [] };
+  const byVar = {};
+  const byModel = {};
+  const inlineRefs = [];
+
+  const addModel = (varName, modelName, attrsText, optionsText) => {
+    const options = optionsText ? parseJsLiteral(optionsText) : {};
+    const tableName =
+      typeof options.tableName === 'string'
+        ? options.tableName
+        : typeof options.modelName === 'string'
+          ? options.modelName
+          : modelName;
+    const table = emptyTable(tableName);
+    const attrs = parseJsLiteral(attrsText);
+    Object.entries(isExpr(attrs) ? {} : attrs).forEach(([field, def]) => {
+      const spec = isExpr(def) ? { type: def } : def;
+      if (!spec || !spec.type) return;
+      const colName = typeof spec.field === 'string' ? spec.field : field;
+      const col = {
+        ...sequelizeType(spec.type.$expr || ''),
+        nullable: spec.allowNull !== false && spec.primaryKey !== true,
+        ...sequelizeDefault(spec.defaultValue),
+      };
+      if (col.type === 'enum' && Array.isArray(spec.values))
+        col.enumValues = spec.values;
+      if (spec.autoIncrement === true) col.type = 'serial';
+      if (spec.primaryKey === true) table.primaryKey.push(colName);
+      if (spec.unique === true || typeof spec.unique === 'string') {
+        col.unique = true;
+        table.uniqueKeys.push([colName]);
+      }
+      const validate =
+        spec.validate && !isExpr(spec.validate) ? spec.validate : {};
+      table.checks.push(
+        ...checksFromBounds(colName, { min: validate.min, max: validate.max })
+      );
+      if (validate.isIn && Array.isArray(validate.isIn[0])) {
+        table.checks.push({
+          kind: 'in',
+          column: colName,
+          values: validate.isIn[0],
+          expression: `${colName} IN (${validate.isIn[0].map((v) => `'${v}'`).join(', ')})`,
+        });
+      }
+      if (spec.references && !isExpr(spec.references)) {
+        inlineRefs.push({
+          table,
+          column: colName,
+          model: spec.references.model,
+          key: spec.references.key,
+        });
+      }
+      table.columns[colName] = col;
+    });
+    if (!table.primaryKey.length && !table.columns.id) {
+      // Sequelize adds an auto-increment `id` primary key by default
+      table.columns = {
+        id: { type: 'serial', nullable: false },
+        ...table.columns,
+      };
+      table.primaryKey = ['id'];
+    }
+    schema.tables[tableName] = table;
+    byModel[modelName] = table;
+    if (varName) byVar[varName] = table;
+  };
+
+  let m;
+  const defineRe =
+    /(?:(?:const|let|var)\s+(\w+)\s*=\s*)?\w+\.define\(\s*(['"`])(\w+)\2\s*,\s*\{/g;
+  while ((m = defineRe.exec(text))) {
+    const open = defineRe.lastIndex - 1;
+    const close = matchingBracket(text, open);
+    const after = text.slice(close + 1).match(/^\s*,\s*\{/);
+    let optionsText = null;
+    if (after) {
+      const optOpen = close + after[0].length;
+      optionsText = text.slice(optOpen, matchingBracket(text, optOpen) + 1);
+    }
+    addModel(m[1] || m[3], m[3], text.slice(open, close + 1), optionsText);
+  }
+  const initRe = /(\w+)\.init\(\s*\{/g;
+  while ((m = initRe.exec(text))) {
+    const open = initRe.lastIndex - 1;
+    const close = matchingBracket(text, open);
+    const after = text.slice(close + 1).match(/^\s*,\s*\{/);
+    let optionsText = null;
+    if (after) {
+      const optOpen = close + after[0].length;
+      optionsText = text.slice(optOpen, matchingBracket(text, optOpen) + 1);
+    }
+    addModel(m[1], m[1], text.slice(open, close + 1), optionsText);
+  }
+
+  const lookup = (name) => byVar[name] || byModel[name] || schema.tables[name];
+  const addFk = (child, column, parent, key) => {
+    if (!child.columns[column])
+      child.columns[column] = { type: 'INTEGER', nullable: true };
+    if (
+      child.foreignKeys.some(
+        (fk) => fk.columns.length === 1 && fk.columns[0] === column
+      )
+    )
+      return;
+    child.foreignKeys.push({
+      columns: [column],
+      referenceTable: parent.name,
+      referenceColumns: key ? [key] : [],
+    });
+  };
+  inlineRefs.forEach(({ table, column, model, key }) => {
+    const parent =
+      typeof model === 'string'
+        ? lookup(model)
+        : isExpr(model)
+          ? lookup(model.$expr)
+          : null;
+    if (parent)
+      addFk(table, column, parent, typeof key === 'string' ? key : null);
+  });
+  const assocRe =
+    /(\w+)\.(belongsTo|hasOne|hasMany)\(\s*(\w+)\s*(?:,\s*(\{[\s\S]*?\}))?\s*\)/g;
+  while ((m = assocRe.exec(text))) {
+    const [, sourceVar, kind, targetVar, optsText] = m;
+    const source = lookup(sourceVar);
+    const target = lookup(targetVar);
+    if (!source || !target) continue;
+    const opts = optsText
+      ? parseJsLiteral(optsText.slice(0, matchingBracket(optsText, 0) + 1))
+      : {};
+    const fkOpt = opts.foreignKey;
+    const named =
+      typeof fkOpt === 'string'
+        ? fkOpt
+        : typeof fkOpt?.name === 'string'
+          ? fkOpt.name
+          : null;
+    if (kind === 'belongsTo') {
+      const column =
+        named || `${targetVar.charAt(0).toLowerCase()}${targetVar.slice(1)}Id`;
+      addFk(
+        source,
+        column,
+        target,
+        typeof opts.targetKey === 'string' ? opts.targetKey : null
+      );
+    } else {
+      const column =
+        named || `${sourceVar.charAt(0).toLowerCase()}${sourceVar.slice(1)}Id`;
+      addFk(
+        target,
+        column,
+        source,
+        typeof opts.sourceKey === 'string' ? opts.sourceKey : null
+      );
+    }
+  }
+  return resolveReferences(schema);
+}
+
+// --------------------------------------------------------------- TypeORM
+
+const TS_TYPES = {
+  number: 'INTEGER',
+  string: 'VARCHAR',
+  boolean: 'BOOLEAN',
+  Date: 'TIMESTAMP',
+};
+
+/**
+ * Convert TypeORM entity classes into the internal schema shape.
+ * `@ManyToOne` / `@OneToOne` with `@JoinColumn` become foreign keys;
+ * `@OneToMany` and `@ManyToMany` sides are skipped.
+ * @param {string} source
+ * @returns {Object}
+ */
+export function importTypeORM(source) {
+  const text = stripJsComments(source);
+  const enums = {};
+  let m;
+  const enumRe = /enum\s+(\w+)\s*\{/g;
+  while ((m = enumRe.exec(text))) {
+    const open = enumRe.lastIndex - 1;
+    const body = text.slice(open + 1, matchingBracket(text, open));
+    enums[m[1]] = splitTopLevel(body).map((member) => {
+      const [key, value] = member.split('=').map((s) => s.trim());
+      const literal = value === undefined ? key : parseJsLiteral(value);
+      return isExpr(literal) ? key : literal;
+    });
+  }
+
+  const schema = { tables: {}, relationships: [] };
+  const byClass = {};
+  const relations = [];
+  const entityRe =
+    /@Entity\(([^)]*)\)\s*(?:export\s+)?(?:default\s+)?class\s+(\w+)[^{]*\{/g;
+  while ((m = entityRe.exec(text))) {
+    const entityArg = m[1].trim() ? parseJsLiteral(m[1]) : null;
+    const className = m[2];
+    const tableName =
+      typeof entityArg === 'string'
+        ? entityArg
+        : typeof entityArg?.name === 'string'
+          ? entityArg.name
+          : className;
+    const table = emptyTable(tableName);
+    const open = entityRe.lastIndex - 1;
+    const body = text.slice(open + 1, matchingBracket(text, open));
+
+    // A member is a run of decorators followed by `name[?!]: Type`
+    const memberRe =
+      /((?:@\w+\s*\([^@]*?\)\s*)+)(\w+)([?!])?\s*:\s*([^;=\n]+)/g;
+    let mm;
+    while ((mm = memberRe.exec(body))) {
+      const [, decoText, prop, marker, tsType] = mm;
+      const decorators = [];
+      const decoRe = /@(\w+)\s*\(/g;
+      let d;
+      while ((d = decoRe.exec(decoText))) {
+        const dOpen = decoRe.lastIndex - 1;
+        const dClose = matchingBracket(decoText, dOpen);
+        decorators.push({
+          name: d[1],
+          args: splitTopLevel(decoText.slice(dOpen + 1, dClose)).map(
+            parseJsLiteral
+          ),
+        });
+      }
+      const deco = (name) => decorators.find((x) => x.name === name);
+      const relation = deco('ManyToOne') || deco('OneToOne');
+      if (relation) {
+        const join = deco('JoinColumn');
+        if (deco('OneToOne') && !join) continue; // inverse side
+        const target = isExpr(relation.args[0])
+          ? relation.args[0].$expr.replace(/^\(\)\s*=>\s*/, '').trim()
+          : null;
+        const joinOpts =
+          join?.args[0] && !isExpr(join.args[0]) ? join.args[0] : {};
+        relations.push({
+          table,
+          column:
+            typeof joinOpts.name === 'string' ? joinOpts.name : `${prop}Id`,
+          target,
+          key:
+            typeof joinOpts.referencedColumnName === 'string'
+              ? joinOpts.referencedColumnName
+              : null,
+          nullable: relation.args.some((a) => a && a.nullable === false)
+            ? false
+            : true,
+        });
+        continue;
+      }
+      if (deco('OneToMany') || deco('ManyToMany')) continue;
+      const columnDeco =
+        deco('PrimaryGeneratedColumn') ||
+        deco('PrimaryColumn') ||
+        deco('Column') ||
+        deco('CreateDateColumn') ||
+        deco('UpdateDateColumn') ||
+        deco('DeleteDateColumn');
+      if (!columnDeco) continue;
+      const [first, second] = columnDeco.args;
+      const opts = {
+        ...(typeof first === 'object' && first && !isExpr(first) ? first : {}),
+        ...(typeof second === 'object' && second && !isExpr(second)
+          ? second
+          : {}),
+      };
+      const typeName =
+        typeof first === 'string'
+          ? first
+          : typeof opts.type === 'string'
+            ? opts.type
+            : null;
+      const colName = typeof opts.name === 'string' ? opts.name : prop;
+      const baseTs = tsType.trim().replace(/\s*\|\s*null$/, '');
+      let col;
+      if (columnDeco.name === 'PrimaryGeneratedColumn') {
+        col =
+          typeName === 'uuid'
+            ? { type: 'UUID', defaultExpression: 'uuid()' }
+            : { type: 'serial' };
+      } else if (/DateColumn$/.test(columnDeco.name)) {
+        col = { type: 'TIMESTAMP', defaultExpression: 'now()' };
+      } else if (typeName === 'enum' || opts.enum) {
+        const values = Array.isArray(opts.enum)
+          ? opts.enum
+          : enums[isExpr(opts.enum) ? opts.enum.$expr : baseTs] || [];
+        col = { type: 'enum', enumValues: values };
+        if (isExpr(opts.enum)) col.enumType = opts.enum.$expr;
+      } else if (typeName) {
+        col = sqlTypeColumn(
+          typeName.toUpperCase(),
+          [opts.length ?? opts.precision, opts.scale].filter(
+            (v) => v !== undefined
+          )
+        );
+      } else {
+        col = sqlTypeColumn(
+          TS_TYPES[baseTs] || 'TEXT',
+          opts.length ? [opts.length] : []
+        );
+      }
+      if (typeof opts.length === 'number' && /CHAR/.test(col.type))
+        col.length = opts.length;
+      if (typeof opts.precision === 'number' && col.type === 'DECIMAL') {
+        Object.assign(col, {
+          precision: opts.precision,
+          scale: opts.scale || 0,
+        });
+      }
+      col.nullable =
+        opts.nullable === true || (marker === '?' && opts.nullable !== false);
+      if (opts.default !== undefined && !isExpr(opts.default))
+        col.default = opts.default;
+      if (/^Primary/.test(columnDeco.name) || opts.primary === true) {
+        col.nullable = false;
+        table.primaryKey.push(colName);
+      }
+      if (opts.unique === true) {
+        col.unique = true;
+        table.uniqueKeys.push([colName]);
+      }
+      table.columns[colName] = col;
+    }
+    schema.tables[tableName] = table;
+    byClass[className] = table;
+  }
+
+  relations.forEach(({ table, column, target, key, nullable }) => {
+    const parent = byClass[target];
+    if (!parent) return;
+    if (!table.columns[column])
+      table.columns[column] = { type: 'INTEGER', nullable };
+    table.foreignKeys.push({
+      columns: [column],
+      referenceTable: parent.name,
+      referenceColumns: key ? [key] : [],
+    });
+  });
+  if (Object.keys(enums).length) schema.enums = enums;
+  return resolveReferences(schema);
+}
+
+// --------------------------------------------------- JSON Schema / OpenAPI
+
+function refName(ref) {
+  return String(ref).split('/').pop();
+}
+
+function jsonSchemaColumn(prop) {
+  const format = prop.format || '';
+  const types = Array.isArray(prop.type) ? prop.type : [prop.type];
+  const type = types.find((t) => t && t !== 'null');
+  let col;
+  if (Array.isArray(prop.enum) && prop.enum.length) {
+    col = { type: 'enum', enumValues: prop.enum.filter((v) => v !== null) };
+  } else if (type === 'integer') {
+    col = { type: format === 'int64' ? 'BIGINT' : 'INTEGER' };
+  } else if (type === 'number') {
+    col = { type: 'DOUBLE' };
+  } else if (type === 'boolean') {
+    col = { type: 'BOOLEAN' };
+  } else if (type === 'string' && format === 'date') {
+    col = { type: 'DATE' };
+  } else if (type === 'string' && format === 'date-time') {
+    col = { type: 'TIMESTAMP' };
+  } else if (type === 'string' && format === 'uuid') {
+    col = { type: 'UUID' };
+  } else if (type === 'string') {
+    col = prop.maxLength
+      ? { type: 'VARCHAR', length: prop.maxLength }
+      : { type: 'TEXT' };
+  } else {
+    col = { type: 'JSON' };
+  }
+  if (prop.default !== undefined) col.default = prop.default;
+  return col;
+}
+
+/**
+ * Convert JSON Schema definitions (`$defs` / `definitions`, or a single
+ * titled object schema) or OpenAPI `components.schemas` into the internal
+ * schema shape. Object properties that `$ref` another definition become FK
+ * columns named `<property>_id` (unless `<property>Id` / `<property>_id`
+ * already exists); `x-primary-key`, `x-unique` and `x-foreign-key`
+ * ("table.column") extensions are honored.
+ * @param {Object|string} document Parsed JSON or JSON text
+ * @returns {Object}
+ */
+export function importJsonSchema(document) {
+  const doc = typeof document === 'string' ? JSON.parse(document) : document;
+  let defs = doc?.components?.schemas || doc?.definitions || doc?.$defs;
+  if (!defs && doc?.properties) defs = { [doc.title || 'root']: doc };
+  const schema = { tables: {}, relationships: [] };
+  const pendingFks = [];
+
+  Object.entries(defs || {}).forEach(([name, def]) => {
+    const merged = { properties: {}, required: [] };
+    [def, ...(def.allOf || [])].forEach((part) => {
+      const resolved = part.$ref ? defs[refName(part.$ref)] || {} : part;
+      Object.assign(merged.properties, resolved.properties || {});
+      merged.required.push(...(resolved.required || []));
+    });
+    if (
+      def.type &&
+      def.type !== 'object' &&
+      !Object.keys(merged.properties).length
+    )
+      return;
+    const table = emptyTable(name);
+    Object.entries(merged.properties).forEach(([propName, prop]) => {
+      if (prop.$ref || prop.allOf?.[0]?.$ref) {
+        const target = refName(prop.$ref || prop.allOf[0].$ref);
+        const targetDef = defs[target];
+        // Referenced enums / scalars are inlined, objects become relations
+        if (
+          targetDef &&
+          (targetDef.enum || (targetDef.type && targetDef.type !== 'object'))
+        ) {
+          table.columns[propName] = {
+            ...jsonSchemaColumn(targetDef),
+            nullable: !merged.required.includes(propName),
+          };
+          return;
+        }
+        const existing = [`${propName}Id`, `${propName}_id`].find(
+          (c) => merged.properties[c]
+        );
+        const column = existing || `${propName}_id`;
+        if (!existing)
+          table.columns[column] = {
+            type: 'INTEGER',
+            nullable: !merged.required.includes(propName),
+          };
+        pendingFks.push({ table, column, target, key: null });
+        return;
+      }
+      if (prop.type === 'array') return; // one-to-many side
+      const col = {
+        ...jsonSchemaColumn(prop),
+        nullable: prop.nullable === true || !merged.required.includes(propName),
+      };
+      table.checks.push(
+        ...checksFromBounds(propName, {
+          min:
+            typeof prop.exclusiveMinimum === 'number'
+              ? prop.exclusiveMinimum
+              : prop.minimum,
+          max:
+            typeof prop.exclusiveMaximum === 'number'
+              ? prop.exclusiveMaximum
+              : prop.maximum,
+          exclusiveMin:
+            typeof prop.exclusiveMinimum === 'number' ||
+            prop.exclusiveMinimum === true,
+          exclusiveMax:
+            typeof prop.exclusiveMaximum === 'number' ||
+            prop.exclusiveMaximum === true,
+        })
+      );
+      if (prop['x-primary-key']) table.primaryKey.push(propName);
+      if (prop['x-unique']) {
+        col.unique = true;
+        table.uniqueKeys.push([propName]);
+      }
+      if (typeof prop['x-foreign-key'] === 'string') {
+        const [target, key] = prop['x-foreign-key'].split('.');
+        pendingFks.push({ table, column: propName, target, key });
+      }
+      table.columns[propName] = col;
+    });
+    if (!table.primaryKey.length && table.columns.id) table.primaryKey = ['id'];
+    if (table.primaryKey.length)
+      table.primaryKey.forEach((c) => (table.columns[c].nullable = false));
+    schema.tables[name] = table;
+  });
+
+  pendingFks.forEach(({ table, column, target, key }) => {
+    if (table.foreignKeys.some((fk) => fk.columns[0] === column)) return;
+    table.foreignKeys.push({
+      columns: [column],
+      referenceTable: target,
+      referenceColumns: key ? [key] : [],
+    });
+  });
+  return resolveReferences(schema);
+}
+
+// -------------------------------------------------------------- dispatch
+
+/**
+ * Detect the import format of a schema file from its name and content.
+ * @param {string} filename
+ * @param {string} content
+ * @returns {'prisma'|'sequelize'|'typeorm'|'jsonschema'|'ddl'}
+ */
+export function detectSchemaFormat(filename, content) {
+  const ext = path.extname(filename || '').toLowerCase();
+  if (ext === '.prisma') return 'prisma';
+  if (ext === '.json') return 'jsonschema';
+  if (['.js', '.mjs', '.cjs', '.ts'].includes(ext)) {
+    if (/@Entity\s*\(/.test(content)) return 'typeorm';
+    return 'sequelize';
+  }
+  if (
+    /^\s*model\s+\w+\s*\{/m.test(content) &&
+    /^\s*datasource\s+\w+\s*\{|@id\b/m.test(content)
+  )
+    return 'prisma';
+  return 'ddl';
+}
+
+/**
+ * Convert non-SQL model definitions into the internal schema shape.
+ * @param {string} content File content
+ * @param {'prisma'|'sequelize'|'typeorm'|'jsonschema'} format
+ * @returns {Object} schema with `sourceFormat`
+ */
+export function importSchema(content, format) {
+  const importers = {
+    prisma: importPrisma,
+    sequelize: importSequelize,
+    typeorm: importTypeORM,
+    jsonschema: importJsonSchema,
+  };
+  const importer = importers[format];
+  if (!importer) {
+    const err = new Error(
+      `Unsupported schema format "${format}" (expected one of: ${IMPORT_FORMATS.join(', ')})`
+    );
+    err.status = 400;
+    err.code = 'UNSUPPORTED_FORMAT';
+    throw err;
+  }
+  let schema;
+  try {
+    schema = importer(content);
+  } catch (e) {
+    const err = new Error(`Could not import ${format} schema: ${e.message}`);
+    err.status = 400;
+    err.code = 'IMPORT_FAILED';
+    throw err;
+  }
+  if (!Object.keys(schema.tables).length) {
+    const err = new Error(`No models found in ${format} schema`);
+    err.status = 400;
+    err.code = 'IMPORT_EMPTY';
+    throw err;
+  }
+  schema.sourceFormat = format;
+  return schema;
+}
@@ -0,0 +1,288 @@
+import pg from 'pg';
+import { pool } from './database.js';
+import { parseCheckExpression } from './checkConstraints.js';
+import { applyDialect } from './sqlDialects.js';
+
+// Schema source reading a live PostgreSQL catalog instead of DDL text. The
+// result has the same shape parseDDL produces, so generation, validation and
+// exports work unchanged.
+
+const COLUMNS_SQL = `
+  SELECT c.table_name, c.column_name, c.data_type, c.udt_name, c.is_nullable,
+         c.column_default, c.is_identity, c.character_maximum_length,
+         c.numeric_precision, c.numeric_scale
+  FROM information_schema.columns c
+  JOIN information_schema.tables t
+    ON t.table_schema = c.table_schema AND t.table_name = c.table_name
+  WHERE c.table_schema = $1 AND t.table_type = 'BASE TABLE'
+  ORDER BY c.table_name, c.ordinal_position`;
+
+const CONSTRAINTS_SQL = `
+  SELECT rel.relname AS table_name, con.conname AS name, con.contype AS type,
+         ARRAY(SELECT a.attname FROM unnest(con.conkey) WITH ORDINALITY k(attnum, ord)
+               JOIN pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = k.attnum
+               ORDER BY k.ord)::text[] AS columns,
+         frel.relname AS ref_table,
+         ARRAY(SELECT a.attname FROM unnest(con.confkey) WITH ORDINALITY k(attnum, ord)
+               JOIN pg_attribute a ON a.attrelid = con.confrelid AND a.attnum = k.attnum
+               ORDER BY k.ord)::text[] AS ref_columns,
+         pg_get_constraintdef(con.oid) AS definition
+  FROM pg_constraint con
+  JOIN pg_class rel ON rel.oid = con.conrelid
+  JOIN pg_namespace ns ON ns.oid = rel.relnamespace
+  LEFT JOIN pg_class frel ON frel.oid = con.confrelid
+  WHERE ns.nspname = $1 AND con.contype IN ('p', 'f', 'u', 'c')
+  ORDER BY rel.relname, con.conname`;
+
+// Unique indexes not backing a UNIQUE / PRIMARY KEY constraint
+const UNIQUE_INDEXES_SQL = `
+  SELECT t.relname AS table_name, i.relname AS name,
+         ix.indexprs IS NOT NULL AS is_expression,
+         ARRAY(SELECT a.attname FROM unnest(ix.indkey::int2[]) WITH ORDINALITY k(attnum, ord)
+               JOIN pg_attribute a ON a.attrelid = ix.indrelid AND a.attnum = k.attnum
+               ORDER BY k.ord)::text[] AS columns
+  FROM pg_index ix
+  JOIN pg_class i ON i.oid = ix.indexrelid
+  JOIN pg_class t ON t.oid = ix.indrelid
+  JOIN pg_namespace ns ON ns.oid = t.relnamespace
+  WHERE ns.nspname = $1 AND ix.indisunique AND NOT ix.indisprimary
+    AND NOT EXISTS (SELECT 1 FROM pg_constraint c WHERE c.conindid = ix.indexrelid)
+  ORDER BY t.relname, i.relname`;
+
+const ENUMS_SQL = `
+  SELECT t.typname AS name, e.enumlabel AS value
+  FROM pg_type t
+  JOIN pg_enum e ON e.enumtypid = t.oid
+  JOIN pg_namespace n ON n.oid = t.typnamespace
+  WHERE n.nspname = $1
+  ORDER BY t.typname, e.enumsortorder`;
+
+// Drop the `::type` casts Postgres adds to stored expressions
+function stripCasts(expr) {
+  return expr
+    .replace(
+      /::(?:character varying|double precision|timestamp with(?:out)? time zone|[A-Za-z_][A-Za-z0-9_]*)(?:\(\d+(?:,\s*\d+)?\))?(?:\[\])?/g,
+      ''
+    )
+    .replace(/\((-?\d+(?:\.\d+)?)\)/g, '$1')
+    .replace(/(^|[^A-Za-z0-9_])\(([A-Za-z_][A-Za-z0-9_]*)\)/g, '$1$2');
+}
+
+/**
+ * Column default as stored in information_schema.columns.column_default:
+ * literals go to `default`, anything else (now(), nextval(...)) to
+ * `defaultExpression`.
+ * @param {string|null} raw
+ * @returns {Object}
+ */
+export function parseColumnDefault(raw) {
+  if (raw === null || raw === undefined) return {};
+  const expr = stripCasts(String(raw)).trim();
+  let m = expr.match(/^'((?:[^']|'')*)'$/);
+  if (m) return { default: m[1].replace(/''/g, "'") };
+  if (/^-?\d+(?:\.\d+)?$/.test(expr)) return { default: Number(expr) };
+  if (/^(true|false)$/i.test(expr)) return { default: /^true$/i.test(expr) };
+  if (/^null$/i.test(expr)) return { default: null };
+  m = expr.match(/^([A-Za-z_][A-Za-z0-9_]*)(\(\))?$/);
+  if (m) return { defaultExpression: m[2] ? `${m[1]}()` : m[1] };
+  return { defaultExpression: expr };
+}
+
+/**
+ * Structured checks from a pg_get_constraintdef CHECK definition, e.g.
+ * `CHECK ((status = ANY (ARRAY['open'::text, 'closed'::text])))`.
+ * @param {string} definition
+ * @returns {Object[]}
+ */
+export function parsePgCheck(definition) {
+  const body = stripCasts(
+    String(definition)
+      .replace(/^CHECK\s*/i, '')
+      .replace(/\s+NOT VALID$/i, '')
+  )
+    .replace(/\s*=\s*ANY\s*\(\s*\(\s*ARRAY\[([^\]]*)\]\s*\)\s*\)/gi, ' IN ($1)')
+    .replace(/\s*=\s*ANY\s*\(\s*ARRAY\[([^\]]*)\]\s*\)/gi, ' IN ($1)');
+  return parseCheckExpression(body);
+}
+
+/**
+ * Build the internal schema from raw catalog rows (one array per query).
+ * Kept separate from the queries so it can be exercised without a database.
+ * @param {{ columns: Object[], constraints: Object[], uniqueIndexes: Object[], enums: Object[] }} catalog
+ * @returns {Object} { tables, relationships, enums? }
+ */
+export function buildSchemaFromCatalog(catalog) {
+  const schema = { tables: {}, relationships: [] };
+  const enums = {};
+  (catalog.enums || []).forEach(({ name, value }) => {
+    (enums[name] = enums[name] || []).push(value);
+  });
+  if (Object.keys(enums).length) schema.enums = enums;
+
+  const tableFor = (name) => {
+    if (!schema.tables[name]) {
+      schema.tables[name] = {
+        name,
+        columns: {},
+        primaryKey: [],
+        foreignKeys: [],
+        uniqueKeys: [],
+        checks: [],
+      };
+    }
+    return schema.tables[name];
+  };
+
+  (catalog.columns || []).forEach((c) => {
+    const table = tableFor(c.table_name);
+    const serial =
+      c.is_identity === 'YES' || /^nextval\(/i.test(c.column_default || '');
+    const column = {
+      type: serial ? 'serial' : String(c.data_type).toUpperCase(),
+      nullable: c.is_nullable !== 'NO',
+      ...(serial ? {} : parseColumnDefault(c.column_default)),
+    };
+    if (c.character_maximum_length) {
+      column.length = Number(c.character_maximum_length);
+    }
+    if (c.data_type === 'numeric' && c.numeric_precision) {
+      column.precision = Number(c.numeric_precision);
+      column.scale = Number(c.numeric_scale) || 0;
+    }
+    if (c.data_type === 'USER-DEFINED' && enums[c.udt_name]) {
+      Object.assign(column, {
+        type: 'enum',
+        enumType: c.udt_name,
+        enumValues: enums[c.udt_name],
+      });
+    } else if (c.data_type === 'USER-DEFINED') {
+      column.type = c.udt_name;
+    }
+    table.columns[c.column_name] = column;
+  });
+
+  (catalog.constraints || []).forEach((con) => {
+    const table = tableFor(con.table_name);
+    if (con.type === 'p') {
+      table.primaryKey = [...con.columns];
+    } else if (con.type === 'f') {
+      table.foreignKeys.push({
+        columns: [...con.columns],
+        referenceTable: con.ref_table,
+        referenceColumns: [...con.ref_columns],
+      });
+    } else if (con.type === 'u') {
+      table.uniqueKeys.push([...con.columns]);
+      if (con.columns.length === 1 && table.columns[con.columns[0]]) {
+        table.columns[con.columns[0]].unique = true;
+      }
+    } else if (con.type === 'c') {
+      table.checks.push(...parsePgCheck(con.definition));
+    }
+  });
+
+  (catalog.uniqueIndexes || []).forEach((ix) => {
+    // Expression indexes (lower(email) ...) cannot be enforced per column
+    if (ix.is_expression || !ix.columns.length) return;
+    tableFor(ix.table_name).uniqueKeys.push([...ix.columns]);
+  });
+
+  return schema;
+}
+
+// Connection string options pg understands that are safe to pass through;
+// others can switch the host (host, hostaddr) or read local files (sslcert ...)
+const SAFE_CONNECTION_OPTIONS = ['sslmode', 'application_name'];
+
+/**
+ * Why a caller-supplied connection string may not be used: it must be a
+ * postgres:// URL to one of `allowedHosts` (`host` or `host:port`, lower
+ * case) with no options beyond SAFE_CONNECTION_OPTIONS.
+ * @param {string} connectionString
+ * @param {string[]} allowedHosts
+ * @returns {string|null} message, or null when the target is allowed
+ */
+export function connectionTargetError(connectionString, allowedHosts = []) {
+  let url;
+  try {
+    url = new URL(connectionString);
+  } catch {
+    url = null;
+  }
+  if (!url || !/^postgres(ql)?:$/.test(url.protocol)) {
+    return 'connectionString must be a postgres:// URL';
+  }
+  const unsafe = [...url.searchParams.keys()].filter(
+    (k) => !SAFE_CONNECTION_OPTIONS.includes(k)
+  );
+  if (unsafe.length) {
+    return `connectionString option ${unsafe.join(', ')} is not allowed`;
+  }
+  const host = url.hostname.toLowerCase();
+  const port = url.port || '5432';
+  if (
+    !host ||
+    !allowedHosts.some((h) => h === host || h === `${host}:${port}`)
+  ) {
+    return `Host ${host || '(none)'} is not allowed for introspection`;
+  }
+  return null;
+}
+
+/**
+ * Introspect a PostgreSQL schema into the internal schema shape.
+ * @param {Object} [options]
+ * @param {string} [options.connectionString] Target database; the application pool when omitted
+ * @param {string} [options.schema='public'] Postgres schema (namespace) to read
+ * @param {string[]} [options.tables] Restrict to these tables (FKs to other tables are dropped)
+ * @param {{ query: Function }} [options.client] Pre-connected client (tests / callers owning the connection)
+ * @returns {Promise<Object>} schema with `dialect` and `source: 'introspection'`
+ */
+export async function introspectPostgres(options = {}) {
+  const { connectionString, schema: namespace = 'public', tables } = options;
+  let client = options.client;
+  let owned = null;
+  if (!client && connectionString) {
+    owned = new pg.Client({
+      connectionString,
+      connectionTimeoutMillis: 10000,
+      statement_timeout: 15000,
+    });
+    await owned.connect();
+    client = owned;
+  }
+  client = client || pool;
+  try {
+    const [columns, constraints, uniqueIndexes, enums] = await Promise.all(
+      [COLUMNS_SQL, CONSTRAINTS_SQL, UNIQUE_INDEXES_SQL, ENUMS_SQL].map((sql) =>
+        client.query(sql, [namespace]).then((r) => r.rows)
+      )
+    );
+    const schema = buildSchemaFromCatalog({
+      columns,
+      constraints,
+      uniqueIndexes,
+      enums,
+    });
+    if (Array.isArray(tables) && tables.length) {
+      const keep = new Set(tables);
+      Object.keys(schema.tables).forEach((name) => {
+        if (!keep.has(name)) delete schema.tables[name];
+      });
+      Object.values(schema.tables).forEach((tbl) => {
+        tbl.foreignKeys = tbl.foreignKeys.filter((fk) =>
+          keep.has(fk.referenceTable)
+        );
+      });
+    }
+    if (!Object.keys(schema.tables).length) {
+      const err = new Error(`No tables found in schema "${namespace}"`);
+      err.status = 404;
+      err.code = 'SCHEMA_EMPTY';
+      throw err;
+    }
+    return applyDialect(schema, 'postgresql', 'introspection');
+  } finally {
+    if (owned) await owned.end().catch(() => {});
+  }
+}
@@ -0,0 +1,248 @@
+// SQL dialect support for DDL parsing: names accepted in `config.dialect`,
+// the matching node-sql-parser grammar, best-effort detection from the DDL
+// text and normalization of dialect-specific column types into the portable
+// names used by the internal schema (and understood by the generators).
+
+const DIALECTS = {
+  postgresql: {
+    label: 'PostgreSQL',
+    parserDatabase: 'PostgreSQL',
+    aliases: ['postgres', 'pg', 'postgresql'],
+  },
+  mysql: { label: 'MySQL', parserDatabase: 'MySQL', aliases: ['mysql'] },
+  mariadb: {
+    label: 'MariaDB',
+    parserDatabase: 'MariaDB',
+    aliases: ['mariadb', 'maria'],
+  },
+  sqlite: {
+    label: 'SQLite',
+    parserDatabase: 'Sqlite',
+    aliases: ['sqlite', 'sqlite3'],
+  },
+  tsql: {
+    label: 'SQL Server',
+    parserDatabase: 'TransactSQL',
+    aliases: [
+      'tsql',
+      't-sql',
+      'transactsql',
+      'sqlserver',
+      'sql server',
+      'mssql',
+    ],
+  },
+  bigquery: {
+    label: 'BigQuery',
+    parserDatabase: 'BigQuery',
+    aliases: ['bigquery', 'bq'],
+  },
+};
+
+export const DEFAULT_DIALECT = 'postgresql';
+
+// Declared type (upper case, modifiers stripped) -> portable type
+const TYPE_MAPS = {
+  postgresql: {
+    INT2: 'SMALLINT',
+    INT4: 'INTEGER',
+    INT8: 'BIGINT',
+    FLOAT4: 'REAL',
+    FLOAT8: 'DOUBLE',
+    'DOUBLE PRECISION': 'DOUBLE',
+    BOOL: 'BOOLEAN',
+    'CHARACTER VARYING': 'VARCHAR',
+    CHARACTER: 'CHAR',
+    BPCHAR: 'CHAR',
+    TIMESTAMPTZ: 'TIMESTAMP',
+    'TIMESTAMP WITH TIME ZONE': 'TIMESTAMP',
+    'TIMESTAMP WITHOUT TIME ZONE': 'TIMESTAMP',
+    TIMETZ: 'TIME',
+    JSONB: 'JSON',
+    BYTEA: 'BLOB',
+    SERIAL: 'serial',
+    SERIAL4: 'serial',
+    SERIAL8: 'serial',
+    BIGSERIAL: 'serial',
+    SMALLSERIAL: 'serial',
+  },
+  mysql: {
+    MEDIUMINT: 'INTEGER',
+    TINYTEXT: 'TEXT',
+    MEDIUMTEXT: 'TEXT',
+    LONGTEXT: 'TEXT',
+    TINYBLOB: 'BLOB',
+    MEDIUMBLOB: 'BLOB',
+    LONGBLOB: 'BLOB',
+    VARBINARY: 'BLOB',
+    YEAR: 'SMALLINT',
+    BOOL: 'BOOLEAN',
+  },
+  sqlite: {
+    INT: 'INTEGER',
+    CLOB: 'TEXT',
+    'DOUBLE PRECISION': 'DOUBLE',
+  },
+  tsql: {
+    NVARCHAR: 'VARCHAR',
+    NCHAR: 'CHAR',
+    NTEXT: 'TEXT',
+    BIT: 'BOOLEAN',
+    DATETIME2: 'DATETIME',
+    SMALLDATETIME: 'DATETIME',
+    DATETIMEOFFSET: 'TIMESTAMP',
+    UNIQUEIDENTIFIER: 'UUID',
+    MONEY: 'DECIMAL',
+    SMALLMONEY: 'DECIMAL',
+    FLOAT: 'DOUBLE',
+    VARBINARY: 'BLOB',
+    IMAGE: 'BLOB',
+  },
+  bigquery: {
+    INT64: 'BIGINT',
+    INT: 'BIGINT',
+    INTEGER: 'BIGINT',
+    SMALLINT: 'BIGINT',
+    TINYINT: 'BIGINT',
+    BYTEINT: 'BIGINT',
+    FLOAT64: 'DOUBLE',
+    NUMERIC: 'DECIMAL',
+    BIGNUMERIC: 'DECIMAL',
+    BIGDECIMAL: 'DECIMAL',
+    STRING: 'TEXT',
+    BOOL: 'BOOLEAN',
+    BYTES: 'BLOB',
+  },
+};
+TYPE_MAPS.mariadb = TYPE_MAPS.mysql;
+
+// Ordered detection hints; the first dialect whose pattern matches wins
+const DETECTION_HINTS = [
+  [
+    'tsql',
+    /\bIDENTITY\s*\(|\bNVARCHAR\b|\bUNIQUEIDENTIFIER\b|\bDATETIME2\b|^\s*GO\s*$|\[[A-Za-z_][A-Za-z0-9_ ]*\]/im,
+  ],
+  [
+    'bigquery',
+    /\bINT64\b|\bFLOAT64\b|\bSTRING\b|\bBIGNUMERIC\b|\bPARTITION\s+BY\b|`[\w-]+\.[\w-]+\.[\w-]+`/i,
+  ],
+  ['sqlite', /\bAUTOINCREMENT\b|\bWITHOUT\s+ROWID\b/i],
+  ['mariadb', /\bMariaDB\b/i],
+  [
+    'mysql',
+    /\bAUTO_INCREMENT\b|\bENGINE\s*=|\bUNSIGNED\b|`[A-Za-z0-9_]+`|(?<!\bAS\s+)\bENUM\s*\(/i,
+  ],
+  [
+    'postgresql',
+    /\b(BIG|SMALL)?SERIAL\b|\bAS\s+ENUM\b|::|\bJSONB\b|\bTIMESTAMPTZ\b|\bBYTEA\b/i,
+  ],
+];
+
+/**
+ * Canonical dialect key for a user supplied name (case-insensitive; accepts
+ * aliases such as `postgres`, `mssql`, `t-sql`).
+ * @param {string} name
+ * @returns {string|null} null when unknown
+ */
+export function resolveDialect(name) {
+  if (!name) return null;
+  const wanted = String(name).trim().toLowerCase();
+  const entry = Object.entries(DIALECTS).find(
+    ([key, d]) =>
+      key === wanted ||
+      d.label.toLowerCase() === wanted ||
+      d.aliases.includes(wanted)
+  );
+  return entry ? entry[0] : null;
+}
+
+export function supportedDialects() {
+  return Object.values(DIALECTS).map((d) => d.label);
+}
+
+/**
+ * Guess the dialect of a DDL script from syntax hints.
+ * Falls back to PostgreSQL when nothing dialect-specific is found.
+ * @param {string} ddl
+ * @returns {string}
+ */
+export function detectDialect(ddl) {
+  const text = String(ddl || '').replace(/--.*$/gm, '');
+  const hit = DETECTION_HINTS.find(([, re]) => re.test(text));
+  return hit ? hit[0] : DEFAULT_DIALECT;
+}
+
+export function parserDatabase(dialect) {
+  return (DIALECTS[dialect] || DIALECTS[DEFAULT_DIALECT]).parserDatabase;
+}
+
+export function dialectLabel(dialect) {
+  return (DIALECTS[dialect] || DIALECTS[DEFAULT_DIALECT]).label;
+}
+
+/**
+ * Rewrite dialect-specific identifier syntax the regex fallback parser does
+ * not understand: T-SQL `[brackets]` and `GO` batch separators, BigQuery
+ * `project.dataset.table` names.
+ * @param {string} ddl
+ * @param {string} dialect
+ * @returns {string}
+ */
+export function preprocessDDL(ddl, dialect) {
+  if (dialect === 'tsql') {
+    return ddl
+      .replace(/^\s*GO\s*$/gim, '')
+      .replace(/\[(?:[A-Za-z0-9_ ]+)\]\.(?=\[)/g, '')
+      .replace(/\[([A-Za-z0-9_ ]+)\]/g, '"$1"');
+  }
+  if (dialect === 'bigquery') {
+    return ddl.replace(/`(?:[\w-]+\.)+([\w-]+)`/g, '`$1`');
+  }
+  return ddl;
+}
+
+/**
+ * Portable type name for a declared column type.
+ * @param {string} type Declared type as parsed (e.g. `NVARCHAR`, `int8`)
+ * @param {string} dialect Canonical dialect key
+ * @param {{ length?: number }} [modifiers]
+ * @returns {string}
+ */
+export function normalizeType(type, dialect, modifiers = {}) {
+  const raw = String(type || '');
+  if (raw === 'serial' || raw === 'enum') return raw;
+  const upper = raw
+    .toUpperCase()
+    .replace(/\(.*\)/, '')
+    .replace(/\s+UNSIGNED$/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (dialect === 'bigquery' && upper === 'STRING' && modifiers.length) {
+    return 'VARCHAR';
+  }
+  return (TYPE_MAPS[dialect] || {})[upper] || raw;
+}
+
+/**
+ * Normalize every column type of a parsed schema in place and record the
+ * dialect on it. Columns whose type changed keep the original as `nativeType`.
+ * @param {Object} schema Parsed schema ({ tables })
+ * @param {string} dialect Canonical dialect key
+ * @param {'config'|'detected'|'introspection'|'profile'} source How the dialect was chosen
+ * @returns {Object} the same schema
+ */
+export function applyDialect(schema, dialect, source) {
+  Object.values(schema?.tables || {}).forEach((tbl) => {
+    Object.values(tbl.columns || {}).forEach((col) => {
+      const type = normalizeType(col.type, dialect, col);
+      if (type !== col.type) {
+        col.nativeType = col.type;
+        col.type = type;
+      }
+    });
+  });
+  if (schema) {
+    schema.dialect = { name: dialect, label: dialectLabel(dialect), source };
+  }
+  return schema;
+}
@@ -0,0 +1,179 @@
+// SQL script export: INSERT statements in parent-before-child order. Foreign
+// keys that cannot hold their value at insert time (references closing a
+// cycle, self references to rows inserted later) are inserted as NULL and
+// set by UPDATE statements once every row exists.
+import { topologicalSortTables } from './deterministicGenerator.js';
+import { foreignKeyStrategies } from './fkStrategies.js';
+import { DEFAULT_DIALECT } from './sqlDialects.js';
+
+const BATCH_SIZE = 100;
+
+const QUOTES = {
+  postgresql: ['"', '"'],
+  sqlite: ['"', '"'],
+  mysql: ['`', '`'],
+  mariadb: ['`', '`'],
+  bigquery: ['`', '`'],
+  tsql: ['[', ']'],
+};
+
+const TRANSACTIONS = {
+  postgresql: ['BEGIN;', 'COMMIT;'],
+  sqlite: ['BEGIN TRANSACTION;', 'COMMIT;'],
+  mysql: ['START TRANSACTION;', 'COMMIT;'],
+  mariadb: ['START TRANSACTION;', 'COMMIT;'],
+  bigquery: ['BEGIN TRANSACTION;', 'COMMIT TRANSACTION;'],
+  tsql: ['BEGIN TRANSACTION;', 'COMMIT TRANSACTION;'],
+};
+
+function quoteIdent(name, dialect) {
+  const [open, close] = QUOTES[dialect] || QUOTES[DEFAULT_DIALECT];
+  return `${open}${String(name)
+    .split(close)
+    .join(close + close)}${close}`;
+}
+
+function literal(value, dialect) {
+  if (value === null || value === undefined) return 'NULL';
+  if (typeof value === 'number')
+    return Number.isFinite(value) ? String(value) : 'NULL';
+  if (typeof value === 'boolean') {
+    if (dialect === 'sqlite' || dialect === 'tsql') return value ? '1' : '0';
+    return value ? 'TRUE' : 'FALSE';
+  }
+  const text = typeof value === 'object' ? JSON.stringify(value) : `${value}`;
+  // N'...' keeps non-ASCII text intact in NVARCHAR columns whatever the
+  // server collation
+  const prefix = dialect === 'tsql' ? 'N' : '';
+  return `${prefix}'${escapeString(text, dialect)}'`;
+}
+
+// Body of a single-quoted string literal. MySQL / MariaDB (by default) and
+// BigQuery read backslash escapes, so backslashes are escaped before quotes;
+// BigQuery also has no '' and no raw newlines inside '...'
+function escapeString(text, dialect) {
+  if (dialect === 'mysql' || dialect === 'mariadb') {
+    return text
+      .replace(/\\/g, '\\\\')
+      .replace(/'/g, "''")
+      .replace(/\0/g, '\\0');
+  }
+  if (dialect === 'bigquery') {
+    return text
+      .replace(/\\/g, '\\\\')
+      .replace(/'/g, "\\'")
+      .replace(/\n/g, '\\n')
+      .replace(/\r/g, '\\r');
+  }
+  return text.replace(/'/g, "''");
+}
+
+const keyOf = (row, cols) => JSON.stringify(cols.map((c) => row[c] ?? null));
+
+const hasValue = (row, cols) =>
+  cols.every((c) => row[c] !== null && row[c] !== undefined);
+
+/**
+ * Build an INSERT script for a dataset, with UPDATE statements backfilling
+ * foreign keys that close a reference cycle or point at a later row of the
+ * same table. NOT NULL references closing a cycle keep their values and
+ * need DEFERRABLE constraints (PostgreSQL gets `SET CONSTRAINTS ALL DEFERRED`).
+ * @param {Object} schema Parsed schema ({ tables })
+ * @param {Object} data Map table -> rows
+ * @param {Object} [options]
+ * @param {string} [options.dialect='postgresql'] Canonical dialect key
+ * @param {string[]} [options.order] Insert order (defaults to the FK order)
+ * @returns {{ sql: string, inserts: number, updates: number, strategies: Object[] }}
+ */
+export function buildSqlScript(schema, data, options = {}) {
+  const dialect = QUOTES[options.dialect] ? options.dialect : DEFAULT_DIALECT;
+  const order = (options.order || topologicalSortTables(schema)).filter(
+    (t) => schema.tables?.[t] && Array.isArray(data?.[t])
+  );
+  const strategies = foreignKeyStrategies(schema, order);
+  const q = (name) => quoteIdent(name, dialect);
+  const [begin, commit] = TRANSACTIONS[dialect];
+
+  const lines = [begin];
+  if (strategies.some((s) => s.strategy === 'deferred')) {
+    lines.push(
+      dialect === 'postgresql'
+        ? 'SET CONSTRAINTS ALL DEFERRED;'
+        : '-- NOT NULL references close a cycle: their constraints must be deferred or disabled for this load'
+    );
+  }
+  const updates = [];
+  let inserts = 0;
+
+  order.forEach((table) => {
+    const tblDef = schema.tables[table];
+    const rows = data[table];
+    if (!rows.length) return;
+    const columns = Object.keys(tblDef.columns || {}).filter((c) =>
+      rows.some((r) => c in r)
+    );
+    const nullable = (cols) =>
+      cols.every((c) => tblDef.columns?.[c]?.nullable !== false);
+
+    // Per row, the FK column groups set afterwards by UPDATE
+    const postponed = rows.map(() => []);
+    strategies
+      .filter((s) => s.table === table && s.strategy !== 'deferred')
+      .forEach((s) => {
+        if (s.strategy === 'twoPhase') {
+          rows.forEach((row, i) => {
+            if (hasValue(row, s.columns)) postponed[i].push(s.columns);
+          });
+          return;
+        }
+        if (!nullable(s.columns)) return;
+        const position = new Map();
+        rows.forEach((row, i) => {
+          const key = keyOf(row, s.referenceColumns);
+          if (!position.has(key)) position.set(key, i);
+        });
+        rows.forEach((row, i) => {
+          if (!hasValue(row, s.columns)) return;
+          const parent = position.get(keyOf(row, s.columns));
+          if (parent === undefined || parent > i) postponed[i].push(s.columns);
+        });
+      });
+
+    const pkCols = tblDef.primaryKey?.length ? tblDef.primaryKey : null;
+    const header = `INSERT INTO ${q(table)} (${columns.map(q).join(', ')}) VALUES`;
+    for (let start = 0; start < rows.length; start += BATCH_SIZE) {
+      const values = rows.slice(start, start + BATCH_SIZE).map((row, k) => {
+        const later = new Set(postponed[start + k].flat());
+        return `  (${columns
+          .map((c) => literal(later.has(c) ? null : row[c], dialect))
+          .join(', ')})`;
+      });
+      lines.push(`${header}\n${values.join(',\n')};`);
+      inserts += values.length;
+    }
+
+    rows.forEach((row, i) => {
+      if (!postponed[i].length) return;
+      const later = postponed[i].flat();
+      // Rows without a primary key are matched on their inserted values
+      const keyCols =
+        pkCols ||
+        columns.filter(
+          (c) => !later.includes(c) && row[c] !== null && row[c] !== undefined
+        );
+      const set = later.map((c) => `${q(c)} = ${literal(row[c], dialect)}`);
+      const where = keyCols.map((c) => `${q(c)} = ${literal(row[c], dialect)}`);
+      updates.push(
+        `UPDATE ${q(table)} SET ${set.join(', ')} WHERE ${where.join(' AND ')};`
+      );
+    });
+  });
+
+  lines.push(...updates, commit);
+  return {
+    sql: `${lines.join('\n')}\n`,
+    inserts,
+    updates: updates.length,
+    strategies,
+  };
+}
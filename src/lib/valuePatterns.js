@@ -0,0 +1,594 @@
+// Pattern-driven columns. `config.patterns` maps a table to column specs:
+//   sku: '[A-Z]{3}-\\d{4}'                      regex (string shorthand)
+//   isbn: { regex: 'ISBN-978-\\d{10}' }
+//   plate: { template: '{{upper 3}}-{{digits 4}}' }
+// Strings containing `{{` are templates. The deterministic generator draws
+// values matching the pattern from the seeded RNG, and
+// validateDeterministicData reports values that do not match (e.g. AI rows)
+// as `patternViolations`.
+//
+// Regexes support literals, escapes (\d \w \s and their negations), classes
+// with ranges and negation, `.`, groups with `|`, and the quantifiers
+// ? * + {n} {n,} {n,m}; unbounded ones stop UNBOUNDED_EXTRA repetitions
+// above their minimum when generating. Counts are capped at MAX_REPEAT and
+// values at MAX_VALUE_LENGTH characters. Backreferences and lookarounds are
+// rejected. Values are checked against the parsed pattern rather than a
+// native RegExp, so nested quantifiers such as (a+)+ cannot backtrack.
+
+const UNBOUNDED_EXTRA = 5;
+const MAX_REPEAT = 1000;
+const MAX_VALUE_LENGTH = 10000;
+const PRINTABLE = Array.from({ length: 95 }, (_, i) =>
+  String.fromCharCode(32 + i)
+);
+const range = (from, to) =>
+  Array.from({ length: to.charCodeAt(0) - from.charCodeAt(0) + 1 }, (_, i) =>
+    String.fromCharCode(from.charCodeAt(0) + i)
+  );
+const DIGITS = range('0', '9');
+const UPPER = range('A', 'Z');
+const LOWER = range('a', 'z');
+const WORD = [...UPPER, ...LOWER, ...DIGITS, '_'];
+const SPACE = [' ', '\t'];
+const ESCAPE_SETS = { d: DIGITS, w: WORD, s: SPACE };
+const LITERAL_ESCAPES = { t: '\t', n: '\n', r: '\r' };
+
+// Template placeholders: characters drawn per `{{name n}}`
+const TEMPLATE_SETS = {
+  upper: UPPER,
+  lower: LOWER,
+  letters: [...UPPER, ...LOWER],
+  digits: DIGITS,
+  alnum: [...UPPER, ...DIGITS],
+  hex: [...DIGITS, ...range('A', 'F')],
+};
+export const TEMPLATE_PLACEHOLDERS = [
+  ...Object.keys(TEMPLATE_SETS),
+  'seq',
+  'number',
+  'pick',
+].sort();
+
+function patternError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  err.code = 'INVALID_PATTERN';
+  return err;
+}
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\/-]/g, '\\$&');
+const pick = (list, rand) => list[Math.floor(rand() * list.length)];
+const negate = (chars) => PRINTABLE.filter((c) => !chars.includes(c));
+
+// Distinct strings a node can produce (Infinity past 1e15)
+const counts = new WeakMap();
+function countOf(node) {
+  if (counts.has(node)) return counts.get(node);
+  const cap = (n) => (n > 1e15 ? Infinity : n);
+  let count;
+  switch (node.type) {
+    case 'set':
+      count = node.chars.length;
+      break;
+    case 'seq':
+      count = cap(node.items.reduce((n, item) => n * countOf(item), 1));
+      break;
+    case 'alt':
+      count = cap(node.options.reduce((n, option) => n + countOf(option), 0));
+      break;
+    default: {
+      const base = countOf(node.node);
+      let total = 0;
+      for (let k = node.min; k <= node.max && total <= 1e15; k++) {
+        total += base ** k;
+      }
+      count = cap(total);
+    }
+  }
+  counts.set(node, count);
+  return count;
+}
+
+// The index-th value of a node (0 <= index < countOf(node)): a numbering
+// of its value space, so distinct indexes can be drawn without retries
+function nodeAt(node, index, out) {
+  switch (node.type) {
+    case 'set':
+      out.push(node.chars[index]);
+      return;
+    case 'seq':
+      node.items.forEach((item) => {
+        const n = countOf(item);
+        nodeAt(item, index % n, out);
+        index = Math.floor(index / n);
+      });
+      return;
+    case 'alt':
+      for (const option of node.options) {
+        const n = countOf(option);
+        if (index < n) {
+          nodeAt(option, index, out);
+          return;
+        }
+        index -= n;
+      }
+      return;
+    default: {
+      const base = countOf(node.node);
+      for (let k = node.min; k <= node.max; k++) {
+        const block = base ** k;
+        if (index < block) {
+          for (let r = 0; r < k; r++) {
+            nodeAt(node.node, index % base, out);
+            index = Math.floor(index / base);
+          }
+          return;
+        }
+        index -= block;
+      }
+    }
+  }
+}
+
+// Longest value a node generates
+function lengthOf(node) {
+  switch (node.type) {
+    case 'set':
+      return 1;
+    case 'seq':
+      return node.items.reduce((n, item) => n + lengthOf(item), 0);
+    case 'alt':
+      return Math.max(...node.options.map(lengthOf));
+    default:
+      return node.max * lengthOf(node.node);
+  }
+}
+
+// Positions where `node` can end when matched from `start`. Each (node,
+// start) pair is computed once, so matching never backtracks.
+function matchEnds(node, text, start, memo) {
+  let byStart = memo.get(node);
+  if (!byStart) memo.set(node, (byStart = new Map()));
+  if (byStart.has(start)) return byStart.get(start);
+  const from = (positions, child) => {
+    const next = new Set();
+    positions.forEach((p) =>
+      matchEnds(child, text, p, memo).forEach((e) => next.add(e))
+    );
+    return [...next];
+  };
+  let ends;
+  switch (node.type) {
+    case 'set':
+      ends = start < text.length && node.test(text[start]) ? [start + 1] : [];
+      break;
+    case 'seq':
+      ends = node.items.reduce(
+        (positions, item) => from(positions, item),
+        [start]
+      );
+      break;
+    case 'alt':
+      ends = [
+        ...new Set(
+          node.options.flatMap((o) => matchEnds(o, text, start, memo))
+        ),
+      ];
+      break;
+    default: {
+      // Past the minimum, a position reached again adds nothing new
+      const reached = new Set(node.min === 0 ? [start] : []);
+      const max = node.unbounded ? Infinity : node.max;
+      let frontier = [start];
+      for (let k = 1; k <= max && frontier.length; k++) {
+        frontier = from(frontier, node.node);
+        if (k < node.min) continue;
+        frontier = frontier.filter((e) => !reached.has(e));
+        frontier.forEach((e) => reached.add(e));
+      }
+      ends = [...reached];
+    }
+  }
+  byStart.set(start, ends);
+  return ends;
+}
+
+function generateNode(node, rand, out) {
+  switch (node.type) {
+    case 'set':
+      out.push(pick(node.chars, rand));
+      return;
+    case 'seq':
+      node.items.forEach((item) => generateNode(item, rand, out));
+      return;
+    case 'alt':
+      generateNode(pick(node.options, rand), rand, out);
+      return;
+    default: {
+      const times = node.min + Math.floor(rand() * (node.max - node.min + 1));
+      for (let k = 0; k < times; k++) generateNode(node.node, rand, out);
+    }
+  }
+}
+
+// Recursive-descent parse of the supported regex subset
+function parseRegex(source) {
+  let pos = 0;
+  const peek = () => source[pos];
+  const escapeSet = (ch) => {
+    const lower = ch.toLowerCase();
+    if (ESCAPE_SETS[lower]) {
+      return ch === lower ? ESCAPE_SETS[lower] : negate(ESCAPE_SETS[lower]);
+    }
+    if (/[1-9bBkpP]/.test(ch)) {
+      throw patternError(`unsupported escape \\${ch}`);
+    }
+    return [LITERAL_ESCAPES[ch] ?? ch];
+  };
+  // Characters are matched with the atom's own native regex so matching
+  // agrees with JavaScript beyond the printable range generated from
+  const set = (chars, start) => {
+    const re = new RegExp(`^(?:${source.slice(start, pos)})$`);
+    return { type: 'set', chars, test: (ch) => re.test(ch) };
+  };
+  const charClass = () => {
+    const start = pos;
+    pos++; // [
+    const negated = peek() === '^';
+    if (negated) pos++;
+    const chars = [];
+    let first = true;
+    while (pos < source.length && (peek() !== ']' || first)) {
+      first = false;
+      let ch = source[pos++];
+      if (ch === '\\') {
+        const escaped = escapeSet(source[pos++]);
+        if (escaped.length > 1) {
+          chars.push(...escaped);
+          continue;
+        }
+        [ch] = escaped;
+      }
+      if (peek() === '-' && source[pos + 1] && source[pos + 1] !== ']') {
+        pos++;
+        let to = source[pos++];
+        if (to === '\\') [to] = escapeSet(source[pos++]);
+        if (to < ch) throw patternError(`bad range ${ch}-${to}`);
+        chars.push(...range(ch, to));
+      } else chars.push(ch);
+    }
+    if (peek() !== ']') throw patternError('unterminated [');
+    pos++;
+    const unique = [...new Set(chars)];
+    return set(negated ? negate(unique) : unique, start);
+  };
+  const quantifier = (node) => {
+    const ch = peek();
+    let min;
+    let max;
+    let unbounded = false;
+    if (ch === '?') [min, max] = [0, 1];
+    else if (ch === '*') [min, max, unbounded] = [0, UNBOUNDED_EXTRA, true];
+    else if (ch === '+') {
+      [min, max, unbounded] = [1, 1 + UNBOUNDED_EXTRA, true];
+    } else if (ch === '{') {
+      const m = /^\{(\d+)(,(\d*))?\}/.exec(source.slice(pos));
+      if (!m) return node;
+      min = Number(m[1]);
+      unbounded = Boolean(m[2]) && !m[3];
+      max = m[2] ? (m[3] ? Number(m[3]) : min + UNBOUNDED_EXTRA) : min;
+      if (max < min) throw patternError(`bad quantifier ${m[0]}`);
+      if (min > MAX_REPEAT || (!unbounded && max > MAX_REPEAT)) {
+        throw patternError(
+          `quantifier ${m[0]} repeats more than ${MAX_REPEAT} times`
+        );
+      }
+      pos += m[0].length - 1;
+    } else return node;
+    pos++;
+    if (peek() === '?') pos++; // lazy makes no difference here
+    return quantifier({ type: 'repeat', node, min, max, unbounded });
+  };
+  let alternation;
+  const atom = () => {
+    const ch = source[pos];
+    if (ch === '(') {
+      pos++;
+      if (peek() === '?') {
+        if (source[pos + 1] !== ':') {
+          throw patternError('lookarounds and named groups are not supported');
+        }
+        pos += 2;
+      }
+      const inner = alternation();
+      if (peek() !== ')') throw patternError('unterminated (');
+      pos++;
+      return inner;
+    }
+    if (ch === '[') return charClass();
+    const start = pos++;
+    if (ch === '\\') {
+      if (pos >= source.length) throw patternError('trailing \\');
+      const chars = escapeSet(source[pos++]);
+      return set(chars, start);
+    }
+    if (ch === '.') return set(PRINTABLE, start);
+    if ('*+?'.includes(ch)) {
+      throw patternError(`nothing to repeat before ${ch}`);
+    }
+    return { type: 'set', chars: [ch], test: (c) => c === ch };
+  };
+  const sequence = () => {
+    const items = [];
+    while (pos < source.length && peek() !== '|' && peek() !== ')') {
+      if (peek() === '^' || peek() === '$') {
+        pos++; // values are matched whole anyway
+        continue;
+      }
+      items.push(quantifier(atom()));
+    }
+    return { type: 'seq', items };
+  };
+  alternation = () => {
+    const options = [sequence()];
+    while (peek() === '|') {
+      pos++;
+      options.push(sequence());
+    }
+    return options.length === 1 ? options[0] : { type: 'alt', options };
+  };
+  const tree = alternation();
+  if (pos < source.length) throw patternError(`unexpected ${source[pos]}`);
+  if (lengthOf(tree) > MAX_VALUE_LENGTH) {
+    throw patternError(
+      `pattern generates values longer than ${MAX_VALUE_LENGTH} characters`
+    );
+  }
+  return tree;
+}
+
+function compileTemplate(source) {
+  const parts = [];
+  const re = /\{\{\s*([a-z]+)((?:\s+[^}\s][^}]*)?)\s*\}\}/gi;
+  let last = 0;
+  let m;
+  while ((m = re.exec(source))) {
+    if (m.index > last) parts.push(literalPart(source.slice(last, m.index)));
+    parts.push(placeholder(m[1].toLowerCase(), m[2].trim()));
+    last = re.lastIndex;
+  }
+  if (last < source.length) parts.push(literalPart(source.slice(last)));
+  if (/\{\{|\}\}/.test(parts.map((p) => p.literal || '').join(''))) {
+    throw patternError('unterminated {{ placeholder');
+  }
+  return {
+    regex: parts.map((p) => p.regex).join(''),
+    size: parts.reduce((n, p) => n * p.size, 1),
+    generate: (rand, rowIndex) =>
+      parts.map((p) => p.generate(rand, rowIndex)).join(''),
+    valueAt: (index) =>
+      parts
+        .map((p) => {
+          const value = p.valueAt(index % p.size);
+          index = Math.floor(index / p.size);
+          return value;
+        })
+        .join(''),
+  };
+}
+
+function literalPart(text) {
+  return {
+    literal: text,
+    regex: escapeRegex(text),
+    size: 1,
+    generate: () => text,
+    valueAt: () => text,
+  };
+}
+
+function placeholder(name, args) {
+  const count = (text, fallback) => {
+    if (!text) return fallback;
+    if (!/^\d+$/.test(text)) throw patternError(`{{${name}}} needs a count`);
+    if (Number(text) > MAX_REPEAT) {
+      throw patternError(`{{${name}}} count is above ${MAX_REPEAT}`);
+    }
+    return Number(text);
+  };
+  if (TEMPLATE_SETS[name]) {
+    const n = count(args, 1);
+    const chars = TEMPLATE_SETS[name];
+    return {
+      regex: `[${escapeRegex(chars.join(''))}]{${n}}`,
+      size: chars.length ** n,
+      generate: (rand) =>
+        Array.from({ length: n }, () => pick(chars, rand)).join(''),
+      valueAt: (index) =>
+        Array.from({ length: n }, () => {
+          const ch = chars[index % chars.length];
+          index = Math.floor(index / chars.length);
+          return ch;
+        }).join(''),
+    };
+  }
+  if (name === 'seq') {
+    // Row number, zero-padded: unique by construction
+    const width = count(args, 1);
+    return {
+      regex: `\\d{${width},}`,
+      size: Infinity,
+      generate: (rand, rowIndex) => String(rowIndex + 1).padStart(width, '0'),
+    };
+  }
+  if (name === 'number') {
+    const bounds = args.split(/\s+/).map(Number);
+    if (bounds.length !== 2 || bounds.some((b) => !Number.isInteger(b))) {
+      throw patternError('{{number}} needs integer min and max');
+    }
+    const [lo, hi] = bounds;
+    if (hi < lo) throw patternError('{{number}} max is below min');
+    return {
+      regex: '-?\\d+',
+      size: hi - lo + 1,
+      generate: (rand) => String(lo + Math.floor(rand() * (hi - lo + 1))),
+      valueAt: (index) => String(lo + index),
+    };
+  }
+  if (name === 'pick') {
+    const options = args.split('|').map((o) => o.trim());
+    if (!args || options.some((o) => !o)) {
+      throw patternError('{{pick}} needs options like a|b|c');
+    }
+    return {
+      regex: `(?:${options.map(escapeRegex).join('|')})`,
+      size: new Set(options).size,
+      generate: (rand) => pick(options, rand),
+      valueAt: (index) => [...new Set(options)][index],
+    };
+  }
+  throw patternError(
+    `unknown placeholder {{${name}}} (expected one of: ${TEMPLATE_PLACEHOLDERS.join(
+      ', '
+    )})`
+  );
+}
+
+/**
+ * Compile one column pattern.
+ * @param {string|{ regex?: string, template?: string }} spec
+ * @returns {{ kind: 'regex'|'template', source: string, size: number,
+ *   test: (value: string) => boolean,
+ *   generate: (rand: Function, rowIndex: number) => string,
+ *   valueAt?: (index: number) => string }} `valueAt` numbers the value
+ *   space (0 <= index < size) when size is finite
+ * @throws {Error} 400 INVALID_PATTERN
+ */
+export function compilePattern(spec) {
+  const normalized =
+    typeof spec === 'string'
+      ? spec.includes('{{')
+        ? { template: spec }
+        : { regex: spec }
+      : spec;
+  if (
+    !normalized ||
+    typeof normalized !== 'object' ||
+    Object.keys(normalized).length !== 1 ||
+    typeof (normalized.regex ?? normalized.template) !== 'string'
+  ) {
+    throw patternError('expected a regex or template string');
+  }
+  if (normalized.template !== undefined) {
+    const { regex, size, generate, valueAt } = compileTemplate(
+      normalized.template
+    );
+    // Template regexes hold no nested quantifiers, so native matching is safe
+    const re = new RegExp(`^(?:${regex})$`);
+    return {
+      kind: 'template',
+      source: normalized.template,
+      size,
+      test: (value) => re.test(value),
+      generate,
+      ...(Number.isFinite(size) && { valueAt }),
+    };
+  }
+  const source = normalized.regex;
+  try {
+    void new RegExp(`^(?:${source})$`); // syntax check only
+  } catch (e) {
+    throw patternError(e.message);
+  }
+  const tree = parseRegex(source);
+  return {
+    kind: 'regex',
+    source,
+    size: countOf(tree),
+    test: (value) =>
+      matchEnds(tree, value, 0, new Map()).includes(value.length),
+    generate: (rand) => {
+      const out = [];
+      generateNode(tree, rand, out);
+      return out.join('');
+    },
+    ...(Number.isFinite(countOf(tree)) && {
+      valueAt: (index) => {
+        const out = [];
+        nodeAt(tree, index, out);
+        return out.join('');
+      },
+    }),
+  };
+}
+
+/**
+ * Syntax errors of `config.patterns` (schema-independent).
+ * @param {Object} config Map of table -> { column -> pattern }
+ * @returns {string[]} messages like `items.sku: unterminated [`
+ */
+export function patternErrors(config = {}) {
+  const errors = [];
+  Object.entries(config || {}).forEach(([table, columns]) => {
+    if (!columns || typeof columns !== 'object') {
+      errors.push(`${table}: patterns must map columns to patterns`);
+      return;
+    }
+    Object.entries(columns).forEach(([column, spec]) => {
+      try {
+        compilePattern(spec);
+      } catch (e) {
+        errors.push(`${table}.${column}: ${e.message}`);
+      }
+    });
+  });
+  return errors;
+}
+
+/**
+ * Compile `config.patterns` against a schema.
+ * @param {Object} schema Parsed schema
+ * @param {Object} config Map of table -> { column -> pattern }
+ * @returns {Object} table -> column -> compiled pattern
+ * @throws {Error} 400 INVALID_PATTERN for unknown tables / columns or bad patterns
+ */
+export function compilePatterns(schema, config = {}) {
+  const compiled = {};
+  Object.entries(config || {}).forEach(([table, columns]) => {
+    const tblDef = schema?.tables?.[table];
+    if (!tblDef) throw patternError(`Patterns for unknown table ${table}`);
+    Object.entries(columns || {}).forEach(([column, spec]) => {
+      if (!tblDef.columns?.[column]) {
+        throw patternError(`Pattern for unknown column ${table}.${column}`);
+      }
+      try {
+        compiled[table] = {
+          ...compiled[table],
+          [column]: compilePattern(spec),
+        };
+      } catch (e) {
+        throw patternError(`${table}.${column}: ${e.message}`);
+      }
+    });
+  });
+  return compiled;
+}
+
+/**
+ * Prompt line asking the AI model to follow the patterns of a table.
+ * @param {Object} config config.patterns
+ * @param {string} tableName
+ * @returns {string} empty when the table has none
+ */
+export function patternPromptLine(config, tableName) {
+  const entries = Object.entries(config?.[tableName] || {});
+  if (!entries.length) return '';
+  return `Values must match these patterns: ${entries
+    .map(([column, spec]) => {
+      const { kind, source } = compilePattern(spec);
+      return kind === 'regex'
+        ? `${column} matches /${source}/`
+        : `${column} follows the template ${source} ({{upper n}} = n uppercase letters, {{digits n}} = n digits, {{seq n}} = row number padded to n digits)`;
+    })
+    .join('; ')}.`;
+}
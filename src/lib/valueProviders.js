@@ -0,0 +1,396 @@
+// Semantic value providers for the deterministic generator. A provider turns
+// a column into realistic values (names, emails, cities ...) instead of the
+// `<table>_<column>_<n>` placeholders. Columns are mapped to providers by
+// explicit per-column config, then by column-name heuristics, then by type.
+//
+// Provider shape:
+//   { name, pattern?: RegExp (column name, snake_case), types?: RegExp (types
+//     the name pattern applies to), columnType?: RegExp (types matched
+//     regardless of name), generate({ rng, rowIndex, tableName, colName, colDef, row, locale }) }
+// `row` holds the values generated so far for the current row, so related
+// columns can agree (email built from first_name / last_name); `locale` is the
+// bundled locale data for the column (see locales.js).
+import {
+  DEFAULT_LOCALE,
+  displayName,
+  getLocale,
+  latinName,
+} from './locales.js';
+
+// Name heuristics only apply to string-like columns unless a provider says otherwise
+const STRING_TYPES = /char|text|string|clob/i;
+
+const COMPANY_WORDS = [
+  'Acme',
+  'Globex',
+  'Initech',
+  'Umbrella',
+  'Stark',
+  'Wayne',
+  'Wonka',
+  'Hooli',
+  'Vandelay',
+  'Soylent',
+  'Cyberdyne',
+  'Tyrell',
+  'Aperture',
+  'Gringotts',
+];
+const TITLE_ADJECTIVES = [
+  'Silent',
+  'Hidden',
+  'Golden',
+  'Last',
+  'Broken',
+  'Endless',
+  'Distant',
+  'Crimson',
+  'Forgotten',
+  'Bright',
+  'Wild',
+  'Secret',
+];
+const TITLE_NOUNS = [
+  'River',
+  'Garden',
+  'Empire',
+  'Journey',
+  'Shadow',
+  'Harbor',
+  'Kingdom',
+  'Letter',
+  'Winter',
+  'Machine',
+  'Promise',
+  'Horizon',
+];
+const WORDS = [
+  'lorem',
+  'ipsum',
+  'dolor',
+  'sit',
+  'amet',
+  'consectetur',
+  'adipiscing',
+  'elit',
+  'sed',
+  'do',
+  'eiusmod',
+  'tempor',
+  'incididunt',
+  'labore',
+  'dolore',
+  'magna',
+  'aliqua',
+  'enim',
+  'minim',
+  'veniam',
+  'quis',
+  'nostrud',
+];
+const PERSON_TABLES =
+  /author|user|customer|person|people|employee|member|staff|contact|student|patient|client|writer|owner|agent|driver|teacher/i;
+
+const ORGANIZATION_TABLES =
+  /publisher|compan|vendor|supplier|organi[sz]ation|brand|manufacturer|partner|agency/i;
+
+const pick = (arr, rng) => arr[Math.floor(rng() * arr.length)];
+const digits = (n, rng) =>
+  Array.from({ length: n }, () => Math.floor(rng() * 10)).join('');
+const slug = (s) =>
+  String(s)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '');
+
+// Reuse a name already generated in the same row (first_name / last_name ...)
+function rowName(row, re) {
+  const key = Object.keys(row || {}).find(
+    (k) => re.test(snakeCase(k)) && typeof row[k] === 'string'
+  );
+  return key ? row[key] : null;
+}
+
+// Locale entry whose display form matches a name reused from the row, so the
+// ASCII form of e.g. a Japanese name stays available for emails
+function nameEntry(list, value) {
+  return list.find((e) => displayName(e) === value) || value;
+}
+
+function personName({ row, rng, locale = getLocale(DEFAULT_LOCALE) }) {
+  const first = rowName(row, /first_?name|given_name|fname/);
+  const last = rowName(row, /last_?name|surname|family_name|lname/);
+  return {
+    first:
+      first !== null
+        ? nameEntry(locale.firstNames, first)
+        : pick(locale.firstNames, rng),
+    last:
+      last !== null
+        ? nameEntry(locale.lastNames, last)
+        : pick(locale.lastNames, rng),
+  };
+}
+
+const localeOf = (ctx) => ctx.locale || getLocale(DEFAULT_LOCALE);
+
+function isbn13(rng) {
+  const body = `978${digits(9, rng)}`;
+  const sum = body
+    .split('')
+    .reduce((acc, d, i) => acc + Number(d) * (i % 2 ? 3 : 1), 0);
+  return `${body}${(10 - (sum % 10)) % 10}`;
+}
+
+function uuidFromRng(rng) {
+  const hex = Array.from({ length: 32 }, () =>
+    Math.floor(rng() * 16).toString(16)
+  );
+  hex[12] = '4';
+  hex[16] = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+  const s = hex.join('');
+  return `${s.slice(0, 8)}-${s.slice(8, 12)}-${s.slice(12, 16)}-${s.slice(
+    16,
+    20
+  )}-${s.slice(20)}`;
+}
+
+const BUILT_IN_PROVIDERS = [
+  {
+    name: 'firstName',
+    pattern: /(^|_)(first_?name|given_name|fname|forename)$/,
+    generate: (ctx) => displayName(pick(localeOf(ctx).firstNames, ctx.rng)),
+  },
+  {
+    name: 'lastName',
+    pattern: /(^|_)(last_?name|surname|family_name|lname)$/,
+    generate: (ctx) => displayName(pick(localeOf(ctx).lastNames, ctx.rng)),
+  },
+  {
+    name: 'fullName',
+    pattern:
+      /(^|_)(full_?name|display_name|contact_name|author_name|customer_name)$|^name$/,
+    // A bare `name` column only means a person on person-like tables
+    when: ({ colName, tableName }) =>
+      snakeCase(colName) !== 'name' || PERSON_TABLES.test(tableName),
+    generate: (ctx) => {
+      const { first, last } = personName(ctx);
+      return localeOf(ctx).fullName(displayName(first), displayName(last));
+    },
+  },
+  {
+    name: 'email',
+    pattern: /(^|_)e?_?mail(_address)?$/,
+    generate: (ctx) => {
+      const { first, last } = personName(ctx);
+      return `${slug(latinName(first))}.${slug(latinName(last))}${
+        ctx.rowIndex + 1
+      }@${pick(localeOf(ctx).domains, ctx.rng)}`;
+    },
+  },
+  {
+    name: 'username',
+    pattern: /(^|_)(user_?name|login|handle|nickname)$/,
+    generate: (ctx) => {
+      const { first, last } = personName(ctx);
+      return `${slug(latinName(first)).slice(0, 1)}${slug(latinName(last))}${
+        ctx.rowIndex + 1
+      }`;
+    },
+  },
+  {
+    name: 'phone',
+    pattern: /(^|_)(phone|phone_number|mobile|cell|telephone|tel|fax)$/,
+    generate: (ctx) => localeOf(ctx).phone(ctx.rng),
+  },
+  {
+    name: 'streetAddress',
+    pattern: /(^|_)(address(_line_?1)?|street(_address)?)$/,
+    generate: (ctx) => localeOf(ctx).street(ctx.rng),
+  },
+  {
+    name: 'city',
+    pattern: /(^|_)(city|town)$/,
+    generate: (ctx) => pick(localeOf(ctx).cities, ctx.rng),
+  },
+  {
+    name: 'state',
+    pattern: /(^|_)(state|province|region)$/,
+    generate: (ctx) => pick(localeOf(ctx).states, ctx.rng),
+  },
+  {
+    name: 'country',
+    pattern: /(^|_)(country(_name)?|nationality)$/,
+    generate: (ctx) => pick(localeOf(ctx).countries, ctx.rng),
+  },
+  {
+    name: 'zipCode',
+    pattern: /(^|_)(zip(_?code)?|postal_?code|post_?code)$/,
+    generate: (ctx) => localeOf(ctx).postalCode(ctx.rng),
+  },
+  {
+    name: 'company',
+    pattern:
+      /(^|_)(company(_name)?|organi[sz]ation|employer|publisher)$|^name$/,
+    when: ({ colName, tableName }) =>
+      snakeCase(colName) !== 'name' || ORGANIZATION_TABLES.test(tableName),
+    generate: (ctx) =>
+      localeOf(ctx).company(ctx.rng, pick(COMPANY_WORDS, ctx.rng)),
+  },
+  {
+    name: 'url',
+    pattern: /(^|_)(url|website|homepage|web_?site|link)$/,
+    generate: ({ rng, rowIndex }) =>
+      `https://www.${slug(pick(COMPANY_WORDS, rng))}${rowIndex + 1}.com`,
+  },
+  {
+    name: 'isbn',
+    pattern: /(^|_)isbn(_?13)?$/,
+    generate: ({ rng }) => isbn13(rng),
+  },
+  {
+    name: 'ipAddress',
+    pattern: /(^|_)ip(_address)?$/,
+    generate: ({ rng }) =>
+      Array.from({ length: 4 }, () => Math.floor(rng() * 256)).join('.'),
+  },
+  {
+    name: 'title',
+    pattern: /(^|_)(title|headline)$/,
+    generate: ({ rng }) =>
+      `The ${pick(TITLE_ADJECTIVES, rng)} ${pick(TITLE_NOUNS, rng)}`,
+  },
+  {
+    name: 'sentence',
+    pattern:
+      /(^|_)(description|bio|biography|summary|notes?|comments?|body|content)$/,
+    generate: ({ rng }) => {
+      const words = Array.from({ length: 6 + Math.floor(rng() * 8) }, () =>
+        pick(WORDS, rng)
+      ).join(' ');
+      return `${words.charAt(0).toUpperCase()}${words.slice(1)}.`;
+    },
+  },
+  {
+    name: 'localDate',
+    // Free-text date columns; DATE / TIMESTAMP types keep ISO values
+    pattern: /(^|_)(date|birthday|dob)$|_date(_text)?$/,
+    generate: (ctx) => {
+      const d = new Date(Date.UTC(2015, 0, 1) + ctx.rng() * 10 * 365 * 864e5);
+      return localeOf(ctx).formatDate(
+        d.getUTCFullYear(),
+        d.getUTCMonth() + 1,
+        d.getUTCDate()
+      );
+    },
+  },
+  {
+    name: 'uuid',
+    pattern: /(^|_)(uuid|guid)$/,
+    types: /uuid|uniqueidentifier|char|text/i,
+    columnType: /^(uuid|uniqueidentifier)$/i,
+    generate: ({ rng }) => uuidFromRng(rng),
+  },
+];
+
+// Later registrations win over earlier ones (custom providers over built-ins)
+const registry = new Map();
+BUILT_IN_PROVIDERS.forEach((p) => registry.set(p.name, p));
+
+export function snakeCase(name) {
+  return String(name)
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/[\s-]+/g, '_')
+    .toLowerCase();
+}
+
+/**
+ * Register (or replace) a value provider.
+ * @param {{ name: string, generate: Function, pattern?: RegExp, types?: RegExp, columnType?: RegExp, when?: Function }} provider
+ * @returns {Object} the registered provider
+ */
+export function registerProvider(provider) {
+  if (!provider?.name || typeof provider.generate !== 'function') {
+    throw new Error('Provider requires a name and a generate function');
+  }
+  registry.delete(provider.name); // re-registering moves it to the front
+  registry.set(provider.name, provider);
+  return provider;
+}
+
+export function unregisterProvider(name) {
+  const builtIn = BUILT_IN_PROVIDERS.find((p) => p.name === name);
+  registry.delete(name);
+  if (builtIn) registry.set(name, builtIn);
+}
+
+export function getProvider(name) {
+  return registry.get(name) || null;
+}
+
+export function listProviders() {
+  return [...registry.keys()];
+}
+
+function unknownProvider(name, tableName, colName) {
+  const err = new Error(
+    `Unknown value provider "${name}" for ${tableName}.${colName} (available: ${listProviders().join(
+      ', '
+    )})`
+  );
+  err.status = 400;
+  err.code = 'UNKNOWN_PROVIDER';
+  return err;
+}
+
+/**
+ * Provider for a column: explicit config (`{ [table]: { [column]: name } }`,
+ * `false` disables heuristics for the column), then the most recently
+ * registered provider whose name pattern and type filter match, then one
+ * whose `columnType` matches the column type.
+ * @param {string} tableName
+ * @param {string} colName
+ * @param {Object} colDef
+ * @param {Object} [overrides] config.providers
+ * @returns {Object|null}
+ */
+export function resolveProvider(tableName, colName, colDef, overrides = {}) {
+  const explicit = overrides?.[tableName]?.[colName];
+  if (explicit === false || explicit === null) return null;
+  if (explicit !== undefined) {
+    const provider = registry.get(explicit);
+    if (!provider) throw unknownProvider(explicit, tableName, colName);
+    return provider;
+  }
+  const type = String(colDef?.type || '');
+  const normalized = snakeCase(colName);
+  const ctx = { tableName, colName, colDef };
+  const candidates = [...registry.values()].reverse();
+  const byName = candidates.find(
+    (p) =>
+      p.pattern?.test(normalized) &&
+      (p.types || STRING_TYPES).test(type) &&
+      (!p.when || p.when(ctx))
+  );
+  if (byName) return byName;
+  return (
+    candidates.find(
+      (p) => p.columnType?.test(type) && (!p.when || p.when(ctx))
+    ) || null
+  );
+}
+
+/**
+ * Check that every provider named in `config.providers` is registered.
+ * @param {Object} overrides
+ * @returns {string[]} unknown provider names
+ */
+export function unknownProviders(overrides = {}) {
+  const names = Object.values(overrides || {}).flatMap((cols) =>
+    Object.values(cols || {})
+  );
+  return [
+    ...new Set(names.filter((n) => typeof n === 'string' && !registry.has(n))),
+  ];
+}
@@ -0,0 +1,21 @@
+import { timingSafeEqual } from 'crypto';
+
+// Live database introspection opens connections on the server's behalf, so
+// it is off unless INTROSPECTION_ENABLED=true; INTROSPECTION_TOKEN, when
+// set, must come as `Authorization: Bearer <token>`
+export function introspectionAccess(req, res, next) {
+  if (process.env.INTROSPECTION_ENABLED !== 'true') {
+    return res.status(403).json({ error: 'Schema introspection is disabled' });
+  }
+  const token = process.env.INTROSPECTION_TOKEN;
+  if (token) {
+    const given = Buffer.from(
+      (req.get('authorization') || '').replace(/^Bearer\s+/i, '')
+    );
+    const expected = Buffer.from(token);
+    if (given.length !== expected.length || !timingSafeEqual(given, expected)) {
+      return res.status(401).json({ error: 'Invalid introspection token' });
+    }
+  }
+  next();
+}
@@ -0,0 +1,78 @@
+import DataGenerator from '../src/lib/dataGenerator.js';
+import {
+  generateDeterministicData,
+  validateDeterministicData,
+} from '../src/lib/deterministicGenerator.js';
+
+// pg_dump layout: bare CREATE TABLEs, keys attached afterwards
+const DUMP = `
+SET statement_timeout = 0;
+CREATE TABLE public.books (
+    id integer NOT NULL,
+    isbn character varying(13),
+    author_id integer REFERENCES public.authors,
+    publisher_id integer
+);
+ALTER TABLE public.books OWNER TO postgres;
+CREATE TABLE public.authors (id integer NOT NULL, name text);
+CREATE TABLE public.publishers (id integer NOT NULL, name text);
+ALTER TABLE ONLY public.books ALTER COLUMN id SET DEFAULT nextval('public.books_id_seq'::regclass);
+ALTER TABLE ONLY public.books ADD CONSTRAINT books_pkey PRIMARY KEY (id);
+ALTER TABLE ONLY public.authors ADD CONSTRAINT authors_pkey PRIMARY KEY (id);
+ALTER TABLE ONLY public.publishers ADD CONSTRAINT publishers_pkey PRIMARY KEY (id);
+CREATE UNIQUE INDEX books_isbn_idx ON public.books USING btree (isbn);
+ALTER TABLE ONLY public.books
+    ADD CONSTRAINT books_publisher_fk FOREIGN KEY (publisher_id) REFERENCES public.publishers(id);
+`;
+
+describe('ALTER TABLE constraints, inline REFERENCES and unique indexes', () => {
+  beforeAll(() => {
+    process.env.USE_AI = 'false';
+  });
+
+  test('AST path folds ALTER TABLE and CREATE UNIQUE INDEX', async () => {
+    const schema = await new DataGenerator().parseDDL(`
+      CREATE TABLE books (id INT PRIMARY KEY, isbn VARCHAR(13), author_id INT REFERENCES authors(id), pub_id INT);
+      CREATE TABLE authors (id INT PRIMARY KEY);
+      CREATE TABLE pubs (pid INT PRIMARY KEY);
+      ALTER TABLE books ADD CONSTRAINT fk_pub FOREIGN KEY (pub_id) REFERENCES pubs(pid);
+      CREATE UNIQUE INDEX books_isbn ON books (isbn);`);
+    expect(schema.tables.books.foreignKeys).toEqual([
+      {
+        columns: ['author_id'],
+        referenceTable: 'authors',
+        referenceColumns: ['id'],
+      },
+      {
+        columns: ['pub_id'],
+        referenceTable: 'pubs',
+        referenceColumns: ['pid'],
+      },
+    ]);
+    expect(schema.tables.books.uniqueKeys).toEqual([['isbn']]);
+  });
+
+  test('pg_dump style file yields the complete relationship graph', async () => {
+    const schema = await new DataGenerator().parseDDL(DUMP);
+    const { books } = schema.tables;
+    expect(books.primaryKey).toEqual(['id']);
+    expect(books.columns.id.type).toBe('serial');
+    expect(books.uniqueKeys).toEqual([['isbn']]);
+    expect(books.foreignKeys.map((fk) => fk.referenceTable)).toEqual([
+      'authors',
+      'publishers',
+    ]);
+    // REFERENCES without a column list targets the parent primary key
+    expect(books.foreignKeys[0].referenceColumns).toEqual(['id']);
+
+    const { data, meta } = generateDeterministicData(schema, {
+      globalRowCount: 15,
+      seed: 3,
+      withMeta: true,
+    });
+    expect(meta.order.indexOf('books')).toBe(2);
+    const { summary } = validateDeterministicData(schema, data).report;
+    expect(summary.fkViolations).toBe(0);
+    expect(summary.uniqueViolations).toBe(0);
+  });
+});
@@ -0,0 +1,72 @@
+import DataGenerator from '../src/lib/dataGenerator.js';
+import { parseCheckExpression } from '../src/lib/checkConstraints.js';
+import {
+  generateDeterministicData,
+  validateDeterministicData,
+} from '../src/lib/deterministicGenerator.js';
+
+const DDL = `
+CREATE TABLE loans (
+  id INT PRIMARY KEY,
+  fine DECIMAL(10, 2) CHECK (fine >= 0),
+  rating INT CHECK (rating BETWEEN 1 AND 5),
+  status VARCHAR(20) CHECK (status IN ('open', 'returned')),
+  start_date DATE,
+  end_date DATE,
+  CONSTRAINT ck_dates CHECK (end_date >= start_date)
+);`;
+
+describe('CHECK constraints', () => {
+  test('common expression forms are structured', () => {
+    expect(parseCheckExpression('price >= 0 AND qty BETWEEN 1 AND 9')).toEqual([
+      {
+        kind: 'compare',
+        column: 'price',
+        operator: '>=',
+        value: 0,
+        expression: 'price >= 0',
+      },
+      {
+        kind: 'between',
+        column: 'qty',
+        min: 1,
+        max: 9,
+        expression: 'qty BETWEEN 1 AND 9',
+      },
+    ]);
+    expect(parseCheckExpression("a > 0 OR b = 'x'")[0].kind).toBe('raw');
+  });
+
+  test('generation stays inside bounds and validation counts violations', async () => {
+    process.env.USE_AI = 'false';
+    const schema = await new DataGenerator().parseDDL(DDL);
+    expect(schema.tables.loans.checks.map((c) => c.kind)).toEqual([
+      'compare',
+      'between',
+      'in',
+      'columnCompare',
+    ]);
+
+    const data = generateDeterministicData(schema, {
+      globalRowCount: 100,
+      seed: 11,
+    });
+    expect(
+      validateDeterministicData(schema, data).report.summary.checkViolations
+    ).toBe(0);
+
+    const bad = validateDeterministicData(schema, {
+      loans: [
+        {
+          id: 1,
+          fine: -5,
+          rating: 9,
+          status: 'lost',
+          start_date: '2024-02-01',
+          end_date: '2024-01-01',
+        },
+      ],
+    });
+    expect(bad.report.tables.loans.checkViolations).toBe(4);
+  });
+});
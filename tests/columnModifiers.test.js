@@ -0,0 +1,52 @@
+import DataGenerator from '../src/lib/dataGenerator.js';
+import {
+  generateDeterministicData,
+  validateDeterministicData,
+} from '../src/lib/deterministicGenerator.js';
+
+const DDL = `
+CREATE TABLE invoices (
+  id INT PRIMARY KEY,
+  code VARCHAR(6) NOT NULL,
+  amount NUMERIC(5, 2),
+  status VARCHAR(10) DEFAULT 'draft',
+  issued_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);`;
+
+describe('DEFAULT values and type modifiers', () => {
+  let schema;
+  beforeAll(async () => {
+    process.env.USE_AI = 'false';
+    schema = await new DataGenerator().parseDDL(DDL);
+  });
+
+  test('parser keeps length, precision, scale and defaults', () => {
+    const { columns } = schema.tables.invoices;
+    expect(columns.code.length).toBe(6);
+    expect(columns.amount).toMatchObject({ precision: 5, scale: 2 });
+    expect(columns.status.default).toBe('draft');
+    expect(columns.issued_at.defaultExpression).toBe('CURRENT_TIMESTAMP');
+  });
+
+  test('generation applies defaults by probability and fits modifiers', () => {
+    const { data, meta } = generateDeterministicData(schema, {
+      globalRowCount: 40,
+      seed: 5,
+      withMeta: true,
+      defaultProbability: { invoices: { status: 1 } },
+    });
+    expect(data.invoices.every((r) => r.status === 'draft')).toBe(true);
+    expect(meta.tables.invoices.defaultsApplied).toBe(40);
+    const { summary } = validateDeterministicData(schema, data).report;
+    expect(summary.lengthViolations).toBe(0);
+    expect(summary.precisionViolations).toBe(0);
+  });
+
+  test('validation flags values outside declared length and precision', () => {
+    const { report } = validateDeterministicData(schema, {
+      invoices: [{ id: 1, code: 'TOO-LONG', amount: 1234.5 }],
+    });
+    expect(report.tables.invoices.lengthViolations).toBe(1);
+    expect(report.tables.invoices.precisionViolations).toBe(1);
+  });
+});
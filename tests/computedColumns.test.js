@@ -0,0 +1,159 @@
+import request from 'supertest';
+import { app } from '../src/index.js';
+import DataGenerator from '../src/lib/dataGenerator.js';
+import {
+  generateDeterministicData,
+  streamDeterministicData,
+  validateDeterministicData,
+} from '../src/lib/deterministicGenerator.js';
+import {
+  evaluateExpression,
+  expressionErrors,
+  parseExpression,
+} from '../src/lib/computedColumns.js';
+
+const DDL = `
+CREATE TABLE people (
+  id INT PRIMARY KEY,
+  first_name VARCHAR(30) NOT NULL,
+  last_name VARCHAR(30) NOT NULL,
+  full_name VARCHAR(61) GENERATED ALWAYS AS (first_name || ' ' || last_name) STORED
+);
+CREATE TABLE order_items (
+  id INT PRIMARY KEY,
+  person_id INT NOT NULL REFERENCES people(id),
+  qty INT NOT NULL CHECK (qty > 0),
+  unit_price NUMERIC(8, 2) NOT NULL,
+  line_total NUMERIC(10, 2),
+  title VARCHAR(40),
+  slug VARCHAR(40)
+);`;
+
+const expressions = {
+  order_items: {
+    line_total: 'qty * unit_price',
+    slug: 'slug(title)',
+  },
+};
+
+const evaluate = (text, row) => evaluateExpression(parseExpression(text), row);
+
+describe('computed columns', () => {
+  let schema;
+  beforeAll(async () => {
+    process.env.USE_AI = 'false';
+    schema = await new DataGenerator().parseDDL(DDL);
+  });
+
+  test('expressions follow SQL semantics', () => {
+    const row = { a: 3, b: 2.5, s: 'Hello, World!', d: '2024-01-30', n: null };
+    expect(evaluate('a * b + 1', row)).toBe(8.5);
+    expect(evaluate("s || ' / ' || a", row)).toBe('Hello, World! / 3');
+    expect(evaluate('s || n', row)).toBeNull();
+    expect(evaluate("concat(s, n, '?')", row)).toBe('Hello, World!?');
+    expect(evaluate('slug(s)', row)).toBe('hello-world');
+    expect(evaluate('d + 14', row)).toBe('2024-02-13');
+    expect(evaluate('CAST(b AS INTEGER) - -1', row)).toBe(3);
+    expect(() => evaluate('a / 0', row)).toThrow('division by zero');
+  });
+
+  test('GENERATED ALWAYS AS columns are parsed', () => {
+    expect(schema.tables.people.columns.full_name.expression).toBe(
+      "first_name || ' ' || last_name"
+    );
+  });
+
+  test('generated rows satisfy DDL and config expressions', () => {
+    const { data, meta } = generateDeterministicData(schema, {
+      globalRowCount: 20,
+      seed: 3,
+      expressions,
+      withMeta: true,
+    });
+    data.people.forEach((p) => {
+      expect(p.full_name).toBe(`${p.first_name} ${p.last_name}`);
+    });
+    data.order_items.forEach((i) => {
+      expect(i.line_total).toBeCloseTo(i.qty * i.unit_price, 2);
+    });
+    expect(meta.tables.order_items.computedColumns).toEqual([
+      'line_total',
+      'slug',
+    ]);
+    expect(Object.keys(data.people[0])).toEqual([
+      'id',
+      'first_name',
+      'last_name',
+      'full_name',
+    ]);
+    const { passed, report } = validateDeterministicData(schema, data, {
+      expressions,
+    });
+    expect(passed).toBe(true);
+
+    data.order_items[0].line_total += 1;
+    const after = validateDeterministicData(schema, data, { expressions });
+    expect(after.report.summary.expressionViolations).toBe(1);
+    expect(report.summary.expressionErrors).toBe(0);
+  });
+
+  test('streamed rows are computed too', async () => {
+    for await (const { table, rows } of streamDeterministicData(schema, {
+      globalRowCount: 5,
+      seed: 3,
+      expressions,
+    })) {
+      for await (const batch of rows) {
+        if (table === 'order_items') {
+          batch.forEach((i) =>
+            expect(i.line_total).toBeCloseTo(i.qty * i.unit_price, 2)
+          );
+        }
+      }
+    }
+  });
+
+  test('dependency order, cycles and evaluation errors', () => {
+    const chain = {
+      tables: {
+        t: {
+          columns: {
+            id: { type: 'INT', nullable: false },
+            c: { type: 'INT', expression: 'b * 2' },
+            b: { type: 'INT', expression: 'id + 1' },
+            r: { type: 'NUMERIC', scale: 2, expression: 'id / (id - 1)' },
+            x: { type: 'TEXT', expression: 'md5(id)' },
+          },
+          primaryKey: ['id'],
+        },
+      },
+    };
+    const data = generateDeterministicData(chain, { globalRowCount: 3 });
+    expect(data.t.map((r) => r.c)).toEqual([4, 6, 8]);
+    expect(data.t[0].r).toBeNull(); // division by zero
+    const { report, errors } = validateDeterministicData(chain, data);
+    expect(report.summary.expressionErrors).toBe(2);
+    expect(errors).toContain('Expression error t.x: unknown function md5');
+    expect(errors).toContain('Expression error t.r: division by zero (row 0)');
+    expect(() =>
+      generateDeterministicData(chain, {
+        expressions: { t: { b: 'c - 1' } },
+      })
+    ).toThrow(/cycle/);
+  });
+
+  test('invalid expressions are rejected', async () => {
+    expect(expressionErrors({ t: { a: 'qty *', b: 'sum(x)' } })).toEqual([
+      't.a: unexpected end of expression',
+      't.b: unknown function sum',
+    ]);
+    const res = await request(app)
+      .post('/api/generate')
+      .send({
+        ddl: 'CREATE TABLE t (id INT PRIMARY KEY, a INT);',
+        config: { expressions: { t: { a: 'id +' } } },
+      });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/Invalid expression/);
+  });
+});
@@ -0,0 +1,157 @@
+import request from 'supertest';
+import { app } from '../src/index.js';
+import {
+  enforceRules,
+  generateDeterministicData,
+  validateDeterministicData,
+} from '../src/lib/deterministicGenerator.js';
+import { parseRule, ruleErrors } from '../src/lib/consistencyRules.js';
+
+const fk = (columns, referenceTable) => ({
+  columns,
+  referenceTable,
+  referenceColumns: ['id'],
+});
+
+const schema = {
+  tables: {
+    members: {
+      columns: {
+        id: { type: 'INT', nullable: false },
+        joined: { type: 'DATE' },
+      },
+      primaryKey: ['id'],
+    },
+    loans: {
+      columns: {
+        id: { type: 'INT', nullable: false },
+        member_id: { type: 'INT' },
+        loan_date: { type: 'DATE' },
+        due_date: { type: 'DATE' },
+      },
+      primaryKey: ['id'],
+      foreignKeys: [fk(['member_id'], 'members')],
+    },
+    orders: {
+      columns: {
+        id: { type: 'INT', nullable: false },
+        total: { type: 'DECIMAL', precision: 10, scale: 2 },
+        item_count: { type: 'INT' },
+      },
+      primaryKey: ['id'],
+    },
+    order_items: {
+      columns: {
+        id: { type: 'INT', nullable: false },
+        order_id: { type: 'INT', nullable: false },
+        qty: { type: 'INT' },
+        price: { type: 'DECIMAL', precision: 6, scale: 2 },
+      },
+      primaryKey: ['id'],
+      foreignKeys: [fk(['order_id'], 'orders')],
+    },
+  },
+};
+
+const rules = {
+  loans: [
+    'loan_date >= members.joined',
+    'due_date > loan_date',
+    'due_date <= loan_date + 21',
+  ],
+  orders: [
+    'total = sum(order_items.qty * price)',
+    'item_count = count(order_items.*)',
+  ],
+};
+
+describe('consistency rules', () => {
+  test('parses same-row, parent and aggregate rules', () => {
+    expect(parseRule('loans', 'due_date <= loan_date + 21')).toMatchObject({
+      column: 'due_date',
+      operator: '<=',
+      right: { kind: 'column', column: 'loan_date' },
+      offset: 21,
+    });
+    expect(parseRule('loans', 'loan_date >= members.joined').right).toEqual({
+      kind: 'parent',
+      table: 'members',
+      column: 'joined',
+    });
+    expect(
+      parseRule('orders', 'total = SUM(order_items.qty * price)').right
+    ).toEqual({
+      kind: 'aggregate',
+      fn: 'sum',
+      childTable: 'order_items',
+      factors: ['qty', 'price'],
+    });
+  });
+
+  test('generation satisfies the rules and validation reports none', () => {
+    const plain = generateDeterministicData(schema, { seed: 4 });
+    const before = validateDeterministicData(schema, plain, { rules });
+    expect(before.report.summary.ruleViolations).toBeGreaterThan(0);
+
+    const { data, meta } = generateDeterministicData(schema, {
+      seed: 4,
+      rules,
+      withMeta: true,
+    });
+    const { passed, report } = validateDeterministicData(schema, data, {
+      rules,
+    });
+    expect(passed).toBe(true);
+    expect(report.summary.ruleViolations).toBe(0);
+    expect(meta.tables.loans.ruleAdjustments).toBeGreaterThan(0);
+
+    const order = data.orders.find((o) =>
+      data.order_items.some((i) => i.order_id === o.id)
+    );
+    const items = data.order_items.filter((i) => i.order_id === order.id);
+    const sum = items.reduce((a, i) => a + i.qty * i.price, 0);
+    expect(order.total).toBeCloseTo(sum, 2);
+    expect(order.item_count).toBe(items.length);
+    data.loans.forEach((l) => {
+      const days = (Date.parse(l.due_date) - Date.parse(l.loan_date)) / 864e5;
+      expect(days).toBeGreaterThanOrEqual(1);
+      expect(days).toBeLessThanOrEqual(21);
+    });
+  });
+
+  test('enforceRules repairs externally produced rows', () => {
+    const data = {
+      members: [{ id: 1, joined: '2024-05-01' }],
+      loans: [{ id: 1, member_id: 1, loan_date: '2024-04-01', due_date: null }],
+      orders: [{ id: 1, total: 3, item_count: 0 }],
+      order_items: [
+        { id: 1, order_id: 1, qty: 2, price: 4.5 },
+        { id: 2, order_id: 1, qty: 1, price: 1.25 },
+      ],
+    };
+    enforceRules(schema, data, { rules, seed: 1 });
+    expect(data.loans[0].loan_date >= '2024-05-01').toBe(true);
+    expect(data.loans[0].due_date).toBeNull();
+    expect(data.orders[0]).toEqual({ id: 1, total: 10.25, item_count: 2 });
+  });
+
+  test('invalid rules are rejected', async () => {
+    expect(ruleErrors({ loans: ['due_date', 'other.x > y'] })).toEqual([
+      'loans: no comparison in rule "due_date"',
+      'loans: left side of "other.x > y" must be a column of loans',
+    ]);
+    expect(() =>
+      generateDeterministicData(schema, {
+        rules: { loans: ['due_date > orders.total'] },
+      })
+    ).toThrow(/loans has no FK to orders/);
+    const res = await request(app)
+      .post('/api/generate')
+      .send({
+        ddl: 'CREATE TABLE t (id INT PRIMARY KEY, a INT);',
+        config: { rules: { t: ['a > sum(x'] } },
+      });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/cannot parse right side/);
+  });
+});
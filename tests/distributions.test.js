@@ -0,0 +1,128 @@
+import request from 'supertest';
+import { app } from '../src/index.js';
+import { generateDeterministicData } from '../src/lib/deterministicGenerator.js';
+import {
+  compileDistribution,
+  distributionErrors,
+} from '../src/lib/distributions.js';
+
+const schema = {
+  tables: {
+    orders: {
+      columns: {
+        id: { type: 'INT', nullable: false },
+        amount: { type: 'DECIMAL', precision: 6, scale: 2 },
+        qty: { type: 'INT' },
+        status: { type: 'VARCHAR', length: 10 },
+        placed: { type: 'DATE' },
+      },
+      primaryKey: ['id'],
+      checks: [{ kind: 'compare', column: 'qty', operator: '<=', value: 20 }],
+    },
+  },
+};
+
+const generate = (distributions) =>
+  generateDeterministicData(schema, {
+    globalRowCount: 1000,
+    seed: 11,
+    withMeta: true,
+    distributions: { orders: distributions },
+  });
+
+describe('column distributions', () => {
+  test('normal clamps to spec and CHECK bounds and reports stats', () => {
+    const { data, meta } = generate({
+      qty: { type: 'normal', mean: 10, stddev: 5, min: 1 },
+    });
+    const qty = data.orders.map((r) => r.qty);
+    expect(qty.every((q) => Number.isInteger(q) && q >= 1 && q <= 20)).toBe(
+      true
+    );
+    const stats = meta.tables.orders.distributions.qty;
+    expect(stats.type).toBe('normal');
+    expect(stats.count).toBe(1000);
+    expect(Math.abs(stats.mean - 10)).toBeLessThan(1);
+    expect(stats.stddev).toBeGreaterThan(3);
+  });
+
+  test('log-normal is right skewed and fits NUMERIC precision', () => {
+    const { data, meta } = generate({
+      amount: { type: 'lognormal', mu: 4, sigma: 1.5 },
+    });
+    const stats = meta.tables.orders.distributions.amount;
+    expect(stats.mean).toBeGreaterThan(stats.median);
+    expect(data.orders.every((r) => r.amount <= 9999.99)).toBe(true);
+  });
+
+  test('categorical weights, Zipf ranks and fixed sets', () => {
+    const { data, meta } = generate({
+      status: {
+        type: 'categorical',
+        weights: { paid: 8, refunded: 1, pending: 1 },
+      },
+      qty: { type: 'zipf', s: 1.5, n: 20 },
+      amount: { type: 'fixed', values: [9.99, 19.99] },
+    });
+    const freq = meta.tables.orders.distributions.status.frequencies;
+    expect(freq.paid).toBeGreaterThan(700);
+    expect(Object.keys(freq).sort()).toEqual(['paid', 'pending', 'refunded']);
+    const ranks = data.orders.map((r) => r.qty);
+    const ones = ranks.filter((q) => q === 1).length;
+    const twos = ranks.filter((q) => q === 2).length;
+    expect(ones).toBeGreaterThan(twos);
+    expect(new Set(data.orders.map((r) => r.amount))).toEqual(
+      new Set([9.99, 19.99])
+    );
+  });
+
+  test('date columns take date parameters and stddev in days', () => {
+    const { data, meta } = generate({
+      placed: {
+        type: 'uniform',
+        min: '2024-03-01',
+        max: '2024-03-31',
+      },
+    });
+    data.orders.forEach((r) => {
+      expect(r.placed >= '2024-03-01' && r.placed <= '2024-03-31').toBe(true);
+    });
+    expect(meta.tables.orders.distributions.placed.min).toMatch(
+      /^2024-03-0\d$/
+    );
+  });
+
+  test('same seed reproduces sampled values', () => {
+    const spec = { amount: { type: 'normal', mean: 50, stddev: 10 } };
+    expect(generate(spec).meta.contentHash).toBe(
+      generate(spec).meta.contentHash
+    );
+  });
+
+  test('invalid specs are rejected', async () => {
+    expect(
+      distributionErrors({
+        orders: {
+          qty: { type: 'normal', stddev: -1 },
+          status: { type: 'poisson' },
+          amount: { type: 'uniform', min: 10, max: 5 },
+        },
+      })
+    ).toEqual([
+      'orders.qty: stddev must be >= 0',
+      expect.stringMatching(/^orders\.status: type must be one of/),
+      'orders.amount: min must not exceed max',
+    ]);
+    expect(() =>
+      compileDistribution({ type: 'fixed', values: [] }, { type: 'INT' })
+    ).toThrow(/values must be a non-empty array/);
+    const res = await request(app)
+      .post('/api/generate')
+      .send({
+        ddl: 'CREATE TABLE t (id INT PRIMARY KEY, n INT);',
+        config: { distributions: { t: { n: { type: 'zipf', n: 0 } } } },
+      });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/t\.n: n must be a positive integer/);
+  });
+});
@@ -0,0 +1,179 @@
+import request from 'supertest';
+import { app } from '../src/index.js';
+import {
+  generateDeterministicData,
+  validateDeterministicData,
+} from '../src/lib/deterministicGenerator.js';
+import DataGenerator from '../src/lib/dataGenerator.js';
+import { edgeCaseErrors, edgeCaseValues } from '../src/lib/edgeCases.js';
+
+const schema = {
+  tables: {
+    authors: {
+      columns: {
+        id: { type: 'INT', nullable: false },
+        name: { type: 'VARCHAR', length: 20, nullable: false },
+        status: { type: 'VARCHAR', length: 10 },
+        age: { type: 'SMALLINT' },
+        rating: { type: 'DECIMAL', precision: 4, scale: 2 },
+        born: { type: 'DATE' },
+      },
+      primaryKey: ['id'],
+      uniqueKeys: [['name']],
+      checks: [
+        { kind: 'in', column: 'status', values: ['active', 'retired'] },
+        { kind: 'compare', column: 'age', operator: '>=', value: 0 },
+      ],
+    },
+    books: {
+      columns: {
+        id: { type: 'INT', nullable: false },
+        author_id: { type: 'INT', nullable: false },
+        title: { type: 'VARCHAR', length: 12 },
+      },
+      primaryKey: ['id'],
+      foreignKeys: [
+        {
+          columns: ['author_id'],
+          referenceTable: 'authors',
+          referenceColumns: ['id'],
+        },
+      ],
+    },
+  },
+};
+
+describe('edge case values', () => {
+  beforeAll(() => {
+    process.env.USE_AI = 'false';
+  });
+
+  test('values fit the column type, length and CHECKs', () => {
+    expect(
+      edgeCaseValues(
+        'numeric',
+        { type: 'SMALLINT' },
+        {
+          column: 'age',
+          checks: schema.tables.authors.checks,
+        }
+      )
+    ).toEqual([32767, 0, 1]);
+    const decimals = edgeCaseValues('numeric', {
+      type: 'DECIMAL',
+      precision: 4,
+      scale: 2,
+    });
+    expect(decimals).toEqual([99.99, -99.99, 0.01, -0.01, 0, -0]);
+    expect(Object.is(decimals[5], -0)).toBe(true);
+    expect(edgeCaseValues('length', { type: 'VARCHAR', length: 5 })).toEqual([
+      'xxxxx',
+      '',
+      'x',
+    ]);
+    expect(edgeCaseValues('temporal', { type: 'DATE' })).toContain(
+      '2000-02-29'
+    );
+    expect(
+      edgeCaseValues(
+        'temporal',
+        { type: 'TIMESTAMP' },
+        { dialect: 'mysql' }
+      ).every((v) => v > '1970-01-01T00:00:00' && v <= '2038-01-19T03:14:07Z')
+    ).toBe(true);
+    expect(edgeCaseValues('injection', { type: 'BOOLEAN' })).toEqual([]);
+  });
+
+  test('SQL Server TINYINT stays within 0..255', async () => {
+    const generator = new DataGenerator();
+    const tsql = await generator.parseDDL(
+      'CREATE TABLE [levels] ([id] INT PRIMARY KEY, [level] TINYINT);',
+      { dialect: 'SQL Server' }
+    );
+    expect(tsql.tables.levels.columns.level.type).toBe('TINYINT');
+    const { data, meta } = generateDeterministicData(tsql, {
+      globalRowCount: 50,
+      seed: 3,
+      edgeCaseRatio: { levels: { level: 1 } },
+      edgeCaseCategories: ['numeric'],
+      withMeta: true,
+    });
+    expect(meta.tables.levels.edgeCases.level).toBe(50);
+    expect(new Set(data.levels.map((r) => r.level))).toEqual(
+      new Set([0, 1, 255])
+    );
+  });
+
+  test('edge cases are mixed into valid rows and counted per column', () => {
+    const { data, meta } = generateDeterministicData(schema, {
+      globalRowCount: 200,
+      seed: 9,
+      edgeCaseRatio: 0.3,
+      withMeta: true,
+    });
+    const { edgeCases } = meta.tables.authors;
+    expect(Object.keys(edgeCases).sort()).toEqual([
+      'age',
+      'born',
+      'name',
+      'rating',
+    ]);
+    Object.values(edgeCases).forEach((n) => expect(n).toBeGreaterThan(20));
+    expect(meta.tables.books.edgeCases).toEqual({ title: expect.any(Number) });
+    data.authors.forEach((a) => {
+      expect(['active', 'retired']).toContain(a.status);
+      expect(a.age).toBeGreaterThanOrEqual(0);
+    });
+    const { summary } = validateDeterministicData(schema, data).report;
+    Object.values(summary).forEach((n) => expect(n).toBe(0));
+  });
+
+  test('categories and per-column ratios narrow the injection', () => {
+    const { data, meta } = generateDeterministicData(schema, {
+      globalRowCount: 20,
+      seed: 2,
+      edgeCaseRatio: { books: { title: 1 } },
+      edgeCaseCategories: ['injection'],
+      withMeta: true,
+    });
+    expect(meta.tables.authors.edgeCases).toBeUndefined();
+    expect(meta.tables.books.edgeCases).toEqual({ title: 20 });
+    data.books.forEach((b) =>
+      expect(
+        edgeCaseValues('injection', { type: 'VARCHAR', length: 12 })
+      ).toContain(b.title)
+    );
+  });
+
+  test('tables without edge cases keep their seeded rows', () => {
+    const plain = generateDeterministicData(schema, { seed: 5 });
+    const mixed = generateDeterministicData(schema, {
+      seed: 5,
+      edgeCaseRatio: { books: { title: 0.5 } },
+    });
+    expect(mixed.authors).toEqual(plain.authors);
+    expect(mixed.books).not.toEqual(plain.books);
+  });
+
+  test('bad options are rejected', async () => {
+    expect(
+      edgeCaseErrors({
+        edgeCaseRatio: { books: { title: 2 } },
+        edgeCaseCategories: ['emoji'],
+      })
+    ).toEqual([
+      'edgeCaseRatio.books.title must be a ratio between 0 and 1',
+      'Unknown edge case categories emoji (available: length, unicode, injection, whitespace, numeric, temporal)',
+    ]);
+    const res = await request(app)
+      .post('/api/generate')
+      .send({
+        ddl: 'CREATE TABLE t (id INT PRIMARY KEY, v TEXT);',
+        config: { edgeCaseRatio: 1.5 },
+      })
+      .expect(400);
+    expect(res.body.error).toBe(
+      'Invalid edge cases: edgeCaseRatio must be a ratio between 0 and 1'
+    );
+  });
+});
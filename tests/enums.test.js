@@ -0,0 +1,71 @@
+import DataGenerator from '../src/lib/dataGenerator.js';
+import {
+  enforceTableConstraints,
+  generateDeterministicData,
+  validateDeterministicData,
+} from '../src/lib/deterministicGenerator.js';
+
+const DDL = `
+CREATE TYPE loan_state AS ENUM ('open', 'returned', 'lost');
+CREATE TABLE books (
+  id INT PRIMARY KEY,
+  format ENUM('Hardcover', 'Paperback', 'E-book'),
+  state loan_state NOT NULL
+);`;
+
+describe('ENUM columns', () => {
+  let schema;
+  beforeAll(async () => {
+    process.env.USE_AI = 'false';
+    schema = await new DataGenerator().parseDDL(DDL);
+  });
+
+  test('inline and named enum values are kept on the column', () => {
+    expect(schema.tables.books.columns.format).toMatchObject({
+      type: 'enum',
+      enumValues: ['Hardcover', 'Paperback', 'E-book'],
+    });
+    expect(schema.tables.books.columns.state).toMatchObject({
+      type: 'enum',
+      enumType: 'loan_state',
+      enumValues: ['open', 'returned', 'lost'],
+    });
+  });
+
+  test('generation samples declared values honoring weights', () => {
+    const data = generateDeterministicData(schema, {
+      globalRowCount: 50,
+      seed: 5,
+      enumWeights: { books: { state: { lost: 1 } } },
+    });
+    expect(data.books.every((r) => r.state === 'lost')).toBe(true);
+    expect(
+      data.books.every((r) =>
+        ['Hardcover', 'Paperback', 'E-book', null].includes(r.format)
+      )
+    ).toBe(true);
+    expect(
+      validateDeterministicData(schema, data).report.summary.enumViolations
+    ).toBe(0);
+  });
+
+  test('AI rows are coerced and validation flags unknown values', () => {
+    const rows = [
+      { id: 1, format: 'paperback', state: 'open' },
+      { id: 2, format: 'Scroll', state: 'open' },
+    ];
+    expect(
+      validateDeterministicData(schema, { books: rows }).report.tables.books
+        .enumViolations
+    ).toBe(2);
+    const { rows: fixed, adjustments } = enforceTableConstraints(
+      schema.tables.books,
+      rows
+    );
+    expect(fixed[0].format).toBe('Paperback');
+    expect(schema.tables.books.columns.format.enumValues).toContain(
+      fixed[1].format
+    );
+    expect(adjustments.enumCoerced).toBe(2);
+  });
+});
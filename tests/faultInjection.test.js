@@ -0,0 +1,214 @@
+import request from 'supertest';
+import { app } from '../src/index.js';
+import {
+  generateDeterministicData,
+  validateDeterministicData,
+} from '../src/lib/deterministicGenerator.js';
+import { faultErrors, typeMismatch } from '../src/lib/faultInjection.js';
+
+const schema = {
+  tables: {
+    authors: {
+      columns: {
+        id: { type: 'INT', nullable: false },
+        name: { type: 'VARCHAR', length: 20, nullable: false },
+        born: { type: 'DATE' },
+        active: { type: 'BOOLEAN' },
+      },
+      primaryKey: ['id'],
+    },
+    books: {
+      columns: {
+        id: { type: 'INT', nullable: false },
+        author_id: { type: 'INT', nullable: false },
+        title: { type: 'VARCHAR', length: 30, nullable: false },
+        price: { type: 'DECIMAL', precision: 6, scale: 2 },
+      },
+      primaryKey: ['id'],
+      foreignKeys: [
+        {
+          columns: ['author_id'],
+          referenceTable: 'authors',
+          referenceColumns: ['id'],
+        },
+      ],
+    },
+  },
+};
+
+const faults = {
+  authors: { pkDuplicates: 0.1, typeViolations: 0.1 },
+  books: {
+    pkDuplicates: 0.05,
+    fkViolations: 0.05,
+    notNullViolations: 0.05,
+    typeViolations: 0.05,
+  },
+};
+
+function generate(extra = {}) {
+  return generateDeterministicData(schema, {
+    globalRowCount: 100,
+    perTable: { authors: 20 },
+    seed: 4,
+    faults,
+    withMeta: true,
+    ...extra,
+  });
+}
+
+describe('fault injection', () => {
+  beforeAll(() => {
+    process.env.USE_AI = 'false';
+  });
+
+  test('exact counts of corrupted rows are recorded in meta', () => {
+    const { data, meta } = generate();
+    const kinds = (table) =>
+      meta.faults[table].reduce(
+        (acc, f) => ({ ...acc, [f.kind]: (acc[f.kind] || 0) + 1 }),
+        {}
+      );
+    expect(kinds('authors')).toEqual({ pkDuplicates: 2, typeViolations: 2 });
+    expect(kinds('books')).toEqual({
+      pkDuplicates: 5,
+      fkViolations: 5,
+      notNullViolations: 5,
+      typeViolations: 5,
+    });
+    const rows = meta.faults.books.map((f) => f.row);
+    expect(new Set(rows).size).toBe(rows.length);
+    meta.faults.books.forEach((f) => {
+      const row = data.books[f.row];
+      if (f.kind === 'pkDuplicates') {
+        expect(f.duplicateOf).toBeLessThan(f.row);
+        expect(row.id).toBe(data.books[f.duplicateOf].id);
+      }
+      if (f.kind === 'fkViolations') {
+        expect(data.authors.map((a) => a.id)).not.toContain(row.author_id);
+      }
+      if (f.kind === 'notNullViolations') expect(row[f.columns[0]]).toBeNull();
+      if (f.kind === 'typeViolations') expect(row.price).toBe('not_a_number');
+    });
+  });
+
+  test('validation separates injected from unexpected violations', () => {
+    const { data, meta } = generate();
+    const plain = validateDeterministicData(schema, data);
+    expect(plain.passed).toBe(false);
+    expect(plain.report.summary).toMatchObject({
+      pkDuplicates: 7,
+      fkViolations: 5,
+      notNullViolations: 5,
+      typeViolations: 7,
+    });
+
+    const attributed = validateDeterministicData(schema, data, {
+      faults: meta.faults,
+    });
+    expect(attributed.passed).toBe(true);
+    expect(attributed.errors).toEqual([]);
+    expect(attributed.expected).toHaveLength(24);
+    expect(attributed.report.faults).toEqual({
+      injected: 24,
+      expected: {
+        pkDuplicates: 7,
+        fkViolations: 5,
+        notNullViolations: 5,
+        typeViolations: 7,
+      },
+      unexpected: {},
+      undetected: 0,
+    });
+
+    // A stray violation and a repaired fault both fail the run
+    const clean = data.books.findIndex(
+      (_, i) => !meta.faults.books.some((f) => f.row === i)
+    );
+    data.books[clean].title = null;
+    const repaired = meta.faults.books.find(
+      (f) => f.kind === 'notNullViolations'
+    );
+    data.books[repaired.row][repaired.columns[0]] =
+      repaired.columns[0] === 'title' ? 'Fixed' : data.authors[0].id;
+    const mixed = validateDeterministicData(schema, data, {
+      faults: meta.faults,
+    });
+    expect(mixed.passed).toBe(false);
+    expect(mixed.errors).toEqual([
+      `NOT NULL violation books.title (row ${clean})`,
+      `Undetected fault notNullViolations books (row ${repaired.row})`,
+    ]);
+    expect(mixed.report.faults.unexpected).toEqual({ notNullViolations: 1 });
+  });
+
+  test('seeded runs corrupt the same rows; children follow moved keys', () => {
+    expect(generate().meta.faults).toEqual(generate().meta.faults);
+    const plain = generate({ faults: undefined }).data;
+    const { data, meta } = generate();
+    // Books of an author whose key was duplicated reference the new key
+    const moved = new Map(
+      meta.faults.authors
+        .filter((f) => f.kind === 'pkDuplicates')
+        .map((f) => [plain.authors[f.row].id, data.authors[f.row].id])
+    );
+    expect(moved.size).toBe(2);
+    const corrupted = new Set(meta.faults.books.map((f) => f.row));
+    data.books.forEach((b, i) => {
+      if (corrupted.has(i)) return;
+      const before = plain.books[i];
+      expect(b).toEqual({
+        ...before,
+        author_id: moved.get(before.author_id) ?? before.author_id,
+      });
+    });
+  });
+
+  test('type mismatches are judged leniently', () => {
+    expect(typeMismatch('12.50', { type: 'DECIMAL' })).toBe(false);
+    expect(typeMismatch('not_a_number', { type: 'INT' })).toBe(true);
+    expect(typeMismatch(1, { type: 'BOOLEAN' })).toBe(false);
+    expect(typeMismatch('maybe', { type: 'BOOLEAN' })).toBe(true);
+    expect(typeMismatch('08:30:00', { type: 'TIMESTAMP' })).toBe(false);
+    expect(typeMismatch('not_a_date', { type: 'DATE' })).toBe(true);
+    expect(typeMismatch('3 days', { type: 'INTERVAL' })).toBe(false);
+  });
+
+  test('bad or impossible options are rejected', async () => {
+    expect(
+      faultErrors({
+        books: { pkDuplicates: 2, typos: 0.1 },
+        authors: { fkViolations: 0.6, typeViolations: 0.6 },
+      })
+    ).toEqual([
+      'faults.books.pkDuplicates must be a ratio between 0 and 1',
+      'Unknown fault kind faults.books.typos (available: pkDuplicates, fkViolations, notNullViolations, typeViolations)',
+      'faults.authors rates add up to more than 1',
+    ]);
+    expect(() =>
+      generate({ faults: { authors: { fkViolations: 0.1 } } })
+    ).toThrow(
+      'faults.authors.fkViolations: authors has no foreign key that can be broken'
+    );
+    const res = await request(app)
+      .post('/api/generate')
+      .send({
+        ddl: 'CREATE TABLE t (id INT PRIMARY KEY, v TEXT);',
+        config: { faults: { t: { pkDuplicates: -1 } } },
+      })
+      .expect(400);
+    expect(res.body.error).toBe(
+      'Invalid faults: faults.t.pkDuplicates must be a ratio between 0 and 1'
+    );
+    const streamed = await request(app)
+      .post('/api/generate')
+      .send({
+        ddl: 'CREATE TABLE t (id INT PRIMARY KEY, v TEXT);',
+        config: { stream: true, faults: { t: { pkDuplicates: 0.1 } } },
+      })
+      .expect(400);
+    expect(streamed.body.error).toBe(
+      'Streaming generation does not support faults'
+    );
+  });
+});
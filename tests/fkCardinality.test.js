@@ -0,0 +1,203 @@
+import request from 'supertest';
+import { app } from '../src/index.js';
+import {
+  generateDeterministicData,
+  validateDeterministicData,
+} from '../src/lib/deterministicGenerator.js';
+import { cardinalityErrors } from '../src/lib/fkCardinality.js';
+
+const fk = (columns, referenceTable) => ({
+  columns,
+  referenceTable,
+  referenceColumns: ['id'],
+});
+
+const schema = {
+  tables: {
+    authors: {
+      columns: { id: { type: 'INT', nullable: false }, name: { type: 'TEXT' } },
+      primaryKey: ['id'],
+    },
+    books: {
+      columns: {
+        id: { type: 'INT', nullable: false },
+        author_id: { type: 'INT', nullable: false },
+        editor_id: { type: 'INT' },
+      },
+      primaryKey: ['id'],
+      foreignKeys: [fk(['author_id'], 'authors'), fk(['editor_id'], 'authors')],
+    },
+    profiles: {
+      columns: {
+        id: { type: 'INT', nullable: false },
+        author_id: { type: 'INT', nullable: false },
+      },
+      primaryKey: ['id'],
+      foreignKeys: [fk(['author_id'], 'authors')],
+    },
+  },
+};
+
+const coverage = (report, table, col) =>
+  report.tables[table].fkCoverage.find((c) => c.fk.startsWith(`${col}->`))
+    .cardinality;
+
+const run = (cardinality, perTable = { books: 80 }) => {
+  const data = generateDeterministicData(schema, {
+    globalRowCount: 20,
+    perTable,
+    seed: 5,
+    cardinality,
+  });
+  return {
+    data,
+    report: validateDeterministicData(schema, data, { cardinality }).report,
+  };
+};
+
+describe('foreign key cardinality', () => {
+  test('min / max children per parent', () => {
+    const { report } = run({ books: { author_id: { min: 2, max: 6 } } });
+    const stats = coverage(report, 'books', 'author_id');
+    expect(stats.minChildren).toBeGreaterThanOrEqual(2);
+    expect(stats.maxChildren).toBeLessThanOrEqual(6);
+    expect(stats.childless).toBe(0);
+    expect(stats.satisfied).toBe(true);
+    expect(report.summary.cardinalityViolations).toBe(0);
+  });
+
+  test('one-to-one pairs each parent with exactly one child', () => {
+    const { data, report } = run({
+      profiles: { author_id: { oneToOne: true } },
+    });
+    const ids = data.profiles.map((r) => r.author_id);
+    expect(new Set(ids).size).toBe(20);
+    expect(coverage(report, 'profiles', 'author_id')).toMatchObject({
+      minChildren: 1,
+      maxChildren: 1,
+      satisfied: true,
+    });
+  });
+
+  test('optional ratio and power-law skew', () => {
+    const { report } = run(
+      { books: { editor_id: { optional: 0.25, skew: 2 } } },
+      { books: 200 }
+    );
+    const stats = coverage(report, 'books', 'editor_id');
+    expect(stats.nullPct).toBe(25);
+    // The most popular parent gets far more than the 7.5 average
+    expect(stats.maxChildren).toBeGreaterThan(50);
+    expect(stats.childless).toBeGreaterThan(0);
+  });
+
+  test('unsatisfiable windows are reported', () => {
+    const { report } = run({ books: { author_id: { min: 3 } } }, { books: 30 });
+    expect(coverage(report, 'books', 'author_id').satisfied).toBe(false);
+    expect(report.summary.cardinalityViolations).toBe(1);
+  });
+
+  test('UNIQUE retries never move a planned foreign key', () => {
+    const slots = (uniqueKeys) => ({
+      tables: {
+        authors: schema.tables.authors,
+        slots: {
+          columns: {
+            id: { type: 'INT', nullable: false },
+            author_id: { type: 'INT', nullable: false },
+            slot: { type: 'VARCHAR', length: 1 },
+          },
+          primaryKey: ['id'],
+          uniqueKeys,
+          foreignKeys: [fk(['author_id'], 'authors')],
+        },
+      },
+    });
+    const cardinality = { slots: { author_id: { min: 2, max: 6 } } };
+    const config = {
+      globalRowCount: 20,
+      perTable: { slots: 80 },
+      seed: 5,
+      cardinality,
+      patterns: { slots: { slot: '[1-6]' } },
+    };
+    const keyed = slots([['author_id', 'slot']]);
+    const data = generateDeterministicData(keyed, config);
+    const plain = generateDeterministicData(slots([]), config);
+    expect(data.slots.map((r) => r.author_id)).toEqual(
+      plain.slots.map((r) => r.author_id)
+    );
+    const { report } = validateDeterministicData(keyed, data, {
+      cardinality,
+      patterns: config.patterns,
+    });
+    expect(report.summary).toMatchObject({
+      uniqueViolations: 0,
+      cardinalityViolations: 0,
+      patternViolations: 0,
+    });
+  });
+
+  test('reconciliation pass plans FKs whose parent came later', () => {
+    const cyclic = {
+      tables: {
+        teams: {
+          columns: {
+            id: { type: 'INT', nullable: false },
+            captain_id: { type: 'INT' },
+          },
+          primaryKey: ['id'],
+          foreignKeys: [fk(['captain_id'], 'players')],
+        },
+        players: {
+          columns: {
+            id: { type: 'INT', nullable: false },
+            team_id: { type: 'INT', nullable: false },
+          },
+          primaryKey: ['id'],
+          foreignKeys: [fk(['team_id'], 'teams')],
+        },
+      },
+    };
+    const cardinality = {
+      teams: { captain_id: { max: 1 } },
+      players: { team_id: { min: 1, max: 3 } },
+    };
+    const data = generateDeterministicData(cyclic, {
+      globalRowCount: 10,
+      perTable: { players: 25 },
+      seed: 9,
+      cardinality,
+    });
+    const { passed, report } = validateDeterministicData(cyclic, data, {
+      cardinality,
+    });
+    expect(passed).toBe(true);
+    expect(report.summary.cardinalityViolations).toBe(0);
+    expect(new Set(data.teams.map((t) => t.captain_id)).size).toBe(10);
+  });
+
+  test('invalid specs are rejected', async () => {
+    expect(
+      cardinalityErrors({
+        books: {
+          author_id: { min: 4, max: 2 },
+          editor_id: { optional: 2 },
+        },
+        profiles: { author_id: { oneToOne: true, max: 1 } },
+      })
+    ).toEqual([
+      'books.author_id: min must not exceed max',
+      'books.editor_id: optional must be a ratio between 0 and 1',
+      'profiles.author_id: oneToOne cannot be combined with min / max',
+    ]);
+    const res = await request(app)
+      .post('/api/generate')
+      .send({
+        ddl: 'CREATE TABLE t (id INT PRIMARY KEY);',
+        config: { cardinality: { t: { id: { skew: -1 } } } },
+      });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/skew must be a non-negative number/);
+  });
+});
@@ -0,0 +1,198 @@
+import request from 'supertest';
+import { app } from '../src/index.js';
+import {
+  generateDeterministicData,
+  topologicalSortTables,
+  validateDeterministicData,
+} from '../src/lib/deterministicGenerator.js';
+import { hierarchyErrors, planHierarchy } from '../src/lib/fkStrategies.js';
+import { buildSqlScript } from '../src/lib/sqlExport.js';
+
+const fk = (columns, referenceTable) => ({
+  columns,
+  referenceTable,
+  referenceColumns: ['id'],
+});
+
+const schema = {
+  tables: {
+    employees: {
+      columns: {
+        id: { type: 'INT', nullable: false },
+        manager_id: { type: 'INT' },
+        dept_id: { type: 'INT', nullable: false },
+      },
+      primaryKey: ['id'],
+      foreignKeys: [fk(['manager_id'], 'employees'), fk(['dept_id'], 'depts')],
+    },
+    depts: {
+      columns: {
+        id: { type: 'INT', nullable: false },
+        head_id: { type: 'INT' },
+      },
+      primaryKey: ['id'],
+      foreignKeys: [fk(['head_id'], 'employees')],
+    },
+  },
+};
+
+const generate = (hierarchies) =>
+  generateDeterministicData(schema, {
+    seed: 7,
+    globalRowCount: 50,
+    perTable: { depts: 4 },
+    hierarchies,
+    withMeta: true,
+  });
+
+// Levels of a parent-pointer forest (roots are level 1)
+const levels = (rows) => {
+  const byId = new Map(rows.map((r) => [r.id, r]));
+  return rows.map((r) => {
+    let depth = 1;
+    for (let p = r.manager_id; p !== null; p = byId.get(p).manager_id) depth++;
+    return depth;
+  });
+};
+
+describe('self references and cycles', () => {
+  test('cycles are broken at a nullable reference', () => {
+    expect(topologicalSortTables(schema)).toEqual(['depts', 'employees']);
+  });
+
+  test('self references form a hierarchy within depth and root ratio', () => {
+    const { data, meta } = generate({
+      employees: { manager_id: { maxDepth: 3, rootRatio: 0.2 } },
+    });
+    const depth = levels(data.employees);
+    expect(Math.max(...depth)).toBe(3);
+    expect(depth.filter((d) => d === 1)).toHaveLength(10);
+    // Managers always come before their reports
+    data.employees.forEach((r) => {
+      if (r.manager_id !== null) expect(r.manager_id).toBeLessThan(r.id);
+    });
+    expect(meta.tables.employees.hierarchies.manager_id).toEqual({
+      maxDepth: 3,
+      rootRatio: 0.2,
+      roots: 10,
+      depth: 3,
+    });
+    expect(validateDeterministicData(schema, data).passed).toBe(true);
+  });
+
+  test('strategies are recorded and the SQL export backfills cycles', () => {
+    const { data, meta } = generate();
+    expect(meta.foreignKeyStrategies.map((s) => [s.table, s.strategy])).toEqual(
+      [
+        ['depts', 'twoPhase'],
+        ['employees', 'hierarchy'],
+      ]
+    );
+    expect(data.depts.every((d) => d.head_id !== null)).toBe(true);
+
+    const { sql, inserts, updates } = buildSqlScript(schema, data, {
+      order: meta.order,
+    });
+    expect(inserts).toBe(54);
+    expect(updates).toBe(4);
+    expect(sql).toMatch(/^BEGIN;\nINSERT INTO "depts" \("id", "head_id"\)/);
+    expect(sql).toContain('  (1, NULL)');
+    expect(sql.indexOf('INSERT INTO "employees"')).toBeLessThan(
+      sql.indexOf('UPDATE "depts"')
+    );
+    expect(sql).toContain(
+      `UPDATE "depts" SET "head_id" = ${data.depts[0].head_id} WHERE "id" = 1;`
+    );
+    expect(sql.trim().endsWith('COMMIT;')).toBe(true);
+  });
+
+  test('self references to later rows are postponed to UPDATEs', () => {
+    const rows = [
+      { id: 1, manager_id: 2, dept_id: 1 },
+      { id: 2, manager_id: null, dept_id: 1 },
+    ];
+    const { sql, updates } = buildSqlScript(
+      { tables: { employees: schema.tables.employees } },
+      { employees: rows },
+      { dialect: 'mysql' }
+    );
+    expect(updates).toBe(1);
+    expect(sql).toContain('(1, NULL, 1)');
+    expect(sql).toContain(
+      'UPDATE `employees` SET `manager_id` = 2 WHERE `id` = 1;'
+    );
+  });
+
+  test('string literals are escaped for the dialect', () => {
+    const notes = {
+      tables: {
+        notes: {
+          columns: { id: { type: 'INT' }, body: { type: 'TEXT' } },
+          primaryKey: ['id'],
+        },
+      },
+    };
+    const data = {
+      notes: [
+        { id: 1, body: "x\\'); DROP TABLE t; -- " },
+        { id: 2, body: "it's\nfine" },
+      ],
+    };
+    const script = (dialect) => buildSqlScript(notes, data, { dialect }).sql;
+    expect(script('mysql')).toContain(
+      "(1, 'x\\\\''); DROP TABLE t; -- '),\n  (2, 'it''s\nfine');"
+    );
+    expect(script('mariadb')).toContain("'x\\\\''); DROP TABLE t; -- '");
+    expect(script('bigquery')).toContain(
+      "(1, 'x\\\\\\'); DROP TABLE t; -- '),\n  (2, 'it\\'s\\nfine');"
+    );
+    // Backslashes are plain characters in standard SQL strings
+    expect(script('postgresql')).toContain("(1, 'x\\''); DROP TABLE t; -- ')");
+    // T-SQL strings are Unicode literals
+    const accented = { notes: [{ id: 3, body: 'Zoë Łukasz' }] };
+    expect(buildSqlScript(notes, accented, { dialect: 'tsql' }).sql).toContain(
+      "(3, N'Zoë Łukasz');"
+    );
+    expect(script('tsql')).toContain("(2, N'it''s\nfine');");
+  });
+
+  test('NOT NULL self references root at themselves', () => {
+    const strict = {
+      tables: {
+        nodes: {
+          columns: {
+            id: { type: 'INT', nullable: false },
+            parent_id: { type: 'INT', nullable: false },
+          },
+          primaryKey: ['id'],
+          foreignKeys: [fk(['parent_id'], 'nodes')],
+        },
+      },
+    };
+    const data = generateDeterministicData(strict, { seed: 2 });
+    const roots = data.nodes.filter((n) => n.parent_id === n.id);
+    expect(roots.length).toBeGreaterThan(0);
+    expect(validateDeterministicData(strict, data).passed).toBe(true);
+  });
+
+  test('invalid hierarchy specs are rejected', async () => {
+    expect(planHierarchy(5, { maxDepth: 1, rootRatio: 0.1 }, () => 0)).toEqual({
+      parents: [null, null, null, null, null],
+      roots: 5,
+      depth: 1,
+    });
+    expect(
+      hierarchyErrors({ employees: { manager_id: { rootRatio: 0 } } })
+    ).toEqual([
+      'employees.manager_id: rootRatio must be a ratio above 0 and at most 1',
+    ]);
+    const res = await request(app)
+      .post('/api/generate')
+      .send({
+        ddl: 'CREATE TABLE t (id INT PRIMARY KEY, p INT REFERENCES t(id));',
+        config: { hierarchies: { t: { p: { maxDepth: 0 } } } },
+      });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/maxDepth must be a positive integer/);
+  });
+});
@@ -0,0 +1,136 @@
+import { generateDeterministicData } from '../src/lib/deterministicGenerator.js';
+import {
+  GeneratorPool,
+  generateDeterministicDataParallel,
+} from '../src/lib/generatorPool.js';
+
+const fk = (columns, referenceTable) => ({
+  columns,
+  referenceTable,
+  referenceColumns: ['id'],
+});
+
+const schema = {
+  tables: {
+    customers: {
+      columns: {
+        id: { type: 'INT', nullable: false },
+        email: { type: 'VARCHAR', length: 80 },
+      },
+      primaryKey: ['id'],
+      uniqueKeys: [['email']],
+    },
+    products: {
+      columns: {
+        id: { type: 'INT', nullable: false },
+        price: { type: 'DECIMAL', precision: 8, scale: 2 },
+      },
+      primaryKey: ['id'],
+    },
+    orders: {
+      columns: {
+        id: { type: 'INT', nullable: false },
+        customer_id: { type: 'INT', nullable: false },
+        placed_at: { type: 'TIMESTAMP' },
+      },
+      primaryKey: ['id'],
+      foreignKeys: [fk(['customer_id'], 'customers')],
+    },
+    order_items: {
+      columns: {
+        id: { type: 'INT', nullable: false },
+        order_id: { type: 'INT', nullable: false },
+        product_id: { type: 'INT', nullable: false },
+        qty: { type: 'INT' },
+      },
+      primaryKey: ['id'],
+      foreignKeys: [fk(['order_id'], 'orders'), fk(['product_id'], 'products')],
+    },
+  },
+};
+
+const config = {
+  globalRowCount: 30,
+  perTable: { order_items: 90 },
+  seed: 21,
+  withMeta: true,
+};
+
+describe('generator pool', () => {
+  const pool = new GeneratorPool(2);
+  afterAll(() => pool.close());
+
+  test('workers produce the single-threaded seeded output', async () => {
+    const serial = generateDeterministicData(schema, config);
+    const parallel = await generateDeterministicDataParallel(schema, config, {
+      pool,
+    });
+    expect(parallel.data).toEqual(serial.data);
+    expect(parallel.meta.contentHash).toBe(serial.meta.contentHash);
+    expect(pool.workers.length).toBe(2);
+  });
+
+  test('reports every table through the callbacks', async () => {
+    const started = [];
+    const completed = [];
+    await generateDeterministicDataParallel(
+      schema,
+      { ...config, withMeta: false },
+      {
+        pool,
+        onTableStart: ({ table }) => started.push(table),
+        onTableComplete: ({ table, rows, total }) =>
+          completed.push([table, rows, total]),
+      }
+    );
+    expect(started.sort()).toEqual(Object.keys(schema.tables).sort());
+    expect(completed).toContainEqual(['order_items', 90, 4]);
+    // Children only start once their parents are complete
+    expect(completed.findIndex(([t]) => t === 'orders')).toBeLessThan(
+      completed.findIndex(([t]) => t === 'order_items')
+    );
+  });
+
+  test('size 0 generates on the calling thread', async () => {
+    const inline = new GeneratorPool(0);
+    const data = await generateDeterministicDataParallel(
+      schema,
+      { ...config, withMeta: false },
+      { pool: inline }
+    );
+    expect(data).toEqual(
+      generateDeterministicData(schema, { ...config, withMeta: false })
+    );
+    expect(inline.workers).toHaveLength(0);
+  });
+
+  test('errors keep their status and code; aborts stop the run', async () => {
+    await expect(
+      generateDeterministicDataParallel(
+        schema,
+        { seed: 1, referenceDate: 'not a date' },
+        { pool }
+      )
+    ).rejects.toMatchObject({ status: 400, code: 'INVALID_REFERENCE_DATE' });
+    const controller = new AbortController();
+    controller.abort();
+    await expect(
+      generateDeterministicDataParallel(schema, config, {
+        pool,
+        abortSignal: controller.signal,
+      })
+    ).rejects.toThrow('Generation aborted');
+  });
+
+  test('a worker that exits fails its table and is replaced', async () => {
+    const single = new GeneratorPool(1);
+    const payload = { schema, tableName: 'customers', parents: {}, config };
+    const lost = single.run(payload);
+    await single.workers[0].terminate();
+    await expect(lost).rejects.toThrow(/Generator worker exited with code/);
+    expect(single.workers).toHaveLength(0);
+    const { rows } = await single.run(payload);
+    expect(rows).toHaveLength(30);
+    await single.close();
+  });
+});
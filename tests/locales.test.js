@@ -0,0 +1,84 @@
+import request from 'supertest';
+import { app } from '../src/index.js';
+import { generateDeterministicData } from '../src/lib/deterministicGenerator.js';
+import {
+  columnLocale,
+  localePromptLine,
+  resolveLocaleCode,
+} from '../src/lib/locales.js';
+
+const schema = {
+  tables: {
+    customers: {
+      columns: {
+        id: { type: 'INT', nullable: false },
+        first_name: { type: 'TEXT' },
+        last_name: { type: 'TEXT' },
+        email: { type: 'TEXT' },
+        phone: { type: 'TEXT' },
+        zip_code: { type: 'TEXT' },
+        city: { type: 'TEXT' },
+        signup_date: { type: 'VARCHAR' },
+        created_at: { type: 'DATE' },
+      },
+      primaryKey: ['id'],
+    },
+  },
+};
+
+describe('locales', () => {
+  test('aliases and per-table / per-column resolution', () => {
+    expect(resolveLocaleCode('pt_br')).toBe('pt-BR');
+    expect(resolveLocaleCode('xx')).toBeNull();
+    const config = { default: 'de', orders: { default: 'ja', note: 'pt-BR' } };
+    expect(columnLocale(config)).toBe('de-DE');
+    expect(columnLocale(config, 'orders', 'id')).toBe('ja-JP');
+    expect(columnLocale(config, 'orders', 'note')).toBe('pt-BR');
+    expect(columnLocale(undefined, 't', 'c')).toBe('en-US');
+  });
+
+  test('providers follow the configured locale', () => {
+    const { data, meta } = generateDeterministicData(schema, {
+      globalRowCount: 5,
+      seed: 4,
+      locale: 'ja-JP',
+      withMeta: true,
+    });
+    expect(meta.locale).toBe('ja-JP');
+    const row = data.customers[0];
+    expect(row.zip_code).toMatch(/^\d{3}-\d{4}$/);
+    expect(row.phone).toMatch(/^\+81 /);
+    expect(row.signup_date).toMatch(/^\d{4}\/\d{2}\/\d{2}$/);
+    expect(row.created_at).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+    // Kanji names, ASCII (romanized) email
+    expect(row.first_name).not.toMatch(/[A-Za-z]/);
+    expect(row.email).toMatch(/^[a-z]+\.[a-z]+1@/);
+  });
+
+  test('column overrides are recorded in meta', () => {
+    const { data, meta } = generateDeterministicData(schema, {
+      globalRowCount: 3,
+      seed: 4,
+      locale: { default: 'de-DE', customers: { phone: 'pt-BR' } },
+      withMeta: true,
+    });
+    expect(meta.tables.customers.locales).toEqual({ phone: 'pt-BR' });
+    expect(data.customers[0].phone).toMatch(/^\+55 /);
+    expect(data.customers[0].signup_date).toMatch(/^\d{2}\.\d{2}\.\d{4}$/);
+  });
+
+  test('prompt line and unsupported locale', async () => {
+    expect(
+      localePromptLine('de', 'customers', schema.tables.customers)
+    ).toMatch(/German \(Germany\) \(de-DE\)/);
+    expect(localePromptLine(undefined, 'customers', {})).toBe('');
+    const res = await request(app)
+      .post('/api/generate')
+      .send({
+        ddl: 'CREATE TABLE t (id INT PRIMARY KEY);',
+        config: { locale: 'xx-YY' },
+      })
+      .expect(400);
+    expect(res.body.error).toMatch(/Unsupported locale/);
+  });
+});
@@ -0,0 +1,179 @@
+import request from 'supertest';
+import { app } from '../src/index.js';
+import {
+  generateDeterministicData,
+  validateDeterministicData,
+} from '../src/lib/deterministicGenerator.js';
+import {
+  parseCsv,
+  profileConfig,
+  profileSamples,
+  profileSchema,
+} from '../src/lib/sampleProfiler.js';
+
+const COUNTRIES = ['US', 'UK', 'US', 'FR'];
+const authorsCsv = [
+  'id,name,country,born',
+  ...Array.from(
+    { length: 10 },
+    (_, i) =>
+      `${i + 1},"Writer ${i}, Jr",${COUNTRIES[i % 4]},19${50 + i}-0${
+        1 + (i % 9)
+      }-15`
+  ),
+].join('\n');
+const booksCsv = [
+  'id,author_id,title,price,in_print',
+  ...Array.from(
+    { length: 30 },
+    (_, i) =>
+      `${i + 1},${(i % 7) + 1},Title ${i},${(10 + i * 1.25).toFixed(2)},${
+        i % 3 ? 'true' : i % 2 ? 'NULL' : 'false'
+      }`
+  ),
+].join('\r\n');
+
+describe('sample profiling', () => {
+  beforeAll(() => {
+    process.env.USE_AI = 'false';
+  });
+
+  test('CSV parsing handles quotes, CRLF and NULL tokens', () => {
+    const { columns, rows } = parseCsv(
+      '\uFEFFa,b,c\r\n"x, ""y""",,\\N\r\n"",NULL,"NULL"\r\n'
+    );
+    expect(columns).toEqual(['a', 'b', 'c']);
+    expect(rows).toEqual([
+      { a: 'x, "y"', b: null, c: null },
+      { a: '', b: null, c: 'NULL' },
+    ]);
+    expect(() => parseCsv('a,b\n1,2,3', 'books')).toThrow(
+      'books: line 2 has 3 fields, expected 2'
+    );
+  });
+
+  test('types, null rates, categories and FK cardinality are profiled', () => {
+    const profile = profileSamples({ authors: authorsCsv, books: booksCsv });
+    const { authors, books } = profile.tables;
+    expect(authors.rowCount).toBe(10);
+    expect(authors.primaryKey).toEqual(['id']);
+    expect(authors.columns.name).toMatchObject({
+      type: 'VARCHAR',
+      length: 12,
+      unique: true,
+      lengths: { min: 12, max: 12 },
+    });
+    // Free text keeps its shape only
+    expect(JSON.stringify(profile)).not.toContain('Writer');
+    expect(authors.columns.country.categories).toEqual({
+      US: 0.5,
+      UK: 0.3,
+      FR: 0.2,
+    });
+    expect(authors.columns.born).toMatchObject({
+      type: 'DATE',
+      dates: { min: '1950-01-15', max: '1959-01-15' },
+    });
+    expect(books.columns.price).toMatchObject({
+      type: 'DECIMAL',
+      scale: 2,
+      numbers: { min: 10, max: 46.25, scale: 2 },
+    });
+    expect(books.columns.in_print.type).toBe('BOOLEAN');
+    expect(books.columns.in_print.nullRate).toBeCloseTo(0.1667, 4);
+    expect(books.foreignKeys).toEqual([
+      {
+        columns: ['author_id'],
+        referenceTable: 'authors',
+        referenceColumns: ['id'],
+        children: { min: 0, max: 5, mean: 3 },
+        childless: 0.3,
+        optional: 0,
+      },
+    ]);
+  });
+
+  test('generated lookalike data follows the profile', () => {
+    const profile = profileSamples({ authors: authorsCsv, books: booksCsv });
+    const schema = profileSchema(profile);
+    const { perTableRowCounts, ...config } = profileConfig(profile, {
+      scale: 3,
+    });
+    expect(perTableRowCounts).toEqual({ authors: 30, books: 90 });
+    expect(config.cardinality).toEqual({
+      books: { author_id: { min: 0, max: 5 } },
+    });
+    const data = generateDeterministicData(schema, {
+      ...config,
+      perTable: perTableRowCounts,
+      seed: 3,
+    });
+    expect(data.books).toHaveLength(90);
+    data.books.forEach((b) => {
+      expect(b.price).toBeGreaterThanOrEqual(10);
+      expect(b.price).toBeLessThanOrEqual(46.25);
+    });
+    data.authors.forEach((a) => {
+      expect(['US', 'UK', 'FR']).toContain(a.country);
+    });
+    const { summary } = validateDeterministicData(schema, data, {
+      cardinality: config.cardinality,
+    }).report;
+    expect(summary.fkViolations).toBe(0);
+    expect(summary.cardinalityViolations).toBe(0);
+  });
+
+  test('DDL supplies types and keys; unknown tables are rejected', () => {
+    const schema = {
+      tables: {
+        authors: {
+          columns: {
+            id: { type: 'INT', nullable: false },
+            name: { type: 'TEXT' },
+            country: { type: 'CHAR', length: 2 },
+            born: { type: 'DATE' },
+          },
+          primaryKey: ['id'],
+          foreignKeys: [],
+          uniqueKeys: [],
+        },
+      },
+    };
+    const profile = profileSamples({ authors: authorsCsv }, { schema });
+    expect(profile.tables.authors.columns.country).toMatchObject({
+      type: 'CHAR',
+      length: 2,
+    });
+    expect(profile.tables.authors.uniqueKeys).toEqual([]);
+    expect(() => profileSamples({ writers: authorsCsv }, { schema })).toThrow(
+      'Sample writers does not match a schema table'
+    );
+  });
+
+  test('POST /api/profile returns profile, config and lookalike rows', async () => {
+    const res = await request(app)
+      .post('/api/profile')
+      .field('seed', '11')
+      .field('scale', '2')
+      .attach('samples', Buffer.from(authorsCsv), 'authors.csv')
+      .attach('samples', Buffer.from(booksCsv), 'books.csv')
+      .expect(200);
+    expect(res.body.rowCounts).toEqual({ authors: 20, books: 60 });
+    expect(res.body.config.distributions.authors.country.type).toBe(
+      'categorical'
+    );
+    expect(res.body.meta.profile).toEqual(res.body.profile);
+    expect(res.body.schema.tables.books.foreignKeys[0].referenceTable).toBe(
+      'authors'
+    );
+    expect(res.body.validation.summary.fkViolations).toBe(0);
+    expect(res.body.data.books).toHaveLength(60);
+
+    const bad = await request(app)
+      .post('/api/profile')
+      .field('scale', '-1')
+      .attach('samples', Buffer.from(authorsCsv), 'authors.csv')
+      .expect(400);
+    expect(bad.body.error).toBe('scale must be a positive number');
+  });
+});
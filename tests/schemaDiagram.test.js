@@ -0,0 +1,114 @@
+import request from 'supertest';
+import { app } from '../src/index.js';
+import { buildSchemaGraph, toMermaid } from '../src/lib/schemaDiagram.js';
+
+const DDL = [
+  'CREATE TABLE authors (id INT PRIMARY KEY, name TEXT NOT NULL);',
+  'CREATE TABLE books (id INT PRIMARY KEY, author_id INT NOT NULL REFERENCES authors(id));',
+  'CREATE TABLE a (id INT PRIMARY KEY, b_id INT REFERENCES b(id));',
+  'CREATE TABLE b (id INT PRIMARY KEY, a_id INT REFERENCES a(id));',
+  'CREATE TABLE staff (id INT PRIMARY KEY, manager_id INT REFERENCES staff(id));',
+].join('\n');
+
+describe('schema diagram', () => {
+  beforeAll(() => {
+    process.env.USE_AI = 'false';
+  });
+
+  test('graph reports order, cycles, self references and orphans', () => {
+    const graph = buildSchemaGraph({
+      tables: {
+        child: {
+          columns: {
+            id: { type: 'INT' },
+            p_id: { type: 'INT', nullable: false },
+          },
+          primaryKey: ['id'],
+          foreignKeys: [
+            {
+              columns: ['p_id'],
+              referenceTable: 'parent',
+              referenceColumns: ['id'],
+            },
+          ],
+        },
+        parent: { columns: { id: { type: 'INT' } }, primaryKey: ['id'] },
+        lonely: { columns: { id: { type: 'INT' } }, primaryKey: ['id'] },
+      },
+    });
+    expect(graph.order.indexOf('parent')).toBeLessThan(
+      graph.order.indexOf('child')
+    );
+    expect(graph.orphans).toEqual(['lonely']);
+    expect(graph.cycles).toEqual([]);
+    expect(graph.edges[0]).toMatchObject({
+      from: 'child',
+      to: 'parent',
+      nullable: false,
+      cardinality: 'many-to-one',
+    });
+    expect(toMermaid(graph)).toContain('parent ||--o{ child : "p_id"');
+  });
+
+  test('POST /api/schema/diagram renders mermaid, dot and json', async () => {
+    const res = await request(app)
+      .post('/api/schema/diagram')
+      .send({ ddl: DDL })
+      .expect(200);
+    expect(res.body.cycles).toEqual([['a', 'b']]);
+    expect(res.body.selfReferences).toEqual(['staff']);
+    expect(res.body.orphans).toEqual(['staff']);
+    expect(res.body.order.slice(-2)).toEqual(['a', 'b']);
+    expect(res.body.graph.nodes).toHaveLength(5);
+    expect(res.body.mermaid).toMatch(/^erDiagram/);
+    expect(res.body.mermaid).toContain('%% cycle: a -> b -> a');
+    expect(res.body.dot).toContain('"books" -> "authors" [label="author_id"]');
+  });
+
+  test('output=mermaid returns plain text for a parsed schema', async () => {
+    const res = await request(app)
+      .post('/api/schema/diagram')
+      .send({
+        schema: { tables: { t: { columns: { id: { type: 'INT' } } } } },
+        output: 'mermaid',
+      })
+      .expect(200);
+    expect(res.headers['content-type']).toMatch(/text\/plain/);
+    expect(res.text).toContain('INT id');
+  });
+
+  test('missing input is rejected', async () => {
+    await request(app).post('/api/schema/diagram').send({}).expect(400);
+    await request(app)
+      .post('/api/schema/diagram')
+      .send({ ddl: DDL, output: 'svg' })
+      .expect(400);
+  });
+
+  test('malformed table entries are rejected with 400', async () => {
+    for (const [tables, message] of [
+      [{ a: null }, 'Table a must be an object'],
+      [{ a: 'x' }, 'Table a must be an object'],
+      [{ a: { columns: { id: null } } }, 'Column a.id must be an object'],
+      [{ a: { foreignKeys: {} } }, 'a.foreignKeys must be an array'],
+      [
+        { a: { uniqueKeys: ['email'] } },
+        'a.uniqueKeys entries must be column arrays',
+      ],
+      [
+        { a: { foreignKeys: [null] } },
+        'a.foreignKeys entries must be objects with column arrays',
+      ],
+      [
+        { a: { foreignKeys: [{ columns: 'x', referenceTable: 'a' }] } },
+        'a.foreignKeys entries must be objects with column arrays',
+      ],
+    ]) {
+      const res = await request(app)
+        .post('/api/schema/diagram')
+        .send({ schema: { tables } })
+        .expect(400);
+      expect(res.body.error).toEqual({ message, code: 'INVALID_SCHEMA' });
+    }
+  });
+});
@@ -0,0 +1,214 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import request from 'supertest';
+import { app } from '../src/index.js';
+import {
+  importPrisma,
+  importSequelize,
+  importTypeORM,
+  importJsonSchema,
+  detectSchemaFormat,
+} from '../src/lib/schemaImporters.js';
+import {
+  generateDeterministicData,
+  validateDeterministicData,
+} from '../src/lib/deterministicGenerator.js';
+
+const PRISMA = `
+enum Role {
+  USER
+  ADMIN
+}
+
+model User {
+  id        Int      @id @default(autoincrement())
+  email     String   @unique @db.VarChar(120)
+  role      Role     @default(USER)
+  posts     Post[]
+  createdAt DateTime @default(now()) @map("created_at")
+  @@map("users")
+}
+
+model Post {
+  id       Int     @id @default(autoincrement())
+  title    String
+  price    Decimal @db.Decimal(8, 2)
+  author   User    @relation(fields: [authorId], references: [id])
+  authorId Int
+  @@unique([authorId, title])
+}
+`;
+
+// multer stores uploads on disk; the files the upload test adds are removed
+const UPLOADS = path.join(process.cwd(), 'uploads');
+const listUploads = () => fs.readdir(UPLOADS).catch(() => []);
+
+describe('schema importers', () => {
+  let uploadsBefore;
+  beforeAll(async () => {
+    process.env.USE_AI = 'false';
+    uploadsBefore = new Set(await listUploads());
+  });
+
+  afterAll(async () => {
+    const added = (await listUploads()).filter((f) => !uploadsBefore.has(f));
+    await Promise.all(added.map((f) => fs.unlink(path.join(UPLOADS, f))));
+  });
+
+  test('prisma models, enums and relations', () => {
+    const schema = importPrisma(PRISMA);
+    const users = schema.tables.users;
+    expect(users.primaryKey).toEqual(['id']);
+    expect(users.columns.id.type).toBe('serial');
+    expect(users.columns.email).toMatchObject({ length: 120, unique: true });
+    expect(users.columns.role).toMatchObject({
+      type: 'enum',
+      enumValues: ['USER', 'ADMIN'],
+      default: 'USER',
+    });
+    expect(users.columns.created_at.defaultExpression).toBe('now()');
+    expect(users.columns.posts).toBeUndefined();
+    const post = schema.tables.Post;
+    expect(post.columns.price).toMatchObject({ precision: 8, scale: 2 });
+    expect(post.foreignKeys).toEqual([
+      {
+        columns: ['authorId'],
+        referenceTable: 'users',
+        referenceColumns: ['id'],
+      },
+    ]);
+    expect(post.uniqueKeys).toEqual([['authorId', 'title']]);
+  });
+
+  test('sequelize define / init with associations', () => {
+    const schema = importSequelize(`
+      const User = sequelize.define('User', {
+        email: { type: DataTypes.STRING(80), allowNull: false, unique: true },
+        age: { type: DataTypes.INTEGER, validate: { min: 18 } },
+      }, { tableName: 'users' });
+      class Order extends Model {}
+      Order.init({ total: DataTypes.DECIMAL(10, 2) }, { sequelize, tableName: 'orders' });
+      Order.belongsTo(User, { foreignKey: 'user_id' });
+    `);
+    expect(schema.tables.users.primaryKey).toEqual(['id']);
+    expect(schema.tables.users.columns.email).toMatchObject({
+      type: 'VARCHAR',
+      length: 80,
+      nullable: false,
+    });
+    expect(schema.tables.users.checks[0]).toMatchObject({
+      kind: 'compare',
+      operator: '>=',
+      value: 18,
+    });
+    expect(schema.tables.orders.foreignKeys[0]).toEqual({
+      columns: ['user_id'],
+      referenceTable: 'users',
+      referenceColumns: ['id'],
+    });
+  });
+
+  test('typeorm entities with join columns and enums', () => {
+    const schema = importTypeORM(`
+      export enum Status { OPEN = 'open', CLOSED = 'closed' }
+      @Entity('accounts')
+      export class Account {
+        @PrimaryGeneratedColumn()
+        id: number;
+        @Column({ length: 40, unique: true })
+        handle: string;
+      }
+      @Entity()
+      export class Ticket {
+        @PrimaryGeneratedColumn('uuid')
+        id: string;
+        @Column({ type: 'enum', enum: Status })
+        status: Status;
+        @ManyToOne(() => Account, (a) => a.tickets, { nullable: false })
+        @JoinColumn({ name: 'account_id' })
+        account: Account;
+      }
+    `);
+    expect(schema.tables.accounts.columns.handle).toMatchObject({
+      type: 'VARCHAR',
+      length: 40,
+      unique: true,
+    });
+    const ticket = schema.tables.Ticket;
+    expect(ticket.columns.id.type).toBe('UUID');
+    expect(ticket.columns.status.enumValues).toEqual(['open', 'closed']);
+    expect(ticket.columns.account_id.nullable).toBe(false);
+    expect(ticket.foreignKeys[0]).toMatchObject({
+      columns: ['account_id'],
+      referenceTable: 'accounts',
+    });
+  });
+
+  test('openapi component refs become foreign keys', () => {
+    const schema = importJsonSchema({
+      openapi: '3.0.0',
+      components: {
+        schemas: {
+          Customer: {
+            type: 'object',
+            required: ['id'],
+            properties: {
+              id: { type: 'integer' },
+              email: { type: 'string', maxLength: 60, 'x-unique': true },
+            },
+          },
+          Order: {
+            type: 'object',
+            required: ['id', 'customer'],
+            properties: {
+              id: { type: 'integer' },
+              customer: { $ref: '#/components/schemas/Customer' },
+              lines: { type: 'array', items: {} },
+              qty: { type: 'integer', minimum: 1, maximum: 10 },
+            },
+          },
+        },
+      },
+    });
+    const order = schema.tables.Order;
+    expect(order.columns.customer_id.nullable).toBe(false);
+    expect(order.columns.lines).toBeUndefined();
+    expect(order.foreignKeys[0]).toEqual({
+      columns: ['customer_id'],
+      referenceTable: 'Customer',
+      referenceColumns: ['id'],
+    });
+    expect(order.checks.map((c) => c.expression)).toEqual([
+      'qty >= 1',
+      'qty <= 10',
+    ]);
+    const { data } = generateDeterministicData(schema, {
+      globalRowCount: 15,
+      seed: 3,
+      withMeta: true,
+    });
+    expect(validateDeterministicData(schema, data).passed).toBe(true);
+  });
+
+  test('format detection by extension and content', () => {
+    expect(detectSchemaFormat('schema.prisma', '')).toBe('prisma');
+    expect(detectSchemaFormat('api.json', '{}')).toBe('jsonschema');
+    expect(detectSchemaFormat('user.entity.ts', '@Entity()')).toBe('typeorm');
+    expect(detectSchemaFormat('models.js', 'sequelize.define(')).toBe(
+      'sequelize'
+    );
+    expect(detectSchemaFormat('schema.sql', 'CREATE TABLE a (id INT);')).toBe(
+      'ddl'
+    );
+  });
+
+  test('upload of a .prisma file returns the imported schema', async () => {
+    const res = await request(app)
+      .post('/api/upload?parse=true')
+      .attach('schema', Buffer.from(PRISMA), 'schema.prisma')
+      .expect(200);
+    expect(res.body.format).toBe('prisma');
+    expect(Object.keys(res.body.schema.tables)).toEqual(['users', 'Post']);
+    expect(res.body.schema.sourceFormat).toBe('prisma');
+  });
+});
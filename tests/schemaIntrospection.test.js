@@ -0,0 +1,308 @@
+import pg from 'pg';
+import request from 'supertest';
+import { app } from '../src/index.js';
+import {
+  buildSchemaFromCatalog,
+  connectionTargetError,
+  introspectPostgres,
+} from '../src/lib/schemaIntrospector.js';
+
+// Real PostgreSQL for the live test (skipped when unset)
+const LIVE_DATABASE_URL = process.env.INTROSPECTION_TEST_DATABASE_URL;
+
+// Rows as returned by the catalog queries for:
+//   CREATE TYPE loan_status AS ENUM ('open', 'returned');
+//   CREATE TABLE members (id serial PRIMARY KEY, email varchar(120) UNIQUE NOT NULL);
+//   CREATE TABLE loans (id integer GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+//     member_id integer REFERENCES members(id), fine numeric(8,2) DEFAULT 0 CHECK (fine >= 0),
+//     status loan_status DEFAULT 'open', code text);
+//   CREATE UNIQUE INDEX loans_code_idx ON loans (code);
+const CATALOG = {
+  columns: [
+    {
+      table_name: 'loans',
+      column_name: 'id',
+      data_type: 'integer',
+      is_nullable: 'NO',
+      is_identity: 'YES',
+      column_default: null,
+    },
+    {
+      table_name: 'loans',
+      column_name: 'member_id',
+      data_type: 'integer',
+      is_nullable: 'YES',
+      is_identity: 'NO',
+      column_default: null,
+    },
+    {
+      table_name: 'loans',
+      column_name: 'fine',
+      data_type: 'numeric',
+      is_nullable: 'YES',
+      is_identity: 'NO',
+      column_default: '0',
+      numeric_precision: 8,
+      numeric_scale: 2,
+    },
+    {
+      table_name: 'loans',
+      column_name: 'status',
+      data_type: 'USER-DEFINED',
+      udt_name: 'loan_status',
+      is_nullable: 'YES',
+      is_identity: 'NO',
+      column_default: "'open'::loan_status",
+    },
+    {
+      table_name: 'loans',
+      column_name: 'code',
+      data_type: 'text',
+      is_nullable: 'YES',
+      is_identity: 'NO',
+      column_default: null,
+    },
+    {
+      table_name: 'members',
+      column_name: 'id',
+      data_type: 'integer',
+      is_nullable: 'NO',
+      is_identity: 'NO',
+      column_default: "nextval('members_id_seq'::regclass)",
+    },
+    {
+      table_name: 'members',
+      column_name: 'email',
+      data_type: 'character varying',
+      is_nullable: 'NO',
+      is_identity: 'NO',
+      column_default: null,
+      character_maximum_length: 120,
+    },
+  ],
+  constraints: [
+    {
+      table_name: 'loans',
+      type: 'c',
+      columns: ['fine'],
+      definition: 'CHECK ((fine >= (0)::numeric))',
+    },
+    {
+      table_name: 'loans',
+      type: 'f',
+      columns: ['member_id'],
+      ref_table: 'members',
+      ref_columns: ['id'],
+    },
+    { table_name: 'loans', type: 'p', columns: ['id'] },
+    { table_name: 'members', type: 'p', columns: ['id'] },
+    { table_name: 'members', type: 'u', columns: ['email'] },
+  ],
+  uniqueIndexes: [
+    { table_name: 'loans', columns: ['code'], is_expression: false },
+    { table_name: 'members', columns: [], is_expression: true },
+  ],
+  enums: [
+    { name: 'loan_status', value: 'open' },
+    { name: 'loan_status', value: 'returned' },
+  ],
+};
+
+describe('PostgreSQL introspection', () => {
+  test('catalog rows map onto the parsed schema shape', () => {
+    const { tables, enums } = buildSchemaFromCatalog(CATALOG);
+    expect(enums).toEqual({ loan_status: ['open', 'returned'] });
+    expect(tables.members.columns.id.type).toBe('serial');
+    expect(tables.members.columns.email).toEqual({
+      type: 'CHARACTER VARYING',
+      nullable: false,
+      length: 120,
+      unique: true,
+    });
+    expect(tables.loans.columns.fine).toMatchObject({
+      precision: 8,
+      scale: 2,
+      default: 0,
+    });
+    expect(tables.loans.columns.status).toMatchObject({
+      type: 'enum',
+      enumType: 'loan_status',
+      default: 'open',
+    });
+    expect(tables.loans.primaryKey).toEqual(['id']);
+    expect(tables.loans.foreignKeys).toEqual([
+      {
+        columns: ['member_id'],
+        referenceTable: 'members',
+        referenceColumns: ['id'],
+      },
+    ]);
+    expect(tables.loans.uniqueKeys).toEqual([['code']]);
+    expect(tables.loans.checks[0]).toMatchObject({
+      kind: 'compare',
+      column: 'fine',
+      operator: '>=',
+      value: 0,
+    });
+  });
+
+  test('introspectPostgres queries the catalog and normalizes types', async () => {
+    const client = {
+      query: async (sql) => {
+        if (/information_schema\.columns/.test(sql))
+          return { rows: CATALOG.columns };
+        if (/FROM pg_constraint/.test(sql))
+          return { rows: CATALOG.constraints };
+        if (/FROM pg_index/.test(sql)) return { rows: CATALOG.uniqueIndexes };
+        return { rows: CATALOG.enums };
+      },
+    };
+    const schema = await introspectPostgres({ client, tables: ['members'] });
+    expect(Object.keys(schema.tables)).toEqual(['members']);
+    expect(schema.tables.members.columns.email.type).toBe('VARCHAR');
+    expect(schema.dialect).toMatchObject({
+      name: 'postgresql',
+      source: 'introspection',
+    });
+    await expect(
+      introspectPostgres({ client: { query: async () => ({ rows: [] }) } })
+    ).rejects.toMatchObject({ status: 404 });
+  });
+
+  (LIVE_DATABASE_URL ? test : test.skip)(
+    'introspects a live database',
+    async () => {
+      const namespace = `introspect_test_${process.pid}`;
+      const client = new pg.Client({ connectionString: LIVE_DATABASE_URL });
+      await client.connect();
+      try {
+        await client.query(`
+          CREATE SCHEMA ${namespace};
+          SET search_path TO ${namespace};
+          CREATE TYPE loan_status AS ENUM ('open', 'returned');
+          CREATE TABLE members (id serial PRIMARY KEY, email varchar(120) UNIQUE NOT NULL);
+          CREATE TABLE loans (id integer GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+            member_id integer REFERENCES members(id), fine numeric(8,2) DEFAULT 0 CHECK (fine >= 0),
+            status loan_status DEFAULT 'open', code text);
+          CREATE UNIQUE INDEX loans_code_idx ON loans (code);`);
+        const { tables, enums } = await introspectPostgres({
+          connectionString: LIVE_DATABASE_URL,
+          schema: namespace,
+        });
+        expect(enums).toEqual({ loan_status: ['open', 'returned'] });
+        expect(tables.members.columns.email).toMatchObject({
+          nullable: false,
+          length: 120,
+          unique: true,
+        });
+        expect(tables.loans.primaryKey).toEqual(['id']);
+        expect(tables.loans.foreignKeys).toEqual([
+          {
+            columns: ['member_id'],
+            referenceTable: 'members',
+            referenceColumns: ['id'],
+          },
+        ]);
+        expect(tables.loans.columns.status).toMatchObject({
+          type: 'enum',
+          default: 'open',
+        });
+        expect(tables.loans.uniqueKeys).toEqual([['code']]);
+        expect(tables.loans.checks[0]).toMatchObject({
+          column: 'fine',
+          operator: '>=',
+          value: 0,
+        });
+      } finally {
+        await client.query(`DROP SCHEMA IF EXISTS ${namespace} CASCADE`);
+        await client.end();
+      }
+    }
+  );
+});
+
+describe('POST /api/schema/introspect access', () => {
+  const saved = {};
+  const ENV = [
+    'INTROSPECTION_ENABLED',
+    'INTROSPECTION_TOKEN',
+    'INTROSPECTION_ALLOWED_HOSTS',
+  ];
+  beforeEach(() => {
+    ENV.forEach((k) => {
+      saved[k] = process.env[k];
+      delete process.env[k];
+    });
+  });
+  afterEach(() => {
+    ENV.forEach((k) => {
+      if (saved[k] === undefined) delete process.env[k];
+      else process.env[k] = saved[k];
+    });
+  });
+
+  const introspect = (body, token) => {
+    const req = request(app).post('/api/schema/introspect');
+    if (token) req.set('Authorization', `Bearer ${token}`);
+    return req.send(body);
+  };
+
+  test('the route is off unless enabled, and takes the token when set', async () => {
+    const off = await introspect({}).expect(403);
+    expect(off.body.error).toBe('Schema introspection is disabled');
+    process.env.INTROSPECTION_ENABLED = 'true';
+    process.env.INTROSPECTION_TOKEN = 's3cret';
+    await introspect({}).expect(401);
+    await introspect({}, 'wrong').expect(401);
+    const bad = await introspect(
+      { connectionString: 'postgres://10.0.0.5:5432/db' },
+      's3cret'
+    ).expect(400);
+    expect(bad.body.error).toBe(
+      'Host 10.0.0.5 is not allowed for introspection'
+    );
+  });
+
+  test('only allow-listed hosts, without host or file options', () => {
+    const allowed = ['db.internal', 'localhost:6543'];
+    expect(
+      connectionTargetError(
+        'postgres://u:p@DB.internal/lib?sslmode=require',
+        allowed
+      )
+    ).toBeNull();
+    expect(
+      connectionTargetError('postgresql://localhost:6543/lib', allowed)
+    ).toBeNull();
+    expect(connectionTargetError('postgres://localhost/lib', allowed)).toBe(
+      'Host localhost is not allowed for introspection'
+    );
+    expect(
+      connectionTargetError(
+        'postgres://db.internal/lib?host=169.254.169.254',
+        allowed
+      )
+    ).toBe('connectionString option host is not allowed');
+    expect(
+      connectionTargetError(
+        'postgres://db.internal/lib?sslrootcert=/etc/passwd',
+        allowed
+      )
+    ).toBe('connectionString option sslrootcert is not allowed');
+    expect(connectionTargetError('host=db.internal dbname=lib', allowed)).toBe(
+      'connectionString must be a postgres:// URL'
+    );
+  });
+
+  test('connection failures are reported without driver details', async () => {
+    process.env.INTROSPECTION_ENABLED = 'true';
+    process.env.INTROSPECTION_ALLOWED_HOSTS = '127.0.0.1:1';
+    const res = await introspect({
+      connectionString: 'postgres://u:p@127.0.0.1:1/lib',
+    }).expect(502);
+    expect(res.body.error).toEqual({
+      message: 'Could not read the database catalog',
+      code: 'INTROSPECTION_FAILED',
+    });
+  });
+});
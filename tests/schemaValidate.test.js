@@ -0,0 +1,74 @@
+import request from 'supertest';
+import { app } from '../src/index.js';
+import { splitStatements } from '../src/lib/ddlDiagnostics.js';
+
+describe('POST /api/schema/validate', () => {
+  beforeAll(() => {
+    process.env.USE_AI = 'false';
+  });
+
+  test('statements are split outside strings and comments', () => {
+    const parts = splitStatements(
+      "-- header;\nCREATE TABLE a (v TEXT DEFAULT ';');\n/* x; */ CREATE TABLE b (id INT);"
+    );
+    expect(parts.map((p) => p.text)).toEqual([
+      "-- header;\nCREATE TABLE a (v TEXT DEFAULT ';')",
+      '/* x; */ CREATE TABLE b (id INT)',
+    ]);
+  });
+
+  test('clean DDL parses on the AST path without warnings', async () => {
+    const res = await request(app)
+      .post('/api/schema/validate')
+      .send({ ddl: 'CREATE TABLE authors (id INT PRIMARY KEY, name TEXT);' })
+      .expect(200);
+    expect(res.body.valid).toBe(true);
+    expect(res.body.parser).toBe('ast');
+    expect(res.body.schema.tables.authors).toBeDefined();
+    expect(res.body.diagnostics).toEqual([]);
+  });
+
+  test('rejected statements are located and fallback path reported', async () => {
+    const ddl = [
+      'CREATE TABLE authors (id INT PRIMARY KEY);',
+      'CREATE TABLE books (',
+      '  id INT PRIMARY KEY,',
+      '  author_id INT REFERENCES writers(id),',
+      '  pages INT CHECK (pages > 0)',
+      ');',
+    ].join('\n');
+    const res = await request(app)
+      .post('/api/schema/validate')
+      .send({ ddl })
+      .expect(200);
+    expect(res.body.parser).toBe('naive');
+    expect(res.body.valid).toBe(true);
+    const syntax = res.body.diagnostics.find((d) => d.parser === 'ast');
+    expect(syntax).toMatchObject({
+      severity: 'warning',
+      statementIndex: 1,
+      line: 5,
+    });
+    const dangling = res.body.diagnostics.find((d) =>
+      /unknown table/.test(d.message)
+    );
+    expect(dangling).toMatchObject({
+      severity: 'warning',
+      parser: 'naive',
+      table: 'books',
+      statementIndex: 1,
+      line: 2,
+      column: 1,
+    });
+  });
+
+  test('missing ddl is a 400 and unparseable input is not valid', async () => {
+    await request(app).post('/api/schema/validate').send({}).expect(400);
+    const res = await request(app)
+      .post('/api/schema/validate')
+      .send({ ddl: 'SELECT 1;' })
+      .expect(200);
+    expect(res.body.valid).toBe(false);
+    expect(res.body.diagnostics.some((d) => d.severity === 'error')).toBe(true);
+  });
+});
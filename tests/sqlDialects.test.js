@@ -0,0 +1,63 @@
+import request from 'supertest';
+import { app } from '../src/index.js';
+import DataGenerator from '../src/lib/dataGenerator.js';
+import { detectDialect, resolveDialect } from '../src/lib/sqlDialects.js';
+
+describe('SQL dialects', () => {
+  beforeAll(() => {
+    process.env.USE_AI = 'false';
+  });
+
+  test('names and aliases resolve and DDL hints are detected', () => {
+    expect(resolveDialect('SQL Server')).toBe('tsql');
+    expect(resolveDialect('postgres')).toBe('postgresql');
+    expect(resolveDialect('oracle')).toBeNull();
+    expect(detectDialect('CREATE TABLE a (id INT AUTO_INCREMENT);')).toBe(
+      'mysql'
+    );
+    expect(detectDialect('CREATE TABLE a (id INT64, s STRING);')).toBe(
+      'bigquery'
+    );
+    expect(detectDialect('CREATE TABLE a (id INT);')).toBe('postgresql');
+  });
+
+  test('dialect-specific types are normalized and the dialect recorded', async () => {
+    const generator = new DataGenerator();
+    const tsql = await generator.parseDDL(
+      'CREATE TABLE [dbo].[people] ([id] INT IDENTITY(1,1) PRIMARY KEY, [name] NVARCHAR(50) NOT NULL, active BIT);',
+      { dialect: 'SQL Server' }
+    );
+    expect(tsql.dialect).toEqual({
+      name: 'tsql',
+      label: 'SQL Server',
+      source: 'config',
+    });
+    expect(tsql.tables.people.columns.id.type).toBe('serial');
+    expect(tsql.tables.people.columns.name).toMatchObject({
+      type: 'VARCHAR',
+      nativeType: 'NVARCHAR',
+      length: 50,
+    });
+    expect(tsql.tables.people.columns.active.type).toBe('BOOLEAN');
+
+    const bq = await generator.parseDDL(
+      'CREATE TABLE `proj.ds.events` (id INT64 NOT NULL, payload STRING, score FLOAT64);'
+    );
+    expect(bq.dialect.source).toBe('detected');
+    expect(bq.tables.events.columns.id.type).toBe('BIGINT');
+    expect(bq.tables.events.columns.payload.type).toBe('TEXT');
+    expect(bq.tables.events.columns.score.type).toBe('DOUBLE');
+  });
+
+  test('unknown dialects are rejected', async () => {
+    await expect(
+      new DataGenerator().parseDDL('CREATE TABLE a (id INT);', {
+        dialect: 'oracle',
+      })
+    ).rejects.toMatchObject({ status: 400 });
+    const res = await request(app)
+      .post('/api/generate')
+      .send({ ddl: 'CREATE TABLE a (id INT);', config: { dialect: 'oracle' } });
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,309 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import request from 'supertest';
+import { app } from '../src/index.js';
+import DataExporter from '../src/lib/dataExporter.js';
+import DatasetManager from '../src/lib/datasetManager.js';
+import { pool } from '../src/lib/database.js';
+import {
+  streamDeterministicData,
+  validateDeterministicData,
+} from '../src/lib/deterministicGenerator.js';
+
+const fk = (columns, referenceTable) => ({
+  columns,
+  referenceTable,
+  referenceColumns: ['id'],
+});
+
+const schema = {
+  tables: {
+    authors: {
+      columns: {
+        id: { type: 'INT', nullable: false },
+        name: { type: 'VARCHAR', length: 50 },
+        email: { type: 'VARCHAR', length: 80, unique: true },
+        favourite_book_id: { type: 'INT' },
+      },
+      primaryKey: ['id'],
+      foreignKeys: [fk(['favourite_book_id'], 'books')],
+    },
+    books: {
+      columns: {
+        id: { type: 'INT', nullable: false },
+        author_id: { type: 'INT', nullable: false },
+        series_id: { type: 'INT' },
+        price: { type: 'DECIMAL', precision: 6, scale: 2 },
+      },
+      primaryKey: ['id'],
+      foreignKeys: [fk(['author_id'], 'authors'), fk(['series_id'], 'books')],
+    },
+  },
+};
+
+const config = {
+  seed: 3,
+  globalRowCount: 40,
+  perTable: { books: 250 },
+  batchSize: 64,
+};
+
+// Collect a stream into memory (small datasets only)
+async function collect(stream) {
+  const data = {};
+  const batches = [];
+  let meta;
+  for await (const { table, rows, meta: runMeta } of stream) {
+    meta = runMeta;
+    data[table] = [];
+    for await (const batch of rows) {
+      batches.push(batch.length);
+      data[table].push(...batch);
+    }
+  }
+  return { data, batches, meta };
+}
+
+// In-memory stand-in for a pg client: transactions roll back stored rows
+// and progress, and the INSERT of batch `failAt` throws.
+function fakeDatabase() {
+  const db = { progress: null, rows: [], log: [], failAt: null, inserts: 0 };
+  let snapshot = null;
+  db.client = {
+    release() {},
+    async query(sql, params = []) {
+      const statement = sql.trim().split(/\s+/).slice(0, 3).join(' ');
+      db.log.push(statement);
+      if (sql === 'BEGIN') {
+        snapshot = { progress: db.progress, rows: db.rows.length };
+      } else if (sql === 'ROLLBACK') {
+        db.progress = snapshot.progress;
+        db.rows.length = snapshot.rows;
+      } else if (statement.startsWith('INSERT INTO generated_datasets')) {
+        db.progress = JSON.parse(params[3]);
+        return { rows: [{ id: 7 }] };
+      } else if (statement.startsWith('INSERT INTO generated_data')) {
+        if (++db.inserts === db.failAt) throw new Error('connection lost');
+        db.rows.push(...params.slice(2).map((r) => JSON.parse(r)));
+      } else if (statement.startsWith('SELECT stream_progress')) {
+        return { rows: [{ stream_progress: db.progress }] };
+      } else if (statement.startsWith('UPDATE')) {
+        db.progress = JSON.parse(params[params.length - 1]);
+      }
+      return { rows: [] };
+    },
+  };
+  return db;
+}
+
+describe('streaming generation', () => {
+  test('batches are bounded and the data is referentially sound', async () => {
+    const { data, batches, meta } = await collect(
+      streamDeterministicData(schema, config)
+    );
+    expect(meta.streamed).toBe(true);
+    expect(data.authors).toHaveLength(40);
+    expect(data.books).toHaveLength(250);
+    expect(Math.max(...batches)).toBe(64);
+    // authors.favourite_book_id closes a cycle: drawn from the books id range
+    expect(
+      data.authors.some(
+        (a) => a.favourite_book_id !== null && a.favourite_book_id > 40
+      )
+    ).toBe(true);
+    expect(meta.tables.books.hierarchies.series_id).toMatchObject({
+      roots: 25,
+    });
+    const { passed, errors } = validateDeterministicData(schema, data);
+    expect(errors).toEqual([]);
+    expect(passed).toBe(true);
+  });
+
+  test('same seed streams identical rows', async () => {
+    const a = await collect(streamDeterministicData(schema, config));
+    const b = await collect(streamDeterministicData(schema, config));
+    expect(b.data).toEqual(a.data);
+  });
+
+  test('large tables stream without keeping rows', async () => {
+    let rows = 0;
+    for await (const entry of streamDeterministicData(schema, {
+      seed: 1,
+      globalRowCount: 1000,
+      perTable: { books: 200000 },
+      batchSize: 5000,
+    })) {
+      for await (const batch of entry.rows) rows += batch.length;
+    }
+    expect(rows).toBe(201000);
+  });
+
+  test('tables keeping a key per row are capped', async () => {
+    // books keys are integer sequences and (id, price) holds its PK column
+    const capped = {
+      tables: {
+        ...schema.tables,
+        books: { ...schema.tables.books, uniqueKeys: [['id', 'price']] },
+      },
+    };
+    const { data } = await collect(
+      streamDeterministicData(capped, { ...config, maxTrackedRows: 100 })
+    );
+    expect(data.books).toHaveLength(250);
+    await expect(
+      collect(
+        streamDeterministicData(capped, {
+          ...config,
+          globalRowCount: 150,
+          maxTrackedRows: 100,
+        })
+      )
+    ).rejects.toThrow(
+      'Streaming keeps every key of authors (email) in memory; such tables are limited to 100 rows'
+    );
+  });
+
+  test('CSV exporter writes batches as they arrive', async () => {
+    const exporter = new DataExporter();
+    exporter.outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'stream-'));
+    // Concurrent runs write to directories of their own
+    const [run, other] = await Promise.all([
+      exporter.exportStreamToCSV(streamDeterministicData(schema, config)),
+      exporter.exportStreamToCSV(
+        streamDeterministicData(schema, { ...config, seed: 4 }),
+        { runId: 'job-2' }
+      ),
+    ]);
+    const { directory, files, rowCounts } = run;
+    expect(other.directory).toBe(path.join(exporter.outputDir, 'stream-job-2'));
+    expect(directory).not.toBe(other.directory);
+    expect(files.every((f) => path.dirname(f) === directory)).toBe(true);
+    expect(rowCounts).toEqual({ authors: 40, books: 250 });
+    expect(other.rowCounts).toEqual(rowCounts);
+    const books = await fs.readFile(
+      files.find((f) => f.endsWith('books.csv')),
+      'utf8'
+    );
+    const lines = books.trim().split('\n');
+    expect(lines[0]).toBe('"id","author_id","series_id","price"');
+    expect(lines).toHaveLength(251);
+    await fs.rm(exporter.outputDir, { recursive: true, force: true });
+  });
+
+  test('CSV export rejects when a file cannot be written', async () => {
+    const exporter = new DataExporter();
+    exporter.outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'stream-'));
+    await fs.mkdir(path.join(exporter.outputDir, 'stream-x', 'authors.csv'), {
+      recursive: true,
+    });
+    await expect(
+      exporter.exportStreamToCSV(streamDeterministicData(schema, config), {
+        runId: 'x',
+      })
+    ).rejects.toThrow(/EISDIR/);
+    await fs.rm(exporter.outputDir, { recursive: true, force: true });
+  });
+
+  test('streamed saves commit per batch and resume where they stopped', async () => {
+    const db = fakeDatabase();
+    const connect = pool.connect;
+    pool.connect = async () => db.client;
+    try {
+      const manager = new DatasetManager();
+      const save = (options) =>
+        manager.saveDatasetStream(
+          'big',
+          'streamed',
+          schema,
+          streamDeterministicData(schema, config),
+          { seed: config.seed, ...options }
+        );
+      db.failAt = 3;
+      const err = await save().catch((e) => e);
+      expect(err.message).toBe('connection lost');
+      expect(err.datasetId).toBe(7);
+      // The authors and the first batch of books were committed
+      expect(db.rows).toHaveLength(104);
+      expect(db.progress).toMatchObject({
+        status: 'failed',
+        rowCounts: { authors: 40, books: 64 },
+        seed: 3,
+        error: 'connection lost',
+      });
+      expect(db.log.filter((q) => q === 'COMMIT')).toHaveLength(2);
+
+      await expect(save({ resumeDatasetId: 7, seed: 4 })).rejects.toThrow(
+        /resume with the same seed/
+      );
+      db.failAt = null;
+      const { datasetId, rowCounts } = await save({ resumeDatasetId: 7 });
+      expect(datasetId).toBe(7);
+      expect(rowCounts).toEqual({ authors: 40, books: 250 });
+      expect(db.progress.status).toBe('completed');
+      const { data } = await collect(streamDeterministicData(schema, config));
+      expect(db.rows).toEqual([...data.authors, ...data.books]);
+      await expect(save({ resumeDatasetId: 7 })).rejects.toThrow(
+        /already complete/
+      );
+    } finally {
+      pool.connect = connect;
+    }
+  });
+
+  test('resumeDatasetId needs a seeded streamed save', async () => {
+    const send = (config, saveName = 'big') =>
+      request(app).post('/api/generate').send({
+        ddl: 'CREATE TABLE t (id INT PRIMARY KEY);',
+        config,
+        saveName,
+      });
+    let res = await send({ stream: true, resumeDatasetId: 7 });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe(
+      'resumeDatasetId requires saveName and the original seed'
+    );
+    res = await send({ stream: true, seed: 1, resumeDatasetId: '7' });
+    expect(res.body.error).toBe('resumeDatasetId must be a positive integer');
+    res = await send({ seed: 1, resumeDatasetId: 7 });
+    expect(res.body.error).toBe(
+      'resumeDatasetId applies to streamed saves only'
+    );
+  });
+
+  test('batchSize must be a bounded positive integer', async () => {
+    for (const batchSize of ['abc', 0, 2.5, 10001]) {
+      await expect(
+        collect(streamDeterministicData(schema, { ...config, batchSize }))
+      ).rejects.toThrow('batchSize must be an integer between 1 and 10000');
+    }
+    const res = await request(app)
+      .post('/api/generate')
+      .send({
+        ddl: 'CREATE TABLE t (id INT PRIMARY KEY, n INT);',
+        config: { stream: true, batchSize: 100000 },
+      });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe(
+      'batchSize must be an integer between 1 and 10000'
+    );
+  });
+
+  test('options needing whole tables are rejected', async () => {
+    await expect(
+      collect(
+        streamDeterministicData(schema, {
+          rules: { books: ['price > 1'] },
+        })
+      )
+    ).rejects.toThrow(/does not support rules/);
+    const res = await request(app)
+      .post('/api/generate')
+      .send({
+        ddl: 'CREATE TABLE t (id INT PRIMARY KEY, n INT);',
+        config: { stream: true, cardinality: { t: { n: { max: 1 } } } },
+      });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/does not support cardinality/);
+  });
+});
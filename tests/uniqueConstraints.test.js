@@ -0,0 +1,65 @@
+import DataGenerator from '../src/lib/dataGenerator.js';
+import {
+  enforceTableConstraints,
+  generateDeterministicData,
+  validateDeterministicData,
+} from '../src/lib/deterministicGenerator.js';
+
+const DDL = `
+CREATE TABLE members (
+  id INT PRIMARY KEY,
+  email VARCHAR(100) NOT NULL UNIQUE,
+  joined DATE,
+  tier DATE,
+  CONSTRAINT uq_joined_tier UNIQUE (joined, tier)
+);
+CREATE TABLE cards (
+  id INT PRIMARY KEY,
+  member_id INT NOT NULL UNIQUE,
+  FOREIGN KEY (member_id) REFERENCES members(id)
+);`;
+
+describe('UNIQUE constraints', () => {
+  let schema;
+  beforeAll(async () => {
+    process.env.USE_AI = 'false';
+    schema = await new DataGenerator().parseDDL(DDL);
+  });
+
+  test('parser captures single and composite unique keys', () => {
+    expect(schema.tables.members.uniqueKeys).toEqual([
+      ['email'],
+      ['joined', 'tier'],
+    ]);
+    expect(schema.tables.members.columns.email.unique).toBe(true);
+    expect(schema.tables.cards.uniqueKeys).toEqual([['member_id']]);
+  });
+
+  test('deterministic generation never repeats a unique tuple', () => {
+    const data = generateDeterministicData(schema, {
+      globalRowCount: 200,
+      seed: 7,
+    });
+    const { report } = validateDeterministicData(schema, data);
+    expect(report.summary.uniqueViolations).toBe(0);
+    expect(report.summary.fkViolations).toBe(0);
+  });
+
+  test('validation reports duplicates and AI post-processing drops them', () => {
+    const rows = [
+      { id: 1, email: 'a@x.io', joined: null, tier: null },
+      { id: 2, email: 'a@x.io', joined: null, tier: null },
+      { id: 3, email: 'b@x.io', joined: null, tier: null },
+    ];
+    const { report } = validateDeterministicData(schema, {
+      members: rows,
+      cards: [],
+    });
+    expect(report.tables.members.uniqueViolations).toBe(1);
+    expect(report.summary.uniqueViolations).toBe(1);
+
+    const enforced = enforceTableConstraints(schema.tables.members, rows);
+    expect(enforced.rows.map((r) => r.id)).toEqual([1, 3]);
+    expect(enforced.adjustments.uniqueDropped).toBe(1);
+  });
+});
@@ -0,0 +1,234 @@
+import request from 'supertest';
+import { app } from '../src/index.js';
+import {
+  generateDeterministicData,
+  validateDeterministicData,
+} from '../src/lib/deterministicGenerator.js';
+import DataGenerator from '../src/lib/dataGenerator.js';
+import { compilePattern, patternErrors } from '../src/lib/valuePatterns.js';
+
+const schema = {
+  tables: {
+    books: {
+      columns: {
+        id: { type: 'INT', nullable: false },
+        isbn: { type: 'VARCHAR', length: 20, nullable: false, unique: true },
+        sku: { type: 'VARCHAR', length: 12 },
+        plate: { type: 'VARCHAR', length: 10 },
+        code: { type: 'VARCHAR', length: 12 },
+      },
+      primaryKey: ['id'],
+    },
+  },
+};
+
+const patterns = {
+  books: {
+    isbn: 'ISBN-978-\\d{10}',
+    sku: { regex: '(?:BK|MG)-[A-HJ-NP-Z0-9]{4,6}' },
+    plate: { template: '{{upper 3}}-{{digits 4}}' },
+    code: 'C{{seq 5}}',
+  },
+};
+
+describe('regex and template patterns', () => {
+  test('compiled patterns generate matching values and count them', () => {
+    const rand = (() => {
+      let s = 11;
+      return () => (s = (s * 16807) % 2147483647) / 2147483647;
+    })();
+    const regex = compilePattern('[A-C]{2}[0-9]?');
+    expect(regex.size).toBe(9 + 90);
+    const template = compilePattern('{{pick red|blue}}-{{hex 2}}');
+    expect(template.kind).toBe('template');
+    expect(template.size).toBe(2 * 256);
+    for (let i = 0; i < 20; i++) {
+      expect(regex.test(regex.generate(rand, i))).toBe(true);
+      expect(template.generate(rand, i)).toMatch(/^(red|blue)-[0-9A-F]{2}$/);
+    }
+  });
+
+  test('seeded generation follows the patterns and keeps UNIQUE', () => {
+    const config = { globalRowCount: 50, seed: 8, patterns, withMeta: true };
+    const { data, meta } = generateDeterministicData(schema, config);
+    expect(generateDeterministicData(schema, config).data).toEqual(data);
+    data.books.forEach((b, i) => {
+      expect(b.isbn).toMatch(/^ISBN-978-\d{10}$/);
+      expect(b.sku).toMatch(/^(BK|MG)-[A-HJ-NP-Z0-9]{4,6}$/);
+      expect(b.plate).toMatch(/^[A-Z]{3}-\d{4}$/);
+      expect(b.code).toBe(`C${String(i + 1).padStart(5, '0')}`);
+    });
+    expect(new Set(data.books.map((b) => b.isbn)).size).toBe(50);
+    expect(meta.tables.books.patterns.plate).toBe('{{upper 3}}-{{digits 4}}');
+    const { passed, report } = validateDeterministicData(schema, data, {
+      patterns,
+    });
+    expect(passed).toBe(true);
+    expect(report.summary.patternViolations).toBe(0);
+  });
+
+  test('validation flags rows that do not match (e.g. AI output)', () => {
+    const data = {
+      books: [
+        { id: 1, isbn: 'ISBN-978-0123456789', sku: 'BK-12', plate: null },
+        { id: 2, isbn: '978-0123456789', sku: 'MG-ABCD', plate: 'abc-1234' },
+      ],
+    };
+    const { errors, report } = validateDeterministicData(schema, data, {
+      patterns,
+    });
+    expect(report.tables.books.patternViolations).toBe(3);
+    expect(errors).toContain(
+      'Pattern violation books.isbn: "978-0123456789" does not match ISBN-978-\\d{10} (row 1)'
+    );
+  });
+
+  test('patterns too small for a UNIQUE column are rejected', () => {
+    expect(() =>
+      generateDeterministicData(schema, {
+        globalRowCount: 20,
+        patterns: { books: { isbn: 'X[0-9]' } },
+      })
+    ).toThrow(/yields 10 distinct values, fewer than the 20/);
+  });
+
+  test('UNIQUE pattern columns fill their value space without suffixes', () => {
+    const table = (columns, uniqueKeys = []) => ({
+      tables: {
+        items: {
+          columns: { id: { type: 'INT', nullable: false }, ...columns },
+          primaryKey: ['id'],
+          uniqueKeys,
+        },
+      },
+    });
+    const items = table({ sku: { type: 'VARCHAR', length: 2, unique: true } });
+    const skus = { items: { sku: '[A-Z]{2}' } };
+    for (const seed of [1, 2, 3]) {
+      const data = generateDeterministicData(items, {
+        globalRowCount: 676,
+        seed,
+        patterns: skus,
+      });
+      const { report } = validateDeterministicData(items, data, {
+        patterns: skus,
+      });
+      expect(report.summary.patternViolations).toBe(0);
+      expect(new Set(data.items.map((r) => r.sku)).size).toBe(676);
+    }
+    expect(compilePattern('[A-Z]{2}').valueAt(27)).toBe('BB');
+
+    const pairs = table(
+      { a: { type: 'VARCHAR', length: 1 }, b: { type: 'VARCHAR', length: 1 } },
+      [['a', 'b']]
+    );
+    const ab = { items: { a: '[A-C]', b: '[XY]' } };
+    const data = generateDeterministicData(pairs, {
+      globalRowCount: 6,
+      seed: 2,
+      patterns: ab,
+    });
+    expect(new Set(data.items.map((r) => r.a + r.b)).size).toBe(6);
+    expect(() =>
+      generateDeterministicData(pairs, { globalRowCount: 7, patterns: ab })
+    ).toThrow(
+      'Patterns of items.a, b ran out of distinct values for unique key (a, b)'
+    );
+  });
+
+  test('tables the AI leaves empty fall back with their own options', async () => {
+    const nodes = {
+      tables: {
+        nodes: {
+          columns: {
+            id: { type: 'INT', nullable: false },
+            parent_id: { type: 'INT' },
+            code: { type: 'VARCHAR', length: 5 },
+            twice: { type: 'INT' },
+          },
+          primaryKey: ['id'],
+          foreignKeys: [
+            {
+              columns: ['parent_id'],
+              referenceTable: 'nodes',
+              referenceColumns: ['id'],
+            },
+          ],
+        },
+      },
+    };
+    const generator = new DataGenerator();
+    generator.genAI = {
+      getGenerativeModel: () => ({
+        generateContent: async () => ({ response: { text: () => '[]' } }),
+      }),
+    };
+    const useAI = process.env.USE_AI;
+    process.env.USE_AI = 'true';
+    try {
+      const { data, meta } = await generator.generateSyntheticData(nodes, '', {
+        numRecords: 40,
+        seed: 5,
+        patterns: { nodes: { code: 'N-\\d{3}' } },
+        expressions: { nodes: { twice: 'id * 2' } },
+        hierarchies: { nodes: { parent_id: { maxDepth: 1 } } },
+        withMeta: true,
+      });
+      expect(meta.aiErrors).toEqual([]);
+      const byId = new Map(data.nodes.map((n) => [n.id, n]));
+      data.nodes.forEach((n) => {
+        expect(n.code).toMatch(/^N-\d{3}$/);
+        expect(n.twice).toBe(n.id * 2);
+        if (n.parent_id !== null) {
+          expect(byId.get(n.parent_id).parent_id).toBeNull();
+        }
+      });
+    } finally {
+      process.env.USE_AI = useAI;
+    }
+  });
+
+  test('invalid patterns are rejected', async () => {
+    expect(
+      patternErrors({ t: { a: '(?=x)y', b: '{{upper x}}', c: '\\1' } })
+    ).toEqual([
+      't.a: lookarounds and named groups are not supported',
+      't.b: {{upper}} needs a count',
+      't.c: unsupported escape \\1',
+    ]);
+    const res = await request(app)
+      .post('/api/generate')
+      .send({
+        ddl: 'CREATE TABLE t (id INT PRIMARY KEY, a TEXT);',
+        config: { patterns: { t: { a: '{{nope}}' } } },
+      });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/unknown placeholder \{\{nope\}\}/);
+  });
+
+  test('oversized counts are rejected and nested quantifiers match fast', () => {
+    const started = Date.now();
+    expect(
+      patternErrors({
+        t: {
+          a: 'a{0,300000000}',
+          b: '((a{100}){100}){100}',
+          c: '{{upper 5000}}',
+        },
+      })
+    ).toEqual([
+      't.a: quantifier {0,300000000} repeats more than 1000 times',
+      't.b: pattern generates values longer than 10000 characters',
+      't.c: {{upper}} count is above 1000',
+    ]);
+    const nested = compilePattern('(a+)+b');
+    expect(nested.test(`${'a'.repeat(28)}c`)).toBe(false);
+    expect(nested.test(`${'a'.repeat(28)}b`)).toBe(true);
+    expect(compilePattern('(a|aa)*c').test('a'.repeat(40))).toBe(false);
+    expect(Date.now() - started).toBeLessThan(1000);
+    // Unbounded quantifiers still accept any length; classes match natively
+    expect(compilePattern('x.*').test(`x${'é'.repeat(50)}`)).toBe(true);
+    expect(compilePattern('[^a]\\S').test('éé')).toBe(true);
+    expect(compilePattern('\\d{2,}').test('1')).toBe(false);
+  });
+});
@@ -0,0 +1,103 @@
+import request from 'supertest';
+import { app } from '../src/index.js';
+import { generateDeterministicData } from '../src/lib/deterministicGenerator.js';
+import {
+  registerProvider,
+  resolveProvider,
+  unregisterProvider,
+} from '../src/lib/valueProviders.js';
+
+const schema = {
+  tables: {
+    customers: {
+      columns: {
+        id: { type: 'INT', nullable: false },
+        first_name: { type: 'VARCHAR', length: 40 },
+        last_name: { type: 'VARCHAR' },
+        email: { type: 'VARCHAR', unique: true },
+        zip_code: { type: 'CHAR', length: 5 },
+        external_ref: { type: 'UUID' },
+        loyalty_code: { type: 'TEXT' },
+        city: { type: 'TEXT' },
+      },
+      primaryKey: ['id'],
+      foreignKeys: [],
+      uniqueKeys: [['email']],
+    },
+  },
+};
+
+describe('value providers', () => {
+  afterEach(() => unregisterProvider('loyalty'));
+
+  test('columns map to providers by name and type', () => {
+    const { data, meta } = generateDeterministicData(schema, {
+      globalRowCount: 10,
+      seed: 11,
+      withMeta: true,
+    });
+    expect(meta.tables.customers.providers).toEqual({
+      first_name: 'firstName',
+      last_name: 'lastName',
+      email: 'email',
+      zip_code: 'zipCode',
+      external_ref: 'uuid',
+      city: 'city',
+    });
+    const row = data.customers[0];
+    expect(row.email).toMatch(/^[a-z]+\.[a-z]+1@/);
+    expect(row.email.startsWith(row.first_name.toLowerCase())).toBe(true);
+    expect(row.zip_code).toMatch(/^\d{5}$/);
+    expect(row.external_ref).toMatch(
+      /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/
+    );
+    expect(row.loyalty_code).toBe('customers_loyalty_code_1');
+    const again = generateDeterministicData(schema, {
+      globalRowCount: 10,
+      seed: 11,
+    });
+    expect(again.customers.map((r) => r.email)).toEqual(
+      data.customers.map((r) => r.email)
+    );
+  });
+
+  test('explicit config and custom providers', () => {
+    registerProvider({
+      name: 'loyalty',
+      pattern: /loyalty_code$/,
+      generate: ({ rowIndex }) => `LOY-${1000 + rowIndex}`,
+    });
+    const { data, meta } = generateDeterministicData(schema, {
+      globalRowCount: 3,
+      seed: 1,
+      withMeta: true,
+      providers: { customers: { city: false, last_name: 'company' } },
+    });
+    expect(data.customers[2].loyalty_code).toBe('LOY-1002');
+    expect(meta.tables.customers.providers.loyalty_code).toBe('loyalty');
+    expect(meta.tables.customers.providers.city).toBeUndefined();
+    expect(meta.tables.customers.providers.last_name).toBe('company');
+    expect(data.customers[0].city).toBe('customers_city_1');
+  });
+
+  test('bare name columns depend on the table', () => {
+    const col = { type: 'TEXT' };
+    expect(resolveProvider('authors', 'name', col).name).toBe('fullName');
+    expect(resolveProvider('publishers', 'name', col).name).toBe('company');
+    expect(resolveProvider('genres', 'name', col)).toBeNull();
+    expect(() => resolveProvider('t', 'c', col, { t: { c: 'nope' } })).toThrow(
+      /Unknown value provider "nope"/
+    );
+  });
+
+  test('unknown providers are rejected by /api/generate', async () => {
+    const res = await request(app)
+      .post('/api/generate')
+      .send({
+        ddl: 'CREATE TABLE t (id INT PRIMARY KEY, c TEXT);',
+        config: { providers: { t: { c: 'nope' } } },
+      })
+      .expect(400);
+    expect(res.body.error).toMatch(/nope/);
+  });
+});